@@ -3,13 +3,17 @@ const morgan = require('morgan');
 const cors = require('cors');
 const routes = require('./routes');
 const { errorHandler } = require('./middleware/errorHandler');
+const { trustProxy } = require('./config');
 
 const app = express();
 
+// Behind a proxy, take the client address from X-Forwarded-For (recorded on sessions)
+app.set('trust proxy', trustProxy);
+
 app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag', 'Idempotent-Replayed'] }));
 
 app.use('/api', routes);
 
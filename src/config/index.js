@@ -1,4 +1,40 @@
 module.exports = {
   jwtSecret: process.env.JWT_SECRET,
+  // Lifetime of access tokens (jsonwebtoken format, e.g. 15m, 1h)
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  // Days a session lasts without its refresh token being used
+  refreshTokenTtlDays: parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  // Proxies in front of the app (Express "trust proxy": a hop count, true, or addresses),
+  // so session IPs are the client's
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+    ? parseInt(process.env.TRUST_PROXY)
+    : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY || false,
+  // Minutes a password reset link can be used for
+  passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  // Hours an email verification link can be used for
+  emailVerificationTtlHours: parseFloat(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+  // What other people can only do with users who have verified their email:
+  // any of search, friend, participant (comma-separated; default none)
+  requireVerifiedEmailFor: (process.env.REQUIRE_VERIFIED_EMAIL || '')
+    .split(',')
+    .map(action => action.trim().toLowerCase())
+    .filter(Boolean),
+  // Where emails go: log (printed to the console) or outbox (.eml files in MAIL_OUTBOX_DIR)
+  mailTransport: process.env.MAIL_TRANSPORT || 'log',
+  mailOutboxDir: process.env.MAIL_OUTBOX_DIR || 'outbox',
+  mailFrom: process.env.MAIL_FROM || 'Udhari Kitap <no-reply@udhari-kitap.local>',
+  // Web app address that links in emails point to
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
   mongoUri: process.env.MONGO_URI,
+  recurringIntervalMs: parseInt(process.env.RECURRING_INTERVAL_MS) || 60 * 1000,
+  exchangeRatesFile: process.env.EXCHANGE_RATES_FILE || 'src/data/exchangeRates.json',
+  // Comma-separated emails of users allowed to load exchange rates
+  adminEmails: (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean),
+  // How long Idempotency-Key responses are kept for replay
+  idempotencyWindowHours: parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24,
+  // TrueType font for PDF statements that can draw ₹ (otherwise amounts say "Rs.")
+  pdfFontPath: process.env.PDF_FONT_PATH || null,
 };
@@ -14,27 +14,29 @@ const {
  * GET /api/activities
  * 
  * Query params:
- * - page: Page number (default: 1)
  * - limit: Items per page (default: 20)
+ * - cursor: nextCursor from the previous page (optional)
  * - type: Filter by activity type (optional)
+ * - group: Filter by group ID (optional)
  * - unreadOnly: Show only unread activities (optional, boolean)
  * 
  * Response:
  * {
  *   activities: [...],
  *   unreadCount: 5,
- *   pagination: { page, limit, total, totalPages }
+ *   pagination: { limit, total, hasMore, nextCursor }
  * }
  */
 exports.getActivities = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { page, limit, type, unreadOnly } = req.query;
+    const { cursor, limit, type, group, unreadOnly } = req.query;
     
     const options = {
-      page: page || 1,
-      limit: limit || 20,
+      cursor: cursor || null,
+      limit: parseInt(limit) || 20,
       type: type || null,
+      groupId: group || null,
       unreadOnly: unreadOnly === 'true'
     };
     
@@ -1,12 +1,58 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const User = require('../models/user');
-const { jwtSecret } = require('../config');
+const {
+  startSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessionService');
+const { createUserToken, consumeUserToken } = require('../services/userTokens');
+const { sendPasswordResetEmail } = require('../services/accountEmails');
+const { sendVerification, verifyEmail } = require('../services/emailVerification');
+const { passwordResetTtlMinutes } = require('../config');
+
+// bcrypt cost for password hashes
+const SALT_ROUNDS = 12;
+
+/**
+ * Device details recorded on a new or refreshed session
+ * @param {Object} req - Request (body.deviceName is optional)
+ * @returns {Object} { deviceName, userAgent, ip }
+ */
+const deviceOf = (req) => ({
+  deviceName: (req.body && req.body.deviceName) || null,
+  userAgent: (req.get('User-Agent') || '').slice(0, 500) || null,
+  ip: req.ip || null
+});
+
+/**
+ * Token fields of an auth response
+ * @param {Object} tokens - Result of startSession() or refreshSession()
+ * @returns {Object} { token, refreshToken, expiresIn, sessionId }
+ */
+const tokenResponse = ({ token, refreshToken, expiresIn, session }) => ({
+  token,
+  refreshToken,
+  expiresIn,
+  sessionId: session._id
+});
+
+/**
+ * Create a password reset token and email the link to a user
+ * Any earlier reset link stops working.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Result of sending the email
+ */
+const sendPasswordReset = async (user) => {
+  const { token, expiresAt } = await createUserToken(user._id, 'password_reset', passwordResetTtlMinutes);
+  return sendPasswordResetEmail(user, token, expiresAt);
+};
 
 /**
  * Register a new user
  * POST /api/auth/register
- * Body: { name, email, password }
+ * Body: { name, email, password, deviceName? }
  */
 exports.register = async (req, res, next) => {
   try {
@@ -22,7 +68,7 @@ exports.register = async (req, res, next) => {
     }
 
     // Hash password with salt rounds of 12 for better security
-    const passwordHash = await bcrypt.hash(password, 12);
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
     // Create user
     const user = await User.create({ 
@@ -31,17 +77,18 @@ exports.register = async (req, res, next) => {
       passwordHash 
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email }, 
-      jwtSecret, 
-      { expiresIn: '7d' }
-    );
+    // Email a link to confirm the address (non-blocking)
+    sendVerification(user).catch(err => {
+      console.error('Failed to send verification email:', err);
+    });
+
+    // Sign the new user in on this device
+    const tokens = await startSession(user, deviceOf(req));
 
     res.status(201).json({ 
       success: true,
       user: user.toSafeObject(),
-      token 
+      ...tokenResponse(tokens)
     });
   } catch (err) {
     // Handle mongoose duplicate key error
@@ -58,7 +105,7 @@ exports.register = async (req, res, next) => {
 /**
  * Login user
  * POST /api/auth/login
- * Body: { email, password }
+ * Body: { email, password, deviceName? }
  */
 exports.login = async (req, res, next) => {
   try {
@@ -82,17 +129,13 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email }, 
-      jwtSecret, 
-      { expiresIn: '7d' }
-    );
+    // Start a session for this device
+    const tokens = await startSession(user, deviceOf(req));
 
     res.json({ 
       success: true,
       user: user.toSafeObject(),
-      token 
+      ...tokenResponse(tokens)
     });
   } catch (err) {
     next(err);
@@ -115,3 +158,245 @@ exports.getMe = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ * 
+ * The refresh token can only be used once. Sending one that was already
+ * used signs the whole session out.
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    const result = await refreshSession(req.body.refreshToken, deviceOf(req));
+    if (!result.success) {
+      return res.status(401).json({
+        error: result.error,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      user: result.user.toSafeObject(),
+      ...tokenResponse(result)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Sign out the current session
+ * POST /api/auth/logout
+ * Requires: Authorization header
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * List the current user's signed-in sessions
+ * GET /api/auth/sessions
+ * Requires: Authorization header
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => session.toSafeObject(req.sessionId))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Sign out one of the current user's sessions, e.g. a lost phone
+ * DELETE /api/auth/sessions/:id
+ * Requires: Authorization header
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No active session found with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Change the current user's password
+ * POST /api/auth/password/change
+ * Body: { currentPassword, newPassword }
+ * Requires: Authorization header
+ * 
+ * Every other session is signed out; this one stays signed in.
+ */
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+passwordHash');
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        error: 'Incorrect password',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    await User.updateOne({ _id: user._id }, { $set: { passwordHash } });
+
+    const signedOut = await revokeAllSessions(user._id, { except: req.sessionId });
+
+    res.json({
+      success: true,
+      message: 'Password changed',
+      sessionsSignedOut: signedOut
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Email a password reset link
+ * POST /api/auth/password/forgot
+ * Body: { email }
+ * 
+ * Always answers the same way, so it can't be used to find out who has an account.
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    if (user) {
+      // Create the token and send it in the background (non-blocking): waiting
+      // for either would make the answer slower when the account exists
+      sendPasswordReset(user).catch(err => {
+        console.error('Failed to send password reset email:', err);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent to it'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Set a new password with a reset token from the emailed link
+ * POST /api/auth/password/reset
+ * Body: { token, newPassword }
+ * 
+ * The token works once. Every session is signed out.
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const resetToken = await consumeUserToken(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({
+        error: 'Invalid reset token',
+        message: 'This reset link is invalid, has expired or was already used. Ask for a new one'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    const result = await User.updateOne({ _id: resetToken.user }, { $set: { passwordHash } });
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The user associated with this reset link no longer exists'
+      });
+    }
+
+    await revokeAllSessions(resetToken.user);
+
+    res.json({
+      success: true,
+      message: 'Password reset. Please login with your new password'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Confirm the user's email with the token from the emailed link
+ * POST /api/auth/verify-email
+ * Body: { token }
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await verifyEmail(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid verification token',
+        message: 'This verification link is invalid, has expired or was already used. Ask for a new one'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified',
+      user: user.toSafeObject()
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Email the current user a new verification link
+ * POST /api/auth/verify-email/resend
+ * Requires: Authorization header
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        error: 'Already verified',
+        message: 'Your email is already verified'
+      });
+    }
+
+    await sendVerification(req.user);
+
+    res.json({
+      success: true,
+      message: `A new verification link has been sent to ${req.user.email}`
+    });
+  } catch (err) {
+    next(err);
+  }
+};
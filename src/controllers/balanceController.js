@@ -1,14 +1,53 @@
 const User = require('../models/user');
+const Group = require('../models/group');
 const { 
   calculateOverallBalance, 
-  calculatePairwiseBalance 
+  calculatePairwiseBalance,
+  calculateSettleUp
 } = require('../services/balanceCalculation');
+const { formatMoney } = require('../utils/currency');
+const { calculateSimplifiedSettlements } = require('../services/debtSimplification');
+const { calculateStatement } = require('../services/statement');
+const { renderFriendStatementPdf } = require('../services/statementPdf');
+const { parseRangeStart, parseRangeEnd } = require('../utils/dateRange');
 
 /**
  * Balance Controller
  * Handles balance calculation and retrieval
  */
 
+/**
+ * Load a group and check that the user is a member of it
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { group } or { status, error } for the response
+ */
+const findGroupForMember = async (groupId, userId) => {
+  const group = await Group.findById(groupId);
+  
+  if (!group) {
+    return {
+      status: 404,
+      error: {
+        error: 'Group not found',
+        message: `No group found with ID ${groupId}`
+      }
+    };
+  }
+  
+  if (!group.isMember(userId)) {
+    return {
+      status: 403,
+      error: {
+        error: 'Permission denied',
+        message: 'You are not a member of this group'
+      }
+    };
+  }
+  
+  return { group };
+};
+
 /**
  * Get overall balance for authenticated user
  * GET /api/balances
@@ -18,13 +57,34 @@ const {
  * - Total amount you owe others
  * - Net balance
  * - Per-user breakdown
+ * All in your home currency, with the same figures for every other currency in byCurrency
+ * 
+ * Query params:
+ * - group: Restrict the balance to expenses and settlements in this group (optional)
+ * - convert: true to also convert every currency into your home currency at current rates (optional)
+ * - includePending: true to count settlements still awaiting confirmation (optional)
  */
 exports.getOverallBalance = async (req, res, next) => {
   try {
     const userId = req.user._id;
+    const groupId = req.query.group || null;
+    
+    let group = null;
+    if (groupId) {
+      const lookup = await findGroupForMember(groupId, userId);
+      if (lookup.error) {
+        return res.status(lookup.status).json(lookup.error);
+      }
+      group = lookup.group;
+    }
     
     // Calculate overall balance
-    const balanceData = await calculateOverallBalance(userId);
+    const balanceData = await calculateOverallBalance(userId, {
+      groupId,
+      currency: req.user.homeCurrency,
+      convert: req.query.convert === 'true',
+      includePending: req.query.includePending === 'true'
+    });
     
     res.json({
       success: true,
@@ -33,6 +93,7 @@ exports.getOverallBalance = async (req, res, next) => {
         name: req.user.name,
         email: req.user.email
       },
+      ...(group && { group: { id: group._id, name: group.name } }),
       balance: balanceData
     });
   } catch (err) {
@@ -40,6 +101,42 @@ exports.getOverallBalance = async (req, res, next) => {
   }
 };
 
+/**
+ * Get simplified settlements that clear all balances with the fewest transfers
+ * GET /api/balances/simplified
+ * 
+ * Query params:
+ * - group: Simplify within this group's ledger (optional).
+ *   Without it, only your own debts outside groups are counted.
+ * 
+ * Returns each user's net position and a list of "X pays Y" transfers (in paise)
+ */
+exports.getSimplifiedBalances = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const groupId = req.query.group || null;
+    
+    let group = null;
+    if (groupId) {
+      const lookup = await findGroupForMember(groupId, userId);
+      if (lookup.error) {
+        return res.status(lookup.status).json(lookup.error);
+      }
+      group = lookup.group;
+    }
+    
+    const simplified = await calculateSimplifiedSettlements(userId, { group });
+    
+    res.json({
+      success: true,
+      ...(group && { group: { id: group._id, name: group.name } }),
+      ...simplified
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Get pairwise balance with a specific user
  * GET /api/balances/:userId
@@ -48,6 +145,10 @@ exports.getOverallBalance = async (req, res, next) => {
  * Positive = they owe you
  * Negative = you owe them
  * Zero = settled
+ * The top-level balance is in your home currency; byCurrency has every currency
+ * 
+ * Query params:
+ * - includePending: true to count settlements still awaiting confirmation (optional)
  */
 exports.getPairwiseBalance = async (req, res, next) => {
   try {
@@ -72,7 +173,10 @@ exports.getPairwiseBalance = async (req, res, next) => {
     }
     
     // Calculate pairwise balance
-    const balanceData = await calculatePairwiseBalance(currentUserId, otherUserId);
+    const balanceData = await calculatePairwiseBalance(currentUserId, otherUserId, {
+      currency: req.user.homeCurrency,
+      includePending: req.query.includePending === 'true'
+    });
     
     res.json({
       success: true,
@@ -92,3 +196,217 @@ exports.getPairwiseBalance = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * Get the payment that settles up with a specific user
+ * GET /api/balances/:userId/settle-up
+ * 
+ * Returns the exact amount, who pays whom, and a ready-to-send body for
+ * POST /api/transactions. Settlements still awaiting confirmation count as paid.
+ * 
+ * Query params:
+ * - currency: Currency to settle in (optional, defaults to your home currency).
+ *   Other currencies with an open balance are listed in byCurrency.
+ */
+exports.getSettleUp = async (req, res, next) => {
+  try {
+    const currentUserId = req.user._id;
+    const otherUserId = req.params.userId;
+    
+    const otherUser = await User.findById(otherUserId);
+    if (!otherUser) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: `No user found with ID ${otherUserId}`
+      });
+    }
+    
+    if (currentUserId.toString() === otherUserId.toString()) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Cannot settle up with yourself'
+      });
+    }
+    
+    const settleUp = await calculateSettleUp(currentUserId, otherUserId, {
+      currency: req.query.currency ? req.query.currency.toUpperCase() : req.user.homeCurrency
+    });
+    
+    const describe = (s) => {
+      if (s.direction === 'settled') {
+        return `You and ${otherUser.name} are settled up in ${s.currency}`;
+      }
+      return s.direction === 'you_pay'
+        ? `Pay ${otherUser.name} ${formatMoney(s.amount, s.currency)} to settle up`
+        : `${otherUser.name} should pay you ${formatMoney(s.amount, s.currency)} to settle up`;
+    };
+    
+    // Body for POST /api/transactions that records exactly this payment
+    const transactionBody = (s) => (s.direction === 'settled' ? null : {
+      ...(s.direction === 'they_pay' && { from: s.from }),
+      to: s.to,
+      amount: s.amountInRupees,
+      currency: s.currency
+    });
+    
+    res.json({
+      success: true,
+      you: {
+        id: req.user._id,
+        name: req.user.name,
+        email: req.user.email
+      },
+      otherUser: {
+        id: otherUser._id,
+        name: otherUser.name,
+        email: otherUser.email
+      },
+      settleUp: {
+        currency: settleUp.currency,
+        direction: settleUp.direction,
+        amount: settleUp.amount,
+        amountInRupees: settleUp.amountInRupees,
+        from: settleUp.from,
+        to: settleUp.to,
+        message: describe(settleUp),
+        transaction: transactionBody(settleUp)
+      },
+      byCurrency: settleUp.byCurrency.map(s => ({
+        currency: s.currency,
+        direction: s.direction,
+        amount: s.amount,
+        amountInRupees: s.amountInRupees,
+        from: s.from,
+        to: s.to,
+        message: describe(s),
+        transaction: transactionBody(s)
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Work out the statement with the user in req.params.userId
+ * Shared by the JSON and PDF statement endpoints.
+ * @param {Object} req - Request (query: from?, to?, currency?, includePending?)
+ * @returns {Promise<Object>} { otherUser, period, statement } or { status, error } for the response
+ */
+const loadStatement = async (req) => {
+  const currentUserId = req.user._id;
+  const otherUserId = req.params.userId;
+  
+  const otherUser = await User.findById(otherUserId);
+  if (!otherUser) {
+    return {
+      status: 404,
+      error: {
+        error: 'User not found',
+        message: `No user found with ID ${otherUserId}`
+      }
+    };
+  }
+  
+  if (currentUserId.toString() === otherUserId.toString()) {
+    return {
+      status: 400,
+      error: {
+        error: 'Invalid request',
+        message: 'Cannot get a statement with yourself'
+      }
+    };
+  }
+  
+  const statement = await calculateStatement(currentUserId, otherUserId, {
+    from: req.query.from ? parseRangeStart(req.query.from) : null,
+    to: req.query.to ? parseRangeEnd(req.query.to) : null,
+    currency: req.query.currency ? req.query.currency.toUpperCase() : req.user.homeCurrency,
+    includePending: req.query.includePending === 'true'
+  });
+  
+  return {
+    otherUser,
+    period: {
+      from: req.query.from || null,
+      to: req.query.to || null
+    },
+    statement
+  };
+};
+
+/**
+ * Get the statement with a specific user
+ * GET /api/balances/:userId/statement
+ * 
+ * Every shared expense and settlement with them, oldest first, with what each
+ * changed (delta) and the balance after it. Positive = they owe you.
+ * Each currency keeps its own running balance; the top-level totals are in your
+ * home currency (or ?currency=).
+ * 
+ * Query params:
+ * - from, to: Only lines in this period (optional; a plain date as `to` covers that day).
+ *   Everything before `from` is carried in as the opening balance.
+ * - currency: Currency of the top-level totals (optional)
+ * - includePending: true to count settlements still awaiting confirmation (optional)
+ */
+exports.getStatement = async (req, res, next) => {
+  try {
+    const result = await loadStatement(req);
+    if (result.error) {
+      return res.status(result.status).json(result.error);
+    }
+    
+    const { otherUser, period, statement } = result;
+    
+    res.json({
+      success: true,
+      you: {
+        id: req.user._id,
+        name: req.user.name,
+        email: req.user.email
+      },
+      otherUser: {
+        id: otherUser._id,
+        name: otherUser.name,
+        email: otherUser.email
+      },
+      period,
+      statement
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Download the statement with a specific user as a PDF
+ * GET /api/balances/:userId/statement.pdf
+ * 
+ * Same statement and query params as GET /api/balances/:userId/statement,
+ * printed with both names, opening balance, each line with its running
+ * balance, and closing balance.
+ */
+exports.getStatementPdf = async (req, res, next) => {
+  try {
+    const result = await loadStatement(req);
+    if (result.error) {
+      return res.status(result.status).json(result.error);
+    }
+    
+    const { otherUser, period, statement } = result;
+    const pdf = await renderFriendStatementPdf({ you: req.user, otherUser, period, statement });
+    
+    const slug = otherUser.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'friend';
+    const filename = `statement-${slug}${period.to ? `-${period.to.slice(0, 10)}` : ''}.pdf`;
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+};
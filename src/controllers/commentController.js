@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/expense');
+const { createCommentActivity } = require('../services/activityService');
+
+/**
+ * Comment Controller
+ * Discussion threads on expenses. Only the payers and participants of an
+ * expense can read or post comments, and only the author can edit or delete one.
+ *
+ * Comments are written with atomic updates rather than expense.save(), so that
+ * they don't bump the expense version used for optimistic concurrency and
+ * invalidate other people's pending edits.
+ */
+
+/**
+ * Format a comment for API responses
+ * @param {Object} comment - Comment sub-document (user populated)
+ * @returns {Object}
+ */
+const formatComment = (comment) => ({
+  id: comment._id,
+  user: comment.user,
+  text: comment.text,
+  createdAt: comment.createdAt,
+  editedAt: comment.editedAt || null
+});
+
+/**
+ * Load an expense for commenting and check the user may take part in its thread
+ * @param {string} id - Expense ID
+ * @param {string} userId - User ID
+ * @param {Object} projection - Optional projection (e.g. a comments $slice)
+ * @returns {Promise<Object>} { expense } or { status, error } for the response
+ */
+const findExpenseForComments = async (id, userId, projection = null) => {
+  const expense = await Expense.findById(id, projection);
+
+  if (!expense) {
+    return {
+      status: 404,
+      error: {
+        error: 'Expense not found',
+        message: `No expense found with ID ${id}`
+      }
+    };
+  }
+
+  if (expense.isDeleted) {
+    return {
+      status: 404,
+      error: {
+        error: 'Expense deleted',
+        message: 'This expense has been deleted'
+      }
+    };
+  }
+
+  if (!expense.involvesUser(userId)) {
+    return {
+      status: 403,
+      error: {
+        error: 'Permission denied',
+        message: 'Only the payers and participants of this expense can see or add comments'
+      }
+    };
+  }
+
+  return { expense };
+};
+
+/**
+ * Get the comments on an expense, oldest first
+ * GET /api/expenses/:id/comments
+ * Query params:
+ * - page, limit (for pagination, default 1 and 20)
+ */
+exports.getComments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+    const skip = (page - 1) * limit;
+
+    // Only load the requested page of a long thread
+    const lookup = await findExpenseForComments(id, req.user._id, {
+      comments: { $slice: [skip, limit] }
+    });
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+
+    const { expense } = lookup;
+    await expense.populate('comments.user', 'name email profilePicture');
+
+    const [{ total }] = await Expense.aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(id) } },
+      { $project: { total: { $size: { $ifNull: ['$comments', []] } } } }
+    ]);
+
+    res.json({
+      success: true,
+      comments: expense.comments.map(formatComment),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: skip + expense.comments.length < total
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Add a comment to an expense
+ * POST /api/expenses/:id/comments
+ * Body: { text }
+ */
+exports.addComment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { text } = req.body;
+
+    const lookup = await findExpenseForComments(id, req.user._id);
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+
+    const { expense } = lookup;
+    expense.comments.push({ user: req.user._id, text });
+    const comment = expense.comments[expense.comments.length - 1];
+
+    await Expense.updateOne({ _id: id }, { $push: { comments: comment.toObject() } });
+
+    // Let everyone else on the expense know (async, non-blocking)
+    createCommentActivity(expense, comment, req.user).catch(err => {
+      console.error('Failed to create comment activity:', err);
+    });
+
+    await expense.populate('comments.user', 'name email profilePicture');
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      comment: formatComment(expense.comments.id(comment._id))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Edit a comment
+ * PATCH /api/expenses/:id/comments/:commentId
+ * Body: { text }
+ *
+ * Only the author can edit their comment
+ */
+exports.updateComment = async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+    const { text } = req.body;
+
+    const lookup = await findExpenseForComments(id, req.user._id);
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+
+    const { expense } = lookup;
+    const comment = expense.comments.id(commentId);
+
+    if (!comment) {
+      return res.status(404).json({
+        error: 'Comment not found',
+        message: `No comment found with ID ${commentId}`
+      });
+    }
+
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only the author can edit this comment'
+      });
+    }
+
+    comment.text = text;
+    comment.editedAt = new Date();
+    await Expense.updateOne(
+      { _id: id, 'comments._id': commentId },
+      { $set: { 'comments.$.text': comment.text, 'comments.$.editedAt': comment.editedAt } }
+    );
+
+    await expense.populate('comments.user', 'name email profilePicture');
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      comment: formatComment(expense.comments.id(commentId))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Delete a comment
+ * DELETE /api/expenses/:id/comments/:commentId
+ *
+ * Only the author can delete their comment
+ */
+exports.deleteComment = async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const lookup = await findExpenseForComments(id, req.user._id);
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+
+    const { expense } = lookup;
+    const comment = expense.comments.id(commentId);
+
+    if (!comment) {
+      return res.status(404).json({
+        error: 'Comment not found',
+        message: `No comment found with ID ${commentId}`
+      });
+    }
+
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only the author can delete this comment'
+      });
+    }
+
+    await Expense.updateOne({ _id: id }, { $pull: { comments: { _id: commentId } } });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
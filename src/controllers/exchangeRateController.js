@@ -0,0 +1,92 @@
+const ExchangeRate = require('../models/exchangeRate');
+const { readRatesFile, loadExchangeRates } = require('../services/exchangeRateService');
+
+/**
+ * Exchange Rate Controller
+ * Lists the stored rate table and lets admins replace it
+ */
+
+/**
+ * Get the current exchange rate table
+ * GET /api/exchange-rates
+ */
+exports.getExchangeRates = async (req, res, next) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+
+    res.json({
+      success: true,
+      count: rates.length,
+      base: rates.length > 0 ? rates[0].base : null,
+      rates: rates.map(rate => rate.toSafeObject())
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Replace the exchange rate table (admin only)
+ * PUT /api/exchange-rates
+ * Body: { base, asOf?, rates: { [currency]: rate } }
+ *
+ * Currencies left out of the new table are removed. Existing expenses keep the
+ * rate they stored when they were created.
+ */
+exports.replaceExchangeRates = async (req, res, next) => {
+  try {
+    const { base, asOf, rates } = req.body;
+    const count = await loadExchangeRates({ base, asOf, rates }, 'admin');
+
+    res.json({
+      success: true,
+      message: `Loaded ${count} exchange rates`,
+      count
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid exchange rates',
+        message: err.message
+      });
+    }
+    next(err);
+  }
+};
+
+/**
+ * Reload the exchange rate table from the rates file (admin only)
+ * POST /api/exchange-rates/reload
+ *
+ * Reads EXCHANGE_RATES_FILE (JSON or CSV), so updated rates can be dropped in
+ * without a restart.
+ */
+exports.reloadExchangeRates = async (req, res, next) => {
+  try {
+    let table;
+    try {
+      table = readRatesFile();
+    } catch (err) {
+      return res.status(400).json({
+        error: 'Invalid exchange rates',
+        message: `Could not read the exchange rates file: ${err.message}`
+      });
+    }
+
+    const count = await loadExchangeRates(table, 'file');
+
+    res.json({
+      success: true,
+      message: `Loaded ${count} exchange rates`,
+      count
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid exchange rates',
+        message: err.message
+      });
+    }
+    next(err);
+  }
+};
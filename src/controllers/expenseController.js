@@ -1,8 +1,12 @@
 const Expense = require('../models/expense');
 const Transaction = require('../models/transaction');
+const ExpenseRevision = require('../models/expenseRevision');
 const { 
   rupeesToPaise, 
   paiseToRupees,
+  calculateSplit,
+  getSplitInputs,
+  calculateItemisedSplit,
   validateExpenseCreation 
 } = require('../services/expenseValidation');
 const { 
@@ -12,35 +16,325 @@ const {
   createExpenseRestoreActivity
 } = require('../services/activityService');
 const { ensureBidirectionalFriendship } = require('../services/friendService');
+const { snapshotExchangeRate } = require('../services/exchangeRateService');
+const { snapshotExpense, recordRevision, getExpenseHistory } = require('../services/expenseHistory');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency');
+const { normalizeCategory } = require('../utils/categories');
+const { versionEtag, checkVersion } = require('../utils/etag');
+const {
+  buildExpenseQuery,
+  buildTransactionQuery,
+  hasExpenseOnlyFilters,
+  getSort,
+  sortValueOf,
+  compareItems
+} = require('../services/expenseSearch');
+const { decodeCursor, afterCursor, takePage } = require('../utils/cursor');
 
 /**
  * Expense Controller
  * Handles all expense-related operations
  */
 
+/**
+ * Format a participant for API responses, including the raw split input if any
+ * @param {Object} p - Participant sub-document
+ * @param {string} currency - Currency of the expense
+ * @returns {Object}
+ */
+const formatParticipant = (p, currency) => ({
+  user: p.user,
+  share: p.share,
+  shareInRupees: paiseToRupees(p.share, currency),
+  ...(p.percent != null && { percent: p.percent }),
+  ...(p.weight != null && { weight: p.weight }),
+  ...(p.adjustment != null && { adjustment: p.adjustment, adjustmentInRupees: paiseToRupees(p.adjustment, currency) })
+});
+
+/**
+ * Format a payer for API responses
+ * @param {Object} p - { user, paid } with paid in paise
+ * @param {string} currency - Currency of the expense
+ * @returns {Object}
+ */
+const formatPayer = (p, currency) => ({
+  user: p.user,
+  paid: p.paid,
+  paidInRupees: paiseToRupees(p.paid, currency)
+});
+
+/**
+ * Convert payers sent by the client ([{user, paid (in rupees)}]) to paise
+ * @param {Array} payers - Payers from the request body
+ * @param {string} currency - Currency of the expense
+ * @returns {Array} [{ user, paid }] with paid in paise
+ */
+const toPayersInPaise = (payers, currency) => payers.map(p => ({
+  user: p.user,
+  paid: rupeesToPaise(p.paid, currency)
+}));
+
+/**
+ * Convert items sent by the client (price in rupees) to paise
+ * @param {Array} items - Items from the request body
+ * @param {string} currency - Currency of the expense
+ * @returns {Array} Items with price in paise
+ */
+const toItemsInPaise = (items, currency) => items.map(item => ({
+  name: item.name,
+  price: rupeesToPaise(item.price, currency),
+  quantity: item.quantity,
+  assignedTo: item.assignedTo
+}));
+
+/**
+ * Per-item and per-person breakdown of an itemised expense for API responses
+ * @param {Object} expense - Expense document with splitMethod 'itemised'
+ * @returns {Object|null}
+ */
+const formatItemBreakdown = (expense) => {
+  const { currency } = expense;
+  const split = calculateItemisedSplit(expense.items, {
+    tax: expense.tax,
+    serviceCharge: expense.serviceCharge,
+    tip: expense.tip
+  }, currency);
+  
+  if (!split.valid) {
+    return null;
+  }
+  
+  const { breakdown } = split;
+  const toRupees = (paise) => paiseToRupees(paise, currency);
+  
+  return {
+    items: breakdown.items.map(item => ({
+      name: item.name,
+      price: item.price,
+      priceInRupees: toRupees(item.price),
+      quantity: item.quantity,
+      total: item.total,
+      totalInRupees: toRupees(item.total),
+      assignedTo: item.assignedTo.map(a => ({
+        user: a.user,
+        weight: a.weight,
+        share: a.share,
+        shareInRupees: toRupees(a.share)
+      }))
+    })),
+    subtotal: breakdown.subtotal,
+    subtotalInRupees: toRupees(breakdown.subtotal),
+    tax: breakdown.tax,
+    taxInRupees: toRupees(breakdown.tax),
+    serviceCharge: breakdown.serviceCharge,
+    serviceChargeInRupees: toRupees(breakdown.serviceCharge),
+    tip: breakdown.tip,
+    tipInRupees: toRupees(breakdown.tip),
+    perParticipant: breakdown.perParticipant.map(p => ({
+      user: p.user,
+      items: p.items,
+      tax: p.tax,
+      serviceCharge: p.serviceCharge,
+      tip: p.tip,
+      share: p.share,
+      shareInRupees: toRupees(p.share)
+    }))
+  };
+};
+
+/**
+ * Check whether a user paid for or takes part in an expense
+ * @param {Object} expense - Expense document (unpopulated)
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const isInvolvedInExpense = (expense, userId) => {
+  const isParticipant = expense.participants.some(p => p.user.toString() === userId);
+  const isPayer = expense.getPayers().some(p => p.user.toString() === userId);
+  
+  return isParticipant || isPayer;
+};
+
+/**
+ * Stop a change made against an outdated copy of the expense
+ * Sends 428 without a version, or 409 with the current server state when stale.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} expense - Expense document as it is now
+ * @returns {Promise<boolean>} true if a response was sent and the change must not go ahead
+ */
+const rejectStaleVersion = async (req, res, expense) => {
+  const check = checkVersion(req, expense);
+  
+  if (check.ok) {
+    return false;
+  }
+  
+  if (check.status === 428) {
+    res.status(428).json({ error: check.error, message: check.message });
+    return true;
+  }
+  
+  await expense.populate([
+    { path: 'payer', select: 'name email' },
+    { path: 'payers.user', select: 'name email' },
+    { path: 'participants.user', select: 'name email' },
+    { path: 'items.assignedTo.user', select: 'name email' },
+    { path: 'createdBy', select: 'name email' }
+  ]);
+  
+  res.status(409).set('ETag', versionEtag(expense)).json({
+    error: check.error,
+    message: check.message,
+    currentVersion: expense.__v,
+    expense: {
+      id: expense._id,
+      version: expense.__v,
+      title: expense.title,
+      category: expense.category,
+      expenseDate: expense.expenseDate,
+      amount: expense.amount,
+      amountInRupees: expense.getAmountInRupees(),
+      currency: expense.currency,
+      payer: expense.payer,
+      payers: expense.getPayers().map(p => formatPayer(p, expense.currency)),
+      participants: expense.participants.map(p => formatParticipant(p, expense.currency)),
+      splitMethod: expense.splitMethod,
+      ...(expense.splitMethod === 'itemised' && { itemBreakdown: formatItemBreakdown(expense) }),
+      group: expense.group,
+      isDeleted: expense.isDeleted,
+      createdBy: expense.createdBy,
+      updatedAt: expense.updatedAt
+    }
+  });
+  return true;
+};
+
+/**
+ * Keep only the updates that change the expense
+ * Fields sent with the value they already have are dropped, so they add no
+ * revision, activity or new version.
+ * @param {Object} expense - Expense document as it is now
+ * @param {Object} updates - Field -> new value (amounts in paise)
+ * @returns {Object} The updates that differ from the stored values
+ */
+const changedFields = (expense, updates) => {
+  const before = snapshotExpense(expense);
+  const after = snapshotExpense(Object.assign(expense.$clone(), updates));
+  
+  return Object.fromEntries(Object.entries(updates)
+    .filter(([field]) => JSON.stringify(before[field]) !== JSON.stringify(after[field])));
+};
+
 /**
  * Create a new expense
  * POST /api/expenses
- * Body: { title, amount (in rupees), payer, participants: [{user, share (in rupees)}], splitMethod }
+ * Body: { title, amount (in rupees), currency?, category?, expenseDate?, payer | payers, participants, splitMethod, group? }
+ * Itemised bills: { ..., splitMethod: 'itemised', items, tax?, serviceCharge?, tip? } without participants
+ * 
+ * Either a single payer (who paid the full amount) or payers: [{user, paid (in rupees)}]
+ * when several people paid. Paid amounts must add up to the amount exactly.
+ * 
+ * Participants carry the raw split inputs and the server computes each share:
+ * - equal: [{user}]
+ * - unequal: [{user, share (in rupees)}]
+ * - percent: [{user, percent}]
+ * - shares: [{user, weight}]
+ * - adjustment: [{user, adjustment? (in rupees)}]
+ * - itemised: no participants; items: [{name, price (in rupees), quantity?, assignedTo: [{user, weight?}]}]
+ *   The amount is the item total plus tax, service charge and tip (in rupees)
+ * See calculateSplit and calculateItemisedSplit in services/expenseValidation.js for the rounding rule.
  * 
- * Note: Frontend sends amounts in rupees, we convert to paise for storage
+ * Note: Frontend sends amounts in rupees, we convert to paise for storage.
+ * For other currencies "rupees" means major units and "paise" minor units of the currency,
+ * which defaults to the creator's home currency. The rate to the creator's home currency
+ * is stored on the expense when it is created.
+ * If a group is given, the creator, payers and all participants must be members of it
  */
 exports.createExpense = async (req, res, next) => {
   try {
-    const { title, amount, payer, participants, splitMethod } = req.body;
+    const { title, amount, category, expenseDate, payers, participants, splitMethod, group, items } = req.body;
+    const homeCurrency = req.user.homeCurrency || DEFAULT_CURRENCY;
+    const currency = req.body.currency || homeCurrency;
     
-    // Convert amounts from rupees to paise
-    const amountInPaise = rupeesToPaise(amount);
-    const participantsInPaise = participants.map(p => ({
-      user: p.user,
-      share: rupeesToPaise(p.share)
-    }));
+    if (splitMethod !== 'itemised' && items !== undefined) {
+      return res.status(400).json({
+        error: 'Expense validation failed',
+        message: 'Items can only be sent with an itemised split',
+        details: [{ field: 'items', message: 'Items can only be sent with an itemised split' }]
+      });
+    }
+    
+    // Convert amount from rupees to paise and compute each participant's share
+    let amountInPaise = amount !== undefined ? rupeesToPaise(amount, currency) : undefined;
+    let participantsInPaise;
+    let itemised = null;
+    
+    if (amountInPaise !== undefined && amountInPaise < 1) {
+      const message = `Amount is smaller than the smallest unit of ${currency} (${formatMoney(1, currency)})`;
+      return res.status(400).json({
+        error: 'Expense validation failed',
+        message,
+        details: [{ field: 'amount', message }]
+      });
+    }
+    
+    if (splitMethod === 'itemised') {
+      // Shares (and the amount) come from the items
+      itemised = calculateItemisedSplit(toItemsInPaise(items, currency), {
+        tax: rupeesToPaise(req.body.tax || 0, currency),
+        serviceCharge: rupeesToPaise(req.body.serviceCharge || 0, currency),
+        tip: rupeesToPaise(req.body.tip || 0, currency)
+      }, currency);
+      
+      if (!itemised.valid) {
+        return res.status(400).json({
+          error: 'Expense validation failed',
+          message: itemised.message,
+          details: [{ field: 'items', message: itemised.message }]
+        });
+      }
+      
+      if (amountInPaise !== undefined && amountInPaise !== itemised.amount) {
+        const message = `Amount (${formatMoney(amountInPaise, currency)}) does not match the itemised total (${formatMoney(itemised.amount, currency)})`;
+        return res.status(400).json({
+          error: 'Expense validation failed',
+          message,
+          details: [{ field: 'amount', message }]
+        });
+      }
+      
+      amountInPaise = itemised.amount;
+      participantsInPaise = itemised.participants;
+    } else {
+      const split = calculateSplit(amountInPaise, splitMethod, participants, currency);
+      
+      if (!split.valid) {
+        return res.status(400).json({
+          error: 'Expense validation failed',
+          message: split.message,
+          details: [{ field: 'participants', message: split.message }]
+        });
+      }
+      
+      participantsInPaise = split.participants;
+    }
+    
+    // A single payer paid everything; with several, the first one is the primary payer
+    const payersInPaise = payers
+      ? toPayersInPaise(payers, currency)
+      : [{ user: req.body.payer, paid: amountInPaise }];
+    const payer = payersInPaise[0].user;
     
     // Comprehensive validation
     const validation = await validateExpenseCreation({
       amount: amountInPaise,
+      currency,
       payer,
-      participants: participantsInPaise
+      payers: payers ? payersInPaise : undefined,
+      participants: participantsInPaise,
+      group,
+      createdBy: req.user._id
     });
     
     if (!validation.valid) {
@@ -52,28 +346,39 @@ exports.createExpense = async (req, res, next) => {
       });
     }
     
+    // Remember what the expense was worth in the creator's home currency
+    const rateSnapshot = await snapshotExchangeRate(currency, homeCurrency);
+    
     // Create expense
     const expense = await Expense.create({
       title,
+      ...(category && { category }),
+      ...(expenseDate && { expenseDate }),
       amount: amountInPaise,
-      currency: 'INR',
+      currency,
+      ...rateSnapshot,
       payer,
+      payers: payersInPaise,
       participants: participantsInPaise,
       splitMethod,
+      ...(itemised && { items: itemised.items, ...itemised.charges }),
+      group: group || null,
       createdBy: req.user._id
     });
     
     // Populate user details for response
     await expense.populate([
       { path: 'payer', select: 'name email' },
+      { path: 'payers.user', select: 'name email' },
       { path: 'participants.user', select: 'name email' },
+      { path: 'items.assignedTo.user', select: 'name email' },
       { path: 'createdBy', select: 'name email' }
     ]);
     
-    // Ensure bidirectional friendships exist for all participants
+    // Ensure bidirectional friendships exist for all payers and participants
     // This creates friend relationships automatically when users are added to expenses
     const allUserIds = new Set();
-    allUserIds.add(payer.toString());
+    payersInPaise.forEach(p => allUserIds.add(p.user.toString()));
     participantsInPaise.forEach(p => allUserIds.add(p.user.toString()));
     
     const userIdsArray = Array.from(allUserIds);
@@ -91,22 +396,26 @@ exports.createExpense = async (req, res, next) => {
     });
     
     // Return response with amounts in both paise and rupees
-    res.status(201).json({
+    res.status(201).set('ETag', versionEtag(expense)).json({
       success: true,
       message: 'Expense created successfully',
       expense: {
         id: expense._id,
+        version: expense.__v,
         title: expense.title,
+        category: expense.category,
+        expenseDate: expense.expenseDate,
         amount: expense.amount,
         amountInRupees: expense.getAmountInRupees(),
         currency: expense.currency,
+        homeCurrency: expense.homeCurrency,
+        exchangeRate: expense.exchangeRate,
         payer: expense.payer,
-        participants: expense.participants.map(p => ({
-          user: p.user,
-          share: p.share,
-          shareInRupees: paiseToRupees(p.share)
-        })),
+        payers: expense.getPayers().map(p => formatPayer(p, expense.currency)),
+        participants: expense.participants.map(p => formatParticipant(p, expense.currency)),
         splitMethod: expense.splitMethod,
+        ...(expense.splitMethod === 'itemised' && { itemBreakdown: formatItemBreakdown(expense) }),
+        group: expense.group,
         createdBy: expense.createdBy,
         createdAt: expense.createdAt
       }
@@ -120,48 +429,79 @@ exports.createExpense = async (req, res, next) => {
  * Get all expenses (non-deleted) for the current user
  * GET /api/expenses
  * Query params: 
- * - page, limit (for pagination)
+ * - limit: Page size (default 50); cursor: nextCursor of the previous page
  * - includeDeleted: true/false (whether to include soft-deleted expenses)
  * - includeTransactions: true/false (whether to include settlement transactions)
+ * - group: Group ID (only return expenses and settlements filed under this group)
+ * - category: Category, or several separated by commas (only return expenses in them)
+ * - from, to: Date range on expenseDate / settledAt (a plain date as `to` covers that day)
+ * - minAmount, maxAmount: Amount range in major units of each record's currency
+ * - currency: Only this currency
+ * - payer: Only expenses this user paid (some of)
+ * - participant: Only expenses this user has a share in
+ * - splitMethod: Only expenses split this way
+ * - position: you_owe (you paid less than your share) or owes_you (you paid more)
+ * - q: Search words in titles and comments (case-insensitive)
+ * - sort: date (default), amount, title, or relevance (needs q); order: asc/desc
+ * Settlements have no category, payer, split, title or comments, so any of category, payer,
+ * participant, splitMethod, position or q, or sorting by title or relevance, leaves them out.
+ * Expenses and settlements are merged into one timeline and paged together by cursor.
  */
 exports.getExpenses = async (req, res, next) => {
   try {
     const userId = req.user._id;
     const includeDeleted = req.query.includeDeleted === 'true';
-    const includeTransactions = req.query.includeTransactions === 'true';
     const limit = parseInt(req.query.limit) || 50; // Default to 50 if not specified
-    const page = parseInt(req.query.page) || 1; // Default to page 1
-    const skip = (page - 1) * limit;
-    
-    // Build query
-    const query = {
-      $or: [
-        { payer: userId },
-        { 'participants.user': userId }
-      ]
+    const filters = {
+      includeDeleted,
+      groupId: req.query.group || null,
+      categories: req.query.category
+        ? req.query.category.split(',').map(normalizeCategory).filter(Boolean)
+        : null,
+      from: req.query.from,
+      to: req.query.to,
+      minAmount: req.query.minAmount !== undefined ? parseFloat(req.query.minAmount) : undefined,
+      maxAmount: req.query.maxAmount !== undefined ? parseFloat(req.query.maxAmount) : undefined,
+      currency: req.query.currency ? req.query.currency.toUpperCase() : null,
+      payer: req.query.payer || null,
+      participant: req.query.participant || null,
+      splitMethod: req.query.splitMethod || null,
+      position: req.query.position || null,
+      search: req.query.q ? req.query.q.trim() : null
     };
+    const sort = getSort(req.query.sort, req.query.order);
+    const includeTransactions = req.query.includeTransactions === 'true' &&
+      Boolean(sort.transactionField) && !hasExpenseOnlyFilters(filters);
+    // Validated to be a cursor for this sort (see listExpensesValidation)
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    // Search results can't be paged by score, so their cursors hold an offset instead
+    const offset = cursor && cursor.offset !== undefined ? cursor.offset : 0;
     
-    // Find expenses - use findActive if not including deleted, otherwise find all
-    const expenses = includeDeleted 
-      ? await Expense.find(query)
-          .populate('payer', 'name email')
-          .populate('participants.user', 'name email')
-          .populate('createdBy', 'name email')
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(limit)
-      : await Expense.findActive(query)
-          .populate('payer', 'name email')
-          .populate('participants.user', 'name email')
-          .populate('createdBy', 'name email')
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(limit);
+    const query = buildExpenseQuery(userId, filters);
+    const after = sort.expenseField ? afterCursor(sort.expenseField, sort.direction, cursor) : null;
+    
+    // One more than a page, to tell whether there is another
+    let expenseQuery = Expense.find(
+      after ? { ...query, $and: [...query.$and, after] } : query,
+      filters.search ? { score: { $meta: 'textScore' } } : null
+    )
+      .populate('payer', 'name email')
+      .populate('payers.user', 'name email')
+      .populate('participants.user', 'name email')
+      .populate('createdBy', 'name email')
+      .sort(sort.expenseSort)
+      .skip(offset)
+      .limit(limit + 1);
+    
+    // Case-insensitive titles (text search doesn't support collations)
+    if (sort.key === 'title' && !filters.search) {
+      expenseQuery = expenseQuery.collation({ locale: 'en', strength: 2 });
+    }
+    
+    const expenses = await expenseQuery;
     
     // Get total count for pagination info
-    const totalCount = includeDeleted
-      ? await Expense.countDocuments(query)
-      : await Expense.countDocuments({ ...query, isDeleted: { $ne: true } });
+    const totalCount = await Expense.countDocuments(query);
     
     // Format response with rupees
     const formattedExpenses = expenses.map(expense => ({
@@ -169,20 +509,23 @@ exports.getExpenses = async (req, res, next) => {
       _id: expense._id, // Include both for compatibility
       type: 'expense', // Add type identifier
       title: expense.title,
+      category: expense.category,
+      expenseDate: expense.expenseDate,
       amount: expense.amount,
       amountInRupees: expense.getAmountInRupees(),
       currency: expense.currency,
+      homeCurrency: expense.homeCurrency,
+      exchangeRate: expense.exchangeRate,
       payer: expense.payer,
-      participants: expense.participants.map(p => ({
-        user: p.user,
-        share: p.share,
-        shareInRupees: paiseToRupees(p.share)
-      })),
+      payers: expense.getPayers().map(p => formatPayer(p, expense.currency)),
+      participants: expense.participants.map(p => formatParticipant(p, expense.currency)),
       splitMethod: expense.splitMethod,
+      group: expense.group,
       createdBy: expense.createdBy,
       isDeleted: expense.isDeleted || false,
       createdAt: expense.createdAt,
-      updatedAt: expense.updatedAt
+      updatedAt: expense.updatedAt,
+      ...(filters.search && { score: expense.get('score') })
     }));
     
     let allItems = formattedExpenses;
@@ -190,20 +533,17 @@ exports.getExpenses = async (req, res, next) => {
     
     // If including transactions, fetch and merge them
     if (includeTransactions) {
-      const transactionQuery = {
-        $or: [
-          { from: userId },
-          { to: userId }
-        ]
-      };
+      const transactionQuery = buildTransactionQuery(userId, filters);
+      const transactionAfter = afterCursor(sort.transactionField, sort.direction, cursor);
       
-      const transactions = await Transaction.find(transactionQuery)
+      const transactions = await Transaction.find(
+        transactionAfter ? { ...transactionQuery, $and: [...transactionQuery.$and, transactionAfter] } : transactionQuery
+      )
         .populate('from', 'name email')
         .populate('to', 'name email')
         .populate('createdBy', 'name email')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit);
+        .sort(sort.transactionSort)
+        .limit(limit + 1);
       
       transactionCount = await Transaction.countDocuments(transactionQuery);
       
@@ -213,33 +553,41 @@ exports.getExpenses = async (req, res, next) => {
         type: 'transaction', // Add type identifier
         title: `Settlement with ${t.from._id.toString() === userId.toString() ? t.to.name : t.from.name}`,
         amount: t.amount,
-        amountInRupees: paiseToRupees(t.amount),
-        currency: t.currency || 'INR',
+        amountInRupees: paiseToRupees(t.amount, t.currency),
+        currency: t.currency || DEFAULT_CURRENCY,
         from: t.from,
         to: t.to,
         note: t.note,
+        settledAt: t.settledAt || t.createdAt,
+        group: t.group,
+        status: t.status,
         direction: t.from._id.toString() === userId.toString() ? 'sent' : 'received',
         createdBy: t.createdBy,
         createdAt: t.createdAt,
         updatedAt: t.updatedAt || t.createdAt
       }));
       
-      // Merge and sort by date
-      allItems = [...formattedExpenses, ...formattedTransactions].sort((a, b) => 
-        new Date(b.createdAt) - new Date(a.createdAt)
-      );
+      // Merge in the requested order (dates are when things happened, not when they were recorded)
+      allItems = [...formattedExpenses, ...formattedTransactions].sort(compareItems(sort));
     }
     
+    // Whatever didn't make this page comes after its last item, so the next page picks it up
+    const { items, hasMore, nextCursor } = takePage(allItems, limit, item => (
+      sort.expenseField
+        ? { sort: sort.name, value: sortValueOf(item, sort), id: item.id }
+        : { sort: sort.name, offset: offset + limit }
+    ));
+    
     res.json({
       success: true,
-      count: allItems.length,
+      count: items.length,
       total: totalCount + transactionCount,
-      expenseCount: formattedExpenses.length,
+      expenseCount: items.filter(item => item.type === 'expense').length,
       transactionCount: includeTransactions ? transactionCount : 0,
-      page,
-      totalPages: Math.ceil((totalCount + transactionCount) / limit),
-      hasMore: skip + allItems.length < (totalCount + transactionCount),
-      expenses: allItems // Changed key name to 'expenses' but contains both expenses and transactions
+      limit,
+      hasMore,
+      nextCursor,
+      expenses: items // Changed key name to 'expenses' but contains both expenses and transactions
     });
   } catch (err) {
     next(err);
@@ -256,7 +604,9 @@ exports.getExpenseById = async (req, res, next) => {
     
     const expense = await Expense.findById(id)
       .populate('payer', 'name email')
+      .populate('payers.user', 'name email')
       .populate('participants.user', 'name email')
+      .populate('items.assignedTo.user', 'name email')
       .populate('createdBy', 'name email')
       .populate('comments.user', 'name email');
     
@@ -275,21 +625,26 @@ exports.getExpenseById = async (req, res, next) => {
       });
     }
     
+    res.set('ETag', versionEtag(expense));
     res.json({
       success: true,
       expense: {
         id: expense._id,
+        version: expense.__v,
         title: expense.title,
+        category: expense.category,
+        expenseDate: expense.expenseDate,
         amount: expense.amount,
         amountInRupees: expense.getAmountInRupees(),
         currency: expense.currency,
+        homeCurrency: expense.homeCurrency,
+        exchangeRate: expense.exchangeRate,
         payer: expense.payer,
-        participants: expense.participants.map(p => ({
-          user: p.user,
-          share: p.share,
-          shareInRupees: paiseToRupees(p.share)
-        })),
+        payers: expense.getPayers().map(p => formatPayer(p, expense.currency)),
+        participants: expense.participants.map(p => formatParticipant(p, expense.currency)),
         splitMethod: expense.splitMethod,
+        ...(expense.splitMethod === 'itemised' && { itemBreakdown: formatItemBreakdown(expense) }),
+        group: expense.group,
         comments: expense.comments,
         createdBy: expense.createdBy,
         createdAt: expense.createdAt,
@@ -332,20 +687,23 @@ exports.deleteExpense = async (req, res, next) => {
       });
     }
     
-    // Check if user is a participant or the payer (anyone involved can delete)
+    // Check if user is a participant or a payer (anyone involved can delete)
     const userId = req.user._id.toString();
-    const payerId = expense.payer.toString();
-    const isParticipant = expense.participants.some(p => p.user.toString() === userId);
-    const isPayer = payerId === userId;
     
-    if (!isParticipant && !isPayer) {
+    if (!isInvolvedInExpense(expense, userId)) {
       return res.status(403).json({
         error: 'Permission denied',
         message: 'Only participants can delete this expense'
       });
     }
     
+    // Refuse changes made against an outdated copy
+    if (await rejectStaleVersion(req, res, expense)) {
+      return;
+    }
+    
     // Soft delete the expense
+    const before = snapshotExpense(expense);
     expense.isDeleted = true;
     expense.deletedBy = req.user._id;
     expense.deletedAt = new Date();
@@ -354,10 +712,12 @@ exports.deleteExpense = async (req, res, next) => {
     }
     
     await expense.save();
+    await recordRevision(expense, before, 'delete', req.user._id);
     
     // Populate for activity creation
     await expense.populate([
       { path: 'payer', select: 'name email' },
+      { path: 'payers.user', select: 'name email' },
       { path: 'participants.user', select: 'name email' }
     ]);
     
@@ -366,11 +726,13 @@ exports.deleteExpense = async (req, res, next) => {
       console.error('Failed to create expense delete activity:', err);
     });
     
+    res.set('ETag', versionEtag(expense));
     res.json({
       success: true,
       message: 'Expense deleted successfully',
       expense: {
         id: expense._id,
+        version: expense.__v,
         title: expense.title,
         isDeleted: expense.isDeleted,
         deletedAt: expense.deletedAt,
@@ -395,6 +757,7 @@ exports.restoreExpense = async (req, res, next) => {
     // Find the expense (including deleted ones)
     const expense = await Expense.findById(id)
       .populate('payer', 'name email')
+      .populate('payers.user', 'name email')
       .populate('participants.user', 'name email')
       .populate('createdBy', 'name email');
     
@@ -425,35 +788,47 @@ exports.restoreExpense = async (req, res, next) => {
       });
     }
     
+    // Refuse changes made against an outdated copy
+    if (await rejectStaleVersion(req, res, expense)) {
+      return;
+    }
+    
     // Restore the expense
+    const before = snapshotExpense(expense);
     expense.isDeleted = false;
     expense.deletedBy = undefined;
     expense.deletedAt = undefined;
     expense.deletedReason = undefined;
     
     await expense.save();
+    await recordRevision(expense, before, 'restore', req.user._id);
     
     // Create activity for this restoration (async, non-blocking)
     createExpenseRestoreActivity(expense, req.user._id).catch(err => {
       console.error('Failed to create expense restore activity:', err);
     });
     
+    res.set('ETag', versionEtag(expense));
     res.json({
       success: true,
       message: 'Expense restored successfully',
       expense: {
         id: expense._id,
+        version: expense.__v,
         title: expense.title,
+        category: expense.category,
+        expenseDate: expense.expenseDate,
         amount: expense.amount,
         amountInRupees: expense.getAmountInRupees(),
         currency: expense.currency,
+        homeCurrency: expense.homeCurrency,
+        exchangeRate: expense.exchangeRate,
         payer: expense.payer,
-        participants: expense.participants.map(p => ({
-          user: p.user,
-          share: p.share,
-          shareInRupees: paiseToRupees(p.share)
-        })),
+        payers: expense.getPayers().map(p => formatPayer(p, expense.currency)),
+        participants: expense.participants.map(p => formatParticipant(p, expense.currency)),
         splitMethod: expense.splitMethod,
+        ...(expense.splitMethod === 'itemised' && { itemBreakdown: formatItemBreakdown(expense) }),
+        group: expense.group,
         createdBy: expense.createdBy,
         createdAt: expense.createdAt,
         updatedAt: expense.updatedAt
@@ -467,7 +842,14 @@ exports.restoreExpense = async (req, res, next) => {
 /**
  * Update/Edit an expense
  * PATCH /api/expenses/:id
- * Body: { title?, amount?, participants?, splitMethod? }
+ * Body: { title?, category?, expenseDate?, amount?, payers?, participants?, splitMethod?, items?, tax?, serviceCharge?, tip? }
+ * 
+ * Changing the amount or split method without sending participants re-splits
+ * using the split inputs stored on the expense (percentages, weights, adjustments).
+ * Itemised expenses are edited through their items and charges; shares and the
+ * amount are recomputed from them.
+ * With a single payer the paid amount follows the new amount; an expense with
+ * several payers needs the payers sent again when its amount changes.
  * 
  * Only the creator can edit an expense
  * Cannot edit deleted expenses
@@ -476,7 +858,7 @@ exports.restoreExpense = async (req, res, next) => {
 exports.updateExpense = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, amount, participants, splitMethod } = req.body;
+    const { title, category, expenseDate, amount, payers, participants, splitMethod, items, tax, serviceCharge, tip } = req.body;
     
     // Find the expense
     const expense = await Expense.findById(id);
@@ -496,19 +878,21 @@ exports.updateExpense = async (req, res, next) => {
       });
     }
     
-    // Check if user is a participant or the payer (anyone involved can edit)
+    // Check if user is a participant or a payer (anyone involved can edit)
     const userId = req.user._id.toString();
-    const payerId = expense.payer.toString();
-    const isParticipant = expense.participants.some(p => p.user.toString() === userId);
-    const isPayer = payerId === userId;
     
-    if (!isParticipant && !isPayer) {
+    if (!isInvolvedInExpense(expense, userId)) {
       return res.status(403).json({
         error: 'Permission denied',
         message: 'Only participants can edit this expense'
       });
     }
     
+    // Refuse changes made against an outdated copy
+    if (await rejectStaleVersion(req, res, expense)) {
+      return;
+    }
+    
     // Prepare update data (only update provided fields)
     const updates = {};
     
@@ -516,30 +900,140 @@ exports.updateExpense = async (req, res, next) => {
       updates.title = title;
     }
     
-    if (amount !== undefined) {
-      updates.amount = rupeesToPaise(amount);
+    if (category !== undefined) {
+      updates.category = category;
     }
     
-    if (participants !== undefined) {
-      updates.participants = participants.map(p => ({
-        user: p.user,
-        share: rupeesToPaise(p.share)
-      }));
+    if (expenseDate !== undefined) {
+      updates.expenseDate = new Date(expenseDate);
+    }
+    
+    if (amount !== undefined) {
+      updates.amount = rupeesToPaise(amount, expense.currency);
+
+      if (updates.amount < 1) {
+        const message = `Amount is smaller than the smallest unit of ${expense.currency} (${formatMoney(1, expense.currency)})`;
+        return res.status(400).json({
+          error: 'Expense validation failed',
+          message,
+          details: [{ field: 'amount', message }]
+        });
+      }
     }
     
     if (splitMethod !== undefined) {
       updates.splitMethod = splitMethod;
     }
     
-    // If amount or participants are being updated, run validation
-    if (updates.amount !== undefined || updates.participants !== undefined) {
+    const method = splitMethod !== undefined ? splitMethod : expense.splitMethod;
+    const itemsChanged = [items, tax, serviceCharge, tip].some(value => value !== undefined);
+    
+    if (method === 'itemised') {
+      if (participants !== undefined) {
+        return res.status(400).json({
+          error: 'Expense validation failed',
+          message: 'Participants of an itemised expense come from its items. Edit the items instead.',
+          details: [{ field: 'participants', message: 'Participants cannot be sent for an itemised expense' }]
+        });
+      }
+      
+      // Recompute shares and the amount from the (possibly edited) items and charges
+      if (itemsChanged || amount !== undefined || splitMethod !== undefined) {
+        const itemised = calculateItemisedSplit(items !== undefined ? toItemsInPaise(items, expense.currency) : expense.items, {
+          tax: tax !== undefined ? rupeesToPaise(tax, expense.currency) : expense.tax,
+          serviceCharge: serviceCharge !== undefined ? rupeesToPaise(serviceCharge, expense.currency) : expense.serviceCharge,
+          tip: tip !== undefined ? rupeesToPaise(tip, expense.currency) : expense.tip
+        }, expense.currency);
+        
+        if (!itemised.valid) {
+          return res.status(400).json({
+            error: 'Expense validation failed',
+            message: itemised.message,
+            details: [{ field: 'items', message: itemised.message }]
+          });
+        }
+        
+        if (amount !== undefined && updates.amount !== itemised.amount) {
+          const message = `Amount (${formatMoney(updates.amount, expense.currency)}) does not match the itemised total (${formatMoney(itemised.amount, expense.currency)})`;
+          return res.status(400).json({
+            error: 'Expense validation failed',
+            message,
+            details: [{ field: 'amount', message }]
+          });
+        }
+        
+        updates.amount = itemised.amount;
+        updates.participants = itemised.participants;
+        updates.items = itemised.items;
+        Object.assign(updates, itemised.charges);
+      }
+    } else if (itemsChanged) {
+      return res.status(400).json({
+        error: 'Expense validation failed',
+        message: 'Items can only be sent with an itemised split',
+        details: [{ field: 'items', message: 'Items can only be sent with an itemised split' }]
+      });
+    } else if (amount !== undefined || participants !== undefined || splitMethod !== undefined) {
+      // Re-split whenever the amount, participants or split method change.
+      // Without new participants, the split inputs stored on the expense are reused.
+      const split = calculateSplit(
+        amount !== undefined ? updates.amount : expense.amount,
+        method,
+        participants !== undefined ? participants : getSplitInputs(method, expense.participants, expense.currency),
+        expense.currency
+      );
+      
+      if (!split.valid) {
+        return res.status(400).json({
+          error: 'Expense validation failed',
+          message: split.message,
+          details: [{ field: 'participants', message: split.message }]
+        });
+      }
+      
+      updates.participants = split.participants;
+      
+      // Moving away from an itemised split drops the items
+      if (expense.splitMethod === 'itemised') {
+        Object.assign(updates, { items: [], tax: 0, serviceCharge: 0, tip: 0 });
+      }
+    }
+    
+    if (payers !== undefined) {
+      updates.payers = toPayersInPaise(payers, expense.currency);
+      updates.payer = updates.payers[0].user;
+    } else if (updates.amount !== undefined && updates.amount !== expense.amount) {
+      const currentPayers = expense.getPayers();
+      
+      if (currentPayers.length > 1) {
+        return res.status(400).json({
+          error: 'Expense validation failed',
+          message: 'This expense has several payers. Send payers again with the new amount.',
+          details: [{ field: 'payers', message: 'Payers are required when changing the amount of a multi-payer expense' }]
+        });
+      }
+      
+      updates.payers = [{ user: currentPayers[0].user, paid: updates.amount }];
+    }
+    
+    // If amount, payers or participants are being updated, run validation
+    if (updates.amount !== undefined || updates.participants !== undefined || updates.payers !== undefined) {
       const amountToValidate = updates.amount !== undefined ? updates.amount : expense.amount;
       const participantsToValidate = updates.participants !== undefined ? updates.participants : expense.participants;
+      const payersToValidate = updates.payers !== undefined ? updates.payers : expense.getPayers();
       
       const validation = await validateExpenseCreation({
         amount: amountToValidate,
-        payer: expense.payer, // Payer cannot be changed
-        participants: participantsToValidate
+        currency: expense.currency,
+        payer: payersToValidate[0].user,
+        payers: payersToValidate,
+        participants: participantsToValidate,
+        group: expense.group,
+        existingPeople: [
+          req.user._id,
+          ...expense.getPayers().map(p => p.user),
+          ...expense.participants.map(p => p.user)
+        ]
       });
       
       if (!validation.valid) {
@@ -552,36 +1046,238 @@ exports.updateExpense = async (req, res, next) => {
       }
     }
     
-    // Apply updates
-    Object.assign(expense, updates);
-    await expense.save();
+    // Apply what actually changes, keeping the previous state in the history
+    const changes = changedFields(expense, updates);
+    
+    if (Object.keys(changes).length > 0) {
+      const before = snapshotExpense(expense);
+      Object.assign(expense, changes);
+      await expense.save();
+      await recordRevision(expense, before, 'update', req.user._id);
+    }
     
     // Populate for response
     await expense.populate([
       { path: 'payer', select: 'name email' },
+      { path: 'payers.user', select: 'name email' },
       { path: 'participants.user', select: 'name email' },
+      { path: 'items.assignedTo.user', select: 'name email' },
       { path: 'createdBy', select: 'name email' }
     ]);
     
-    // Create activity notification for expense update
-    await createExpenseUpdateActivity(expense, req.user._id, updates);
+    // Create activity notification for expense update (non-blocking)
+    if (Object.keys(changes).length > 0) {
+      createExpenseUpdateActivity(expense, req.user._id, changes).catch(err => {
+        console.error('Failed to create expense update activity:', err);
+      });
+    }
     
+    res.set('ETag', versionEtag(expense));
     res.json({
       success: true,
       message: 'Expense updated successfully',
       expense: {
         id: expense._id,
+        version: expense.__v,
+        title: expense.title,
+        category: expense.category,
+        expenseDate: expense.expenseDate,
+        amount: expense.amount,
+        amountInRupees: expense.getAmountInRupees(),
+        currency: expense.currency,
+        homeCurrency: expense.homeCurrency,
+        exchangeRate: expense.exchangeRate,
+        payer: expense.payer,
+        payers: expense.getPayers().map(p => formatPayer(p, expense.currency)),
+        participants: expense.participants.map(p => formatParticipant(p, expense.currency)),
+        splitMethod: expense.splitMethod,
+        ...(expense.splitMethod === 'itemised' && { itemBreakdown: formatItemBreakdown(expense) }),
+        group: expense.group,
+        createdBy: expense.createdBy,
+        createdAt: expense.createdAt,
+        updatedAt: expense.updatedAt
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get the edit history of an expense
+ * GET /api/expenses/:id/history
+ * 
+ * Returns every update, delete, restore and revert, oldest first, with a diff of
+ * what changed (amounts in paise and rupees, per-participant share changes).
+ * Available for deleted expenses too.
+ */
+exports.getExpenseHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const expense = await Expense.findById(id);
+    
+    if (!expense) {
+      return res.status(404).json({
+        error: 'Expense not found',
+        message: `No expense found with ID ${id}`
+      });
+    }
+    
+    if (!isInvolvedInExpense(expense, req.user._id.toString())) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only participants can see the history of this expense'
+      });
+    }
+    
+    const revisions = await getExpenseHistory(expense._id);
+    
+    res.json({
+      success: true,
+      expenseId: expense._id,
+      currency: expense.currency,
+      count: revisions.length,
+      revisions
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Revert an expense to how it was before a given revision
+ * POST /api/expenses/:id/revert
+ * Body: { revision }
+ * 
+ * Restores the title, amount, payers, participants, split and items stored in
+ * that revision's "before" snapshot. The revert is itself recorded as a new revision.
+ * Deleted expenses must be restored first.
+ */
+exports.revertExpense = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseInt(req.body.revision);
+    
+    const expense = await Expense.findById(id);
+    
+    if (!expense) {
+      return res.status(404).json({
+        error: 'Expense not found',
+        message: `No expense found with ID ${id}`
+      });
+    }
+    
+    if (expense.isDeleted) {
+      return res.status(400).json({
+        error: 'Cannot revert deleted expense',
+        message: 'This expense has been deleted. Please restore it first to revert.'
+      });
+    }
+    
+    const userId = req.user._id.toString();
+    
+    if (!isInvolvedInExpense(expense, userId)) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only participants can revert this expense'
+      });
+    }
+    
+    // Refuse changes made against an outdated copy
+    if (await rejectStaleVersion(req, res, expense)) {
+      return;
+    }
+    
+    const revision = await ExpenseRevision.findOne({ expense: expense._id, revision: revisionNumber });
+    
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Revision not found',
+        message: `No revision ${revisionNumber} found for this expense`
+      });
+    }
+    
+    const target = revision.before;
+    const updates = {
+      title: target.title,
+      // Revisions from before categories and expense dates existed don't have them; keep the current ones
+      ...(target.category !== undefined && { category: target.category }),
+      ...(target.expenseDate !== undefined && { expenseDate: target.expenseDate }),
+      amount: target.amount,
+      payer: target.payer,
+      payers: target.payers,
+      participants: target.participants,
+      splitMethod: target.splitMethod,
+      items: target.items,
+      tax: target.tax,
+      serviceCharge: target.serviceCharge,
+      tip: target.tip
+    };
+    
+    // People may have left the group since, so check the old state is still valid
+    // (everyone in it was on this expense before, so needn't have verified their email)
+    const validation = await validateExpenseCreation({
+      amount: updates.amount,
+      currency: expense.currency,
+      payer: updates.payer,
+      payers: updates.payers,
+      participants: updates.participants,
+      group: expense.group,
+      existingPeople: [
+        updates.payer,
+        ...(updates.payers || []).map(p => p.user),
+        ...updates.participants.map(p => p.user)
+      ]
+    });
+    
+    if (!validation.valid) {
+      const errorMessages = validation.errors.map(err => err.message);
+      return res.status(400).json({
+        error: 'Expense validation failed',
+        message: errorMessages.join('; '),
+        details: validation.errors
+      });
+    }
+    
+    const before = snapshotExpense(expense);
+    Object.assign(expense, updates);
+    await expense.save();
+    await recordRevision(expense, before, 'revert', req.user._id, { revertedTo: revisionNumber });
+    
+    await expense.populate([
+      { path: 'payer', select: 'name email' },
+      { path: 'payers.user', select: 'name email' },
+      { path: 'participants.user', select: 'name email' },
+      { path: 'items.assignedTo.user', select: 'name email' },
+      { path: 'createdBy', select: 'name email' }
+    ]);
+    
+    createExpenseUpdateActivity(expense, req.user._id, { revertedTo: revisionNumber }).catch(err => {
+      console.error('Failed to create expense update activity:', err);
+    });
+    
+    res.set('ETag', versionEtag(expense));
+    res.json({
+      success: true,
+      message: `Expense reverted to revision ${revisionNumber}`,
+      expense: {
+        id: expense._id,
+        version: expense.__v,
         title: expense.title,
+        category: expense.category,
+        expenseDate: expense.expenseDate,
         amount: expense.amount,
         amountInRupees: expense.getAmountInRupees(),
         currency: expense.currency,
+        homeCurrency: expense.homeCurrency,
+        exchangeRate: expense.exchangeRate,
         payer: expense.payer,
-        participants: expense.participants.map(p => ({
-          user: p.user,
-          share: p.share,
-          shareInRupees: paiseToRupees(p.share)
-        })),
+        payers: expense.getPayers().map(p => formatPayer(p, expense.currency)),
+        participants: expense.participants.map(p => formatParticipant(p, expense.currency)),
         splitMethod: expense.splitMethod,
+        ...(expense.splitMethod === 'itemised' && { itemBreakdown: formatItemBreakdown(expense) }),
+        group: expense.group,
         createdBy: expense.createdBy,
         createdAt: expense.createdAt,
         updatedAt: expense.updatedAt
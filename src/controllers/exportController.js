@@ -0,0 +1,80 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const User = require('../models/user');
+const { streamLedgerCsv, streamLedgerJson } = require('../services/ledgerExport');
+
+/**
+ * Export Controller
+ * Lets users download everything they have on record
+ */
+
+/**
+ * Export the authenticated user's ledger
+ * GET /api/export
+ *
+ * Streams expenses (with everyone's share), settlements and loan repayments,
+ * and activities, oldest first. The response is written as records are read,
+ * so it starts straight away and works for any size of ledger.
+ *
+ * Query params:
+ * - format: csv (default) or json
+ * - from, to: Only records in this period (optional; a plain date as `to` covers that day)
+ * - friend: Only records shared with this user (optional)
+ */
+exports.exportLedger = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const friendId = req.query.friend || null;
+
+    let friend = null;
+    if (friendId) {
+      friend = await User.findById(friendId);
+      if (!friend) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: `No user found with ID ${friendId}`
+        });
+      }
+    }
+
+    const filters = {
+      from: req.query.from,
+      to: req.query.to,
+      friendId: friend ? friend._id : null
+    };
+
+    const exportedAt = new Date();
+    const filename = `ledger-${exportedAt.toISOString().slice(0, 10)}.${format}`;
+
+    res.set({
+      'Content-Type': format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    const chunks = format === 'json'
+      ? streamLedgerJson(userId, {
+        exportedAt,
+        user: { id: req.user._id, name: req.user.name, email: req.user.email },
+        filters: {
+          from: req.query.from || null,
+          to: req.query.to || null,
+          friend: friend ? { id: friend._id, name: friend.name } : null
+        }
+      }, filters)
+      : streamLedgerCsv(userId, filters);
+
+    await pipeline(Readable.from(chunks), res);
+  } catch (err) {
+    // Once the download has started there's no way to send an error response;
+    // the connection is closed and the file is left incomplete
+    if (res.headersSent) {
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') { // not just the client going away
+        console.error('Error streaming export:', err);
+      }
+      return;
+    }
+    next(err);
+  }
+};
@@ -60,7 +60,8 @@ exports.getFriends = async (req, res, next) => {
     
     const friends = await getFriendsWithBalances(userId, {
       limit: parseInt(limit),
-      skip
+      skip,
+      currency: req.user.homeCurrency
     });
     
     // Get total count for pagination
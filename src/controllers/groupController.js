@@ -0,0 +1,319 @@
+const Group = require('../models/group');
+const User = require('../models/user');
+const { calculateOverallBalance } = require('../services/balanceCalculation');
+
+/**
+ * Group Controller
+ * Handles group (shared ledger) management
+ */
+
+/**
+ * Check whether a user still has unsettled balances inside a group, in any currency
+ * @param {string} userId - User ID
+ * @param {string} groupId - Group ID
+ * @returns {Promise<boolean>}
+ */
+const hasOpenGroupBalance = async (userId, groupId) => {
+  const balance = await calculateOverallBalance(userId, { groupId });
+  return balance.byCurrency.some(bucket => bucket.perUser.length > 0);
+};
+
+/**
+ * Create a new group
+ * POST /api/groups
+ * Body: { name, description?, members?: [userId] }
+ *
+ * The creator is always added as a member
+ */
+exports.createGroup = async (req, res, next) => {
+  try {
+    const { name, description, members = [] } = req.body;
+    const creatorId = req.user._id.toString();
+
+    // Creator first, then everyone else without duplicates
+    const memberIds = [...new Set([creatorId, ...members.map(id => id.toString())])];
+
+    // Validate that all members exist
+    const users = await User.find({ _id: { $in: memberIds } }).select('_id');
+    const foundIds = users.map(u => u._id.toString());
+    const invalidIds = memberIds.filter(id => !foundIds.includes(id));
+
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        error: 'Group validation failed',
+        message: `The following user IDs do not exist: ${invalidIds.join(', ')}`
+      });
+    }
+
+    const group = await Group.create({
+      name,
+      description,
+      members: memberIds.map(id => ({ user: id, addedBy: req.user._id })),
+      createdBy: req.user._id
+    });
+
+    await group.populate([
+      { path: 'members.user', select: 'name email profilePicture' },
+      { path: 'createdBy', select: 'name email' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      group: group.toSafeObject()
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get all groups the authenticated user belongs to
+ * GET /api/groups
+ */
+exports.getGroups = async (req, res, next) => {
+  try {
+    const groups = await Group.findForUser(req.user._id);
+
+    res.json({
+      success: true,
+      count: groups.length,
+      groups: groups.map(group => group.toSafeObject())
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get a single group by ID, with the viewer's balance inside the group
+ * GET /api/groups/:id
+ *
+ * Only members can view a group
+ */
+exports.getGroupById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const group = await Group.findById(id)
+      .populate('members.user', 'name email profilePicture')
+      .populate('createdBy', 'name email');
+
+    if (!group) {
+      return res.status(404).json({
+        error: 'Group not found',
+        message: `No group found with ID ${id}`
+      });
+    }
+
+    if (!group.isMember(req.user._id)) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You are not a member of this group'
+      });
+    }
+
+    const balance = await calculateOverallBalance(req.user._id, {
+      groupId: group._id,
+      currency: req.user.homeCurrency
+    });
+
+    res.json({
+      success: true,
+      group: group.toSafeObject(),
+      balance
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Add a member to a group
+ * POST /api/groups/:id/members
+ * Body: { userId }
+ *
+ * Any member can add new members
+ */
+exports.addMember = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.body;
+
+    const group = await Group.findById(id);
+
+    if (!group) {
+      return res.status(404).json({
+        error: 'Group not found',
+        message: `No group found with ID ${id}`
+      });
+    }
+
+    if (!group.isMember(req.user._id)) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only group members can add new members'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: `No user found with ID ${userId}`
+      });
+    }
+
+    if (group.isMember(userId)) {
+      return res.status(400).json({
+        error: 'Already a member',
+        message: `${user.name} is already a member of this group`
+      });
+    }
+
+    group.members.push({ user: userId, addedBy: req.user._id });
+    await group.save();
+
+    await group.populate([
+      { path: 'members.user', select: 'name email profilePicture' },
+      { path: 'createdBy', select: 'name email' }
+    ]);
+
+    res.json({
+      success: true,
+      message: `${user.name} added to group`,
+      group: group.toSafeObject()
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Remove a member from a group
+ * DELETE /api/groups/:id/members/:userId
+ *
+ * Only the group creator can remove other members
+ * Members with unsettled balances in the group cannot be removed
+ */
+exports.removeMember = async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+
+    const group = await Group.findById(id);
+
+    if (!group) {
+      return res.status(404).json({
+        error: 'Group not found',
+        message: `No group found with ID ${id}`
+      });
+    }
+
+    if (group.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only the group creator can remove members'
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        error: 'Invalid operation',
+        message: 'Use POST /api/groups/:id/leave to leave a group'
+      });
+    }
+
+    if (!group.isMember(userId)) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'This user is not a member of the group'
+      });
+    }
+
+    if (await hasOpenGroupBalance(userId, group._id)) {
+      return res.status(400).json({
+        error: 'Unsettled balance',
+        message: 'Cannot remove a member with unsettled balances in this group. Please settle up first.'
+      });
+    }
+
+    group.members = group.members.filter(m => m.user.toString() !== userId);
+    await group.save();
+
+    await group.populate([
+      { path: 'members.user', select: 'name email profilePicture' },
+      { path: 'createdBy', select: 'name email' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Member removed from group',
+      group: group.toSafeObject()
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Leave a group
+ * POST /api/groups/:id/leave
+ *
+ * Members with unsettled balances in the group cannot leave.
+ * If the creator leaves, ownership passes to the longest-standing remaining member.
+ * If the last member leaves, the group is deleted.
+ */
+exports.leaveGroup = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id.toString();
+
+    const group = await Group.findById(id);
+
+    if (!group) {
+      return res.status(404).json({
+        error: 'Group not found',
+        message: `No group found with ID ${id}`
+      });
+    }
+
+    if (!group.isMember(userId)) {
+      return res.status(400).json({
+        error: 'Not a member',
+        message: 'You are not a member of this group'
+      });
+    }
+
+    if (await hasOpenGroupBalance(userId, group._id)) {
+      return res.status(400).json({
+        error: 'Unsettled balance',
+        message: 'You have unsettled balances in this group. Please settle up first.'
+      });
+    }
+
+    group.members = group.members.filter(m => m.user.toString() !== userId);
+
+    if (group.members.length === 0) {
+      await Group.findByIdAndDelete(group._id);
+
+      return res.json({
+        success: true,
+        message: 'You left the group. The group was deleted as it has no members left.'
+      });
+    }
+
+    // Hand over ownership if the creator is leaving
+    if (group.createdBy.toString() === userId) {
+      group.createdBy = group.members[0].user;
+    }
+
+    await group.save();
+
+    res.json({
+      success: true,
+      message: 'You left the group'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,489 @@
+const Loan = require('../models/loan');
+const Transaction = require('../models/transaction');
+const RecurringExpense = require('../models/recurringExpense');
+const { rupeesToPaise, paiseToRupees } = require('../services/expenseValidation');
+const { validateLoanCreation } = require('../services/loanValidation');
+const {
+  buildInstalmentSchedule,
+  getLoanPosition,
+  getRepayableAmount,
+  getRepaymentsByLoan,
+  calculateLoanPosition,
+  toRepayments
+} = require('../services/loanCalculation');
+const { snapshotExchangeRate } = require('../services/exchangeRateService');
+const { createLoanActivity, createLoanRepaymentActivity } = require('../services/activityService');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency');
+
+/**
+ * Loan Controller
+ * Money lent between two users, with an optional due date, interest and
+ * instalment schedule. Repayments are transactions from the borrower to the
+ * lender linked to the loan; like other settlements, one recorded by the
+ * borrower waits for the lender to confirm it.
+ */
+
+/**
+ * Populate user references on a loan for responses
+ * @param {Object} loan - Loan document
+ * @returns {Promise<Object>}
+ */
+const populateLoan = (loan) => loan.populate([
+  { path: 'lender', select: 'name email' },
+  { path: 'borrower', select: 'name email' },
+  { path: 'createdBy', select: 'name email' }
+]);
+
+/**
+ * Format a loan and its position for API responses
+ * @param {Object} loan - Loan document (users populated)
+ * @param {Object} position - Result of calculateLoanPosition / getLoanPosition
+ * @param {string} userId - Viewing user ID, adds role
+ * @returns {Object}
+ */
+const formatLoan = (loan, position, userId) => {
+  const currency = loan.currency;
+  const lenderId = loan.lender._id ? loan.lender._id.toString() : loan.lender.toString();
+
+  return {
+    id: loan._id,
+    role: lenderId === userId.toString() ? 'lender' : 'borrower',
+    lender: loan.lender,
+    borrower: loan.borrower,
+    principal: loan.principal,
+    principalInRupees: loan.getPrincipalInRupees(),
+    currency,
+    homeCurrency: loan.homeCurrency,
+    exchangeRate: loan.exchangeRate,
+    note: loan.note,
+    startDate: loan.startDate,
+    dueDate: loan.dueDate,
+    interestType: loan.interestType,
+    interestRate: loan.interestRate,
+    ...(loan.interestType === 'compound' && { compounding: loan.compounding }),
+    status: position.status,
+    principalRepaid: position.principalRepaid,
+    principalRepaidInRupees: paiseToRupees(position.principalRepaid, currency),
+    interestPaid: position.interestPaid,
+    interestPaidInRupees: paiseToRupees(position.interestPaid, currency),
+    outstandingPrincipal: position.outstandingPrincipal,
+    outstandingPrincipalInRupees: paiseToRupees(position.outstandingPrincipal, currency),
+    accruedInterest: position.accruedInterest,
+    accruedInterestInRupees: paiseToRupees(position.accruedInterest, currency),
+    outstanding: position.outstanding,
+    outstandingInRupees: paiseToRupees(position.outstanding, currency),
+    ...(position.pendingRepayments !== undefined && {
+      pendingRepayments: position.pendingRepayments,
+      pendingRepaymentsInRupees: paiseToRupees(position.pendingRepayments, currency)
+    }),
+    instalments: position.instalments,
+    nextInstalment: position.nextInstalment,
+    createdBy: loan.createdBy,
+    createdAt: loan.createdAt
+  };
+};
+
+/**
+ * Load a loan and check the user is its lender or borrower
+ * @param {string} id - Loan ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { loan } or { status, error } for the response
+ */
+const findLoanForUser = async (id, userId) => {
+  const loan = await Loan.findById(id);
+
+  if (!loan || loan.isDeleted) {
+    return {
+      status: 404,
+      error: {
+        error: 'Loan not found',
+        message: `No loan found with ID ${id}`
+      }
+    };
+  }
+
+  if (!loan.involvesUser(userId)) {
+    return {
+      status: 403,
+      error: {
+        error: 'Permission denied',
+        message: 'Only the lender and borrower can see this loan'
+      }
+    };
+  }
+
+  return { loan };
+};
+
+/**
+ * Record a loan
+ * POST /api/loans
+ * Body: {
+ *   borrower, lender? (defaults to you; if you're not the lender you must be the borrower),
+ *   principal (in rupees), currency?, note?, startDate? (default now), dueDate?,
+ *   interestType?: 'none' | 'simple' | 'compound', interestRate? (percent a year),
+ *   compounding?: 'monthly' | 'yearly',
+ *   instalments?: [{ dueDate, amount (in rupees) }]
+ *     or instalmentPlan?: { count, frequency: 'weekly' | 'monthly' }
+ * }
+ *
+ * Instalments are principal amounts and must add up to the principal.
+ * Without a dueDate, the loan is due on its last instalment.
+ */
+exports.createLoan = async (req, res, next) => {
+  try {
+    const {
+      principal, note, startDate, dueDate,
+      interestType = 'none', interestRate = 0, compounding,
+      instalments, instalmentPlan
+    } = req.body;
+    const userId = req.user._id.toString();
+    const homeCurrency = req.user.homeCurrency || DEFAULT_CURRENCY;
+    const currency = req.body.currency || homeCurrency;
+
+    const lender = req.body.lender || userId;
+    const borrower = req.body.borrower;
+
+    if (lender !== userId && borrower !== userId) {
+      return res.status(400).json({
+        error: 'Invalid loan',
+        details: ['You must be the lender or the borrower']
+      });
+    }
+
+    const principalInPaise = rupeesToPaise(principal, currency);
+    const start = startDate ? new Date(startDate) : new Date();
+
+    // Explicit schedule, or equal instalments every week/month from the start date
+    let schedule = [];
+    if (instalments && instalments.length > 0) {
+      schedule = instalments.map(i => ({
+        dueDate: new Date(i.dueDate),
+        amount: rupeesToPaise(i.amount, currency)
+      }));
+    } else if (instalmentPlan && principalInPaise > 0) {
+      schedule = buildInstalmentSchedule(
+        principalInPaise,
+        instalmentPlan.count,
+        i => RecurringExpense.getOccurrenceDate(start, instalmentPlan.frequency, i + 1)
+      );
+    }
+
+    const due = dueDate
+      ? new Date(dueDate)
+      : schedule.length > 0
+        ? new Date(Math.max(...schedule.map(i => i.dueDate.getTime())))
+        : null;
+
+    const validation = await validateLoanCreation({
+      lender,
+      borrower,
+      principal: principalInPaise,
+      currency,
+      startDate: start,
+      dueDate: due,
+      instalments: schedule
+    });
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const rateSnapshot = await snapshotExchangeRate(currency, homeCurrency);
+
+    const loan = await Loan.create({
+      lender,
+      borrower,
+      principal: principalInPaise,
+      currency,
+      ...rateSnapshot,
+      note,
+      startDate: start,
+      dueDate: due,
+      interestType,
+      interestRate: interestType === 'none' ? 0 : interestRate,
+      ...(compounding && { compounding }),
+      instalments: schedule,
+      createdBy: userId
+    });
+
+    await populateLoan(loan);
+
+    // Let both sides know (async, non-blocking)
+    createLoanActivity(loan, userId).catch(err => {
+      console.error('Failed to create loan activity:', err);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Loan recorded successfully',
+      loan: formatLoan(loan, { ...calculateLoanPosition(loan, []), pendingRepayments: 0 }, userId)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get loans you gave or took
+ * GET /api/loans
+ * Query params:
+ * - role: lender | borrower (optional)
+ * - status: active | overdue | repaid (optional)
+ * - page, limit (for pagination, default 1 and 20)
+ */
+exports.getLoans = async (req, res, next) => {
+  try {
+    const userId = req.user._id.toString();
+    const { role, status } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+
+    const query = role === 'lender'
+      ? { isDeleted: false, lender: userId }
+      : role === 'borrower'
+        ? { isDeleted: false, borrower: userId }
+        : { isDeleted: false, $or: [{ lender: userId }, { borrower: userId }] };
+
+    const loans = await Loan.find(query)
+      .populate('lender', 'name email')
+      .populate('borrower', 'name email')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    // Status depends on repayments and today's date, so filter after working it out
+    const repaymentsByLoan = await getRepaymentsByLoan(loans.map(l => l._id));
+    const formatted = loans
+      .map(loan => {
+        const repayments = toRepayments(repaymentsByLoan.get(loan._id.toString()));
+        return formatLoan(loan, calculateLoanPosition(loan, repayments), userId);
+      })
+      .filter(loan => !status || loan.status === status);
+
+    const skip = (page - 1) * limit;
+
+    res.json({
+      success: true,
+      loans: formatted.slice(skip, skip + limit),
+      pagination: {
+        page,
+        limit,
+        total: formatted.length,
+        totalPages: Math.ceil(formatted.length / limit)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get a loan with its repayments
+ * GET /api/loans/:id
+ */
+exports.getLoanById = async (req, res, next) => {
+  try {
+    const userId = req.user._id.toString();
+
+    const lookup = await findLoanForUser(req.params.id, userId);
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+
+    const { loan } = lookup;
+    await populateLoan(loan);
+
+    const [position, repayments] = await Promise.all([
+      getLoanPosition(loan),
+      Transaction.find({ loan: loan._id })
+        .populate('createdBy', 'name email')
+        .sort({ settledAt: -1, createdAt: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      loan: {
+        ...formatLoan(loan, position, userId),
+        repayments: repayments.map(t => ({
+          id: t._id,
+          amount: t.amount,
+          amountInRupees: paiseToRupees(t.amount, t.currency),
+          note: t.note,
+          settledAt: t.settledAt || t.createdAt,
+          status: t.status,
+          isVoided: Boolean(t.isVoided),
+          createdBy: t.createdBy,
+          createdAt: t.createdAt
+        }))
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Record a repayment against a loan
+ * POST /api/loans/:id/repayments
+ * Body: { amount (in rupees), note?, settledAt? (when it was paid, default now) }
+ *
+ * Creates a transaction from the borrower to the lender linked to the loan.
+ * Recorded by the lender it is confirmed straight away; recorded by the
+ * borrower it waits for the lender to confirm it (POST /api/transactions/:id/confirm).
+ * Repayments can't exceed what is outstanding, counting pending ones.
+ */
+exports.recordRepayment = async (req, res, next) => {
+  try {
+    const userId = req.user._id.toString();
+    const { amount, note, settledAt } = req.body;
+
+    const lookup = await findLoanForUser(req.params.id, userId);
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+
+    const { loan } = lookup;
+    const amountInPaise = rupeesToPaise(amount, loan.currency);
+
+    if (amountInPaise < 1) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{
+          field: 'amount',
+          message: `Amount is smaller than the smallest unit of ${loan.currency} (${formatMoney(1, loan.currency)})`
+        }]
+      });
+    }
+
+    if (settledAt && new Date(settledAt) < loan.startDate) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'settledAt', message: 'A repayment cannot be made before the loan starts' }]
+      });
+    }
+
+    const stillOwed = await getRepayableAmount(loan);
+
+    if (amountInPaise > stillOwed) {
+      return res.status(400).json({
+        error: 'Overpayment',
+        message: stillOwed > 0
+          ? `Only ${formatMoney(stillOwed, loan.currency)} is outstanding on this loan`
+          : 'Nothing is outstanding on this loan',
+        details: {
+          outstanding: stillOwed,
+          outstandingInRupees: paiseToRupees(stillOwed, loan.currency),
+          currency: loan.currency
+        }
+      });
+    }
+
+    const recordedByLender = loan.lender.toString() === userId;
+
+    const transaction = await Transaction.create({
+      from: loan.borrower,
+      to: loan.lender,
+      amount: amountInPaise,
+      currency: loan.currency,
+      ...(await snapshotExchangeRate(loan.currency, req.user.homeCurrency || DEFAULT_CURRENCY)),
+      note,
+      ...(settledAt && { settledAt }),
+      loan: loan._id,
+      createdBy: userId,
+      status: recordedByLender ? 'confirmed' : 'pending',
+      awaitingConfirmationFrom: recordedByLender ? null : loan.lender,
+      confirmedAt: recordedByLender ? new Date() : null
+    });
+
+    await populateLoan(loan);
+
+    // Let both sides know (async, non-blocking)
+    createLoanRepaymentActivity(loan, transaction, userId).catch(err => {
+      console.error('Failed to create loan repayment activity:', err);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: recordedByLender
+        ? 'Repayment recorded successfully'
+        : 'Repayment recorded successfully and is awaiting confirmation',
+      repayment: {
+        id: transaction._id,
+        amount: transaction.amount,
+        amountInRupees: paiseToRupees(transaction.amount, transaction.currency),
+        currency: transaction.currency,
+        note: transaction.note,
+        settledAt: transaction.settledAt,
+        status: transaction.status,
+        createdAt: transaction.createdAt
+      },
+      loan: formatLoan(loan, await getLoanPosition(loan), userId)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Delete a loan recorded by mistake (soft delete)
+ * DELETE /api/loans/:id
+ * Body: { reason?: string }
+ *
+ * Only the person who recorded the loan can delete it, and only while no
+ * repayments are recorded against it (void them first).
+ */
+exports.deleteLoan = async (req, res, next) => {
+  try {
+    const userId = req.user._id.toString();
+
+    const lookup = await findLoanForUser(req.params.id, userId);
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+
+    const { loan } = lookup;
+
+    if (loan.createdBy.toString() !== userId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only the person who recorded this loan can delete it'
+      });
+    }
+
+    const repaymentCount = await Transaction.countDocuments({
+      ...Transaction.countedInBalances(true),
+      loan: loan._id
+    });
+
+    if (repaymentCount > 0) {
+      return res.status(400).json({
+        error: 'Loan has repayments',
+        message: 'Void the repayments recorded against this loan before deleting it'
+      });
+    }
+
+    loan.isDeleted = true;
+    loan.deletedBy = userId;
+    loan.deletedAt = new Date();
+    if (req.body.reason) {
+      loan.deletedReason = req.body.reason;
+    }
+    await loan.save();
+
+    res.json({
+      success: true,
+      message: 'Loan deleted successfully',
+      loan: {
+        id: loan._id,
+        isDeleted: loan.isDeleted,
+        deletedAt: loan.deletedAt,
+        deletedReason: loan.deletedReason
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,377 @@
+const RecurringExpense = require('../models/recurringExpense');
+const {
+  rupeesToPaise,
+  calculateSplit,
+  getSplitInputs,
+  validateExpenseCreation
+} = require('../services/expenseValidation');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency');
+const { ensureBidirectionalFriendship } = require('../services/friendService');
+
+/**
+ * Recurring Expense Controller
+ * Handles recurring expense templates (rent, subscriptions, salaries).
+ * The scheduler in services/recurringScheduler.js turns due templates into expenses.
+ */
+
+/**
+ * Populate user references on a template for responses
+ * @param {Object} template - RecurringExpense document
+ * @returns {Promise<Object>}
+ */
+const populateTemplate = (template) => template.populate([
+  { path: 'payer', select: 'name email' },
+  { path: 'participants.user', select: 'name email' },
+  { path: 'createdBy', select: 'name email' }
+]);
+
+/**
+ * Create a recurring expense template
+ * POST /api/recurring-expenses
+ * Body: {
+ *   title, amount (in rupees), currency?, payer, participants, splitMethod,
+ *   cadence: 'daily' | 'weekly' | 'monthly' | 'yearly', startDate, endDate?, group?
+ * }
+ *
+ * Participants carry the raw split inputs, same as POST /api/expenses.
+ * The currency defaults to the creator's home currency and cannot be changed later.
+ * The first expense is created on startDate. A startDate in the past is caught up
+ * on the scheduler's next run.
+ */
+exports.createRecurringExpense = async (req, res, next) => {
+  try {
+    const {
+      title, amount, payer, participants, splitMethod,
+      cadence, startDate, endDate, group
+    } = req.body;
+
+    const currency = req.body.currency || req.user.homeCurrency || DEFAULT_CURRENCY;
+    const amountInPaise = rupeesToPaise(amount, currency);
+
+    if (amountInPaise < 1) {
+      const message = `Amount is smaller than the smallest unit of ${currency} (${formatMoney(1, currency)})`;
+      return res.status(400).json({
+        error: 'Recurring expense validation failed',
+        message,
+        details: [{ field: 'amount', message }]
+      });
+    }
+
+    const split = calculateSplit(amountInPaise, splitMethod, participants, currency);
+
+    if (!split.valid) {
+      return res.status(400).json({
+        error: 'Recurring expense validation failed',
+        message: split.message,
+        details: [{ field: 'participants', message: split.message }]
+      });
+    }
+
+    const participantsInPaise = split.participants;
+
+    const validation = await validateExpenseCreation({
+      amount: amountInPaise,
+      currency,
+      payer,
+      participants: participantsInPaise,
+      group,
+      createdBy: req.user._id
+    });
+
+    if (!validation.valid) {
+      const errorMessages = validation.errors.map(err => err.message);
+      return res.status(400).json({
+        error: 'Recurring expense validation failed',
+        message: errorMessages.join('; '),
+        details: validation.errors
+      });
+    }
+
+    const template = await RecurringExpense.create({
+      title,
+      amount: amountInPaise,
+      currency,
+      payer,
+      participants: participantsInPaise,
+      splitMethod,
+      group: group || null,
+      cadence,
+      startDate: new Date(startDate),
+      endDate: endDate ? new Date(endDate) : null,
+      nextRunAt: new Date(startDate),
+      createdBy: req.user._id
+    });
+
+    // Same as one-off expenses: everyone involved becomes friends
+    const userIds = [...new Set([payer.toString(), ...participantsInPaise.map(p => p.user.toString())])];
+    for (let i = 0; i < userIds.length; i++) {
+      for (let j = i + 1; j < userIds.length; j++) {
+        ensureBidirectionalFriendship(userIds[i], userIds[j]).catch(err => {
+          console.error('Failed to create friendship:', err);
+        });
+      }
+    }
+
+    await populateTemplate(template);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring expense created successfully',
+      recurringExpense: template.toSafeObject()
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get all recurring expense templates involving the current user
+ * GET /api/recurring-expenses
+ * Query params:
+ * - active: true/false (filter by active state)
+ */
+exports.getRecurringExpenses = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    const query = {
+      $or: [
+        { createdBy: userId },
+        { payer: userId },
+        { 'participants.user': userId }
+      ]
+    };
+
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      query.isActive = req.query.active === 'true';
+    }
+
+    const templates = await RecurringExpense.find(query)
+      .populate('payer', 'name email')
+      .populate('participants.user', 'name email')
+      .populate('createdBy', 'name email')
+      .sort({ nextRunAt: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: templates.length,
+      recurringExpenses: templates.map(t => t.toSafeObject())
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get a single recurring expense template
+ * GET /api/recurring-expenses/:id
+ */
+exports.getRecurringExpenseById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const template = await RecurringExpense.findById(id);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Recurring expense not found',
+        message: `No recurring expense found with ID ${id}`
+      });
+    }
+
+    if (!template.involvesUser(req.user._id)) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only people involved can view this recurring expense'
+      });
+    }
+
+    await populateTemplate(template);
+
+    res.json({
+      success: true,
+      recurringExpense: template.toSafeObject()
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Update a recurring expense template
+ * PATCH /api/recurring-expenses/:id
+ * Body: { title?, amount?, participants?, splitMethod?, endDate?, isActive? }
+ *
+ * Changes only affect future occurrences; expenses already created are untouched.
+ * Cadence and start date cannot be changed - create a new template instead.
+ * Resuming a paused template skips the occurrences missed while it was paused.
+ */
+exports.updateRecurringExpense = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { title, amount, participants, splitMethod, endDate, isActive } = req.body;
+
+    const template = await RecurringExpense.findById(id);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Recurring expense not found',
+        message: `No recurring expense found with ID ${id}`
+      });
+    }
+
+    if (!template.involvesUser(req.user._id)) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only people involved can edit this recurring expense'
+      });
+    }
+
+    const updates = {};
+
+    if (title !== undefined) {
+      updates.title = title;
+    }
+
+    if (amount !== undefined) {
+      updates.amount = rupeesToPaise(amount, template.currency);
+
+      if (updates.amount < 1) {
+        const message = `Amount is smaller than the smallest unit of ${template.currency} (${formatMoney(1, template.currency)})`;
+        return res.status(400).json({
+          error: 'Recurring expense validation failed',
+          message,
+          details: [{ field: 'amount', message }]
+        });
+      }
+    }
+
+    if (splitMethod !== undefined) {
+      updates.splitMethod = splitMethod;
+    }
+
+    // Re-split with the stored inputs unless new participants are sent
+    if (amount !== undefined || participants !== undefined || splitMethod !== undefined) {
+      const method = splitMethod !== undefined ? splitMethod : template.splitMethod;
+      const split = calculateSplit(
+        amount !== undefined ? updates.amount : template.amount,
+        method,
+        participants !== undefined ? participants : getSplitInputs(method, template.participants, template.currency),
+        template.currency
+      );
+
+      if (!split.valid) {
+        return res.status(400).json({
+          error: 'Recurring expense validation failed',
+          message: split.message,
+          details: [{ field: 'participants', message: split.message }]
+        });
+      }
+
+      updates.participants = split.participants;
+    }
+
+    if (endDate !== undefined) {
+      updates.endDate = endDate ? new Date(endDate) : null;
+    }
+
+    if (updates.amount !== undefined || updates.participants !== undefined) {
+      const validation = await validateExpenseCreation({
+        amount: updates.amount !== undefined ? updates.amount : template.amount,
+        currency: template.currency,
+        payer: template.payer, // Payer cannot be changed
+        participants: updates.participants !== undefined ? updates.participants : template.participants,
+        group: template.group,
+        existingPeople: [req.user._id, template.payer, ...template.participants.map(p => p.user)]
+      });
+
+      if (!validation.valid) {
+        const errorMessages = validation.errors.map(err => err.message);
+        return res.status(400).json({
+          error: 'Recurring expense validation failed',
+          message: errorMessages.join('; '),
+          details: validation.errors
+        });
+      }
+    }
+
+    Object.assign(template, updates);
+
+    if (isActive !== undefined) {
+      template.isActive = isActive;
+    }
+
+    // Work out the next occurrence from the (possibly new) state
+    if (template.isActive) {
+      let count = template.occurrenceCount;
+
+      // Resuming: skip everything that fell due while paused
+      if (isActive === true && !template.nextRunAt) {
+        const now = new Date();
+        while (template.getOccurrenceDate(count) < now) {
+          count++;
+        }
+      }
+
+      const nextRunAt = template.getOccurrenceDate(count);
+
+      if (template.endDate && nextRunAt > template.endDate) {
+        template.isActive = false;
+        template.nextRunAt = null;
+      } else {
+        template.occurrenceCount = count;
+        template.nextRunAt = nextRunAt;
+      }
+    } else {
+      template.nextRunAt = null;
+    }
+
+    await template.save();
+    await populateTemplate(template);
+
+    res.json({
+      success: true,
+      message: 'Recurring expense updated successfully',
+      recurringExpense: template.toSafeObject()
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Delete a recurring expense template
+ * DELETE /api/recurring-expenses/:id
+ *
+ * Stops future occurrences. Expenses already created are kept.
+ */
+exports.deleteRecurringExpense = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const template = await RecurringExpense.findById(id);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Recurring expense not found',
+        message: `No recurring expense found with ID ${id}`
+      });
+    }
+
+    if (!template.involvesUser(req.user._id)) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only people involved can delete this recurring expense'
+      });
+    }
+
+    await RecurringExpense.findByIdAndDelete(id);
+
+    res.json({
+      success: true,
+      message: 'Recurring expense deleted successfully. Expenses already created are kept.'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,129 @@
+const Group = require('../models/group');
+const { calculateCategoryReport } = require('../services/categoryReport');
+const { calculateStatementsWithEveryone } = require('../services/statement');
+const { renderMonthlyStatementPdf } = require('../services/statementPdf');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { normalizeCategory } = require('../utils/categories');
+const { DAY_MS, parseRangeStart, parseRangeEnd } = require('../utils/dateRange');
+
+/**
+ * Report Controller
+ * Spending summaries over a date range
+ */
+
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Work out the date range of a report from the query string
+ * `to` defaults to now and `from` to 30 days before `to`. A `to` without a
+ * time includes that whole day.
+ * @param {Object} query - req.query with from?, to?
+ * @returns {Object} { from, to } with `to` exclusive
+ */
+const getDateRange = (query) => {
+  const to = query.to ? parseRangeEnd(query.to) : new Date();
+  const from = query.from
+    ? parseRangeStart(query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  return { from, to };
+};
+
+/**
+ * Get what you spent per category
+ * GET /api/reports/categories
+ * 
+ * Adds up your own share of each expense (not the whole bill) per category.
+ * Totals are in your home currency, with the same figures for every other
+ * currency in byCurrency.
+ * 
+ * Query params:
+ * - from: Start date (optional, default 30 days before `to`)
+ * - to: End date (optional, default now; a date without a time includes that day)
+ * - group: Only expenses filed under this group (optional)
+ * - category: Only these categories, separated by commas (optional)
+ */
+exports.getCategoryReport = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const groupId = req.query.group || null;
+    const { from, to } = getDateRange(req.query);
+    const categories = req.query.category
+      ? req.query.category.split(',').map(normalizeCategory).filter(Boolean)
+      : null;
+
+    let group = null;
+    if (groupId) {
+      group = await Group.findById(groupId);
+
+      if (!group) {
+        return res.status(404).json({
+          error: 'Group not found',
+          message: `No group found with ID ${groupId}`
+        });
+      }
+
+      if (!group.isMember(userId)) {
+        return res.status(403).json({
+          error: 'Permission denied',
+          message: 'You are not a member of this group'
+        });
+      }
+    }
+
+    const report = await calculateCategoryReport(userId, {
+      from,
+      to,
+      groupId,
+      categories,
+      currency: req.user.homeCurrency || DEFAULT_CURRENCY
+    });
+
+    res.json({
+      success: true,
+      from,
+      to,
+      ...(group && { group: { id: group._id, name: group.name } }),
+      report
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Download your monthly statement with everyone as a PDF
+ * GET /api/reports/statement.pdf
+ * 
+ * A summary of your opening and closing balance with each person, then each
+ * ledger for the month (see GET /api/balances/:userId/statement).
+ * 
+ * Query params:
+ * - month: YYYY-MM (optional, default this month, in UTC)
+ * - includePending: true to count settlements still awaiting confirmation (optional)
+ */
+exports.getMonthlyStatementPdf = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+    const [year, monthNumber] = month.split('-').map(Number);
+
+    const statements = await calculateStatementsWithEveryone(userId, {
+      from: new Date(Date.UTC(year, monthNumber - 1, 1)),
+      to: new Date(Date.UTC(year, monthNumber, 1)),
+      currency: req.user.homeCurrency || DEFAULT_CURRENCY,
+      includePending: req.query.includePending === 'true'
+    });
+
+    const pdf = await renderMonthlyStatementPdf({ you: req.user, month, statements });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="statement-${month}.pdf"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,7 +1,167 @@
 const Transaction = require('../models/transaction');
-const { validateTransactionCreation } = require('../services/transactionValidation');
+const Loan = require('../models/loan');
+const {
+  validateTransactionCreation,
+  validateTransactionUpdate,
+  checkOverpayment
+} = require('../services/transactionValidation');
 const { rupeesToPaise, paiseToRupees } = require('../services/expenseValidation');
-const { createTransactionActivity } = require('../services/activityService');
+const {
+  createTransactionActivity,
+  createTransactionStatusActivity,
+  createTransactionUpdateActivity,
+  createTransactionVoidActivity,
+  createTransactionRestoreActivity
+} = require('../services/activityService');
+const { snapshotExchangeRate } = require('../services/exchangeRateService');
+const { getRepayableAmount } = require('../services/loanCalculation');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency');
+const { decodeCursor, afterCursor, takePage } = require('../utils/cursor');
+
+/**
+ * Format a transaction for API responses
+ * @param {Object} transaction - Transaction document (from, to and createdBy populated)
+ * @param {string} userId - Viewing user ID, adds direction and awaitingYourConfirmation (optional)
+ * @returns {Object}
+ */
+const formatTransaction = (transaction, userId = null) => ({
+  id: transaction._id,
+  from: transaction.from,
+  to: transaction.to,
+  amount: transaction.amount,
+  amountInRupees: paiseToRupees(transaction.amount, transaction.currency),
+  currency: transaction.currency,
+  homeCurrency: transaction.homeCurrency,
+  exchangeRate: transaction.exchangeRate,
+  note: transaction.note,
+  settledAt: transaction.settledAt || transaction.createdAt,
+  group: transaction.group,
+  loan: transaction.loan || null,
+  status: transaction.status,
+  confirmedAt: transaction.confirmedAt,
+  rejectedAt: transaction.rejectedAt,
+  rejectionReason: transaction.rejectionReason,
+  isVoided: Boolean(transaction.isVoided),
+  voidedAt: transaction.voidedAt || null,
+  voidedReason: transaction.voidedReason || null,
+  createdBy: transaction.createdBy,
+  createdAt: transaction.createdAt,
+  updatedAt: transaction.updatedAt,
+  ...(userId && {
+    direction: transaction.from._id.toString() === userId ? 'sent' : 'received',
+    awaitingYourConfirmation: transaction.status === 'pending' && !transaction.isVoided &&
+      transaction.getCounterpartyId() === userId
+  })
+});
+
+/**
+ * Describe an overpayment for API responses
+ * @param {Object} overpayment - Result of checkOverpayment
+ * @param {string} currency - ISO 4217 code
+ * @returns {Object} { details, message, warning }
+ */
+const describeOverpayment = (overpayment, currency) => ({
+  details: {
+    owed: overpayment.owed,
+    owedInRupees: paiseToRupees(overpayment.owed, currency),
+    excess: overpayment.excess,
+    excessInRupees: paiseToRupees(overpayment.excess, currency),
+    currency
+  },
+  message: overpayment.owed > 0
+    ? `Only ${formatMoney(overpayment.owed, currency)} is owed; this payment is ${formatMoney(overpayment.excess, currency)} too much`
+    : `Nothing is owed in ${currency}; this payment would leave the receiver owing the payer`,
+  warning: `This payment is ${formatMoney(overpayment.excess, currency)} more than was owed`
+});
+
+/**
+ * Load a transaction and check the user may edit, void or restore it
+ * @param {string} id - Transaction ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { transaction } or { status, error } for the response
+ */
+const findTransactionToChange = async (id, userId) => {
+  const transaction = await Transaction.findById(id)
+    .populate('from', 'name email')
+    .populate('to', 'name email')
+    .populate('createdBy', 'name email');
+  
+  if (!transaction) {
+    return { status: 404, error: { error: 'Transaction not found' } };
+  }
+  
+  if (!transaction.canBeChangedBy(userId)) {
+    return {
+      status: 403,
+      error: {
+        error: 'Permission denied',
+        message: 'Only the person who recorded this transaction or the people in it can change it'
+      }
+    };
+  }
+  
+  return { transaction };
+};
+
+/**
+ * Load a pending transaction and check the user is the one who has to respond to it
+ * @param {string} id - Transaction ID
+ * @param {string} userId - User ID
+ * @param {string} action - 'confirm' or 'reject', for messages
+ * @returns {Promise<Object>} { transaction } or { status, error } for the response
+ */
+const findTransactionToRespond = async (id, userId, action) => {
+  const transaction = await Transaction.findById(id)
+    .populate('from', 'name email')
+    .populate('to', 'name email')
+    .populate('createdBy', 'name email');
+  
+  if (!transaction) {
+    return { status: 404, error: { error: 'Transaction not found' } };
+  }
+  
+  const fromId = transaction.from._id.toString();
+  const toId = transaction.to._id.toString();
+  
+  if (fromId !== userId && toId !== userId) {
+    return {
+      status: 403,
+      error: { error: 'You are not authorized to view this transaction' }
+    };
+  }
+  
+  if (transaction.isVoided) {
+    return {
+      status: 400,
+      error: {
+        error: 'Transaction voided',
+        message: `A voided transaction can't be ${action}ed`
+      }
+    };
+  }
+  
+  if (transaction.getCounterpartyId() !== userId) {
+    return {
+      status: 403,
+      error: {
+        error: 'Permission denied',
+        message: `Only the other person in a settlement can ${action} it, not the person who recorded it or changed its amount`
+      }
+    };
+  }
+  
+  if (transaction.status !== 'pending') {
+    return {
+      status: 400,
+      error: {
+        error: 'Invalid transaction status',
+        message: `This transaction has already been ${transaction.status}`
+      }
+    };
+  }
+  
+  return { transaction };
+};
 
 /**
  * Create a new transaction
@@ -9,18 +169,31 @@ const { createTransactionActivity } = require('../services/activityService');
  * Request body:
  * {
  *   to: string (user ID who receives the payment),
- *   amount: number (in rupees),
+ *   amount: number (in rupees, or major units of currency),
+ *   currency: string (optional - ISO 4217 code, defaults to your home currency),
  *   note: string (optional),
- *   from: string (optional - user ID who makes the payment, defaults to authenticated user)
+ *   settledAt: date (optional - when the money changed hands, defaults to now),
+ *   from: string (optional - user ID who makes the payment, defaults to authenticated user),
+ *   group: string (optional - group ID; both users must be members),
+ *   strict: boolean (optional - reject payments larger than what is owed)
  * }
  * 
  * By default, 'from' is the authenticated user (you are paying someone).
  * If 'from' is provided and different from authenticated user, you are recording a payment you received.
+ * 
+ * A payment you made starts out pending until the receiver confirms it.
+ * A payment you received is confirmed straight away.
+ * 
+ * Paying more than the payer owes the receiver (in this currency) flips the
+ * balance the other way. In strict mode that is rejected; otherwise the
+ * transaction is recorded and the response carries an overpayment warning.
  */
 exports.createTransaction = async (req, res, next) => {
   try {
-    const { to, amount, note, from: providedFrom } = req.body;
+    const { to, amount, note, settledAt, group, strict, from: providedFrom } = req.body;
     const authenticatedUserId = req.user.id;
+    const homeCurrency = req.user.homeCurrency || DEFAULT_CURRENCY;
+    const currency = req.body.currency || homeCurrency;
     
     // Determine the actual 'from' user
     // If 'from' is provided, it means we're recording a payment received (they paid us)
@@ -35,11 +208,15 @@ exports.createTransaction = async (req, res, next) => {
       });
     }
     
+    // Convert amount to paise (minor units of the currency)
+    const amountInPaise = rupeesToPaise(amount, currency);
+    
     // Validation check - from user is paying to another user
     const validation = await validateTransactionCreation({
       from,
       to,
-      amount
+      amount: amountInPaise,
+      group
     });
     
     if (!validation.valid) {
@@ -49,16 +226,38 @@ exports.createTransaction = async (req, res, next) => {
       });
     }
     
-    // Convert amount to paise
-    const amountInPaise = rupeesToPaise(amount);
+    // Does this pay more than is owed?
+    const overpayment = await checkOverpayment({ from, to, amount: amountInPaise, currency });
+    const overpaymentDescription = describeOverpayment(overpayment, currency);
+    
+    if (overpayment.overpays && strict) {
+      return res.status(400).json({
+        error: 'Overpayment',
+        message: overpaymentDescription.message,
+        details: overpaymentDescription.details
+      });
+    }
+    
+    // Remember what the payment was worth in the creator's home currency
+    const rateSnapshot = await snapshotExchangeRate(currency, homeCurrency);
+    
+    // The receiver recording a payment is as good as confirming it
+    const recordedByReceiver = to.toString() === authenticatedUserId;
     
     // Create transaction (createdBy is always the authenticated user)
     const transaction = new Transaction({
       from,
       to,
       amount: amountInPaise,
+      currency,
+      ...rateSnapshot,
       note,
-      createdBy: authenticatedUserId
+      ...(settledAt && { settledAt }),
+      group: group || null,
+      createdBy: authenticatedUserId,
+      status: recordedByReceiver ? 'confirmed' : 'pending',
+      awaitingConfirmationFrom: recordedByReceiver ? null : to,
+      confirmedAt: recordedByReceiver ? new Date() : null
     });
     
     await transaction.save();
@@ -74,17 +273,14 @@ exports.createTransaction = async (req, res, next) => {
     });
     
     res.status(201).json({
-      message: 'Transaction created successfully',
-      transaction: {
-        id: transaction._id,
-        from: transaction.from,
-        to: transaction.to,
-        amount: transaction.amount,
-        amountInRupees: paiseToRupees(transaction.amount),
-        note: transaction.note,
-        createdBy: transaction.createdBy,
-        createdAt: transaction.createdAt
-      }
+      message: recordedByReceiver
+        ? 'Transaction created successfully'
+        : 'Transaction created successfully and is awaiting confirmation',
+      transaction: formatTransaction(transaction),
+      ...(overpayment.overpays && {
+        warning: overpaymentDescription.warning,
+        overpayment: overpaymentDescription.details
+      })
     });
   } catch (error) {
     next(error);
@@ -97,13 +293,20 @@ exports.createTransaction = async (req, res, next) => {
  * 
  * Query params:
  * - withUser: Filter transactions with a specific user ID
- * - page: Page number (default: 1)
+ * - group: Filter transactions filed under a specific group ID
+ * - status: Filter by status (pending, confirmed or rejected)
+ * - awaitingMe: true to only show pending transactions you need to confirm or reject
+ * - includeVoided: true to include voided transactions
  * - limit: Items per page (default: 20)
+ * - cursor: nextCursor from the previous page (newest first, by settledAt)
  */
 exports.getTransactions = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { withUser, page = 1, limit = 20 } = req.query;
+    const { withUser, group, status, awaitingMe, includeVoided } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+    // Validated by validateGetTransactions
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
     
     // Build query - find all transactions where user is sender or receiver
     const query = {
@@ -121,41 +324,61 @@ exports.getTransactions = async (req, res, next) => {
       ];
     }
     
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    // If filtering by group
+    if (group) {
+      query.group = group;
+    }
+    
+    // If filtering by status (transactions from before statuses existed are confirmed)
+    if (status) {
+      query.status = status === 'confirmed' ? { $in: ['confirmed', null] } : status;
+    }
+    
+    // Voided transactions are hidden unless asked for
+    if (includeVoided !== 'true') {
+      query.isVoided = { $ne: true };
+    }
+    
+    // Pending payments waiting on you to confirm them
+    if (awaitingMe === 'true') {
+      query.status = 'pending';
+      query.$and = [{
+        $or: [
+          { awaitingConfirmationFrom: userId },
+          // Recorded before awaitingConfirmationFrom was stored: payments to you that someone else recorded
+          { awaitingConfirmationFrom: null, to: userId, createdBy: { $ne: userId } }
+        ]
+      }];
+    }
     
-    // Get transactions
-    const transactions = await Transaction.find(query)
+    // Get transactions after the cursor, newest first (one extra to tell whether there are more)
+    const after = afterCursor('settledAt', -1, cursor);
+    const transactions = await Transaction.find(after ? { $and: [query, after] } : query)
       .populate('from', 'name email')
       .populate('to', 'name email')
       .populate('createdBy', 'name email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+      .sort({ settledAt: -1, _id: -1 })
+      .limit(limit + 1);
     
     // Get total count for pagination
     const total = await Transaction.countDocuments(query);
     
-    // Format response
-    const formattedTransactions = transactions.map(t => ({
-      id: t._id,
-      from: t.from,
-      to: t.to,
-      amount: t.amount,
-      amountInRupees: paiseToRupees(t.amount),
-      note: t.note,
-      createdBy: t.createdBy,
-      createdAt: t.createdAt,
-      direction: t.from._id.toString() === userId ? 'sent' : 'received'
+    const { items, hasMore, nextCursor } = takePage(transactions, limit, t => ({
+      sort: 'settledAt:desc',
+      value: t.settledAt,
+      id: t._id
     }));
     
+    // Format response
+    const formattedTransactions = items.map(t => formatTransaction(t, userId));
+    
     res.json({
       transactions: formattedTransactions,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        limit,
         total,
-        totalPages: Math.ceil(total / parseInt(limit))
+        hasMore,
+        nextCursor
       }
     });
   } catch (error) {
@@ -192,17 +415,339 @@ exports.getTransactionById = async (req, res, next) => {
     }
     
     res.json({
-      transaction: {
-        id: transaction._id,
-        from: transaction.from,
-        to: transaction.to,
-        amount: transaction.amount,
-        amountInRupees: paiseToRupees(transaction.amount),
-        note: transaction.note,
-        createdBy: transaction.createdBy,
-        createdAt: transaction.createdAt,
-        direction: fromId === userId ? 'sent' : 'received'
+      transaction: formatTransaction(transaction, userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm a pending transaction
+ * POST /api/transactions/:id/confirm
+ * 
+ * Only the person it is waiting on can confirm it: the one who didn't record
+ * it, or the receiver after someone else changed its amount.
+ * Once confirmed it counts towards balances.
+ */
+exports.confirmTransaction = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    
+    const lookup = await findTransactionToRespond(req.params.id, userId, 'confirm');
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+    
+    const { transaction } = lookup;
+    transaction.status = 'confirmed';
+    transaction.confirmedAt = new Date();
+    await transaction.save();
+    
+    // Let both sides know (async, non-blocking)
+    createTransactionStatusActivity(transaction, userId).catch(err => {
+      console.error('Failed to create transaction confirm activity:', err);
+    });
+    
+    res.json({
+      message: 'Transaction confirmed successfully',
+      transaction: formatTransaction(transaction, userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a pending transaction
+ * POST /api/transactions/:id/reject
+ * 
+ * Request body:
+ * {
+ *   reason: string (optional - why the payment is disputed)
+ * }
+ * 
+ * Only the person it is waiting on can reject it (see confirmTransaction).
+ * Rejected transactions never count towards balances.
+ */
+exports.rejectTransaction = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    
+    const lookup = await findTransactionToRespond(req.params.id, userId, 'reject');
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+    
+    const { transaction } = lookup;
+    transaction.status = 'rejected';
+    transaction.rejectedAt = new Date();
+    transaction.rejectionReason = req.body.reason || null;
+    await transaction.save();
+    
+    // Let both sides know (async, non-blocking)
+    createTransactionStatusActivity(transaction, userId).catch(err => {
+      console.error('Failed to create transaction reject activity:', err);
+    });
+    
+    res.json({
+      message: 'Transaction rejected successfully',
+      transaction: formatTransaction(transaction, userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit a transaction
+ * PATCH /api/transactions/:id
+ * 
+ * Request body (all optional):
+ * {
+ *   amount: number (in rupees, or major units of the transaction's currency),
+ *   note: string,
+ *   settledAt: date (when the money changed hands),
+ *   group: string|null (group ID; both users must be members),
+ *   strict: boolean (optional - reject a new amount larger than what is owed)
+ * }
+ * 
+ * The creator or either party can edit. The people and currency can't be changed.
+ * Changing the amount needs the receiver's confirmation again, unless the
+ * receiver made the change. A new amount is checked for overpayment the same
+ * way as a new transaction.
+ */
+exports.updateTransaction = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { amount, note, settledAt, group, strict } = req.body;
+    
+    const lookup = await findTransactionToChange(req.params.id, userId);
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+    
+    const { transaction } = lookup;
+    
+    if (transaction.isVoided) {
+      return res.status(400).json({
+        error: 'Transaction voided',
+        message: 'Restore this transaction before editing it'
+      });
+    }
+    
+    if (transaction.status === 'rejected') {
+      return res.status(400).json({
+        error: 'Invalid transaction status',
+        message: 'A rejected transaction can\'t be edited; record a new one instead'
+      });
+    }
+    
+    const amountInPaise = amount !== undefined ? rupeesToPaise(amount, transaction.currency) : undefined;
+    
+    const validation = await validateTransactionUpdate(transaction, { amount: amountInPaise, group });
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+    
+    const amountChanged = amountInPaise !== undefined && amountInPaise !== transaction.amount;
+    
+    // A loan repayment can't come to more than is left to repay on its loan,
+    // as when it was recorded (see loanController.recordRepayment)
+    if (amountChanged && transaction.loan) {
+      const loan = await Loan.findById(transaction.loan);
+      const stillOwed = loan ? await getRepayableAmount(loan, { excludeTransactionId: transaction._id }) : 0;
+      
+      if (amountInPaise > stillOwed) {
+        return res.status(400).json({
+          error: 'Overpayment',
+          message: stillOwed > 0
+            ? `Only ${formatMoney(stillOwed, transaction.currency)} is outstanding on this loan`
+            : 'Nothing is outstanding on this loan',
+          details: {
+            outstanding: stillOwed,
+            outstandingInRupees: paiseToRupees(stillOwed, transaction.currency),
+            currency: transaction.currency
+          }
+        });
       }
+    }
+    
+    // Does the new amount pay more than is owed? (Loan repayments don't count
+    // towards the balance, so they were checked against their loan above)
+    let overpayment = null;
+    let overpaymentDescription = null;
+    
+    if (amountChanged && !transaction.loan) {
+      overpayment = await checkOverpayment({
+        from: transaction.from._id,
+        to: transaction.to._id,
+        amount: amountInPaise,
+        currency: transaction.currency,
+        previousAmount: transaction.amount
+      });
+      overpaymentDescription = describeOverpayment(overpayment, transaction.currency);
+      
+      if (overpayment.overpays && strict) {
+        return res.status(400).json({
+          error: 'Overpayment',
+          message: overpaymentDescription.message,
+          details: overpaymentDescription.details
+        });
+      }
+    }
+    
+    // Work out what actually changed
+    const changes = {};
+    
+    if (amountChanged) {
+      changes.amount = { old: transaction.amount, new: amountInPaise };
+      transaction.amount = amountInPaise;
+      
+      // A new amount has to be confirmed by the receiver again, even if
+      // they were the one who recorded the transaction
+      const editedByReceiver = transaction.to._id.toString() === userId;
+      transaction.status = editedByReceiver ? 'confirmed' : 'pending';
+      transaction.awaitingConfirmationFrom = editedByReceiver ? null : transaction.to._id;
+      transaction.confirmedAt = editedByReceiver ? new Date() : null;
+    }
+    
+    if (note !== undefined && (note || null) !== (transaction.note || null)) {
+      changes.note = { old: transaction.note || null, new: note || null };
+      transaction.note = note || undefined;
+    }
+    
+    if (settledAt !== undefined && new Date(settledAt).getTime() !== new Date(transaction.settledAt).getTime()) {
+      changes.settledAt = { old: transaction.settledAt, new: new Date(settledAt) };
+      transaction.settledAt = new Date(settledAt);
+    }
+    
+    const currentGroupId = transaction.group ? transaction.group.toString() : null;
+    if (group !== undefined && (group || null) !== currentGroupId) {
+      changes.group = { old: currentGroupId, new: group || null };
+      transaction.group = group || null;
+    }
+    
+    if (Object.keys(changes).length > 0) {
+      await transaction.save();
+      
+      // Let both sides know (async, non-blocking)
+      createTransactionUpdateActivity(transaction, userId, changes).catch(err => {
+        console.error('Failed to create transaction update activity:', err);
+      });
+    }
+    
+    res.json({
+      message: 'Transaction updated successfully',
+      changes: Object.keys(changes),
+      transaction: formatTransaction(transaction, userId),
+      ...(overpayment && overpayment.overpays && {
+        warning: overpaymentDescription.warning,
+        overpayment: overpaymentDescription.details
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Void a transaction (soft delete)
+ * DELETE /api/transactions/:id
+ * 
+ * Request body (optional):
+ * {
+ *   reason: string (why it is being voided)
+ * }
+ * 
+ * The creator or either party can void. Voided transactions stay on record
+ * but no longer count towards balances.
+ */
+exports.voidTransaction = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { reason } = req.body;
+    
+    const lookup = await findTransactionToChange(req.params.id, userId);
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+    
+    const { transaction } = lookup;
+    
+    if (transaction.isVoided) {
+      return res.status(400).json({
+        error: 'Transaction already voided',
+        message: 'This transaction has already been voided'
+      });
+    }
+    
+    transaction.isVoided = true;
+    transaction.voidedBy = req.user._id;
+    transaction.voidedAt = new Date();
+    if (reason) {
+      transaction.voidedReason = reason;
+    }
+    
+    await transaction.save();
+    
+    // Let both sides know (async, non-blocking)
+    createTransactionVoidActivity(transaction, userId).catch(err => {
+      console.error('Failed to create transaction void activity:', err);
+    });
+    
+    res.json({
+      message: 'Transaction voided successfully',
+      transaction: formatTransaction(transaction, userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a voided transaction
+ * POST /api/transactions/:id/restore
+ * 
+ * The creator or either party can restore. The transaction goes back to the
+ * status it had before it was voided.
+ */
+exports.restoreTransaction = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    
+    const lookup = await findTransactionToChange(req.params.id, userId);
+    if (lookup.error) {
+      return res.status(lookup.status).json(lookup.error);
+    }
+    
+    const { transaction } = lookup;
+    
+    if (!transaction.isVoided) {
+      return res.status(400).json({
+        error: 'Transaction not voided',
+        message: 'This transaction is not voided and cannot be restored'
+      });
+    }
+    
+    transaction.isVoided = false;
+    transaction.voidedBy = undefined;
+    transaction.voidedAt = undefined;
+    transaction.voidedReason = undefined;
+    
+    await transaction.save();
+    
+    // Let both sides know (async, non-blocking)
+    createTransactionRestoreActivity(transaction, userId).catch(err => {
+      console.error('Failed to create transaction restore activity:', err);
+    });
+    
+    res.json({
+      message: 'Transaction restored successfully',
+      transaction: formatTransaction(transaction, userId)
     });
   } catch (error) {
     next(error);
@@ -212,5 +757,10 @@ exports.getTransactionById = async (req, res, next) => {
 module.exports = {
   createTransaction: exports.createTransaction,
   getTransactions: exports.getTransactions,
-  getTransactionById: exports.getTransactionById
+  getTransactionById: exports.getTransactionById,
+  confirmTransaction: exports.confirmTransaction,
+  rejectTransaction: exports.rejectTransaction,
+  updateTransaction: exports.updateTransaction,
+  voidTransaction: exports.voidTransaction,
+  restoreTransaction: exports.restoreTransaction
 };
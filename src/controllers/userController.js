@@ -1,5 +1,12 @@
 const User = require('../models/user');
 const { deleteProfilePictureFromCloudinary } = require('../middleware/upload');
+const { requiresVerifiedEmail } = require('../services/emailVerification');
+const {
+  BUILT_IN_CATEGORIES,
+  MAX_CUSTOM_CATEGORIES,
+  normalizeCategory,
+  isBuiltInCategory
+} = require('../utils/categories');
 
 /**
  * Get current authenticated user (kept for backwards compatibility)
@@ -14,6 +21,119 @@ exports.getMe = (req, res) => {
   });
 };
 
+/**
+ * Update current user's settings
+ * PATCH /api/users/me
+ * Body: { homeCurrency? }
+ * Requires: Authorization header
+ * Changing the home currency only affects new expenses and converted balances;
+ * rates already stored on expenses are kept.
+ */
+exports.updateMe = async (req, res, next) => {
+  try {
+    const { homeCurrency } = req.body;
+
+    if (homeCurrency !== undefined) {
+      req.user.homeCurrency = homeCurrency.toUpperCase();
+    }
+
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      user: req.user.toSafeObject()
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get the expense categories you can use
+ * GET /api/users/me/categories
+ * Requires: Authorization header
+ */
+exports.getCategories = (req, res) => {
+  res.json({
+    success: true,
+    builtIn: BUILT_IN_CATEGORIES,
+    custom: req.user.customCategories
+  });
+};
+
+/**
+ * Add a custom expense category
+ * POST /api/users/me/categories
+ * Body: { name }
+ * Requires: Authorization header
+ * Names are stored lowercase; adding one you already have is a no-op.
+ */
+exports.addCategory = async (req, res, next) => {
+  try {
+    const name = normalizeCategory(req.body.name);
+
+    if (isBuiltInCategory(name)) {
+      return res.status(400).json({
+        error: 'Category exists',
+        message: `"${name}" is already a built-in category`
+      });
+    }
+
+    if (!req.user.customCategories.includes(name)) {
+      if (req.user.customCategories.length >= MAX_CUSTOM_CATEGORIES) {
+        return res.status(400).json({
+          error: 'Too many categories',
+          message: `You can have at most ${MAX_CUSTOM_CATEGORIES} custom categories`
+        });
+      }
+
+      req.user.customCategories.push(name);
+      await req.user.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Category added successfully',
+      builtIn: BUILT_IN_CATEGORIES,
+      custom: req.user.customCategories
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Remove a custom expense category
+ * DELETE /api/users/me/categories/:name
+ * Requires: Authorization header
+ * Expenses already filed under it keep the category.
+ */
+exports.removeCategory = async (req, res, next) => {
+  try {
+    const name = normalizeCategory(req.params.name);
+
+    if (!req.user.customCategories.includes(name)) {
+      return res.status(404).json({
+        error: 'Category not found',
+        message: `"${name}" is not one of your custom categories`
+      });
+    }
+
+    req.user.customCategories.pull(name);
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Category removed successfully',
+      builtIn: BUILT_IN_CATEGORIES,
+      custom: req.user.customCategories
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Search for a user by exact email match
  * GET /api/users?email=user@example.com
@@ -27,7 +147,8 @@ exports.searchByEmail = async (req, res, next) => {
     // Find user by exact email match
     const user = await User.findOne({ email: email.toLowerCase() });
 
-    if (!user) {
+    // Users who haven't verified their email may be hidden (REQUIRE_VERIFIED_EMAIL)
+    if (!user || (requiresVerifiedEmail('search') && !user.emailVerified)) {
       return res.json({ 
         success: true,
         found: false,
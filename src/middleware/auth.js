@@ -1,10 +1,12 @@
 const jwt = require('jsonwebtoken');
-const { jwtSecret } = require('../config');
+const { jwtSecret, adminEmails } = require('../config');
 const User = require('../models/user');
+const { findActiveSession } = require('../services/sessionService');
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request object
+ * Verifies the access token, checks its session hasn't been signed out, and
+ * attaches the user (req.user) and session ID (req.sessionId) to the request
  * Expects: Authorization: Bearer <token>
  */
 exports.requireAuth = async (req, res, next) => {
@@ -38,6 +40,14 @@ exports.requireAuth = async (req, res, next) => {
     // Verify token
     const payload = jwt.verify(token, jwtSecret);
 
+    // Tokens from before sessions existed can't be signed out, so they aren't accepted
+    if (!payload.sid) {
+      return res.status(401).json({ 
+        error: 'Session ended',
+        message: 'This session has been signed out or has expired. Please login again' 
+      });
+    }
+
     // Find user and exclude password
     const user = await User.findById(payload.id);
     if (!user) {
@@ -47,8 +57,18 @@ exports.requireAuth = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    // The session must not have been signed out
+    const session = await findActiveSession(payload.sid, user._id);
+    if (!session) {
+      return res.status(401).json({ 
+        error: 'Session ended',
+        message: 'This session has been signed out or has expired. Please login again' 
+      });
+    }
+
+    // Attach user and session to request object
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (err) {
     // Handle specific JWT errors
@@ -61,10 +81,24 @@ exports.requireAuth = async (req, res, next) => {
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({ 
         error: 'Token expired',
-        message: 'Your session has expired. Please login again' 
+        message: 'Your access token has expired. Use your refresh token to get a new one' 
       });
     }
     // Pass other errors to global error handler
     next(err);
   }
 };
+
+/**
+ * Admin middleware
+ * Must run after requireAuth. Admins are listed by email in ADMIN_EMAILS.
+ */
+exports.requireAdmin = (req, res, next) => {
+  if (!req.user || !adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({
+      error: 'Permission denied',
+      message: 'Only admins can perform this action'
+    });
+  }
+  next();
+};
@@ -21,6 +21,14 @@ exports.errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Mongoose optimistic concurrency: the document changed between load and save
+  if (err.name === 'VersionError') {
+    return res.status(409).json({
+      error: 'Version conflict',
+      message: 'This was changed by someone else at the same time. Reload it and try again.'
+    });
+  }
+
   // Mongoose cast error (invalid ObjectId)
   if (err.name === 'CastError') {
     return res.status(400).json({
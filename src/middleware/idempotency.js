@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey');
+const { idempotencyWindowHours } = require('../config');
+
+/**
+ * Idempotency middleware
+ *
+ * Lets clients retry a request safely by sending the same Idempotency-Key header.
+ * The first request with a key runs as usual and its response is stored; retries
+ * with the same key and body get the stored response back (with an
+ * Idempotent-Replayed: true header) instead of running again.
+ *
+ * - Same key, different body: 422
+ * - Same key while the first request is still running: 409
+ * - 5xx responses aren't stored, so the request can be retried; nor is a response
+ *   that couldn't be saved, rather than leave the key in progress
+ * - Requests without the header run as usual
+ *
+ * Keys are per user, so it must come after requireAuth on authenticated routes.
+ * Usage: router.post('/', idempotent(), validateX, controller.x)
+ */
+
+const HEADER = 'Idempotency-Key';
+
+/**
+ * JSON with object keys sorted, so the same body always hashes the same
+ * @param {*} value - Any JSON value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash what makes two requests "the same"
+ * @param {Object} req - Express request
+ * @returns {string} Hex SHA-256
+ */
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.originalUrl}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Create the middleware
+ * @param {Object} options - { windowHours } how long keys are kept (default from config)
+ * @returns {Function} Express middleware
+ */
+const idempotent = (options = {}) => {
+  const windowMs = (options.windowHours || idempotencyWindowHours) * 60 * 60 * 1000;
+
+  return async (req, res, next) => {
+    const key = req.get(HEADER);
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key.trim() || key.length > 255) {
+      return res.status(400).json({
+        error: 'Invalid idempotency key',
+        message: `${HEADER} must be between 1 and 255 characters`
+      });
+    }
+
+    try {
+      const user = req.user ? req.user._id : null;
+      const requestHash = hashRequest(req);
+
+      let record = null;
+
+      // At most two attempts: the second after clearing an expired entry
+      for (let attempt = 0; attempt < 2 && !record; attempt++) {
+        try {
+          record = await IdempotencyKey.create({
+            key,
+            user,
+            method: req.method,
+            path: req.originalUrl,
+            requestHash,
+            expiresAt: new Date(Date.now() + windowMs)
+          });
+        } catch (err) {
+          if (err.code !== 11000) {
+            throw err;
+          }
+
+          const existing = await IdempotencyKey.findOne({ user, key });
+
+          // Removed in the meantime, or expired but not yet cleaned up by MongoDB
+          if (!existing || existing.expiresAt <= new Date()) {
+            if (existing) {
+              await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+            }
+            continue;
+          }
+
+          if (existing.requestHash !== requestHash) {
+            return res.status(422).json({
+              error: 'Idempotency key reused',
+              message: `This ${HEADER} was already used for a different request`
+            });
+          }
+
+          if (existing.status === 'in_progress') {
+            return res.status(409).set('Retry-After', '1').json({
+              error: 'Request in progress',
+              message: `A request with this ${HEADER} is still being processed. Retry shortly.`
+            });
+          }
+
+          return res
+            .status(existing.responseStatus)
+            .set('Idempotent-Replayed', 'true')
+            .json(existing.responseBody);
+        }
+      }
+
+      if (!record) {
+        return res.status(409).set('Retry-After', '1').json({
+          error: 'Request in progress',
+          message: `A request with this ${HEADER} is still being processed. Retry shortly.`
+        });
+      }
+
+      // Free the key, so a retry runs the request again
+      const release = () => IdempotencyKey.deleteOne({ _id: record._id }).catch(err => {
+        console.error('Failed to release idempotency key:', err);
+      });
+
+      // Store the response as it is sent (even if the client has gone away by then)
+      let stored = false;
+      const store = (body) => {
+        stored = true;
+
+        if (res.statusCode >= 500) {
+          release();
+          return;
+        }
+
+        IdempotencyKey.updateOne(
+          { _id: record._id },
+          // Stored as the JSON that was sent, not as the (possibly populated) documents
+          { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) } }
+        ).catch(err => {
+          // Left in progress, every retry would get a 409 until the key expires
+          console.error('Failed to save idempotency key:', err);
+          release();
+        });
+      };
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (!stored) {
+          store(body);
+        }
+        return json(body);
+      };
+
+      // Responses that aren't JSON can't be replayed; free the key for a retry
+      res.on('finish', () => {
+        if (!stored) {
+          stored = true;
+          release();
+        }
+      });
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+module.exports = {
+  idempotent,
+  hashRequest
+};
@@ -1,4 +1,17 @@
 const { body, query, param, validationResult } = require('express-validator');
+const { SPLIT_METHODS } = require('../services/expenseValidation');
+const { getSort } = require('../services/expenseSearch');
+const { isValidCurrency } = require('../utils/currency');
+const { decodeCursor } = require('../utils/cursor');
+const {
+  MAX_CATEGORY_LENGTH,
+  normalizeCategory,
+  isValidCategoryName,
+  isAvailableCategory
+} = require('../utils/categories');
+
+// Recurring templates have no items, so they can't use an itemised split
+const RECURRING_SPLIT_METHODS = SPLIT_METHODS.filter(method => method !== 'itemised');
 
 // Middleware to check validation results
 const validate = (req, res, next) => {
@@ -16,7 +29,155 @@ const validate = (req, res, next) => {
   next();
 };
 
+/**
+ * Check the raw split inputs on each participant
+ * Which inputs are required depends on the split method and is checked when the
+ * split is calculated; here we only make sure whatever is sent has the right type.
+ */
+const validateParticipantInputs = (participants) => {
+  for (const participant of participants) {
+    if (!participant || !participant.user) {
+      throw new Error('Each participant must have a user field');
+    }
+    for (const field of ['share', 'percent', 'weight']) {
+      const value = participant[field];
+      if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+        throw new Error(`Each participant ${field} must be a non-negative number`);
+      }
+    }
+    const { adjustment } = participant;
+    if (adjustment !== undefined && adjustment !== null && typeof adjustment !== 'number') {
+      throw new Error('Each participant adjustment must be a number');
+    }
+  }
+  return true;
+};
+
+/**
+ * Check the payers of a multi-payer expense: [{user, paid (in rupees)}]
+ * Whether the paid amounts add up to the expense amount is checked by the service.
+ */
+const validatePayerInputs = (payers, { req }) => {
+  for (const payer of payers) {
+    if (!payer || !payer.user) {
+      throw new Error('Each payer must have a user field');
+    }
+    if (typeof payer.paid !== 'number' || payer.paid <= 0) {
+      throw new Error('Each payer paid amount must be greater than 0');
+    }
+  }
+  if (req.body.payer && !payers.some(p => p.user.toString() === req.body.payer.toString())) {
+    throw new Error('Payer must be one of the payers');
+  }
+  return true;
+};
+
+/**
+ * Check the items of an itemised bill: [{name, price (in rupees), quantity?, assignedTo: [{user, weight?}]}]
+ * How the items turn into shares is checked when the split is calculated.
+ */
+const validateItemInputs = (items) => {
+  for (const item of items) {
+    if (!item || typeof item.name !== 'string' || !item.name.trim()) {
+      throw new Error('Each item must have a name');
+    }
+    if (typeof item.price !== 'number' || item.price <= 0) {
+      throw new Error('Each item price must be greater than 0');
+    }
+    if (item.quantity !== undefined && item.quantity !== null && (typeof item.quantity !== 'number' || item.quantity <= 0)) {
+      throw new Error('Each item quantity must be a positive number');
+    }
+    if (!Array.isArray(item.assignedTo) || item.assignedTo.length === 0) {
+      throw new Error('Each item must be assigned to at least one person');
+    }
+    for (const assignee of item.assignedTo) {
+      if (!assignee || !assignee.user) {
+        throw new Error('Each item assignee must have a user field');
+      }
+      const { weight } = assignee;
+      if (weight !== undefined && weight !== null && (typeof weight !== 'number' || weight < 0)) {
+        throw new Error('Each item assignee weight must be a non-negative number');
+      }
+    }
+  }
+  return true;
+};
+
+// Tax, service charge and tip on an itemised bill (in rupees)
+const itemChargeRules = ['tax', 'serviceCharge', 'tip'].map(field =>
+  body(field)
+    .optional()
+    .isFloat({ min: 0 }).withMessage(`${field} must be a non-negative amount`)
+);
+
+// ISO 4217 currency code, e.g. INR, THB, AED
+const currencyRule = (field) =>
+  body(field)
+    .optional()
+    .custom(isValidCurrency).withMessage(`${field} must be a valid ISO 4217 currency code`)
+    .toUpperCase();
+
+// Built-in category or one of the current user's custom categories (stored lowercase)
+const categoryRule = body('category')
+  .optional()
+  .isString().withMessage('Category must be a string')
+  .customSanitizer(normalizeCategory)
+  .custom((category, { req }) => {
+    if (!isAvailableCategory(category, req.user)) {
+      throw new Error(`Unknown category "${category}". Use a built-in category or add it to your custom categories first`);
+    }
+    return true;
+  });
+
+// Comma-separated category names in a query string
+const categoryListRule = (field) =>
+  query(field)
+    .optional()
+    .isString().withMessage(`${field} must be a comma-separated list of categories`)
+    .custom(value => value.split(',').map(normalizeCategory).filter(Boolean).every(isValidCategoryName))
+    .withMessage(`${field} must be a comma-separated list of categories`);
+
+// When an expense happened or a payment was made, if not now
+const dateRule = (field) =>
+  body(field)
+    .optional()
+    .isISO8601().withMessage(`${field} must be a valid ISO 8601 date`);
+
+// nextCursor from the previous page of a listing, made for the same sort
+const cursorRule = (sortOf = () => null) =>
+  query('cursor')
+    .optional()
+    .custom((cursor, { req }) => {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        throw new Error('Invalid cursor');
+      }
+      const sort = sortOf(req);
+      if (sort && decoded.sort !== sort) {
+        throw new Error('This cursor is for a different sort order; start again without a cursor');
+      }
+      return true;
+    });
+
+// Currency is fixed when an expense or transaction is created
+const currencyUnchangedRule = body('currency')
+  .not().exists().withMessage('Currency cannot be changed once created');
+
 // Auth validation rules
+
+// Optional name of the device a session is started on
+const deviceNameRule = body('deviceName')
+  .optional({ values: 'null' })
+  .isString().withMessage('Device name must be a string')
+  .trim()
+  .isLength({ max: 100 }).withMessage('Device name cannot exceed 100 characters');
+
+// A password being set (at least 6 characters, as at registration)
+const newPasswordRule = (field) => body(field)
+  .notEmpty().withMessage('New password is required')
+  .isString().withMessage('New password must be a string')
+  .isLength({ min: 6 }).withMessage('New password must be at least 6 characters');
+
 const registerValidation = [
   body('name')
     .trim()
@@ -30,6 +191,7 @@ const registerValidation = [
   body('password')
     .notEmpty().withMessage('Password is required')
     .isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  deviceNameRule,
   validate
 ];
 
@@ -41,6 +203,57 @@ const loginValidation = [
     .normalizeEmail(),
   body('password')
     .notEmpty().withMessage('Password is required'),
+  deviceNameRule,
+  validate
+];
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .notEmpty().withMessage('Refresh token is required')
+    .isString().withMessage('Refresh token must be a string')
+    .isLength({ max: 200 }).withMessage('Invalid refresh token'),
+  validate
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty().withMessage('Current password is required'),
+  newPasswordRule('newPassword')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current one'),
+  validate
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail(),
+  validate
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .notEmpty().withMessage('Reset token is required')
+    .isString().withMessage('Reset token must be a string')
+    .isLength({ max: 200 }).withMessage('Invalid reset token'),
+  newPasswordRule('newPassword'),
+  validate
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .notEmpty().withMessage('Verification token is required')
+    .isString().withMessage('Verification token must be a string')
+    .isLength({ max: 200 }).withMessage('Invalid verification token'),
+  validate
+];
+
+const sessionIdValidation = [
+  param('id')
+    .notEmpty().withMessage('Session ID is required')
+    .isMongoId().withMessage('Invalid session ID format'),
   validate
 ];
 
@@ -54,6 +267,11 @@ const emailSearchValidation = [
   validate
 ];
 
+// Expected version for optimistic concurrency (alternative to an If-Match header)
+const versionRule = body('version')
+  .optional({ values: 'null' })
+  .isInt({ min: 0 }).withMessage('Version must be a non-negative integer');
+
 // Expense validation rules
 const createExpenseValidation = [
   body('title')
@@ -61,40 +279,61 @@ const createExpenseValidation = [
     .notEmpty().withMessage('Expense title is required')
     .isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
   
+  // Itemised bills derive the amount from their items; if sent it must match
   body('amount')
-    .notEmpty().withMessage('Amount is required')
-    .isFloat({ min: 0.01 }).withMessage('Amount must be at least ₹0.01'),
+    .if(body('splitMethod').not().equals('itemised'))
+    .notEmpty().withMessage('Amount is required'),
+  
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
   
   body('payer')
+    .if(body('payers').not().exists())
     .notEmpty().withMessage('Payer is required')
     .isMongoId().withMessage('Invalid payer ID format'),
   
+  body('payers')
+    .optional()
+    .isArray({ min: 1 }).withMessage('At least one payer is required')
+    .custom(validatePayerInputs),
+  
+  body('payers.*.user')
+    .isMongoId().withMessage('Invalid payer user ID format'),
+  
+  // Participants of an itemised bill are the people its items are assigned to
   body('participants')
+    .if(body('splitMethod').not().equals('itemised'))
     .isArray({ min: 1 }).withMessage('At least one participant is required')
-    .custom((participants) => {
-      // Validate each participant has required fields
-      for (const participant of participants) {
-        if (!participant.user || participant.share === undefined || participant.share === null) {
-          throw new Error('Each participant must have user and share fields');
-        }
-        if (typeof participant.share !== 'number' || participant.share < 0) {
-          throw new Error('Each participant share must be a non-negative number');
-        }
-      }
-      return true;
-    }),
+    .custom(validateParticipantInputs),
   
   body('participants.*.user')
     .notEmpty().withMessage('Participant user ID is required')
     .isMongoId().withMessage('Invalid participant user ID format'),
   
-  body('participants.*.share')
-    .notEmpty().withMessage('Participant share is required')
-    .isFloat({ min: 0 }).withMessage('Participant share must be at least ₹0'),
-  
   body('splitMethod')
     .notEmpty().withMessage('Split method is required')
-    .isIn(['equal', 'unequal', 'percent']).withMessage('Split method must be equal, unequal, or percent'),
+    .isIn(SPLIT_METHODS).withMessage('Split method must be equal, unequal, percent, shares, adjustment, or itemised'),
+  
+  body('items')
+    .if(body('splitMethod').equals('itemised'))
+    .isArray({ min: 1 }).withMessage('At least one item is required for an itemised split')
+    .custom(validateItemInputs),
+  
+  body('items.*.assignedTo.*.user')
+    .isMongoId().withMessage('Invalid item assignee user ID format'),
+  
+  ...itemChargeRules,
+  
+  body('group')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid group ID format'),
+  
+  categoryRule,
+  
+  dateRule('expenseDate'),
+  
+  currencyRule('currency'),
   
   validate
 ];
@@ -107,13 +346,48 @@ const validateCreateTransaction = [
   
   body('amount')
     .notEmpty().withMessage('Amount is required')
-    .isFloat({ min: 0.01 }).withMessage('Amount must be at least ₹0.01'),
+    .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
   
   body('note')
     .optional()
     .trim()
     .isLength({ max: 200 }).withMessage('Note must not exceed 200 characters'),
   
+  body('group')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid group ID format'),
+  
+  body('strict')
+    .optional()
+    .isBoolean().withMessage('strict must be true or false')
+    .toBoolean(),
+  
+  dateRule('settledAt'),
+  
+  currencyRule('currency'),
+  
+  validate
+];
+
+const validateGetTransactions = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'confirmed', 'rejected']).withMessage('Status must be pending, confirmed, or rejected'),
+  
+  query('awaitingMe')
+    .optional()
+    .isBoolean().withMessage('awaitingMe must be true or false'),
+  
+  query('includeVoided')
+    .optional()
+    .isBoolean().withMessage('includeVoided must be true or false'),
+  
+  cursorRule(() => 'settledAt:desc'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  
   validate
 ];
 
@@ -125,7 +399,126 @@ const validateGetTransactionById = [
   validate
 ];
 
+const validateUpdateTransaction = [
+  param('id')
+    .notEmpty().withMessage('Transaction ID is required')
+    .isMongoId().withMessage('Invalid transaction ID format'),
+  
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  
+  body('note')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 200 }).withMessage('Note must not exceed 200 characters'),
+  
+  body('group')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid group ID format'),
+  
+  body('strict')
+    .optional()
+    .isBoolean().withMessage('strict must be true or false')
+    .toBoolean(),
+  
+  dateRule('settledAt'),
+  
+  body(['from', 'to'])
+    .not().exists().withMessage('The payer and receiver of a transaction cannot be changed'),
+  
+  currencyUnchangedRule,
+  
+  validate
+];
+
+const validateVoidTransaction = [
+  param('id')
+    .notEmpty().withMessage('Transaction ID is required')
+    .isMongoId().withMessage('Invalid transaction ID format'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Void reason cannot exceed 200 characters'),
+  
+  validate
+];
+
+const validateRejectTransaction = [
+  param('id')
+    .notEmpty().withMessage('Transaction ID is required')
+    .isMongoId().withMessage('Invalid transaction ID format'),
+  
+  body('reason')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 200 }).withMessage('Rejection reason cannot exceed 200 characters'),
+  
+  validate
+];
+
+// Settle-up validation rules
+const settleUpValidation = [
+  param('userId')
+    .isMongoId().withMessage('Invalid user ID format'),
+  
+  query('currency')
+    .optional()
+    .custom(isValidCurrency).withMessage('currency must be a valid ISO 4217 currency code')
+    .toUpperCase(),
+  
+  validate
+];
+
+const statementValidation = [
+  param('userId')
+    .isMongoId().withMessage('Invalid user ID format'),
+  
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a valid ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a valid ISO 8601 date')
+    .custom((to, { req }) => {
+      if (req.query.from && new Date(to) < new Date(req.query.from)) {
+        throw new Error('to cannot be before from');
+      }
+      return true;
+    }),
+  
+  query('currency')
+    .optional()
+    .custom(isValidCurrency).withMessage('currency must be a valid ISO 4217 currency code'),
+  
+  query('includePending')
+    .optional()
+    .isBoolean().withMessage('includePending must be true or false'),
+  
+  validate
+];
+
 // Activity validation rules
+const validateGetActivities = [
+  query('group')
+    .optional()
+    .isMongoId().withMessage('Invalid group ID format'),
+  
+  query('unreadOnly')
+    .optional()
+    .isBoolean().withMessage('unreadOnly must be true or false'),
+  
+  cursorRule(() => 'createdAt:desc'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  
+  validate
+];
+
 const validateMarkAsRead = [
   param('id')
     .notEmpty().withMessage('Activity ID is required')
@@ -148,23 +541,20 @@ const updateExpenseValidation = [
   
   body('amount')
     .optional()
-    .isFloat({ min: 0.01 }).withMessage('Amount must be at least ₹0.01'),
+    .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  
+  body('payers')
+    .optional()
+    .isArray({ min: 1 }).withMessage('At least one payer is required')
+    .custom(validatePayerInputs),
+  
+  body('payers.*.user')
+    .isMongoId().withMessage('Invalid payer user ID format'),
   
   body('participants')
     .optional()
     .isArray({ min: 1 }).withMessage('At least one participant is required')
-    .custom((participants) => {
-      // Validate each participant has required fields
-      for (const participant of participants) {
-        if (!participant.user || participant.share === undefined || participant.share === null) {
-          throw new Error('Each participant must have user and share fields');
-        }
-        if (typeof participant.share !== 'number' || participant.share < 0) {
-          throw new Error('Each participant share must be a non-negative number');
-        }
-      }
-      return true;
-    }),
+    .custom(validateParticipantInputs),
   
   body('participants.*.user')
     .optional()
@@ -172,7 +562,114 @@ const updateExpenseValidation = [
   
   body('splitMethod')
     .optional()
-    .isIn(['equal', 'unequal', 'percent']).withMessage('Split method must be equal, unequal, or percent'),
+    .isIn(SPLIT_METHODS).withMessage('Split method must be equal, unequal, percent, shares, adjustment, or itemised'),
+  
+  body('items')
+    .optional()
+    .isArray({ min: 1 }).withMessage('At least one item is required for an itemised split')
+    .custom(validateItemInputs),
+  
+  body('items.*.assignedTo.*.user')
+    .isMongoId().withMessage('Invalid item assignee user ID format'),
+  
+  ...itemChargeRules,
+  
+  categoryRule,
+  
+  dateRule('expenseDate'),
+  
+  currencyUnchangedRule,
+  
+  versionRule,
+  
+  validate
+];
+
+// Expense list validation rules
+const listExpensesValidation = [
+  cursorRule(req => getSort(req.query.sort, req.query.order).name),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  
+  query(['includeDeleted', 'includeTransactions'])
+    .optional()
+    .isBoolean().withMessage('includeDeleted and includeTransactions must be true or false'),
+  
+  query('group')
+    .optional()
+    .isMongoId().withMessage('Invalid group ID format'),
+  
+  categoryListRule('category'),
+  
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a valid ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a valid ISO 8601 date')
+    .custom((to, { req }) => {
+      if (req.query.from && new Date(to) < new Date(req.query.from)) {
+        throw new Error('to cannot be before from');
+      }
+      return true;
+    }),
+  
+  query('minAmount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('minAmount must be a non-negative amount'),
+  
+  query('maxAmount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('maxAmount must be a non-negative amount')
+    .custom((max, { req }) => {
+      if (req.query.minAmount !== undefined && parseFloat(max) < parseFloat(req.query.minAmount)) {
+        throw new Error('maxAmount cannot be less than minAmount');
+      }
+      return true;
+    }),
+  
+  query('currency')
+    .optional()
+    .custom(isValidCurrency).withMessage('currency must be a valid ISO 4217 currency code'),
+  
+  query('payer')
+    .optional()
+    .isMongoId().withMessage('Invalid payer ID format'),
+  
+  query('participant')
+    .optional()
+    .isMongoId().withMessage('Invalid participant ID format'),
+  
+  query('splitMethod')
+    .optional()
+    .isIn(SPLIT_METHODS).withMessage('Split method must be equal, unequal, percent, shares, adjustment, or itemised'),
+  
+  query('position')
+    .optional()
+    .isIn(['you_owe', 'owes_you']).withMessage('position must be you_owe or owes_you'),
+  
+  query('q')
+    .optional()
+    .isString().withMessage('q must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('q must be between 1 and 100 characters'),
+  
+  query('sort')
+    .optional()
+    .isIn(['date', 'amount', 'title', 'relevance']).withMessage('sort must be date, amount, title, or relevance')
+    .custom((sort, { req }) => {
+      if (sort === 'relevance' && !req.query.q) {
+        throw new Error('sort=relevance needs a search (q)');
+      }
+      return true;
+    }),
+  
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
   
   validate
 ];
@@ -188,6 +685,8 @@ const deleteExpenseValidation = [
     .trim()
     .isLength({ max: 200 }).withMessage('Deletion reason cannot exceed 200 characters'),
   
+  versionRule,
+  
   validate
 ];
 
@@ -197,6 +696,8 @@ const restoreExpenseValidation = [
     .notEmpty().withMessage('Expense ID is required')
     .isMongoId().withMessage('Invalid expense ID format'),
   
+  versionRule,
+  
   validate
 ];
 
@@ -209,6 +710,68 @@ const validateExpenseId = [
   validate
 ];
 
+// Expense revert validation rules
+const revertExpenseValidation = [
+  param('id')
+    .notEmpty().withMessage('Expense ID is required')
+    .isMongoId().withMessage('Invalid expense ID format'),
+  
+  body('revision')
+    .notEmpty().withMessage('Revision is required')
+    .isInt({ min: 1 }).withMessage('Revision must be a positive integer'),
+  
+  versionRule,
+  
+  validate
+];
+
+// Comment validation rules
+const commentTextRule = body('text')
+  .trim()
+  .notEmpty().withMessage('Comment text is required')
+  .isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters');
+
+const expenseIdParamRule = param('id')
+  .notEmpty().withMessage('Expense ID is required')
+  .isMongoId().withMessage('Invalid expense ID format');
+
+const commentIdParamRule = param('commentId')
+  .notEmpty().withMessage('Comment ID is required')
+  .isMongoId().withMessage('Invalid comment ID format');
+
+const listCommentsValidation = [
+  expenseIdParamRule,
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  
+  validate
+];
+
+const addCommentValidation = [
+  expenseIdParamRule,
+  commentTextRule,
+  validate
+];
+
+const updateCommentValidation = [
+  expenseIdParamRule,
+  commentIdParamRule,
+  commentTextRule,
+  validate
+];
+
+const deleteCommentValidation = [
+  expenseIdParamRule,
+  commentIdParamRule,
+  validate
+];
+
 // Friend validation rules
 const validateAddFriend = [
   body('email')
@@ -246,19 +809,464 @@ const validateFriendId = [
   validate
 ];
 
+// Group validation rules
+const createGroupValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Group name is required')
+    .isLength({ min: 1, max: 100 }).withMessage('Group name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Description must not exceed 200 characters'),
+  
+  body('members')
+    .optional()
+    .isArray().withMessage('Members must be an array of user IDs'),
+  
+  body('members.*')
+    .isMongoId().withMessage('Invalid member user ID format'),
+  
+  validate
+];
+
+const validateGroupId = [
+  param('id')
+    .notEmpty().withMessage('Group ID is required')
+    .isMongoId().withMessage('Invalid group ID format'),
+  
+  validate
+];
+
+const addGroupMemberValidation = [
+  param('id')
+    .notEmpty().withMessage('Group ID is required')
+    .isMongoId().withMessage('Invalid group ID format'),
+  
+  body('userId')
+    .notEmpty().withMessage('User ID is required')
+    .isMongoId().withMessage('Invalid user ID format'),
+  
+  validate
+];
+
+const removeGroupMemberValidation = [
+  param('id')
+    .notEmpty().withMessage('Group ID is required')
+    .isMongoId().withMessage('Invalid group ID format'),
+  
+  param('userId')
+    .notEmpty().withMessage('User ID is required')
+    .isMongoId().withMessage('Invalid user ID format'),
+  
+  validate
+];
+
+// Recurring expense validation rules
+const createRecurringExpenseValidation = [
+  body('title')
+    .trim()
+    .notEmpty().withMessage('Expense title is required')
+    .isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
+  
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  
+  body('payer')
+    .notEmpty().withMessage('Payer is required')
+    .isMongoId().withMessage('Invalid payer ID format'),
+  
+  body('participants')
+    .isArray({ min: 1 }).withMessage('At least one participant is required')
+    .custom(validateParticipantInputs),
+  
+  body('participants.*.user')
+    .notEmpty().withMessage('Participant user ID is required')
+    .isMongoId().withMessage('Invalid participant user ID format'),
+  
+  body('splitMethod')
+    .notEmpty().withMessage('Split method is required')
+    .isIn(RECURRING_SPLIT_METHODS).withMessage('Split method must be equal, unequal, percent, shares, or adjustment'),
+  
+  body('cadence')
+    .notEmpty().withMessage('Cadence is required')
+    .isIn(['daily', 'weekly', 'monthly', 'yearly']).withMessage('Cadence must be daily, weekly, monthly, or yearly'),
+  
+  body('startDate')
+    .notEmpty().withMessage('Start date is required')
+    .isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+  
+  body('endDate')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('End date must be a valid ISO 8601 date')
+    .custom((endDate, { req }) => {
+      if (new Date(endDate) < new Date(req.body.startDate)) {
+        throw new Error('End date cannot be before start date');
+      }
+      return true;
+    }),
+  
+  body('group')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid group ID format'),
+  
+  currencyRule('currency'),
+  
+  validate
+];
+
+const updateRecurringExpenseValidation = [
+  param('id')
+    .notEmpty().withMessage('Recurring expense ID is required')
+    .isMongoId().withMessage('Invalid recurring expense ID format'),
+  
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Title cannot be empty')
+    .isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
+  
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  
+  body('participants')
+    .optional()
+    .isArray({ min: 1 }).withMessage('At least one participant is required')
+    .custom(validateParticipantInputs),
+  
+  body('participants.*.user')
+    .optional()
+    .isMongoId().withMessage('Each participant user must be a valid MongoDB ID'),
+  
+  body('splitMethod')
+    .optional()
+    .isIn(RECURRING_SPLIT_METHODS).withMessage('Split method must be equal, unequal, percent, shares, or adjustment'),
+  
+  body('endDate')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('End date must be a valid ISO 8601 date'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('isActive must be true or false'),
+  
+  body(['cadence', 'startDate'])
+    .not().exists().withMessage('Cadence and start date cannot be changed. Create a new recurring expense instead.'),
+  
+  currencyUnchangedRule,
+  
+  validate
+];
+
+const validateRecurringExpenseId = [
+  param('id')
+    .notEmpty().withMessage('Recurring expense ID is required')
+    .isMongoId().withMessage('Invalid recurring expense ID format'),
+  
+  validate
+];
+
+// User settings validation rules
+const updateMeValidation = [
+  currencyRule('homeCurrency'),
+  
+  validate
+];
+
+// Custom category validation rules
+const addCategoryValidation = [
+  body('name')
+    .isString().withMessage('Category name is required')
+    .customSanitizer(normalizeCategory)
+    .custom(isValidCategoryName)
+    .withMessage(`Category name must be 1 to ${MAX_CATEGORY_LENGTH} letters, digits, spaces, & or -`),
+  
+  validate
+];
+
+const removeCategoryValidation = [
+  param('name')
+    .customSanitizer(normalizeCategory)
+    .custom(isValidCategoryName).withMessage('Invalid category name'),
+  
+  validate
+];
+
+// Report validation rules
+const categoryReportValidation = [
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a valid ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a valid ISO 8601 date')
+    .custom((to, { req }) => {
+      if (req.query.from && new Date(to) < new Date(req.query.from)) {
+        throw new Error('to cannot be before from');
+      }
+      return true;
+    }),
+  
+  query('group')
+    .optional()
+    .isMongoId().withMessage('Invalid group ID format'),
+  
+  categoryListRule('category'),
+  
+  validate
+];
+
+const monthlyStatementValidation = [
+  query('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('month must be in the form YYYY-MM'),
+  
+  query('includePending')
+    .optional()
+    .isBoolean().withMessage('includePending must be true or false'),
+  
+  validate
+];
+
+// Export validation rules
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'json']).withMessage('format must be csv or json'),
+  
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a valid ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a valid ISO 8601 date')
+    .custom((to, { req }) => {
+      if (req.query.from && new Date(to) < new Date(req.query.from)) {
+        throw new Error('to cannot be before from');
+      }
+      return true;
+    }),
+  
+  query('friend')
+    .optional()
+    .isMongoId().withMessage('Invalid friend ID format'),
+  
+  validate
+];
+
+// Exchange rate validation rules
+const loadExchangeRatesValidation = [
+  body('base')
+    .notEmpty().withMessage('Base currency is required')
+    .custom(isValidCurrency).withMessage('base must be a valid ISO 4217 currency code')
+    .toUpperCase(),
+  
+  body('rates')
+    .isObject().withMessage('Rates must be an object of currency code to rate'),
+  
+  body('asOf')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('asOf must be a valid ISO 8601 date'),
+  
+  validate
+];
+
+// Loan validation rules
+const createLoanValidation = [
+  body('borrower')
+    .notEmpty().withMessage('Borrower is required')
+    .isMongoId().withMessage('Invalid borrower user ID format'),
+  
+  body('lender')
+    .optional()
+    .isMongoId().withMessage('Invalid lender user ID format'),
+  
+  body('principal')
+    .notEmpty().withMessage('Principal is required')
+    .isFloat({ gt: 0 }).withMessage('Principal must be greater than 0'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Note must not exceed 200 characters'),
+  
+  body('startDate')
+    .optional()
+    .isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+  
+  body('dueDate')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Due date must be a valid ISO 8601 date'),
+  
+  body('interestType')
+    .optional()
+    .isIn(['none', 'simple', 'compound']).withMessage('Interest type must be none, simple, or compound'),
+  
+  body('interestRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Interest rate must be between 0 and 100 (percent a year)')
+    .toFloat()
+    .custom((rate, { req }) => {
+      if (rate > 0 && (!req.body.interestType || req.body.interestType === 'none')) {
+        throw new Error('Set interestType to simple or compound to charge interest');
+      }
+      return true;
+    }),
+  
+  body('compounding')
+    .optional()
+    .isIn(['monthly', 'yearly']).withMessage('Compounding must be monthly or yearly')
+    .custom((compounding, { req }) => {
+      if (req.body.interestType !== 'compound') {
+        throw new Error('Compounding only applies to compound interest');
+      }
+      return true;
+    }),
+  
+  body('instalments')
+    .optional()
+    .isArray({ min: 1, max: 120 }).withMessage('Instalments must be a list of 1 to 120 entries')
+    .custom((instalments, { req }) => {
+      if (req.body.instalmentPlan) {
+        throw new Error('Send either instalments or instalmentPlan, not both');
+      }
+      return true;
+    }),
+  
+  body('instalments.*.dueDate')
+    .notEmpty().withMessage('Instalment due date is required')
+    .isISO8601().withMessage('Instalment due date must be a valid ISO 8601 date'),
+  
+  body('instalments.*.amount')
+    .notEmpty().withMessage('Instalment amount is required')
+    .isFloat({ gt: 0 }).withMessage('Instalment amount must be greater than 0'),
+  
+  body('instalmentPlan')
+    .optional()
+    .isObject().withMessage('Instalment plan must be an object with count and frequency'),
+  
+  body('instalmentPlan.count')
+    .if(body('instalmentPlan').exists())
+    .isInt({ min: 1, max: 120 }).withMessage('Instalment count must be between 1 and 120')
+    .toInt(),
+  
+  body('instalmentPlan.frequency')
+    .if(body('instalmentPlan').exists())
+    .isIn(['weekly', 'monthly']).withMessage('Instalment frequency must be weekly or monthly'),
+  
+  currencyRule('currency'),
+  
+  validate
+];
+
+const listLoansValidation = [
+  query('role')
+    .optional()
+    .isIn(['lender', 'borrower']).withMessage('Role must be lender or borrower'),
+  
+  query('status')
+    .optional()
+    .isIn(['active', 'overdue', 'repaid']).withMessage('Status must be active, overdue, or repaid'),
+  
+  validate
+];
+
+const validateLoanId = [
+  param('id')
+    .notEmpty().withMessage('Loan ID is required')
+    .isMongoId().withMessage('Invalid loan ID format'),
+  
+  validate
+];
+
+const loanRepaymentValidation = [
+  param('id')
+    .notEmpty().withMessage('Loan ID is required')
+    .isMongoId().withMessage('Invalid loan ID format'),
+  
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Note must not exceed 200 characters'),
+  
+  dateRule('settledAt'),
+  
+  validate
+];
+
+const deleteLoanValidation = [
+  param('id')
+    .notEmpty().withMessage('Loan ID is required')
+    .isMongoId().withMessage('Invalid loan ID format'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Reason must not exceed 200 characters'),
+  
+  validate
+];
+
 module.exports = {
   registerValidation,
   loginValidation,
+  refreshTokenValidation,
+  sessionIdValidation,
+  changePasswordValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation,
   emailSearchValidation,
   createExpenseValidation,
   updateExpenseValidation,
+  listExpensesValidation,
   deleteExpenseValidation,
   restoreExpenseValidation,
   validateExpenseId,
+  revertExpenseValidation,
+  listCommentsValidation,
+  addCommentValidation,
+  updateCommentValidation,
+  deleteCommentValidation,
   validateCreateTransaction,
+  validateGetTransactions,
   validateGetTransactionById,
+  validateRejectTransaction,
+  settleUpValidation,
+  statementValidation,
+  validateUpdateTransaction,
+  validateVoidTransaction,
+  validateGetActivities,
   validateMarkAsRead,
   validateAddFriend,
   validateUpdateNickname,
-  validateFriendId
+  validateFriendId,
+  createGroupValidation,
+  validateGroupId,
+  addGroupMemberValidation,
+  removeGroupMemberValidation,
+  createRecurringExpenseValidation,
+  updateRecurringExpenseValidation,
+  validateRecurringExpenseId,
+  updateMeValidation,
+  addCategoryValidation,
+  removeCategoryValidation,
+  categoryReportValidation,
+  monthlyStatementValidation,
+  exportValidation,
+  loadExchangeRatesValidation,
+  createLoanValidation,
+  listLoansValidation,
+  validateLoanId,
+  loanRepaymentValidation,
+  deleteLoanValidation
 };
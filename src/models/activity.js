@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { afterCursor } = require('../utils/cursor');
 
 /**
  * Activity Model
@@ -12,7 +13,15 @@ const mongoose = require('mongoose');
  * - EXPENSE_UPDATED: When an expense is modified
  * - EXPENSE_DELETED: When an expense is soft-deleted
  * - EXPENSE_RESTORED: When a deleted expense is restored
+ * - COMMENT_ADDED: When someone comments on an expense
  * - TRANSACTION_CREATED: When a payment/settlement is made
+ * - TRANSACTION_CONFIRMED: When the receiver confirms a pending payment
+ * - TRANSACTION_REJECTED: When the receiver rejects a pending payment
+ * - TRANSACTION_UPDATED: When a payment is edited
+ * - TRANSACTION_VOIDED: When a payment is voided
+ * - TRANSACTION_RESTORED: When a voided payment is restored
+ * - LOAN_CREATED: When a loan is recorded
+ * - LOAN_REPAYMENT: When a repayment is recorded against a loan
  * - FRIEND_ADDED_YOU: When someone adds you as a friend
  * - YOU_ADDED_FRIEND: When you add someone as a friend
  * - USER_ADDED: When a user is added to an expense
@@ -28,7 +37,15 @@ const activitySchema = new mongoose.Schema({
       'EXPENSE_UPDATED', 
       'EXPENSE_DELETED',
       'EXPENSE_RESTORED',
+      'COMMENT_ADDED',
       'TRANSACTION_CREATED',
+      'TRANSACTION_CONFIRMED',
+      'TRANSACTION_REJECTED',
+      'TRANSACTION_UPDATED',
+      'TRANSACTION_VOIDED',
+      'TRANSACTION_RESTORED',
+      'LOAN_CREATED',
+      'LOAN_REPAYMENT',
       'FRIEND_ADDED_YOU',
       'YOU_ADDED_FRIEND',
       'USER_ADDED'
@@ -62,6 +79,16 @@ const activitySchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Transaction'
     },
+    loanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Loan'
+    },
+    
+    // Group the expense or transaction belongs to (if any)
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
+    },
     
     // Human-readable title and description
     title: {
@@ -104,6 +131,7 @@ const activitySchema = new mongoose.Schema({
 activitySchema.index({ targets: 1, createdAt: -1 });
 activitySchema.index({ actor: 1, createdAt: -1 });
 activitySchema.index({ type: 1, createdAt: -1 });
+activitySchema.index({ targets: 1, 'payload.groupId': 1, createdAt: -1 });
 
 /**
  * Check if a specific user has read this activity
@@ -141,14 +169,15 @@ activitySchema.methods.markAsUnreadBy = async function(userId) {
 /**
  * Get activities for a specific user (where they are in targets)
  * @param {string} userId - User ID
- * @param {Object} options - Query options (limit, skip, type filter)
- * @returns {Promise<Array<Activity>>}
+ * @param {Object} options - Query options (limit, cursor, type filter, group filter)
+ * @returns {Promise<Array<Activity>>} Newest first, after the cursor if one is given
  */
 activitySchema.statics.getForUser = async function(userId, options = {}) {
   const {
     limit = 20,
-    skip = 0,
+    cursor = null, // decoded, see utils/cursor.js
     type = null,
+    groupId = null,
     unreadOnly = false
   } = options;
   
@@ -159,19 +188,30 @@ activitySchema.statics.getForUser = async function(userId, options = {}) {
     query.type = type;
   }
   
+  // Filter by group if specified
+  if (groupId) {
+    query['payload.groupId'] = groupId;
+  }
+  
   // Filter for unread activities only
   if (unreadOnly) {
     query.isReadBy = { $ne: userId };
   }
   
+  // Only activities older than the last one already seen
+  const after = afterCursor('createdAt', -1, cursor);
+  if (after) {
+    query.$or = after.$or;
+  }
+  
   return this.find(query)
     .populate('actor', 'name email')
     .populate('targets', 'name email')
     .populate('payload.expenseId', 'title amount')
     .populate('payload.transactionId', 'amount note')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(skip);
+    .populate('payload.loanId', 'principal currency note')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit);
 };
 
 /**
@@ -202,6 +242,8 @@ activitySchema.methods.toSafeObject = function(currentUserId) {
       amount: this.payload.amount,
       expenseId: this.payload.expenseId,
       transactionId: this.payload.transactionId,
+      loanId: this.payload.loanId,
+      groupId: this.payload.groupId,
       metadata: this.payload.metadata
     },
     isRead: currentUserId ? this.isReadByUser(currentUserId) : false,
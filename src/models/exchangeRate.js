@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { isValidCurrency } = require('../utils/currency');
+
+/**
+ * Exchange Rate Schema
+ * One row per currency: how many units of it one unit of the base currency buys.
+ * The whole table shares a single base, so any two currencies can be converted
+ * through it. Loaded from a local file (see services/exchangeRateService.js),
+ * never from a live service.
+ */
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    unique: true,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not a valid ISO 4217 currency code`
+    }
+  },
+
+  base: {
+    type: String,
+    required: [true, 'Base currency is required'],
+    uppercase: true,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not a valid ISO 4217 currency code`
+    }
+  },
+
+  // Units of this currency per 1 unit of base (major units)
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate must be positive']
+  },
+
+  // Date the rates were published
+  asOf: {
+    type: Date,
+    default: null
+  },
+
+  // Where the rate came from: the seed file or an admin upload
+  source: {
+    type: String,
+    enum: ['file', 'admin'],
+    default: 'file'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Method to return safe exchange rate object for API responses
+ */
+exchangeRateSchema.methods.toSafeObject = function() {
+  return {
+    currency: this.currency,
+    base: this.base,
+    rate: this.rate,
+    asOf: this.asOf,
+    source: this.source,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
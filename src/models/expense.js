@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isValidCurrency, fromMinorUnits } = require('../utils/currency');
+const { DEFAULT_CATEGORY, MAX_CATEGORY_LENGTH } = require('../utils/categories');
 
 /**
  * Participant Schema
@@ -15,9 +17,88 @@ const participantSchema = new mongoose.Schema({
     type: Number, 
     required: true,
     min: [0, 'Share amount cannot be negative']
-  }
+  },
+  // Raw split inputs, kept so the expense can be re-split when it is edited
+  percent: { 
+    type: Number,
+    min: [0, 'Percent cannot be negative'],
+    max: [100, 'Percent cannot exceed 100']
+  }, // splitMethod 'percent'
+  weight: { 
+    type: Number,
+    min: [0, 'Weight cannot be negative']
+  }, // splitMethod 'shares'
+  adjustment: { 
+    type: Number 
+  } // splitMethod 'adjustment', in paise
 }, { _id: false }); // Don't create separate IDs for sub-documents
 
+/**
+ * Payer Schema
+ * One of the people who paid for an expense and how much they put in (in paise)
+ */
+const payerSchema = new mongoose.Schema({
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  paid: { 
+    type: Number, 
+    required: true,
+    min: [1, 'Paid amount must be at least 1 paise']
+  }
+}, { _id: false });
+
+/**
+ * Item Assignee Schema
+ * Someone sharing an item on an itemised bill, with their relative portion of it
+ */
+const itemAssigneeSchema = new mongoose.Schema({
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  weight: { 
+    type: Number, 
+    default: 1,
+    min: [0, 'Weight cannot be negative']
+  }
+}, { _id: false });
+
+/**
+ * Item Schema
+ * A line on an itemised bill (splitMethod 'itemised'), price stored in paise per unit
+ */
+const itemSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: [true, 'Item name is required'],
+    trim: true,
+    maxlength: [100, 'Item name cannot exceed 100 characters']
+  },
+  price: { 
+    type: Number, 
+    required: [true, 'Item price is required'],
+    min: [1, 'Item price must be at least 1 paise']
+  },
+  quantity: { 
+    type: Number, 
+    default: 1,
+    min: [0.001, 'Item quantity must be positive']
+  },
+  assignedTo: {
+    type: [itemAssigneeSchema],
+    validate: {
+      validator: function(assignees) {
+        return assignees && assignees.length > 0;
+      },
+      message: 'Each item must be assigned to at least one person'
+    }
+  }
+}, { _id: false });
+
 /**
  * Comment Schema
  * For expense-related discussions
@@ -37,13 +118,17 @@ const commentSchema = new mongoose.Schema({
   createdAt: { 
     type: Date, 
     default: Date.now 
+  },
+  // Set when the author edits the comment
+  editedAt: {
+    type: Date
   }
 }, { _id: true });
 
 /**
  * Expense Schema
- * Stores all expense information with amounts in paise
- * Currency is fixed to INR (₹) for this application
+ * Stores all expense information with amounts in the minor unit of its currency
+ * (paise for INR, cents for USD, whole yen for JPY - see utils/currency.js)
  */
 const expenseSchema = new mongoose.Schema({
   title: { 
@@ -56,22 +141,63 @@ const expenseSchema = new mongoose.Schema({
   amount: { 
     type: Number, 
     required: [true, 'Amount is required'],
-    min: [1, 'Amount must be at least 1 paise']
+    min: [1, 'Amount must be at least 1 minor unit']
+  },
+  
+  // When the expense happened (defaults to when it was recorded). A bill entered
+  // after the trip keeps the trip's date; timelines, date ranges and reports use
+  // this rather than createdAt.
+  expenseDate: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // Built-in category or one of the creator's custom categories (see utils/categories.js)
+  category: {
+    type: String,
+    default: DEFAULT_CATEGORY,
+    lowercase: true,
+    trim: true,
+    maxlength: [MAX_CATEGORY_LENGTH, `Category cannot exceed ${MAX_CATEGORY_LENGTH} characters`]
   },
   
   currency: { 
     type: String, 
-    default: 'INR',
-    enum: ['INR'],
-    immutable: true // Currency cannot be changed after creation
+    default: DEFAULT_CURRENCY,
+    uppercase: true,
+    immutable: true, // Currency cannot be changed after creation
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not a valid ISO 4217 currency code`
+    }
   },
   
+  // Creator's home currency when the record was made, and how many units of it
+  // one unit of `currency` was worth then (null if the rate table had no rate)
+  homeCurrency: {
+    type: String,
+    uppercase: true
+  },
+  
+  exchangeRate: {
+    type: Number,
+    default: null
+  },
+  
+  // Primary payer (the first entry of payers). Older expenses only have this field.
   payer: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User', 
     required: [true, 'Payer is required']
   },
   
+  // Everyone who paid and how much. Empty on expenses created before multiple
+  // payers were supported - use getPayers() rather than reading this directly.
+  payers: {
+    type: [payerSchema],
+    default: []
+  },
+  
   participants: {
     type: [participantSchema],
     validate: {
@@ -86,13 +212,56 @@ const expenseSchema = new mongoose.Schema({
     type: String, 
     required: [true, 'Split method is required'],
     enum: {
-      values: ['equal', 'unequal', 'percent'],
-      message: 'Split method must be equal, unequal, or percent'
+      values: ['equal', 'unequal', 'percent', 'shares', 'adjustment', 'itemised'],
+      message: 'Split method must be equal, unequal, percent, shares, adjustment, or itemised'
     }
   },
   
+  // Itemised bills: the lines of the receipt and the charges spread over them.
+  // Participant shares are derived from these (see calculateItemisedSplit).
+  items: {
+    type: [itemSchema],
+    default: []
+  },
+  
+  tax: { 
+    type: Number, 
+    default: 0,
+    min: [0, 'Tax cannot be negative']
+  },
+  
+  serviceCharge: { 
+    type: Number, 
+    default: 0,
+    min: [0, 'Service charge cannot be negative']
+  },
+  
+  tip: { 
+    type: Number, 
+    default: 0,
+    min: [0, 'Tip cannot be negative']
+  },
+  
   comments: [commentSchema],
   
+  // Optional group this expense is filed under
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+  
+  // Set when this expense was generated from a recurring expense template
+  recurringExpense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringExpense'
+  },
+  
+  // Which occurrence of the recurring template this expense represents
+  occurrenceDate: {
+    type: Date
+  },
+  
   isDeleted: { 
     type: Boolean, 
     default: false,
@@ -120,32 +289,76 @@ const expenseSchema = new mongoose.Schema({
     required: [true, 'Creator is required']
   }
 }, { 
-  timestamps: true // Adds createdAt and updatedAt automatically
+  timestamps: true, // Adds createdAt and updatedAt automatically
+  // Every save bumps __v and fails if the stored version moved on (see utils/etag.js)
+  optimisticConcurrency: true
 });
 
 // Indexes for common queries
 expenseSchema.index({ createdAt: -1 }); // Sort by newest first
 expenseSchema.index({ payer: 1 }); // Find expenses paid by user
+expenseSchema.index({ 'payers.user': 1 }); // Find expenses part-paid by user
 expenseSchema.index({ 'participants.user': 1 }); // Find expenses involving user
 expenseSchema.index({ isDeleted: 1, createdAt: -1 }); // Composite index for active expenses
+expenseSchema.index({ group: 1, createdAt: -1 }); // Find expenses in a group
+expenseSchema.index({ expenseDate: -1, createdAt: -1 }); // Timeline order
+expenseSchema.index({ 'participants.user': 1, expenseDate: -1 }); // Date ranges and reports
+expenseSchema.index({ 'participants.user': 1, category: 1, expenseDate: -1 }); // Category filters and reports
+// Text search over titles and comments (GET /api/expenses?q=), titles weighted higher
+expenseSchema.index(
+  { title: 'text', 'comments.text': 'text' },
+  { name: 'expense_text', weights: { title: 3, 'comments.text': 1 }, default_language: 'none' }
+);
+// Each recurring occurrence can only be materialised once (makes the scheduler idempotent)
+expenseSchema.index(
+  { recurringExpense: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringExpense: { $type: 'objectId' } } }
+);
 
 /**
- * Method to convert amount from paise to rupees for display
+ * Method to convert amount from minor to major units for display
+ * (named for INR, the original only currency)
  */
 expenseSchema.methods.getAmountInRupees = function() {
-  return this.amount / 100;
+  return fromMinorUnits(this.amount, this.currency);
 };
 
 /**
- * Method to get participants with amounts in rupees
+ * Method to get participants with amounts in major units
  */
 expenseSchema.methods.getParticipantsInRupees = function() {
   return this.participants.map(p => ({
     user: p.user,
-    share: p.share / 100
+    share: fromMinorUnits(p.share, this.currency)
   }));
 };
 
+/**
+ * Method to get everyone who paid for this expense
+ * Falls back to the single payer paying the full amount for older expenses
+ * @returns {Array} [{ user, paid }] with paid in paise
+ */
+expenseSchema.methods.getPayers = function() {
+  if (this.payers && this.payers.length > 0) {
+    return this.payers.map(p => ({ user: p.user, paid: p.paid }));
+  }
+  
+  return [{ user: this.payer, paid: this.amount }];
+};
+
+/**
+ * Check whether a user paid for or takes part in this expense
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+expenseSchema.methods.involvesUser = function(userId) {
+  const userIdStr = userId.toString();
+  const idOf = (ref) => (ref._id ? ref._id.toString() : ref.toString());
+  
+  return this.getPayers().some(p => idOf(p.user) === userIdStr) ||
+    this.participants.some(p => idOf(p.user) === userIdStr);
+};
+
 /**
  * Method to return safe expense object for API responses
  */
@@ -153,12 +366,24 @@ expenseSchema.methods.toSafeObject = function() {
   return {
     id: this._id,
     title: this.title,
+    category: this.category,
+    expenseDate: this.expenseDate,
     amount: this.amount,
     amountInRupees: this.getAmountInRupees(),
     currency: this.currency,
+    homeCurrency: this.homeCurrency,
+    exchangeRate: this.exchangeRate,
     payer: this.payer,
+    payers: this.getPayers(),
     participants: this.participants,
     splitMethod: this.splitMethod,
+    items: this.items,
+    tax: this.tax,
+    serviceCharge: this.serviceCharge,
+    tip: this.tip,
+    group: this.group,
+    recurringExpense: this.recurringExpense,
+    occurrenceDate: this.occurrenceDate,
     comments: this.comments,
     isDeleted: this.isDeleted,
     createdBy: this.createdBy,
@@ -175,15 +400,25 @@ expenseSchema.statics.findActive = function(filter = {}) {
 };
 
 /**
- * Pre-save hook to validate that shares sum equals total amount
+ * Pre-save hook to validate that shares (and paid amounts) sum to the total amount
  * This is a safety net in addition to controller validation
  */
 expenseSchema.pre('save', function(next) {
   // Skip validation if document is being deleted (not modified)
-  if (!this.isModified('participants') && !this.isModified('amount')) {
+  if (!this.isModified('participants') && !this.isModified('amount') && !this.isModified('payers')) {
     return next();
   }
 
+  if (this.payers.length > 0) {
+    const totalPaid = this.payers.reduce((sum, p) => sum + p.paid, 0);
+    
+    if (totalPaid !== this.amount) {
+      return next(new Error(
+        `Sum of paid amounts (${totalPaid} paise) must equal total amount (${this.amount} paise)`
+      ));
+    }
+  }
+
   const totalShares = this.participants.reduce((sum, p) => sum + p.share, 0);
   
   // Allow 1 paise tolerance for rounding differences
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Expense Revision Schema
+ * One entry per change to an expense (update, delete, restore or revert), with
+ * the expense as it was before and after the change. Revisions are numbered
+ * from 1 per expense and never modified.
+ *
+ * Snapshots hold the editable fields only (see services/expenseHistory.js),
+ * with user references as plain IDs and amounts in paise.
+ */
+const expenseRevisionSchema = new mongoose.Schema({
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    required: [true, 'Expense is required']
+  },
+
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: [1, 'Revision numbers start at 1']
+  },
+
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: ['update', 'delete', 'restore', 'revert'],
+      message: 'Action must be update, delete, restore, or revert'
+    }
+  },
+
+  // State of the expense before and after this change
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // For reverts: the revision whose "before" state was restored
+  revertedTo: {
+    type: Number
+  },
+
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Changed by is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Revision numbers are unique per expense (also guards against concurrent writers)
+expenseRevisionSchema.index({ expense: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExpenseRevision', expenseRevisionSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+/**
+ * Group Model
+ *
+ * A shared ledger for a set of users (a trip, a flat, a team).
+ * Expenses and transactions can optionally be filed under a group so that
+ * balances and the activity feed can be scoped to it.
+ *
+ * The creator is always a member and is the only one allowed to remove
+ * other members. Any member can add new members or leave the group.
+ */
+
+/**
+ * Member Schema
+ * Represents a single member of a group
+ */
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  members: {
+    type: [memberSchema],
+    validate: {
+      validator: function(members) {
+        return members && members.length > 0;
+      },
+      message: 'A group must have at least one member'
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for common queries
+groupSchema.index({ 'members.user': 1, updatedAt: -1 }); // Find groups for a user
+
+/**
+ * Check if a user is a member of this group
+ * @param {string} userId - User ID to check
+ * @returns {boolean}
+ */
+groupSchema.methods.isMember = function(userId) {
+  const userIdStr = userId.toString();
+  return this.members.some(m => {
+    const memberId = m.user._id ? m.user._id.toString() : m.user.toString();
+    return memberId === userIdStr;
+  });
+};
+
+/**
+ * Get the IDs of all members as strings
+ * @returns {Array<string>}
+ */
+groupSchema.methods.getMemberIds = function() {
+  return this.members.map(m => (m.user._id ? m.user._id.toString() : m.user.toString()));
+};
+
+/**
+ * Method to return safe group object for API responses
+ */
+groupSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    members: this.members,
+    memberCount: this.members.length,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+/**
+ * Static method to find groups a user belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Array of groups
+ */
+groupSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.user': userId })
+    .populate('members.user', 'name email profilePicture')
+    .populate('createdBy', 'name email')
+    .sort({ updatedAt: -1 });
+};
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Idempotency Key Schema
+ * One entry per Idempotency-Key a user sends, holding a hash of the request it
+ * was first used with and, once that request finishes, the response to replay
+ * on retries. Entries are removed by MongoDB when they expire
+ * (see middleware/idempotency.js).
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    maxlength: [255, 'Key cannot exceed 255 characters']
+  },
+
+  // Keys are per user; null for routes without authentication
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  method: {
+    type: String,
+    required: true
+  },
+
+  path: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 of method, path and body
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  // in_progress until the first request has sent its response
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+
+  responseStatus: {
+    type: Number
+  },
+
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One entry per key per user (also what stops concurrent duplicates)
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// Let MongoDB delete entries once their window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
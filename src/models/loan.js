@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isValidCurrency, fromMinorUnits } = require('../utils/currency');
+
+/**
+ * Instalment Schema
+ * One scheduled repayment of principal (in paise). Interest is paid on top.
+ */
+const instalmentSchema = new mongoose.Schema({
+  dueDate: {
+    type: Date,
+    required: [true, 'Instalment due date is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Instalment amount is required'],
+    min: [1, 'Instalment amount must be at least 1 minor unit']
+  }
+}, { _id: false });
+
+/**
+ * Loan Schema
+ * Money lent by one user to another, repaid over time.
+ *
+ * Example: Alice lends Bob ₹10,000 at 12% simple interest, due in 6 months
+ * - lender: Alice, borrower: Bob
+ * - principal: 1000000 (paise)
+ * - interestType: 'simple', interestRate: 12 (percent per year)
+ *
+ * Repayments are Transactions from the borrower to the lender with `loan` set.
+ * They don't count towards expense balances; outstanding principal and accrued
+ * interest are worked out from them (see services/loanCalculation.js).
+ */
+const loanSchema = new mongoose.Schema({
+  lender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Lender is required'],
+    index: true
+  },
+
+  borrower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Borrower is required'],
+    index: true
+  },
+
+  principal: {
+    type: Number,
+    required: [true, 'Principal is required'],
+    min: [1, 'Principal must be at least 1 minor unit'],
+    immutable: true
+  },
+
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    uppercase: true,
+    immutable: true,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not a valid ISO 4217 currency code`
+    }
+  },
+
+  // Creator's home currency and the rate at creation, same as expenses
+  homeCurrency: {
+    type: String,
+    uppercase: true
+  },
+
+  exchangeRate: {
+    type: Number,
+    default: null
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+    immutable: true
+  },
+
+  dueDate: {
+    type: Date,
+    default: null
+  },
+
+  interestType: {
+    type: String,
+    enum: {
+      values: ['none', 'simple', 'compound'],
+      message: 'Interest type must be none, simple, or compound'
+    },
+    default: 'none',
+    immutable: true
+  },
+
+  // Percent per year
+  interestRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Interest rate cannot be negative'],
+    max: [100, 'Interest rate cannot exceed 100% a year'],
+    immutable: true
+  },
+
+  // How often compound interest is added to the balance
+  compounding: {
+    type: String,
+    enum: {
+      values: ['monthly', 'yearly'],
+      message: 'Compounding must be monthly or yearly'
+    },
+    default: 'monthly',
+    immutable: true
+  },
+
+  instalments: {
+    type: [instalmentSchema],
+    default: []
+  },
+
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  deletedAt: {
+    type: Date
+  },
+
+  deletedReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Deletion reason cannot exceed 200 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true
+});
+
+loanSchema.index({ lender: 1, createdAt: -1 });
+loanSchema.index({ borrower: 1, createdAt: -1 });
+
+/**
+ * Validate that lender and borrower are different users
+ */
+loanSchema.pre('save', function(next) {
+  if (this.lender.toString() === this.borrower.toString()) {
+    return next(new Error('Cannot create a loan where lender and borrower are the same user'));
+  }
+  next();
+});
+
+/**
+ * Check whether a user is the lender or borrower
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+loanSchema.methods.involvesUser = function(userId) {
+  const userIdStr = userId.toString();
+  const idOf = (ref) => (ref._id ? ref._id.toString() : ref.toString());
+
+  return idOf(this.lender) === userIdStr || idOf(this.borrower) === userIdStr;
+};
+
+/**
+ * Method to convert principal from minor to major units
+ */
+loanSchema.methods.getPrincipalInRupees = function() {
+  return fromMinorUnits(this.principal, this.currency);
+};
+
+/**
+ * Static method to find active loans involving a user
+ * @param {string} userId - User ID
+ * @returns {Query}
+ */
+loanSchema.statics.findByUser = function(userId) {
+  return this.find({
+    isDeleted: false,
+    $or: [
+      { lender: userId },
+      { borrower: userId }
+    ]
+  });
+};
+
+module.exports = mongoose.model('Loan', loanSchema);
@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isValidCurrency, fromMinorUnits } = require('../utils/currency');
+
+/**
+ * Recurring Participant Schema
+ * Same shape as an expense participant (share and adjustment stored in paise)
+ */
+const participantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  share: {
+    type: Number,
+    required: true,
+    min: [0, 'Share amount cannot be negative']
+  },
+  percent: {
+    type: Number,
+    min: [0, 'Percent cannot be negative'],
+    max: [100, 'Percent cannot exceed 100']
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative']
+  },
+  adjustment: {
+    type: Number
+  }
+}, { _id: false });
+
+/**
+ * Recurring Expense Schema
+ * A template (rent, subscriptions, salaries) that the scheduler turns into real
+ * Expense documents on every occurrence.
+ *
+ * Occurrences are anchored to startDate: occurrence N is startDate + N cadence
+ * units, so a monthly expense starting on the 31st lands on the last day of
+ * shorter months without drifting.
+ *
+ * - occurrenceCount: how many occurrences have been handled so far
+ *   (created, or skipped while the template was paused)
+ * - nextRunAt: date of the next occurrence (null once the template has ended)
+ */
+const recurringExpenseSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Expense title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be at least 1 minor unit']
+  },
+
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    uppercase: true,
+    immutable: true,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not a valid ISO 4217 currency code`
+    }
+  },
+
+  payer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Payer is required']
+  },
+
+  participants: {
+    type: [participantSchema],
+    validate: {
+      validator: function(participants) {
+        return participants && participants.length > 0;
+      },
+      message: 'At least one participant is required'
+    }
+  },
+
+  splitMethod: {
+    type: String,
+    required: [true, 'Split method is required'],
+    enum: {
+      values: ['equal', 'unequal', 'percent', 'shares', 'adjustment'],
+      message: 'Split method must be equal, unequal, percent, shares, or adjustment'
+    }
+  },
+
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+
+  cadence: {
+    type: String,
+    required: [true, 'Cadence is required'],
+    enum: {
+      values: ['daily', 'weekly', 'monthly', 'yearly'],
+      message: 'Cadence must be daily, weekly, monthly, or yearly'
+    },
+    immutable: true // Changing the cadence would reshuffle past occurrences
+  },
+
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+    immutable: true
+  },
+
+  endDate: {
+    type: Date,
+    default: null
+  },
+
+  occurrenceCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the scheduler's "what is due" query
+recurringExpenseSchema.index({ isActive: 1, nextRunAt: 1 });
+recurringExpenseSchema.index({ payer: 1 });
+recurringExpenseSchema.index({ 'participants.user': 1 });
+
+/**
+ * Compute the date of the Nth occurrence (0-based) for a cadence
+ * Monthly and yearly occurrences are clamped to the last day of the month
+ * @param {Date} startDate - First occurrence
+ * @param {string} cadence - daily | weekly | monthly | yearly
+ * @param {number} index - Occurrence number (0 = startDate)
+ * @returns {Date}
+ */
+const getOccurrenceDate = (startDate, cadence, index) => {
+  const start = new Date(startDate);
+
+  if (cadence === 'daily' || cadence === 'weekly') {
+    const days = cadence === 'daily' ? index : index * 7;
+    const date = new Date(start);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date;
+  }
+
+  const months = cadence === 'monthly' ? index : index * 12;
+  const targetMonth = start.getUTCMonth() + months;
+  const year = start.getUTCFullYear() + Math.floor(targetMonth / 12);
+  const month = ((targetMonth % 12) + 12) % 12;
+  const lastDayOfMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(start.getUTCDate(), lastDayOfMonth),
+    start.getUTCHours(),
+    start.getUTCMinutes(),
+    start.getUTCSeconds(),
+    start.getUTCMilliseconds()
+  ));
+};
+
+recurringExpenseSchema.statics.getOccurrenceDate = getOccurrenceDate;
+
+/**
+ * Get the date of a given occurrence of this template
+ * @param {number} index - Occurrence number (0 = startDate)
+ * @returns {Date}
+ */
+recurringExpenseSchema.methods.getOccurrenceDate = function(index) {
+  return getOccurrenceDate(this.startDate, this.cadence, index);
+};
+
+/**
+ * Check whether a user is the creator, payer or a participant of this template
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+recurringExpenseSchema.methods.involvesUser = function(userId) {
+  const userIdStr = userId.toString();
+  const idOf = (ref) => (ref._id ? ref._id.toString() : ref.toString());
+
+  return idOf(this.createdBy) === userIdStr ||
+    idOf(this.payer) === userIdStr ||
+    this.participants.some(p => idOf(p.user) === userIdStr);
+};
+
+/**
+ * Method to return safe recurring expense object for API responses
+ */
+recurringExpenseSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    title: this.title,
+    amount: this.amount,
+    amountInRupees: fromMinorUnits(this.amount, this.currency),
+    currency: this.currency,
+    payer: this.payer,
+    participants: this.participants.map(p => ({
+      user: p.user,
+      share: p.share,
+      shareInRupees: fromMinorUnits(p.share, this.currency),
+      percent: p.percent,
+      weight: p.weight,
+      adjustment: p.adjustment
+    })),
+    splitMethod: this.splitMethod,
+    group: this.group,
+    cadence: this.cadence,
+    startDate: this.startDate,
+    endDate: this.endDate,
+    occurrenceCount: this.occurrenceCount,
+    nextRunAt: this.nextRunAt,
+    lastRunAt: this.lastRunAt,
+    isActive: this.isActive,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+/**
+ * Pre-save hook to validate that shares sum equals total amount
+ */
+recurringExpenseSchema.pre('save', function(next) {
+  if (!this.isModified('participants') && !this.isModified('amount')) {
+    return next();
+  }
+
+  const totalShares = this.participants.reduce((sum, p) => sum + p.share, 0);
+
+  if (Math.abs(totalShares - this.amount) > 1) {
+    return next(new Error(
+      `Sum of participant shares (${totalShares} paise) must equal total amount (${this.amount} paise)`
+    ));
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('RecurringExpense', recurringExpenseSchema);
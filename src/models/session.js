@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * One entry per login on a device. The session hands out short-lived access
+ * tokens and is kept alive by a refresh token that is replaced each time it is
+ * used (see services/sessionService.js). Only SHA-256 hashes of refresh tokens
+ * are stored.
+ *
+ * Refresh tokens the session has already replaced are remembered, so one
+ * turning up again (stolen and used by someone else) revokes the session.
+ * Sessions are removed by MongoDB when they expire.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Hash of the refresh token that is valid now
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Hashes of refresh tokens already used (newest last, capped)
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    index: true
+  },
+
+  // Name the app gave the device at login, e.g. "Pixel 8"
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters'],
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // Address the session was last used from
+  ip: {
+    type: String,
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Pushed back each time the refresh token is used
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'refresh_token_reused', 'password_changed', null],
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Let MongoDB delete sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Can this session still be used?
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Session details for listing, without token hashes
+sessionSchema.methods.toSafeObject = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isValidCurrency, fromMinorUnits } = require('../utils/currency');
 
 /**
  * Transaction Schema
@@ -9,7 +10,21 @@ const mongoose = require('mongoose');
  * - to: Alice's user ID
  * - amount: 10000 (paise)
  * 
- * All amounts stored in paise to avoid floating-point errors
+ * Amounts are stored in the minor unit of the transaction's currency
+ * (paise for INR) to avoid floating-point errors
+ * 
+ * Status lifecycle:
+ * - pending: recorded by the payer, waiting for the receiver to confirm
+ * - confirmed: acknowledged by the receiver (or recorded by them in the first place)
+ * - rejected: the receiver says the payment never happened
+ * Only confirmed transactions count towards balances unless pending ones are
+ * asked for. Transactions recorded before statuses existed count as confirmed.
+ * 
+ * A transaction recorded by mistake is voided (soft-deleted, like expenses)
+ * rather than removed, and can be restored. Voided transactions never count.
+ * 
+ * Loan repayments are transactions with `loan` set. They count towards the
+ * loan (see services/loanCalculation.js), not towards expense balances.
  */
 const transactionSchema = new mongoose.Schema({
   from: {
@@ -29,14 +44,30 @@ const transactionSchema = new mongoose.Schema({
   amount: {
     type: Number,
     required: [true, 'Amount is required'],
-    min: [1, 'Amount must be at least 1 paise']
+    min: [1, 'Amount must be at least 1 minor unit']
   },
   
   currency: {
     type: String,
-    default: 'INR',
-    enum: ['INR'],
-    immutable: true
+    default: DEFAULT_CURRENCY,
+    uppercase: true,
+    immutable: true,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not a valid ISO 4217 currency code`
+    }
+  },
+  
+  // Creator's home currency when the record was made, and how many units of it
+  // one unit of `currency` was worth then (null if the rate table had no rate)
+  homeCurrency: {
+    type: String,
+    uppercase: true
+  },
+  
+  exchangeRate: {
+    type: Number,
+    default: null
   },
   
   note: {
@@ -45,10 +76,89 @@ const transactionSchema = new mongoose.Schema({
     maxlength: [200, 'Note cannot exceed 200 characters']
   },
   
+  // When the money actually changed hands (defaults to when it was recorded).
+  // Timelines, date ranges and loan interest use this rather than createdAt.
+  settledAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // Optional group this settlement is filed under
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+  
+  // Loan this payment repays (null for ordinary settlements)
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    default: null,
+    index: true
+  },
+  
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Creator is required']
+  },
+  
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'confirmed', 'rejected'],
+      message: 'Status must be pending, confirmed, or rejected'
+    },
+    default: 'confirmed',
+    index: true
+  },
+  
+  // Who has to confirm or reject it while it is pending. Set each time it
+  // becomes pending, so a changed amount waits on the other person even if
+  // they recorded the transaction in the first place.
+  awaitingConfirmationFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  
+  rejectedAt: {
+    type: Date,
+    default: null
+  },
+  
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Rejection reason cannot exceed 200 characters'],
+    default: null
+  },
+  
+  isVoided: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  voidedAt: {
+    type: Date
+  },
+  
+  voidedReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Void reason cannot exceed 200 characters']
   }
 }, {
   timestamps: true
@@ -59,6 +169,9 @@ transactionSchema.index({ from: 1, createdAt: -1 });
 transactionSchema.index({ to: 1, createdAt: -1 });
 transactionSchema.index({ from: 1, to: 1 });
 transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ group: 1, createdAt: -1 });
+transactionSchema.index({ from: 1, settledAt: -1 });
+transactionSchema.index({ to: 1, settledAt: -1 });
 
 /**
  * Validate that 'from' and 'to' are different users
@@ -71,10 +184,44 @@ transactionSchema.pre('save', function(next) {
 });
 
 /**
- * Method to convert amount from paise to rupees
+ * Get the user who has to confirm or reject this transaction
+ * That is the person it was left waiting on, or for transactions from before
+ * that was stored, whichever of payer and receiver did not record it.
+ * @returns {string} User ID
+ */
+transactionSchema.methods.getCounterpartyId = function() {
+  if (this.awaitingConfirmationFrom) {
+    const waitingOn = this.awaitingConfirmationFrom;
+    return waitingOn._id ? waitingOn._id.toString() : waitingOn.toString();
+  }
+  
+  const creatorId = this.createdBy._id ? this.createdBy._id.toString() : this.createdBy.toString();
+  const fromId = this.from._id ? this.from._id.toString() : this.from.toString();
+  const toId = this.to._id ? this.to._id.toString() : this.to.toString();
+  
+  return creatorId === fromId ? toId : fromId;
+};
+
+/**
+ * Check whether a user may edit, void or restore this transaction
+ * (the creator or either party)
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+transactionSchema.methods.canBeChangedBy = function(userId) {
+  const userIdStr = userId.toString();
+  
+  return [this.from, this.to, this.createdBy].some(ref =>
+    (ref._id ? ref._id.toString() : ref.toString()) === userIdStr
+  );
+};
+
+/**
+ * Method to convert amount from minor to major units
+ * (named for INR, the original only currency)
  */
 transactionSchema.methods.getAmountInRupees = function() {
-  return this.amount / 100;
+  return fromMinorUnits(this.amount, this.currency);
 };
 
 /**
@@ -88,12 +235,40 @@ transactionSchema.methods.toSafeObject = function() {
     amount: this.amount,
     amountInRupees: this.getAmountInRupees(),
     currency: this.currency,
+    homeCurrency: this.homeCurrency,
+    exchangeRate: this.exchangeRate,
     note: this.note,
+    settledAt: this.settledAt,
+    group: this.group,
+    loan: this.loan,
+    status: this.status,
+    confirmedAt: this.confirmedAt,
+    rejectedAt: this.rejectedAt,
+    rejectionReason: this.rejectionReason,
+    isVoided: this.isVoided,
+    voidedAt: this.voidedAt,
+    voidedReason: this.voidedReason,
     createdBy: this.createdBy,
     createdAt: this.createdAt
   };
 };
 
+/**
+ * Query condition for transactions that count towards balances
+ * Matches on "not pending/rejected" and "not voided" so that transactions
+ * recorded before those fields existed count as confirmed.
+ * Loan repayments are left out; to count them for a loan, override `loan`.
+ * @param {boolean} includePending - Also count transactions awaiting confirmation
+ * @returns {Object} Mongo query condition
+ */
+transactionSchema.statics.countedInBalances = function(includePending = false) {
+  return {
+    status: { $nin: includePending ? ['rejected'] : ['pending', 'rejected'] },
+    isVoided: { $ne: true },
+    loan: null
+  };
+};
+
 /**
  * Static method to find transactions involving a user
  * @param {string} userId - User ID
@@ -109,7 +284,7 @@ transactionSchema.statics.findByUser = function(userId) {
   .populate('from', 'name email')
   .populate('to', 'name email')
   .populate('createdBy', 'name email')
-  .sort({ createdAt: -1 });
+  .sort({ settledAt: -1, createdAt: -1 });
 };
 
 /**
@@ -128,7 +303,7 @@ transactionSchema.statics.findBetweenUsers = function(user1Id, user2Id) {
   .populate('from', 'name email')
   .populate('to', 'name email')
   .populate('createdBy', 'name email')
-  .sort({ createdAt: -1 });
+  .sort({ settledAt: -1, createdAt: -1 });
 };
 
 module.exports = mongoose.model('Transaction', transactionSchema);
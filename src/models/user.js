@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isValidCurrency } = require('../utils/currency');
+const { MAX_CUSTOM_CATEGORIES } = require('../utils/categories');
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
@@ -10,6 +12,9 @@ const userSchema = new mongoose.Schema({
     trim: true
   },
   passwordHash: { type: String, required: true, select: false },
+  // Set once the user opens the link emailed to them (missing on older accounts)
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
   avatarUrl: { type: String }, // Deprecated, keeping for backward compatibility
   profilePicture: { 
     type: String,
@@ -18,6 +23,25 @@ const userSchema = new mongoose.Schema({
   profilePicturePublicId: {
     type: String,
     default: null // Stores Cloudinary public_id for deletion
+  },
+  // Currency balances are converted into and expense rates are stored against
+  homeCurrency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    uppercase: true,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not a valid ISO 4217 currency code`
+    }
+  },
+  // Expense categories this user added on top of the built-in ones (lowercase)
+  customCategories: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: categories => categories.length <= MAX_CUSTOM_CATEGORIES,
+      message: `You can have at most ${MAX_CUSTOM_CATEGORIES} custom categories`
+    }
   }
 }, { timestamps: true });
 
@@ -29,8 +53,11 @@ userSchema.methods.toSafeObject = function() {
     id: this._id,
     name: this.name,
     email: this.email,
+    emailVerified: this.emailVerified === true,
     profilePicture: this.profilePicture,
     avatarUrl: this.avatarUrl, // Keeping for backward compatibility
+    homeCurrency: this.homeCurrency,
+    customCategories: this.customCategories,
     createdAt: this.createdAt
   };
 };
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * User Token Schema
+ * Single-use tokens sent to a user by email, to reset their password or
+ * verify their email address.
+ * Only the SHA-256 hash of the token is stored (see services/userTokens.js).
+ * Tokens are removed by MongoDB when they expire.
+ */
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set when the token is used; it can't be used again
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+
+// Let MongoDB delete tokens once they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -7,7 +7,7 @@ const {
   markAllAsRead,
   getUnreadCount
 } = require('../controllers/activityController');
-const { validateMarkAsRead } = require('../middleware/validation');
+const { validateGetActivities, validateMarkAsRead } = require('../middleware/validation');
 
 /**
  * All activity routes require authentication
@@ -26,12 +26,13 @@ router.get('/unread-count', getUnreadCount);
  * Get activity feed for authenticated user
  * 
  * Query params:
- * - page: Page number
  * - limit: Items per page
+ * - cursor: nextCursor from the previous page
  * - type: Filter by activity type
+ * - group: Filter by group ID
  * - unreadOnly: Show only unread (true/false)
  */
-router.get('/', getActivities);
+router.get('/', validateGetActivities, getActivities);
 
 /**
  * PATCH /api/activities/read-all
@@ -1,14 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { registerValidation, loginValidation } = require('../middleware/validation');
+const {
+  registerValidation,
+  loginValidation,
+  refreshTokenValidation,
+  sessionIdValidation,
+  changePasswordValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation
+} = require('../middleware/validation');
 const { requireAuth } = require('../middleware/auth');
 
 // Public routes
 router.post('/register', registerValidation, authController.register);
 router.post('/login', loginValidation, authController.login);
+router.post('/refresh', refreshTokenValidation, authController.refresh);
+router.post('/password/forgot', forgotPasswordValidation, authController.forgotPassword);
+router.post('/password/reset', resetPasswordValidation, authController.resetPassword);
+router.post('/verify-email', verifyEmailValidation, authController.verifyEmail);
 
 // Protected routes
 router.get('/me', requireAuth, authController.getMe);
+router.post('/logout', requireAuth, authController.logout);
+router.get('/sessions', requireAuth, authController.getSessions);
+router.delete('/sessions/:id', requireAuth, sessionIdValidation, authController.revokeSession);
+router.post('/password/change', requireAuth, changePasswordValidation, authController.changePassword);
+router.post('/verify-email/resend', requireAuth, authController.resendVerification);
 
 module.exports = router;
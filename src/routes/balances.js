@@ -2,14 +2,28 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
 const balanceController = require('../controllers/balanceController');
+const { settleUpValidation, statementValidation } = require('../middleware/validation');
 
 // All balance routes require authentication
 router.use(requireAuth);
 
-// Get overall balance for authenticated user
+// Get overall balance for authenticated user (optionally scoped with ?group=<groupId>)
 router.get('/', balanceController.getOverallBalance);
 
+// Get the fewest settlements that clear all balances (optionally within ?group=<groupId>)
+// Must come before /:userId to avoid matching 'simplified' as a user ID
+router.get('/simplified', balanceController.getSimplifiedBalances);
+
 // Get pairwise balance with specific user
 router.get('/:userId', balanceController.getPairwiseBalance);
 
+// Get the exact payment that settles up with a specific user (optionally ?currency=USD)
+router.get('/:userId/settle-up', settleUpValidation, balanceController.getSettleUp);
+
+// Get the running statement with a specific user (optionally ?from=&to=)
+router.get('/:userId/statement', statementValidation, balanceController.getStatement);
+
+// Same statement as a PDF download
+router.get('/:userId/statement.pdf', statementValidation, balanceController.getStatementPdf);
+
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { loadExchangeRatesValidation } = require('../middleware/validation');
+
+/**
+ * All exchange rate routes require authentication
+ */
+router.use(requireAuth);
+
+/**
+ * GET /api/exchange-rates
+ * Get the stored exchange rate table
+ */
+router.get('/', exchangeRateController.getExchangeRates);
+
+/**
+ * PUT /api/exchange-rates
+ * Replace the exchange rate table (admins only)
+ *
+ * Body:
+ * {
+ *   "base": "USD",
+ *   "asOf": "2026-10-01" (optional),
+ *   "rates": { "INR": 88.7, "THB": 32.4, ... }
+ * }
+ */
+router.put('/', requireAdmin, loadExchangeRatesValidation, exchangeRateController.replaceExchangeRates);
+
+/**
+ * POST /api/exchange-rates/reload
+ * Reload the table from EXCHANGE_RATES_FILE (admins only)
+ */
+router.post('/reload', requireAdmin, exchangeRateController.reloadExchangeRates);
+
+module.exports = router;
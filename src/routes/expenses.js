@@ -1,23 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const expenseController = require('../controllers/expenseController');
+const commentController = require('../controllers/commentController');
 const { 
   createExpenseValidation,
   updateExpenseValidation,
+  listExpensesValidation,
   deleteExpenseValidation,
   restoreExpenseValidation,
-  validateExpenseId
+  validateExpenseId,
+  revertExpenseValidation,
+  listCommentsValidation,
+  addCommentValidation,
+  updateCommentValidation,
+  deleteCommentValidation
 } = require('../middleware/validation');
 
 // All expense routes require authentication
 router.use(requireAuth);
 
-// Create new expense
-router.post('/', createExpenseValidation, expenseController.createExpense);
+// Create new expense (retries with the same Idempotency-Key header are replayed)
+router.post('/', idempotent(), createExpenseValidation, expenseController.createExpense);
 
-// Get all expenses (non-deleted)
-router.get('/', expenseController.getExpenses);
+// Get all expenses (non-deleted), optionally filtered by group or category
+router.get('/', listExpensesValidation, expenseController.getExpenses);
 
 // Get single expense by ID
 router.get('/:id', validateExpenseId, expenseController.getExpenseById);
@@ -31,4 +39,14 @@ router.delete('/:id', deleteExpenseValidation, expenseController.deleteExpense);
 // Restore deleted expense
 router.post('/:id/restore', restoreExpenseValidation, expenseController.restoreExpense);
 
+// Edit history and revert
+router.get('/:id/history', validateExpenseId, expenseController.getExpenseHistory);
+router.post('/:id/revert', revertExpenseValidation, expenseController.revertExpense);
+
+// Comments (payers and participants only; authors edit and delete their own)
+router.get('/:id/comments', listCommentsValidation, commentController.getComments);
+router.post('/:id/comments', addCommentValidation, commentController.addComment);
+router.patch('/:id/comments/:commentId', updateCommentValidation, commentController.updateComment);
+router.delete('/:id/comments/:commentId', deleteCommentValidation, commentController.deleteComment);
+
 module.exports = router;
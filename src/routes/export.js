@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const exportController = require('../controllers/exportController');
+const { exportValidation } = require('../middleware/validation');
+
+// All export routes require authentication
+router.use(requireAuth);
+
+// Download your whole ledger as CSV or JSON (?format, ?from, ?to, ?friend)
+router.get('/', exportValidation, exportController.exportLedger);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const groupController = require('../controllers/groupController');
+const {
+  createGroupValidation,
+  validateGroupId,
+  addGroupMemberValidation,
+  removeGroupMemberValidation
+} = require('../middleware/validation');
+
+/**
+ * All group routes require authentication
+ */
+router.use(requireAuth);
+
+/**
+ * POST /api/groups
+ * Create a new group
+ *
+ * Body:
+ * {
+ *   "name": "Goa Trip",
+ *   "description": "Optional description",
+ *   "members": ["userId", ...] (optional, creator is always added)
+ * }
+ */
+router.post('/', createGroupValidation, groupController.createGroup);
+
+/**
+ * GET /api/groups
+ * Get all groups the authenticated user belongs to
+ */
+router.get('/', groupController.getGroups);
+
+/**
+ * GET /api/groups/:id
+ * Get a specific group with your balance inside it
+ */
+router.get('/:id', validateGroupId, groupController.getGroupById);
+
+/**
+ * POST /api/groups/:id/members
+ * Add a member to the group
+ *
+ * Body:
+ * {
+ *   "userId": "userId"
+ * }
+ */
+router.post('/:id/members', addGroupMemberValidation, groupController.addMember);
+
+/**
+ * DELETE /api/groups/:id/members/:userId
+ * Remove a member from the group (creator only)
+ */
+router.delete('/:id/members/:userId', removeGroupMemberValidation, groupController.removeMember);
+
+/**
+ * POST /api/groups/:id/leave
+ * Leave the group
+ */
+router.post('/:id/leave', validateGroupId, groupController.leaveGroup);
+
+module.exports = router;
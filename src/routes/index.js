@@ -9,6 +9,12 @@ const balanceRoutes = require('./balances');
 const transactionRoutes = require('./transactions');
 const activityRoutes = require('./activities');
 const friendRoutes = require('./friends');
+const groupRoutes = require('./groups');
+const recurringExpenseRoutes = require('./recurringExpenses');
+const exchangeRateRoutes = require('./exchangeRates');
+const loanRoutes = require('./loans');
+const reportRoutes = require('./reports');
+const exportRoutes = require('./export');
 
 router.get('/health', health.getHealth);
 router.use('/auth', authRoutes);
@@ -18,5 +24,11 @@ router.use('/balances', balanceRoutes);
 router.use('/transactions', transactionRoutes);
 router.use('/activities', activityRoutes);
 router.use('/friends', friendRoutes);
+router.use('/groups', groupRoutes);
+router.use('/recurring-expenses', recurringExpenseRoutes);
+router.use('/exchange-rates', exchangeRateRoutes);
+router.use('/loans', loanRoutes);
+router.use('/reports', reportRoutes);
+router.use('/export', exportRoutes);
 
 module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  createLoan,
+  getLoans,
+  getLoanById,
+  recordRepayment,
+  deleteLoan
+} = require('../controllers/loanController');
+const {
+  createLoanValidation,
+  listLoansValidation,
+  validateLoanId,
+  loanRepaymentValidation,
+  deleteLoanValidation
+} = require('../middleware/validation');
+
+/**
+ * All loan routes require authentication
+ */
+router.use(requireAuth);
+
+/**
+ * POST /api/loans
+ * Record a loan to or from another user
+ * 
+ * Body:
+ * {
+ *   "borrower": "userId",
+ *   "lender": "userId" (optional, defaults to you),
+ *   "principal": 10000,
+ *   "currency": "INR" (optional),
+ *   "note": "Rent deposit" (optional),
+ *   "startDate": "2024-01-01" (optional, defaults to now),
+ *   "dueDate": "2024-07-01" (optional),
+ *   "interestType": "none" | "simple" | "compound" (optional),
+ *   "interestRate": 12 (percent a year, optional),
+ *   "compounding": "monthly" | "yearly" (compound only, optional),
+ *   "instalments": [{ "dueDate": "2024-02-01", "amount": 2500 }] (optional)
+ *     or "instalmentPlan": { "count": 4, "frequency": "monthly" } (optional)
+ * }
+ */
+router.post('/', idempotent(), createLoanValidation, createLoan);
+
+/**
+ * GET /api/loans
+ * Get loans you gave or took
+ * 
+ * Query params:
+ * - role: lender or borrower
+ * - status: active, overdue or repaid
+ * - page: Page number
+ * - limit: Items per page
+ */
+router.get('/', listLoansValidation, getLoans);
+
+/**
+ * GET /api/loans/:id
+ * Get a loan with its outstanding amount, instalments and repayments
+ */
+router.get('/:id', validateLoanId, getLoanById);
+
+/**
+ * POST /api/loans/:id/repayments
+ * Record a repayment against a loan
+ * 
+ * Body:
+ * {
+ *   "amount": 2500,
+ *   "note": "February instalment" (optional)
+ * }
+ */
+router.post('/:id/repayments', idempotent(), loanRepaymentValidation, recordRepayment);
+
+/**
+ * DELETE /api/loans/:id
+ * Delete a loan recorded by mistake (soft delete)
+ * 
+ * Body:
+ * {
+ *   "reason": "Entered twice" (optional)
+ * }
+ */
+router.delete('/:id', deleteLoanValidation, deleteLoan);
+
+module.exports = router;
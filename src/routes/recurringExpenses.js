@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const recurringExpenseController = require('../controllers/recurringExpenseController');
+const {
+  createRecurringExpenseValidation,
+  updateRecurringExpenseValidation,
+  validateRecurringExpenseId
+} = require('../middleware/validation');
+
+// All recurring expense routes require authentication
+router.use(requireAuth);
+
+// Create new recurring expense template
+router.post('/', createRecurringExpenseValidation, recurringExpenseController.createRecurringExpense);
+
+// Get all recurring expense templates involving the user
+router.get('/', recurringExpenseController.getRecurringExpenses);
+
+// Get single recurring expense template
+router.get('/:id', validateRecurringExpenseId, recurringExpenseController.getRecurringExpenseById);
+
+// Update template (future occurrences only), pause or resume it
+router.patch('/:id', updateRecurringExpenseValidation, recurringExpenseController.updateRecurringExpense);
+
+// Delete template (expenses already created are kept)
+router.delete('/:id', validateRecurringExpenseId, recurringExpenseController.deleteRecurringExpense);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const reportController = require('../controllers/reportController');
+const { categoryReportValidation, monthlyStatementValidation } = require('../middleware/validation');
+
+// All report routes require authentication
+router.use(requireAuth);
+
+// Your share of expenses per category (?from, ?to, ?group, ?category)
+router.get('/categories', categoryReportValidation, reportController.getCategoryReport);
+
+// Your statement with everyone for a month, as a PDF (?month=YYYY-MM)
+router.get('/statement.pdf', monthlyStatementValidation, reportController.getMonthlyStatementPdf);
+
+module.exports = router;
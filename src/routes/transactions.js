@@ -1,14 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { 
   createTransaction, 
   getTransactions, 
-  getTransactionById 
+  getTransactionById,
+  confirmTransaction,
+  rejectTransaction,
+  updateTransaction,
+  voidTransaction,
+  restoreTransaction
 } = require('../controllers/transactionController');
 const { 
   validateCreateTransaction,
-  validateGetTransactionById 
+  validateGetTransactions,
+  validateGetTransactionById,
+  validateRejectTransaction,
+  validateUpdateTransaction,
+  validateVoidTransaction
 } = require('../middleware/validation');
 
 /**
@@ -24,10 +34,14 @@ router.use(requireAuth);
  * {
  *   "to": "userId",
  *   "amount": 100.50,
- *   "note": "Optional note"
+ *   "note": "Optional note",
+ *   "group": "groupId" (optional)
  * }
+ * 
+ * Send an Idempotency-Key header to make retries safe: a retry with the same
+ * key and body gets the original response instead of recording a second payment.
  */
-router.post('/', validateCreateTransaction, createTransaction);
+router.post('/', idempotent(), validateCreateTransaction, createTransaction);
 
 /**
  * GET /api/transactions
@@ -35,10 +49,14 @@ router.post('/', validateCreateTransaction, createTransaction);
  * 
  * Query params:
  * - withUser: Filter by specific user ID
- * - page: Page number
+ * - group: Filter by group ID
+ * - status: Filter by status (pending, confirmed, rejected)
+ * - awaitingMe: true for pending payments you need to confirm or reject
+ * - includeVoided: true to include voided transactions
  * - limit: Items per page
+ * - cursor: nextCursor from the previous page
  */
-router.get('/', getTransactions);
+router.get('/', validateGetTransactions, getTransactions);
 
 /**
  * GET /api/transactions/:id
@@ -46,4 +64,51 @@ router.get('/', getTransactions);
  */
 router.get('/:id', validateGetTransactionById, getTransactionById);
 
+/**
+ * PATCH /api/transactions/:id
+ * Edit a transaction's amount, note or group
+ * 
+ * Body (all optional):
+ * {
+ *   "amount": 500,
+ *   "note": "Corrected amount",
+ *   "group": "groupId" or null
+ * }
+ */
+router.patch('/:id', validateUpdateTransaction, updateTransaction);
+
+/**
+ * DELETE /api/transactions/:id
+ * Void a transaction (soft delete)
+ * 
+ * Body:
+ * {
+ *   "reason": "Entered twice" (optional)
+ * }
+ */
+router.delete('/:id', validateVoidTransaction, voidTransaction);
+
+/**
+ * POST /api/transactions/:id/restore
+ * Restore a voided transaction
+ */
+router.post('/:id/restore', validateGetTransactionById, restoreTransaction);
+
+/**
+ * POST /api/transactions/:id/confirm
+ * Confirm a pending transaction recorded by the other person
+ */
+router.post('/:id/confirm', validateGetTransactionById, confirmTransaction);
+
+/**
+ * POST /api/transactions/:id/reject
+ * Reject a pending transaction recorded by the other person
+ * 
+ * Body:
+ * {
+ *   "reason": "Never received it" (optional)
+ * }
+ */
+router.post('/:id/reject', validateRejectTransaction, rejectTransaction);
+
 module.exports = router;
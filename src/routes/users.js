@@ -2,7 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
 const userController = require('../controllers/userController');
-const { emailSearchValidation } = require('../middleware/validation');
+const {
+  emailSearchValidation,
+  updateMeValidation,
+  addCategoryValidation,
+  removeCategoryValidation
+} = require('../middleware/validation');
 const { uploadProfilePicture, handleUploadError } = require('../middleware/upload');
 
 // All user routes require authentication
@@ -11,6 +16,14 @@ router.use(requireAuth);
 // Get current user info (kept for backwards compatibility)
 router.get('/me', userController.getMe);
 
+// Update current user's settings (home currency)
+router.patch('/me', updateMeValidation, userController.updateMe);
+
+// Expense categories: built-in ones and your own custom ones
+router.get('/me/categories', userController.getCategories);
+router.post('/me/categories', addCategoryValidation, userController.addCategory);
+router.delete('/me/categories/:name', removeCategoryValidation, userController.removeCategory);
+
 // Search for user by exact email match
 router.get('/', emailSearchValidation, userController.searchByEmail);
 
@@ -2,12 +2,38 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const app = require('./app');
 const { connectDB } = require('./services/db');
+const { startRecurringScheduler } = require('./services/recurringScheduler');
+const { seedExchangeRates } = require('./services/exchangeRateService');
+const { backfillDates } = require('./services/backfill');
 
 const PORT = process.env.PORT || 5000;
 
 async function start() {
   await connectDB();
 
+  // A fresh database gets the rates file so currencies can be converted straight away
+  try {
+    const seeded = await seedExchangeRates();
+    if (seeded > 0) {
+      console.log(`Loaded ${seeded} exchange rates`);
+    }
+  } catch (err) {
+    console.error('Failed to load exchange rates:', err.message);
+  }
+
+  // Older expenses and settlements get their dates from when they were recorded
+  try {
+    const backfilled = await backfillDates();
+    if (backfilled.expenses > 0 || backfilled.transactions > 0) {
+      console.log(`Backfilled dates on ${backfilled.expenses} expenses and ${backfilled.transactions} transactions`);
+    }
+  } catch (err) {
+    console.error('Failed to backfill dates:', err.message);
+  }
+
+  // Creates due recurring expenses, including any missed while the server was down
+  startRecurringScheduler();
+
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
   });
@@ -0,0 +1,58 @@
+const { sendMail } = require('./mailer');
+const { appUrl } = require('../config');
+
+/**
+ * Account Emails
+ * The emails sent about a user's account, written as plain text.
+ */
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Reset token
+ * @param {Date} expiresAt - When the link stops working
+ * @returns {Promise<Object>}
+ */
+const sendPasswordResetEmail = (user, token, expiresAt) => sendMail({
+  to: user.email,
+  subject: 'Reset your Udhari Kitap password',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Someone asked to reset the password for your Udhari Kitap account. To choose a new password, open this link:',
+    '',
+    `${appUrl}/reset-password?token=${encodeURIComponent(token)}`,
+    '',
+    `The link works once and expires at ${expiresAt.toUTCString()}. Resetting your password signs you out everywhere.`,
+    '',
+    "If this wasn't you, ignore this email and your password stays the same."
+  ].join('\n')
+});
+
+/**
+ * Send a link to confirm the user's email address
+ * @param {Object} user - User document
+ * @param {string} token - Verification token
+ * @param {Date} expiresAt - When the link stops working
+ * @returns {Promise<Object>}
+ */
+const sendVerificationEmail = (user, token, expiresAt) => sendMail({
+  to: user.email,
+  subject: 'Confirm your email for Udhari Kitap',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Please confirm this is your email address by opening this link:',
+    '',
+    `${appUrl}/verify-email?token=${encodeURIComponent(token)}`,
+    '',
+    `The link works once and expires at ${expiresAt.toUTCString()}. Until you confirm, friends may not be able to find you or add you to expenses.`,
+    '',
+    "If you didn't sign up for Udhari Kitap, ignore this email."
+  ].join('\n')
+});
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -1,5 +1,7 @@
 const Activity = require('../models/activity');
-const { paiseToRupees } = require('./expenseValidation');
+const { formatMoney } = require('../utils/currency');
+const { decodeCursor, takePage } = require('../utils/cursor');
+const { getExpensePayers } = require('./balanceCalculation');
 
 /**
  * Activity Service
@@ -9,10 +11,25 @@ const { paiseToRupees } = require('./expenseValidation');
  * about expenses, transactions, and other relevant events.
  */
 
+/**
+ * Describe who paid for an expense, e.g. "Asha" or "Asha and Ravi"
+ * @param {Object} expense - Expense document (payers populated)
+ * @returns {string}
+ */
+const describePayers = (expense) => {
+  const names = getExpensePayers(expense).map(p => p.user.name || 'Someone');
+  
+  if (names.length === 1) {
+    return names[0];
+  }
+  
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
 /**
  * Create an activity when a new expense is created
  * 
- * @param {Object} expense - Expense document (populated with payer and participants)
+ * @param {Object} expense - Expense document (populated with payers and participants)
  * @param {string} actorId - User who created the expense
  * @returns {Promise<Activity>}
  */
@@ -21,9 +38,11 @@ const createExpenseActivity = async (expense, actorId) => {
     // Extract all unique user IDs who should see this activity
     const targets = new Set();
     
-    // Add payer
-    const payerId = expense.payer._id ? expense.payer._id.toString() : expense.payer.toString();
-    targets.add(payerId);
+    // Add payers
+    getExpensePayers(expense).forEach(p => {
+      const payerId = p.user._id ? p.user._id.toString() : p.user.toString();
+      targets.add(payerId);
+    });
     
     // Add all participants
     expense.participants.forEach(p => {
@@ -38,11 +57,14 @@ const createExpenseActivity = async (expense, actorId) => {
       targets: Array.from(targets),
       payload: {
         expenseId: expense._id,
+        groupId: expense.group || undefined,
         title: `New expense: ${expense.title}`,
-        description: `${expense.payer.name || 'Someone'} paid ₹${paiseToRupees(expense.amount)} for "${expense.title}"`,
+        description: `${describePayers(expense)} paid ${formatMoney(expense.amount, expense.currency)} for "${expense.title}"`,
         amount: expense.amount,
         metadata: {
+          currency: expense.currency,
           participantCount: expense.participants.length,
+          payerCount: getExpensePayers(expense).length,
           splitMethod: expense.splitMethod
         }
       }
@@ -78,11 +100,14 @@ const createTransactionActivity = async (transaction, actorId) => {
       targets,
       payload: {
         transactionId: transaction._id,
-        title: `Payment: ₹${paiseToRupees(transaction.amount)}`,
-        description: `${transaction.from.name || 'Someone'} paid ₹${paiseToRupees(transaction.amount)} to ${transaction.to.name || 'someone'}${transaction.note ? ` - ${transaction.note}` : ''}`,
+        groupId: transaction.group || undefined,
+        title: `Payment: ${formatMoney(transaction.amount, transaction.currency)}`,
+        description: `${transaction.from.name || 'Someone'} paid ${formatMoney(transaction.amount, transaction.currency)} to ${transaction.to.name || 'someone'}${transaction.note ? ` - ${transaction.note}` : ''}${transaction.status === 'pending' ? ` (awaiting confirmation from ${transaction.to.name || 'the receiver'})` : ''}`,
         amount: transaction.amount,
         metadata: {
-          note: transaction.note
+          currency: transaction.currency,
+          note: transaction.note,
+          status: transaction.status
         }
       }
     });
@@ -95,6 +120,246 @@ const createTransactionActivity = async (transaction, actorId) => {
   }
 };
 
+/**
+ * Create an activity when a pending transaction is confirmed or rejected
+ * 
+ * @param {Object} transaction - Transaction document (from/to populated), status already changed
+ * @param {string} actorId - User who confirmed or rejected it
+ * @returns {Promise<Activity>}
+ */
+const createTransactionStatusActivity = async (transaction, actorId) => {
+  try {
+    const fromId = transaction.from._id ? transaction.from._id.toString() : transaction.from.toString();
+    const toId = transaction.to._id ? transaction.to._id.toString() : transaction.to.toString();
+    const amountText = formatMoney(transaction.amount, transaction.currency);
+    const actorName = fromId === actorId.toString() ? transaction.from.name : transaction.to.name;
+    const confirmed = transaction.status === 'confirmed';
+    
+    const activity = new Activity({
+      type: confirmed ? 'TRANSACTION_CONFIRMED' : 'TRANSACTION_REJECTED',
+      actor: actorId,
+      targets: [fromId, toId],
+      payload: {
+        transactionId: transaction._id,
+        groupId: transaction.group || undefined,
+        title: `Payment ${confirmed ? 'confirmed' : 'rejected'}: ${amountText}`,
+        description: confirmed
+          ? `${actorName || 'Someone'} confirmed receiving ${amountText} from ${transaction.from.name || 'someone'}`
+          : `${actorName || 'Someone'} rejected the payment of ${amountText} from ${transaction.from.name || 'someone'}${transaction.rejectionReason ? ` - ${transaction.rejectionReason}` : ''}`,
+        amount: transaction.amount,
+        metadata: {
+          currency: transaction.currency,
+          status: transaction.status,
+          ...(transaction.rejectionReason && { reason: transaction.rejectionReason })
+        }
+      }
+    });
+    
+    await activity.save();
+    return activity;
+  } catch (error) {
+    console.error('Error creating transaction status activity:', error);
+    return null;
+  }
+};
+
+/**
+ * Create an activity when a transaction is edited
+ * 
+ * @param {Object} transaction - Updated transaction document (from/to populated)
+ * @param {string} actorId - User who edited it
+ * @param {Object} changes - What changed, e.g. { amount: { old, new } }
+ * @returns {Promise<Activity>}
+ */
+const createTransactionUpdateActivity = async (transaction, actorId, changes = {}) => {
+  try {
+    const fromId = transaction.from._id ? transaction.from._id.toString() : transaction.from.toString();
+    const toId = transaction.to._id ? transaction.to._id.toString() : transaction.to.toString();
+    const amountText = formatMoney(transaction.amount, transaction.currency);
+    
+    const activity = new Activity({
+      type: 'TRANSACTION_UPDATED',
+      actor: actorId,
+      targets: [fromId, toId],
+      payload: {
+        transactionId: transaction._id,
+        groupId: transaction.group || undefined,
+        title: `Payment edited: ${amountText}`,
+        description: changes.amount
+          ? `Payment from ${transaction.from.name || 'someone'} to ${transaction.to.name || 'someone'} changed from ${formatMoney(changes.amount.old, transaction.currency)} to ${amountText}`
+          : `Payment of ${amountText} from ${transaction.from.name || 'someone'} to ${transaction.to.name || 'someone'} was edited`,
+        amount: transaction.amount,
+        metadata: {
+          currency: transaction.currency,
+          status: transaction.status,
+          changes
+        }
+      }
+    });
+    
+    await activity.save();
+    return activity;
+  } catch (error) {
+    console.error('Error creating transaction update activity:', error);
+    return null;
+  }
+};
+
+/**
+ * Create an activity when a transaction is voided
+ * 
+ * @param {Object} transaction - Voided transaction document (from/to populated)
+ * @param {string} actorId - User who voided it
+ * @returns {Promise<Activity>}
+ */
+const createTransactionVoidActivity = async (transaction, actorId) => {
+  try {
+    const fromId = transaction.from._id ? transaction.from._id.toString() : transaction.from.toString();
+    const toId = transaction.to._id ? transaction.to._id.toString() : transaction.to.toString();
+    const amountText = formatMoney(transaction.amount, transaction.currency);
+    
+    const activity = new Activity({
+      type: 'TRANSACTION_VOIDED',
+      actor: actorId,
+      targets: [fromId, toId],
+      payload: {
+        transactionId: transaction._id,
+        groupId: transaction.group || undefined,
+        title: `Payment voided: ${amountText}`,
+        description: `Payment of ${amountText} from ${transaction.from.name || 'someone'} to ${transaction.to.name || 'someone'} was voided${transaction.voidedReason ? ` - ${transaction.voidedReason}` : ''}`,
+        amount: transaction.amount,
+        metadata: {
+          currency: transaction.currency,
+          voidedAt: transaction.voidedAt,
+          ...(transaction.voidedReason && { reason: transaction.voidedReason })
+        }
+      }
+    });
+    
+    await activity.save();
+    return activity;
+  } catch (error) {
+    console.error('Error creating transaction void activity:', error);
+    return null;
+  }
+};
+
+/**
+ * Create an activity when a voided transaction is restored
+ * 
+ * @param {Object} transaction - Restored transaction document (from/to populated)
+ * @param {string} actorId - User who restored it
+ * @returns {Promise<Activity>}
+ */
+const createTransactionRestoreActivity = async (transaction, actorId) => {
+  try {
+    const fromId = transaction.from._id ? transaction.from._id.toString() : transaction.from.toString();
+    const toId = transaction.to._id ? transaction.to._id.toString() : transaction.to.toString();
+    const amountText = formatMoney(transaction.amount, transaction.currency);
+    
+    const activity = new Activity({
+      type: 'TRANSACTION_RESTORED',
+      actor: actorId,
+      targets: [fromId, toId],
+      payload: {
+        transactionId: transaction._id,
+        groupId: transaction.group || undefined,
+        title: `Payment restored: ${amountText}`,
+        description: `Payment of ${amountText} from ${transaction.from.name || 'someone'} to ${transaction.to.name || 'someone'} was restored`,
+        amount: transaction.amount,
+        metadata: {
+          currency: transaction.currency,
+          restoredAt: new Date()
+        }
+      }
+    });
+    
+    await activity.save();
+    return activity;
+  } catch (error) {
+    console.error('Error creating transaction restore activity:', error);
+    return null;
+  }
+};
+
+/**
+ * Create an activity when a loan is recorded
+ * 
+ * @param {Object} loan - Loan document (lender/borrower populated)
+ * @param {string} actorId - User who recorded the loan
+ * @returns {Promise<Activity>}
+ */
+const createLoanActivity = async (loan, actorId) => {
+  try {
+    const lenderId = loan.lender._id ? loan.lender._id.toString() : loan.lender.toString();
+    const borrowerId = loan.borrower._id ? loan.borrower._id.toString() : loan.borrower.toString();
+    const amountText = formatMoney(loan.principal, loan.currency);
+    
+    const activity = new Activity({
+      type: 'LOAN_CREATED',
+      actor: actorId,
+      targets: [lenderId, borrowerId],
+      payload: {
+        loanId: loan._id,
+        title: `Loan: ${amountText}`,
+        description: `${loan.lender.name || 'Someone'} lent ${amountText} to ${loan.borrower.name || 'someone'}${loan.note ? ` - ${loan.note}` : ''}`,
+        amount: loan.principal,
+        metadata: {
+          currency: loan.currency,
+          dueDate: loan.dueDate,
+          interestType: loan.interestType,
+          interestRate: loan.interestRate
+        }
+      }
+    });
+    
+    await activity.save();
+    return activity;
+  } catch (error) {
+    console.error('Error creating loan activity:', error);
+    return null;
+  }
+};
+
+/**
+ * Create an activity when a repayment is recorded against a loan
+ * 
+ * @param {Object} loan - Loan document (lender/borrower populated)
+ * @param {Object} transaction - Repayment transaction
+ * @param {string} actorId - User who recorded the repayment
+ * @returns {Promise<Activity>}
+ */
+const createLoanRepaymentActivity = async (loan, transaction, actorId) => {
+  try {
+    const lenderId = loan.lender._id ? loan.lender._id.toString() : loan.lender.toString();
+    const borrowerId = loan.borrower._id ? loan.borrower._id.toString() : loan.borrower.toString();
+    const amountText = formatMoney(transaction.amount, transaction.currency);
+    
+    const activity = new Activity({
+      type: 'LOAN_REPAYMENT',
+      actor: actorId,
+      targets: [lenderId, borrowerId],
+      payload: {
+        loanId: loan._id,
+        transactionId: transaction._id,
+        title: `Loan repayment: ${amountText}`,
+        description: `${loan.borrower.name || 'Someone'} repaid ${amountText} to ${loan.lender.name || 'someone'}${transaction.status === 'pending' ? ` (awaiting confirmation from ${loan.lender.name || 'the lender'})` : ''}`,
+        amount: transaction.amount,
+        metadata: {
+          currency: transaction.currency,
+          status: transaction.status
+        }
+      }
+    });
+    
+    await activity.save();
+    return activity;
+  } catch (error) {
+    console.error('Error creating loan repayment activity:', error);
+    return null;
+  }
+};
+
 /**
  * Create an activity when an expense is updated
  * 
@@ -107,8 +372,10 @@ const createExpenseUpdateActivity = async (expense, actorId, changes = {}) => {
   try {
     const targets = new Set();
     
-    const payerId = expense.payer._id ? expense.payer._id.toString() : expense.payer.toString();
-    targets.add(payerId);
+    getExpensePayers(expense).forEach(p => {
+      const payerId = p.user._id ? p.user._id.toString() : p.user.toString();
+      targets.add(payerId);
+    });
     
     expense.participants.forEach(p => {
       const userId = p.user._id ? p.user._id.toString() : p.user.toString();
@@ -121,6 +388,7 @@ const createExpenseUpdateActivity = async (expense, actorId, changes = {}) => {
       targets: Array.from(targets),
       payload: {
         expenseId: expense._id,
+        groupId: expense.group || undefined,
         title: `Updated expense: ${expense.title}`,
         description: `Expense "${expense.title}" was updated`,
         amount: expense.amount,
@@ -149,8 +417,10 @@ const createExpenseDeleteActivity = async (expense, actorId) => {
   try {
     const targets = new Set();
     
-    const payerId = expense.payer._id ? expense.payer._id.toString() : expense.payer.toString();
-    targets.add(payerId);
+    getExpensePayers(expense).forEach(p => {
+      const payerId = p.user._id ? p.user._id.toString() : p.user.toString();
+      targets.add(payerId);
+    });
     
     expense.participants.forEach(p => {
       const userId = p.user._id ? p.user._id.toString() : p.user.toString();
@@ -163,6 +433,7 @@ const createExpenseDeleteActivity = async (expense, actorId) => {
       targets: Array.from(targets),
       payload: {
         expenseId: expense._id,
+        groupId: expense.group || undefined,
         title: `Deleted expense: ${expense.title}`,
         description: `Expense "${expense.title}" was deleted`,
         amount: expense.amount,
@@ -191,8 +462,10 @@ const createExpenseRestoreActivity = async (expense, actorId) => {
   try {
     const targets = new Set();
     
-    const payerId = expense.payer._id ? expense.payer._id.toString() : expense.payer.toString();
-    targets.add(payerId);
+    getExpensePayers(expense).forEach(p => {
+      const payerId = p.user._id ? p.user._id.toString() : p.user.toString();
+      targets.add(payerId);
+    });
     
     expense.participants.forEach(p => {
       const userId = p.user._id ? p.user._id.toString() : p.user.toString();
@@ -205,6 +478,7 @@ const createExpenseRestoreActivity = async (expense, actorId) => {
       targets: Array.from(targets),
       payload: {
         expenseId: expense._id,
+        groupId: expense.group || undefined,
         title: `Restored expense: ${expense.title}`,
         description: `Expense "${expense.title}" was restored`,
         amount: expense.amount,
@@ -222,47 +496,101 @@ const createExpenseRestoreActivity = async (expense, actorId) => {
   }
 };
 
+/**
+ * Create an activity when someone comments on an expense
+ * 
+ * @param {Object} expense - Expense the comment was added to
+ * @param {Object} comment - Comment sub-document
+ * @param {Object} author - User who wrote the comment (name, _id)
+ * @returns {Promise<Activity>}
+ */
+const createCommentActivity = async (expense, comment, author) => {
+  try {
+    const targets = new Set();
+    
+    getExpensePayers(expense).forEach(p => {
+      const payerId = p.user._id ? p.user._id.toString() : p.user.toString();
+      targets.add(payerId);
+    });
+    
+    expense.participants.forEach(p => {
+      const userId = p.user._id ? p.user._id.toString() : p.user.toString();
+      targets.add(userId);
+    });
+    
+    const preview = comment.text.length > 100 ? `${comment.text.slice(0, 97)}...` : comment.text;
+    
+    const activity = new Activity({
+      type: 'COMMENT_ADDED',
+      actor: author._id,
+      targets: Array.from(targets),
+      payload: {
+        expenseId: expense._id,
+        groupId: expense.group || undefined,
+        title: `New comment on: ${expense.title}`,
+        description: `${author.name || 'Someone'} commented: "${preview}"`,
+        metadata: {
+          commentId: comment._id
+        }
+      }
+    });
+    
+    await activity.save();
+    return activity;
+  } catch (error) {
+    console.error('Error creating comment activity:', error);
+    return null;
+  }
+};
+
 /**
  * Get activity feed for a user
  * 
  * @param {string} userId - User ID
- * @param {Object} options - Query options
+ * @param {Object} options - Query options (cursor is the nextCursor of the previous page)
  * @returns {Promise<Object>} { activities, unreadCount, pagination }
  */
 const getActivityFeed = async (userId, options = {}) => {
   const {
-    page = 1,
+    cursor = null,
     limit = 20,
     type = null,
+    groupId = null,
     unreadOnly = false
   } = options;
   
-  const skip = (page - 1) * limit;
-  
-  // Get activities
+  // Get activities (one extra to tell whether there are more)
   const activities = await Activity.getForUser(userId, {
-    limit: parseInt(limit),
-    skip,
+    limit: limit + 1,
+    cursor: cursor ? decodeCursor(cursor) : null,
     type,
+    groupId,
     unreadOnly
   });
   
   // Build query for total count
   const countQuery = { targets: userId };
   if (type) countQuery.type = type;
+  if (groupId) countQuery['payload.groupId'] = groupId;
   if (unreadOnly) countQuery.isReadBy = { $ne: userId };
   
   const total = await Activity.countDocuments(countQuery);
   const unreadCount = await Activity.countUnreadForUser(userId);
   
+  const { items, hasMore, nextCursor } = takePage(activities, limit, activity => ({
+    sort: 'createdAt:desc',
+    value: activity.createdAt,
+    id: activity._id
+  }));
+  
   return {
-    activities: activities.map(activity => activity.toSafeObject(userId)),
+    activities: items.map(activity => activity.toSafeObject(userId)),
     unreadCount,
     pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
+      limit,
       total,
-      totalPages: Math.ceil(total / limit)
+      hasMore,
+      nextCursor
     }
   };
 };
@@ -375,9 +703,16 @@ const markAllAsRead = async (userId) => {
 module.exports = {
   createExpenseActivity,
   createTransactionActivity,
+  createTransactionStatusActivity,
+  createTransactionUpdateActivity,
+  createTransactionVoidActivity,
+  createTransactionRestoreActivity,
+  createLoanActivity,
+  createLoanRepaymentActivity,
   createExpenseUpdateActivity,
   createExpenseDeleteActivity,
   createExpenseRestoreActivity,
+  createCommentActivity,
   createFriendAddedActivity,
   getActivityFeed,
   markActivityAsRead,
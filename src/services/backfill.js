@@ -0,0 +1,40 @@
+const Expense = require('../models/expense');
+const Transaction = require('../models/transaction');
+
+/**
+ * Backfill Service
+ *
+ * Fills in fields added after documents were first stored, so queries on
+ * them (which don't see schema defaults) match older documents too. Each
+ * step only touches documents still missing the field, so running it on
+ * every boot is cheap once it has been done.
+ */
+
+/**
+ * Give expenses an expenseDate and transactions a settledAt, taken from
+ * when they were recorded
+ * @returns {Promise<Object>} { expenses, transactions } number of documents updated
+ */
+const backfillDates = async () => {
+  const [expenses, transactions] = await Promise.all([
+    Expense.updateMany(
+      { expenseDate: { $exists: false } },
+      [{ $set: { expenseDate: '$createdAt' } }],
+      { timestamps: false }
+    ),
+    Transaction.updateMany(
+      { settledAt: { $exists: false } },
+      [{ $set: { settledAt: '$createdAt' } }],
+      { timestamps: false }
+    )
+  ]);
+
+  return {
+    expenses: expenses.modifiedCount,
+    transactions: transactions.modifiedCount
+  };
+};
+
+module.exports = {
+  backfillDates
+};
@@ -1,6 +1,9 @@
 const Expense = require('../models/expense');
 const Transaction = require('../models/transaction');
 const { paiseToRupees } = require('./expenseValidation');
+const { getExchangeRates, getConversionRate, convertAmount } = require('./exchangeRateService');
+const { calculateLoanBalances } = require('./loanCalculation');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency');
 
 /**
  * Balance Calculation Service
@@ -15,62 +18,144 @@ const { paiseToRupees } = require('./expenseValidation');
  * - Bob and Charlie each owe Alice ₹100
  * - Alice's balance with Bob: +₹100 (Bob owes Alice)
  * - Bob's balance with Alice: -₹100 (Bob owes Alice)
+ * 
+ * Balances are kept separately per currency: ₹100 owed one way and $5 owed
+ * the other do not cancel out unless the caller asks for a conversion.
+ * 
+ * Only confirmed settlements count by default; callers can pass includePending
+ * to also count settlements still waiting for the receiver to confirm them.
  */
 
+const idOf = (ref) => (ref._id ? ref._id.toString() : ref.toString());
+
 /**
- * Calculate what a user is owed from an expense (when they paid)
+ * Get everyone who paid for an expense
+ * Older expenses only have a single payer, who paid the full amount
  * @param {Object} expense - Expense document
- * @param {string} userId - User ID to calculate for
- * @returns {number} Amount in paise that user is owed
+ * @returns {Array} [{ user, paid }] with paid in paise
  */
-const calculateOwedFromExpense = (expense, userId) => {
-  const userIdStr = userId.toString();
-  const payerId = expense.payer._id ? expense.payer._id.toString() : expense.payer.toString();
+const getExpensePayers = (expense) => {
+  if (expense.payers && expense.payers.length > 0) {
+    return expense.payers;
+  }
   
-  // If user is not the payer, they're not owed anything from this expense
-  if (payerId !== userIdStr) {
-    return 0;
+  return [{ user: expense.payer, paid: expense.amount }];
+};
+
+/**
+ * Work out who owes whom within a single expense
+ * 
+ * Each person's position is what they paid minus their share. Everyone who is
+ * short pays everyone who is over, in proportion to how much each is over.
+ * With a single payer this is simply "each participant owes the payer their share".
+ * 
+ * Amounts are rounded to whole paise so that each debtor pays exactly what they
+ * are short and each creditor receives exactly what they are over.
+ * 
+ * @param {Object} expense - Expense document
+ * @returns {Array} [{ from, to, fromUser, toUser, amount }] - from owes to, amount in paise
+ */
+const allocateExpenseDebts = (expense) => {
+  const positions = new Map(); // userId -> { user, net }
+  
+  const adjust = (user, amount) => {
+    const id = idOf(user);
+    if (!positions.has(id)) {
+      positions.set(id, { id, user, net: 0 });
+    }
+    positions.get(id).net += amount;
+  };
+  
+  getExpensePayers(expense).forEach(p => adjust(p.user, p.paid));
+  expense.participants.forEach(p => adjust(p.user, -p.share));
+  
+  const entries = Array.from(positions.values());
+  const creditors = entries.filter(e => e.net > 0);
+  const debtors = entries.filter(e => e.net < 0);
+  const totalCredit = creditors.reduce((sum, c) => sum + c.net, 0);
+  
+  if (creditors.length === 0 || debtors.length === 0) {
+    return [];
   }
   
-  // User paid the full amount
-  const totalPaid = expense.amount;
+  // Exact proportional amounts, rounded down, remembering the remainders
+  const total = BigInt(totalCredit);
+  const cells = [];
+  const matrix = debtors.map((debtor, i) => creditors.map((creditor, j) => {
+    const exact = BigInt(-debtor.net) * BigInt(creditor.net);
+    cells.push({ i, j, remainder: exact % total });
+    return Number(exact / total);
+  }));
   
-  // Find user's own share (what they owe themselves, i.e., their portion)
-  const userParticipant = expense.participants.find(p => {
-    const pUserId = p.user._id ? p.user._id.toString() : p.user.toString();
-    return pUserId === userIdStr;
-  });
+  // Paise still to hand out per debtor (row) and per creditor (column)
+  const rowDeficit = debtors.map((debtor, i) => -debtor.net - matrix[i].reduce((sum, v) => sum + v, 0));
+  const colDeficit = creditors.map((creditor, j) => creditor.net - matrix.reduce((sum, row) => sum + row[j], 0));
   
-  const userShare = userParticipant ? userParticipant.share : 0;
+  // Hand them out to the largest remainders first, ties in list order
+  cells.sort((a, b) => (a.remainder === b.remainder ? 0 : a.remainder > b.remainder ? -1 : 1));
   
-  // Amount owed = total paid - own share
-  // (Others owe the payer for their portions)
-  return totalPaid - userShare;
+  for (const { i, j } of cells) {
+    if (rowDeficit[i] > 0 && colDeficit[j] > 0) {
+      matrix[i][j]++;
+      rowDeficit[i]--;
+      colDeficit[j]--;
+    }
+  }
+  
+  // Anything left pairs up with any creditor still short (both sides sum to the same total)
+  for (let i = 0; i < debtors.length; i++) {
+    for (let j = 0; j < creditors.length && rowDeficit[i] > 0; j++) {
+      const extra = Math.min(rowDeficit[i], colDeficit[j]);
+      matrix[i][j] += extra;
+      rowDeficit[i] -= extra;
+      colDeficit[j] -= extra;
+    }
+  }
+  
+  const debts = [];
+  debtors.forEach((debtor, i) => creditors.forEach((creditor, j) => {
+    if (matrix[i][j] > 0) {
+      debts.push({
+        from: debtor.id,
+        to: creditor.id,
+        fromUser: debtor.user,
+        toUser: creditor.user,
+        amount: matrix[i][j]
+      });
+    }
+  }));
+  
+  return debts;
+};
+
+/**
+ * Calculate what a user is owed from an expense (when they paid more than their share)
+ * @param {Object} expense - Expense document
+ * @param {string} userId - User ID to calculate for
+ * @returns {number} Amount in paise that user is owed
+ */
+const calculateOwedFromExpense = (expense, userId) => {
+  const userIdStr = userId.toString();
+  
+  // Others owe the user for the part of what they paid that covered others' shares
+  return allocateExpenseDebts(expense)
+    .filter(debt => debt.to === userIdStr)
+    .reduce((sum, debt) => sum + debt.amount, 0);
 };
 
 /**
- * Calculate what a user owes from an expense (when they're a participant)
+ * Calculate what a user owes from an expense (when they paid less than their share)
  * @param {Object} expense - Expense document
  * @param {string} userId - User ID to calculate for
  * @returns {number} Amount in paise that user owes
  */
 const calculateOwingFromExpense = (expense, userId) => {
   const userIdStr = userId.toString();
-  const payerId = expense.payer._id ? expense.payer._id.toString() : expense.payer.toString();
-  
-  // If user is the payer, they don't owe money (they paid it)
-  if (payerId === userIdStr) {
-    return 0;
-  }
-  
-  // Find user's share in this expense
-  const userParticipant = expense.participants.find(p => {
-    const pUserId = p.user._id ? p.user._id.toString() : p.user.toString();
-    return pUserId === userIdStr;
-  });
   
-  // User owes their share to the payer
-  return userParticipant ? userParticipant.share : 0;
+  // User owes the payers whatever part of their share they didn't pay themselves
+  return allocateExpenseDebts(expense)
+    .filter(debt => debt.from === userIdStr)
+    .reduce((sum, debt) => sum + debt.amount, 0);
 };
 
 /**
@@ -86,135 +171,228 @@ const calculateOwingFromExpense = (expense, userId) => {
 const calculatePairwiseBalanceFromExpense = (expense, currentUserId, otherUserId) => {
   const currentUserIdStr = currentUserId.toString();
   const otherUserIdStr = otherUserId.toString();
-  const payerId = expense.payer._id ? expense.payer._id.toString() : expense.payer.toString();
   
-  // Case 1: Current user paid, other user is participant
-  if (payerId === currentUserIdStr) {
-    const otherParticipant = expense.participants.find(p => {
-      const pUserId = p.user._id ? p.user._id.toString() : p.user.toString();
-      return pUserId === otherUserIdStr;
-    });
-    
-    // Other user owes current user their share (positive balance)
-    return otherParticipant ? otherParticipant.share : 0;
-  }
+  let balance = 0;
   
-  // Case 2: Other user paid, current user is participant
-  if (payerId === otherUserIdStr) {
-    const currentParticipant = expense.participants.find(p => {
-      const pUserId = p.user._id ? p.user._id.toString() : p.user.toString();
-      return pUserId === currentUserIdStr;
-    });
+  for (const debt of allocateExpenseDebts(expense)) {
+    // Other user owes current user (positive balance)
+    if (debt.from === otherUserIdStr && debt.to === currentUserIdStr) {
+      balance += debt.amount;
+    }
     
-    // Current user owes other user their share (negative balance)
-    return currentParticipant ? -currentParticipant.share : 0;
+    // Current user owes other user (negative balance)
+    if (debt.from === currentUserIdStr && debt.to === otherUserIdStr) {
+      balance -= debt.amount;
+    }
   }
   
-  // Case 3: Neither paid (someone else paid) - no direct balance between them
-  return 0;
+  // Neither paid (someone else paid) - no direct balance between them
+  return balance;
 };
 
 /**
  * Get all expenses involving a user
  * @param {string} userId - User ID
+ * @param {Object} options - { groupId } to restrict to a single group
  * @returns {Promise<Array>} Array of expense documents
  */
-const getExpensesInvolvingUser = async (userId) => {
+const getExpensesInvolvingUser = async (userId, options = {}) => {
   const userIdStr = userId.toString();
+  const { groupId = null } = options;
   
-  // Find all non-deleted expenses where user is either payer or participant
-  const expenses = await Expense.find({
+  // Find all non-deleted expenses where user is either a payer or participant
+  const query = {
     isDeleted: false,
     $or: [
       { payer: userIdStr },
+      { 'payers.user': userIdStr },
       { 'participants.user': userIdStr }
     ]
-  })
+  };
+  
+  if (groupId) {
+    query.group = groupId;
+  }
+  
+  const expenses = await Expense.find(query)
   .populate('payer', 'name email')
+  .populate('payers.user', 'name email')
   .populate('participants.user', 'name email')
-  .sort({ createdAt: -1 });
+  .sort({ expenseDate: -1, createdAt: -1 });
   
   return expenses;
 };
 
+/**
+ * Get (or create) the running totals for one currency
+ * @param {Map} buckets - currency -> { totalOwed, totalOwing, perUserMap }
+ * @param {string} currency - Currency code
+ * @returns {Object} Bucket
+ */
+const getBucket = (buckets, currency) => {
+  if (!buckets.has(currency)) {
+    buckets.set(currency, { totalOwed: 0, totalOwing: 0, perUserMap: new Map() });
+  }
+  return buckets.get(currency);
+};
+
+/**
+ * Add to a user's balance within a bucket
+ * @param {Map} perUserMap - otherUserId -> { user, balance }
+ * @param {string} otherId - Other user ID
+ * @param {Object} user - Other user (populated)
+ * @param {number} amount - Positive = they owe you, negative = you owe them
+ */
+const addToPerUser = (perUserMap, otherId, user, amount) => {
+  if (!perUserMap.has(otherId)) {
+    perUserMap.set(otherId, { user, balance: 0 });
+  }
+  perUserMap.get(otherId).balance += amount;
+};
+
+/**
+ * Format per-user balances for the response
+ * @param {Array} entries - [{ user, balance }]
+ * @param {string} currency - Currency of the balances
+ * @returns {Array}
+ */
+const formatPerUser = (entries, currency) => entries
+  .map(entry => ({
+    user: {
+      id: entry.user._id,
+      name: entry.user.name,
+      email: entry.user.email
+    },
+    balance: entry.balance,
+    balanceInRupees: paiseToRupees(entry.balance, currency),
+    status: entry.balance > 0 ? 'owes_you' : entry.balance < 0 ? 'you_owe' : 'settled'
+  }))
+  .filter(entry => entry.balance !== 0) // Only show non-zero balances
+  .sort((a, b) => b.balance - a.balance); // Sort by balance (highest first)
+
+/**
+ * Format the totals of one currency for the response
+ * @param {string} currency - Currency code
+ * @param {number} totalOwed - In minor units
+ * @param {number} totalOwing - In minor units
+ * @param {Array} perUser - Formatted per-user balances
+ * @returns {Object}
+ */
+const formatTotals = (currency, totalOwed, totalOwing, perUser) => {
+  const netBalance = totalOwed - totalOwing;
+  
+  return {
+    currency,
+    totalOwed,
+    totalOwedInRupees: paiseToRupees(totalOwed, currency),
+    totalOwing,
+    totalOwingInRupees: paiseToRupees(totalOwing, currency),
+    netBalance,
+    netBalanceInRupees: paiseToRupees(netBalance, currency),
+    perUser
+  };
+};
+
+/**
+ * Convert every currency's balances into one currency with the current rate table
+ * Currencies without a rate are left out and listed in unconvertedCurrencies.
+ * @param {Array} byCurrency - Formatted balances per currency
+ * @param {string} currency - Currency to convert into
+ * @returns {Promise<Object>} Totals in `currency` plus { unconvertedCurrencies, ratesAsOf }
+ */
+const convertBalances = async (byCurrency, currency) => {
+  const rates = await getExchangeRates();
+  const unconvertedCurrencies = [];
+  const perUserMap = new Map();
+  let totalOwed = 0;
+  let totalOwing = 0;
+  
+  for (const bucket of byCurrency) {
+    if (getConversionRate(bucket.currency, currency, rates) === null) {
+      unconvertedCurrencies.push(bucket.currency);
+      continue;
+    }
+    
+    const convert = (amount) => convertAmount(amount, bucket.currency, currency, rates);
+    totalOwed += convert(bucket.totalOwed);
+    totalOwing += convert(bucket.totalOwing);
+    
+    for (const entry of bucket.perUser) {
+      const otherId = entry.user.id.toString();
+      addToPerUser(perUserMap, otherId, { _id: entry.user.id, ...entry.user }, convert(entry.balance));
+    }
+  }
+  
+  const rate = rates.get(currency);
+  
+  return {
+    ...formatTotals(currency, totalOwed, totalOwing, formatPerUser(Array.from(perUserMap.values()), currency)),
+    unconvertedCurrencies,
+    ratesAsOf: rate ? rate.asOf : null
+  };
+};
+
 /**
  * Calculate overall balance for a user
  * Returns what they're owed, what they owe, and net balance
  * Includes both expenses and transactions (settlements)
+ * When a groupId is given, only expenses and transactions filed under that group are counted
+ * 
+ * Amounts in different currencies are never added together: each currency gets its
+ * own totals in byCurrency, and the top-level totals are those of options.currency.
+ * With options.convert, everything is also converted into options.currency at the
+ * current rates and returned under `converted`.
+ * With options.includePending, unconfirmed settlements are counted as if confirmed.
+ * 
+ * Loans are kept out of the expense totals and reported separately under
+ * `loans` (what is still outstanding on loans you gave or took). Loans don't
+ * belong to groups, so they are left out when a groupId is given.
  * 
  * @param {string} userId - User ID
- * @returns {Promise<Object>} { totalOwed, totalOwing, netBalance, perUser: [...] }
+ * @param {Object} options - { groupId, currency, convert, includePending }
+ * @returns {Promise<Object>} { currency, totalOwed, totalOwing, netBalance, perUser: [...], byCurrency: [...], loans?, converted? }
  */
-const calculateOverallBalance = async (userId) => {
-  const expenses = await getExpensesInvolvingUser(userId);
+const calculateOverallBalance = async (userId, options = {}) => {
+  const { groupId = null, currency = DEFAULT_CURRENCY, convert = false, includePending = false } = options;
+  const userIdStr = userId.toString();
+  const expenses = await getExpensesInvolvingUser(userId, { groupId });
   
-  let totalOwed = 0; // What others owe this user
-  let totalOwing = 0; // What this user owes others
-  const perUserMap = new Map(); // Track balance per other user
+  const buckets = new Map(); // currency -> { totalOwed, totalOwing, perUserMap }
   
   // Step 1: Calculate balances from expenses
   for (const expense of expenses) {
-    // Calculate what user is owed from this expense
-    const owed = calculateOwedFromExpense(expense, userId);
-    totalOwed += owed;
-    
-    // Calculate what user owes from this expense
-    const owing = calculateOwingFromExpense(expense, userId);
-    totalOwing += owing;
+    const bucket = getBucket(buckets, expense.currency || DEFAULT_CURRENCY);
     
-    // Track per-user balances
-    const payerId = expense.payer._id ? expense.payer._id.toString() : expense.payer.toString();
-    const userIdStr = userId.toString();
-    
-    // If user paid, update balances with each participant
-    if (payerId === userIdStr) {
-      for (const participant of expense.participants) {
-        const participantId = participant.user._id ? participant.user._id.toString() : participant.user.toString();
-        
-        // Skip self
-        if (participantId === userIdStr) continue;
-        
-        // Other user owes this user
-        if (!perUserMap.has(participantId)) {
-          perUserMap.set(participantId, {
-            user: participant.user,
-            balance: 0
-          });
-        }
-        
-        const entry = perUserMap.get(participantId);
-        entry.balance += participant.share; // They owe user their share
-      }
-    }
-    
-    // If user is participant and someone else paid
-    if (payerId !== userIdStr) {
-      const userParticipant = expense.participants.find(p => {
-        const pUserId = p.user._id ? p.user._id.toString() : p.user.toString();
-        return pUserId === userIdStr;
-      });
+    for (const debt of allocateExpenseDebts(expense)) {
+      // Only debts between this user and someone else
+      if (debt.to !== userIdStr && debt.from !== userIdStr) continue;
       
-      if (userParticipant) {
-        if (!perUserMap.has(payerId)) {
-          perUserMap.set(payerId, {
-            user: expense.payer,
-            balance: 0
-          });
-        }
-        
-        const entry = perUserMap.get(payerId);
-        entry.balance -= userParticipant.share; // User owes payer their share
+      if (debt.to === userIdStr) {
+        // They owe user
+        bucket.totalOwed += debt.amount;
+        addToPerUser(bucket.perUserMap, debt.from, debt.fromUser, debt.amount);
+      } else {
+        // User owes them
+        bucket.totalOwing += debt.amount;
+        addToPerUser(bucket.perUserMap, debt.to, debt.toUser, -debt.amount);
       }
     }
   }
   
   // Step 2: Adjust balances based on transactions (settlements)
-  const transactions = await Transaction.find({
+  const transactionQuery = {
     $or: [
       { from: userId },
       { to: userId }
-    ]
-  })
+    ],
+    ...Transaction.countedInBalances(includePending)
+  };
+  
+  if (groupId) {
+    transactionQuery.group = groupId;
+  }
+  
+  const transactions = await Transaction.find(transactionQuery)
   .populate('from', 'name email')
   .populate('to', 'name email')
   .sort({ createdAt: -1 });
@@ -222,113 +400,125 @@ const calculateOverallBalance = async (userId) => {
   for (const transaction of transactions) {
     const fromId = transaction.from._id.toString();
     const toId = transaction.to._id.toString();
-    const userIdStr = userId.toString();
+    const bucket = getBucket(buckets, transaction.currency || DEFAULT_CURRENCY);
     
     if (fromId === userIdStr) {
       // User paid someone - reduces what user owes them (or increases what they owe user)
-      totalOwing -= transaction.amount;
-      
-      if (!perUserMap.has(toId)) {
-        perUserMap.set(toId, {
-          user: transaction.to,
-          balance: 0
-        });
-      }
-      
-      const entry = perUserMap.get(toId);
-      entry.balance += transaction.amount; // After payment, they owe user this much (or user owes less)
+      bucket.totalOwing -= transaction.amount;
+      addToPerUser(bucket.perUserMap, toId, transaction.to, transaction.amount);
     } else {
       // User received payment - reduces what others owe user (or increases what user owes them)
-      totalOwed -= transaction.amount;
-      
-      if (!perUserMap.has(fromId)) {
-        perUserMap.set(fromId, {
-          user: transaction.from,
-          balance: 0
-        });
-      }
-      
-      const entry = perUserMap.get(fromId);
-      entry.balance -= transaction.amount; // After receiving, user owes them this much (or they owe user less)
+      bucket.totalOwed -= transaction.amount;
+      addToPerUser(bucket.perUserMap, fromId, transaction.from, -transaction.amount);
     }
   }
   
-  // Convert map to array and format
-  const perUser = Array.from(perUserMap.values()).map(entry => ({
-    user: {
-      id: entry.user._id,
-      name: entry.user.name,
-      email: entry.user.email
-    },
-    balance: entry.balance,
-    balanceInRupees: paiseToRupees(entry.balance),
-    status: entry.balance > 0 ? 'owes_you' : entry.balance < 0 ? 'you_owe' : 'settled'
-  }))
-  .filter(entry => entry.balance !== 0) // Only show non-zero balances
-  .sort((a, b) => b.balance - a.balance); // Sort by balance (highest first)
+  // Requested currency first, then the rest alphabetically
+  const byCurrency = Array.from(buckets.entries())
+    .sort(([a], [b]) => (a === currency ? -1 : b === currency ? 1 : a.localeCompare(b)))
+    .map(([code, bucket]) => formatTotals(
+      code,
+      bucket.totalOwed,
+      bucket.totalOwing,
+      formatPerUser(Array.from(bucket.perUserMap.values()), code)
+    ));
   
-  const netBalance = totalOwed - totalOwing;
+  const primary = byCurrency.find(b => b.currency === currency) || formatTotals(currency, 0, 0, []);
   
   return {
-    totalOwed,
-    totalOwedInRupees: paiseToRupees(totalOwed),
-    totalOwing,
-    totalOwingInRupees: paiseToRupees(totalOwing),
-    netBalance,
-    netBalanceInRupees: paiseToRupees(netBalance),
-    perUser
+    ...primary,
+    byCurrency,
+    ...(!groupId && { loans: await calculateLoanBalances(userId, { currency }) }),
+    ...(convert && { converted: await convertBalances(byCurrency, currency) })
   };
 };
 
+/**
+ * Describe a balance with someone across currencies
+ * e.g. "They owe you ₹250; you owe them USD 12.5"
+ * @param {Array} byCurrency - [{ currency, balance }]
+ * @returns {string}
+ */
+const describePairwiseBalance = (byCurrency) => {
+  const parts = byCurrency
+    .filter(b => b.balance !== 0)
+    .map(b => (b.balance > 0
+      ? `they owe you ${formatMoney(b.balance, b.currency)}`
+      : `you owe them ${formatMoney(-b.balance, b.currency)}`));
+  
+  if (parts.length === 0) {
+    return 'All settled up';
+  }
+  
+  const message = parts.join('; ');
+  return message.charAt(0).toUpperCase() + message.slice(1);
+};
+
 /**
  * Calculate pairwise balance between current user and another user
  * Includes both expenses and transactions (settlements)
+ * Balances are kept per currency; the top-level balance is that of options.currency.
+ * Pending settlements are only listed and counted with options.includePending.
  * 
  * @param {string} currentUserId - Current user ID
  * @param {string} otherUserId - Other user ID
- * @returns {Promise<Object>} { balance, expenses: [...], transactions: [...] }
+ * @param {Object} options - { currency } for the top-level balance, { includePending }
+ * @returns {Promise<Object>} { currency, balance, byCurrency: [...], expenses: [...], transactions: [...] }
  */
-const calculatePairwiseBalance = async (currentUserId, otherUserId) => {
+const calculatePairwiseBalance = async (currentUserId, otherUserId, options = {}) => {
+  const { currency = DEFAULT_CURRENCY, includePending = false } = options;
   const currentUserIdStr = currentUserId.toString();
   const otherUserIdStr = otherUserId.toString();
   
   // Find all non-deleted expenses involving both users
-  const expenses = await Expense.find({
-    isDeleted: false,
+  const involves = (userIdStr) => ({
     $or: [
-      // Current user paid, other user is participant
-      {
-        payer: currentUserIdStr,
-        'participants.user': otherUserIdStr
-      },
-      // Other user paid, current user is participant
-      {
-        payer: otherUserIdStr,
-        'participants.user': currentUserIdStr
-      }
+      { payer: userIdStr },
+      { 'payers.user': userIdStr },
+      { 'participants.user': userIdStr }
     ]
+  });
+  
+  const candidates = await Expense.find({
+    isDeleted: false,
+    $and: [involves(currentUserIdStr), involves(otherUserIdStr)]
   })
   .populate('payer', 'name email')
+  .populate('payers.user', 'name email')
   .populate('participants.user', 'name email')
-  .sort({ createdAt: -1 });
+  .sort({ expenseDate: -1, createdAt: -1 });
+  
+  // Keep expenses where one of them paid and the other took part
+  const paidFor = (expense, payerIdStr, participantIdStr) =>
+    getExpensePayers(expense).some(p => idOf(p.user) === payerIdStr) &&
+    expense.participants.some(p => idOf(p.user) === participantIdStr);
+  
+  const expenses = candidates.filter(expense =>
+    paidFor(expense, currentUserIdStr, otherUserIdStr) || paidFor(expense, otherUserIdStr, currentUserIdStr)
+  );
   
-  let totalBalance = 0;
+  const totals = new Map(); // currency -> balance in minor units
+  const addToTotal = (code, amount) => totals.set(code, (totals.get(code) || 0) + amount);
   const expenseDetails = [];
   
   for (const expense of expenses) {
+    const expenseCurrency = expense.currency || DEFAULT_CURRENCY;
     const balance = calculatePairwiseBalanceFromExpense(expense, currentUserId, otherUserId);
-    totalBalance += balance;
+    addToTotal(expenseCurrency, balance);
     
     expenseDetails.push({
       id: expense._id,
       title: expense.title,
       amount: expense.amount,
-      amountInRupees: paiseToRupees(expense.amount),
+      amountInRupees: paiseToRupees(expense.amount, expenseCurrency),
+      currency: expenseCurrency,
       payer: expense.payer,
+      payers: getExpensePayers(expense),
       yourShare: balance < 0 ? -balance : 0, // What you owe from this expense
-      yourShareInRupees: balance < 0 ? paiseToRupees(-balance) : 0,
+      yourShareInRupees: balance < 0 ? paiseToRupees(-balance, expenseCurrency) : 0,
       theirShare: balance > 0 ? balance : 0, // What they owe from this expense
-      theirShareInRupees: balance > 0 ? paiseToRupees(balance) : 0,
+      theirShareInRupees: balance > 0 ? paiseToRupees(balance, expenseCurrency) : 0,
+      expenseDate: expense.expenseDate,
       createdAt: expense.createdAt
     });
   }
@@ -338,55 +528,113 @@ const calculatePairwiseBalance = async (currentUserId, otherUserId) => {
     $or: [
       { from: currentUserIdStr, to: otherUserIdStr },
       { from: otherUserIdStr, to: currentUserIdStr }
-    ]
+    ],
+    ...Transaction.countedInBalances(includePending)
   })
   .populate('from', 'name email')
   .populate('to', 'name email')
   .populate('createdBy', 'name email')
-  .sort({ createdAt: -1 });
+  .sort({ settledAt: -1, createdAt: -1 });
   
   const transactionDetails = [];
   
   for (const transaction of transactions) {
     const fromId = transaction.from._id.toString();
+    const transactionCurrency = transaction.currency || DEFAULT_CURRENCY;
+    const amountText = formatMoney(transaction.amount, transactionCurrency);
     
     // If current user paid, balance increases (they owe less or other owes more)
     // If current user received, balance decreases (they owe more or other owes less)
     const balanceChange = fromId === currentUserIdStr ? transaction.amount : -transaction.amount;
-    totalBalance += balanceChange;
+    addToTotal(transactionCurrency, balanceChange);
     
     transactionDetails.push({
       id: transaction._id,
       amount: transaction.amount,
-      amountInRupees: paiseToRupees(transaction.amount),
+      amountInRupees: paiseToRupees(transaction.amount, transactionCurrency),
+      currency: transactionCurrency,
       from: transaction.from,
       to: transaction.to,
       note: transaction.note,
+      status: transaction.status,
+      settledAt: transaction.settledAt || transaction.createdAt,
       createdBy: transaction.createdBy,
       createdAt: transaction.createdAt,
       direction: fromId === currentUserIdStr ? 'you_paid' : 'they_paid',
       balanceEffect: fromId === currentUserIdStr 
-        ? `Reduced your debt by ₹${paiseToRupees(transaction.amount)}`
-        : `Reduced their debt by ₹${paiseToRupees(transaction.amount)}`
+        ? `Reduced your debt by ${amountText}`
+        : `Reduced their debt by ${amountText}`
     });
   }
   
+  const byCurrency = Array.from(totals.entries())
+    .sort(([a], [b]) => (a === currency ? -1 : b === currency ? 1 : a.localeCompare(b)))
+    .map(([code, balance]) => ({
+      currency: code,
+      balance,
+      balanceInRupees: paiseToRupees(balance, code),
+      status: balance > 0 ? 'owes_you' : balance < 0 ? 'you_owe' : 'settled'
+    }));
+  
+  const totalBalance = totals.get(currency) || 0;
+  
   return {
+    currency,
     balance: totalBalance,
-    balanceInRupees: paiseToRupees(totalBalance),
+    balanceInRupees: paiseToRupees(totalBalance, currency),
     status: totalBalance > 0 ? 'owes_you' : totalBalance < 0 ? 'you_owe' : 'settled',
-    message: totalBalance > 0 
-      ? `They owe you ₹${paiseToRupees(totalBalance)}`
-      : totalBalance < 0
-      ? `You owe them ₹${paiseToRupees(-totalBalance)}`
-      : 'All settled up',
+    isSettled: byCurrency.every(b => b.balance === 0),
+    message: describePairwiseBalance(byCurrency),
+    byCurrency,
     expenses: expenseDetails,
     transactions: transactionDetails
   };
 };
 
+/**
+ * Work out the payment that squares up two users
+ * Pending settlements are counted as paid, so nobody is told to pay twice
+ * while the other person hasn't confirmed yet.
+ * 
+ * @param {string} currentUserId - Current user ID
+ * @param {string} otherUserId - Other user ID
+ * @param {Object} options - { currency } for the top-level result
+ * @returns {Promise<Object>} { currency, balance, direction, amount, amountInRupees, from, to, byCurrency: [...] }
+ *   direction is 'you_pay', 'they_pay' or 'settled'; from/to are user IDs (null when settled)
+ */
+const calculateSettleUp = async (currentUserId, otherUserId, options = {}) => {
+  const { currency = DEFAULT_CURRENCY } = options;
+  const currentUserIdStr = currentUserId.toString();
+  const otherUserIdStr = otherUserId.toString();
+  
+  const pairwise = await calculatePairwiseBalance(currentUserId, otherUserId, { currency, includePending: true });
+  
+  const settleUpFor = (code, balance) => ({
+    currency: code,
+    balance,
+    direction: balance > 0 ? 'they_pay' : balance < 0 ? 'you_pay' : 'settled',
+    amount: Math.abs(balance),
+    amountInRupees: paiseToRupees(Math.abs(balance), code),
+    from: balance > 0 ? otherUserIdStr : balance < 0 ? currentUserIdStr : null,
+    to: balance > 0 ? currentUserIdStr : balance < 0 ? otherUserIdStr : null
+  });
+  
+  return {
+    ...settleUpFor(currency, pairwise.balance),
+    byCurrency: pairwise.byCurrency
+      .filter(b => b.balance !== 0)
+      .map(b => settleUpFor(b.currency, b.balance))
+  };
+};
+
 module.exports = {
+  getExpensePayers,
+  allocateExpenseDebts,
+  calculateOwedFromExpense,
+  calculateOwingFromExpense,
+  calculatePairwiseBalanceFromExpense,
   calculateOverallBalance,
   calculatePairwiseBalance,
+  calculateSettleUp,
   getExpensesInvolvingUser
 };
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/expense');
+const { paiseToRupees } = require('./expenseValidation');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { DEFAULT_CATEGORY, isBuiltInCategory } = require('../utils/categories');
+
+/**
+ * Category Report Service
+ *
+ * Adds up what a user spent per category: their own share of each expense
+ * (not the whole bill, and not what they paid), by the date each expense
+ * happened. Expenses from before categories existed count as the default category.
+ *
+ * Amounts in different currencies are never added together.
+ */
+
+/**
+ * Format one currency's category totals
+ * @param {string} currency - Currency code
+ * @param {Array} rows - [{ category, total, count }] for this currency
+ * @returns {Object} { currency, total, totalInRupees, expenseCount, categories: [...] }
+ */
+const formatCurrencyTotals = (currency, rows) => {
+  const total = rows.reduce((sum, row) => sum + row.total, 0);
+
+  return {
+    currency,
+    total,
+    totalInRupees: paiseToRupees(total, currency),
+    expenseCount: rows.reduce((sum, row) => sum + row.count, 0),
+    // Biggest first
+    categories: [...rows]
+      .sort((a, b) => b.total - a.total || a.category.localeCompare(b.category))
+      .map(row => ({
+        category: row.category,
+        builtIn: isBuiltInCategory(row.category),
+        total: row.total,
+        totalInRupees: paiseToRupees(row.total, currency),
+        count: row.count,
+        // Share of this currency's total, to one decimal place
+        percent: total > 0 ? Math.round((row.total / total) * 1000) / 10 : 0
+      }))
+  };
+};
+
+/**
+ * Calculate a user's spending per category over a date range
+ * @param {string} userId - User ID
+ * @param {Object} options - { from, to (exclusive), groupId?, categories?, currency }
+ * @returns {Promise<Object>} { currency, total, totalInRupees, expenseCount, categories: [...], byCurrency: [...] }
+ */
+const calculateCategoryReport = async (userId, options) => {
+  const { from, to, groupId = null, categories = null, currency = DEFAULT_CURRENCY } = options;
+  const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+
+  const match = {
+    isDeleted: false,
+    'participants.user': userObjectId,
+    expenseDate: { $gte: from, $lt: to }
+  };
+
+  if (groupId) {
+    match.group = new mongoose.Types.ObjectId(groupId.toString());
+  }
+
+  const rows = await Expense.aggregate([
+    { $match: match },
+    { $unwind: '$participants' },
+    { $match: { 'participants.user': userObjectId, 'participants.share': { $gt: 0 } } },
+    {
+      $project: {
+        currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] },
+        category: { $ifNull: ['$category', DEFAULT_CATEGORY] },
+        share: '$participants.share'
+      }
+    },
+    ...(categories ? [{ $match: { category: { $in: categories } } }] : []),
+    {
+      $group: {
+        _id: { currency: '$currency', category: '$category' },
+        total: { $sum: '$share' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const byCurrencyRows = new Map(); // currency -> [{ category, total, count }]
+  for (const row of rows) {
+    const code = row._id.currency;
+    if (!byCurrencyRows.has(code)) {
+      byCurrencyRows.set(code, []);
+    }
+    byCurrencyRows.get(code).push({ category: row._id.category, total: row.total, count: row.count });
+  }
+
+  // Requested currency first, then the rest alphabetically
+  const byCurrency = Array.from(byCurrencyRows.entries())
+    .sort(([a], [b]) => (a === currency ? -1 : b === currency ? 1 : a.localeCompare(b)))
+    .map(([code, currencyRows]) => formatCurrencyTotals(code, currencyRows));
+
+  const primary = byCurrency.find(b => b.currency === currency) || formatCurrencyTotals(currency, []);
+
+  return {
+    ...primary,
+    byCurrency
+  };
+};
+
+module.exports = {
+  calculateCategoryReport
+};
@@ -0,0 +1,404 @@
+const Expense = require('../models/expense');
+const Transaction = require('../models/transaction');
+const User = require('../models/user');
+const { allocateExpenseDebts } = require('./balanceCalculation');
+const { paiseToRupees } = require('./expenseValidation');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency');
+
+/**
+ * Debt Simplification Service
+ *
+ * Turns the net position of every user in a set into the smallest list of
+ * "X pays Y" settlements that brings everyone to zero.
+ *
+ * Net position (in paise):
+ * - Positive = the user is owed money overall
+ * - Negative = the user owes money overall
+ * - The positions of a closed set of users always sum to zero
+ *
+ * Algorithm:
+ * 1. Split the users into the largest possible number of zero-sum subsets.
+ *    A subset of k users can always be settled with k - 1 transfers, so
+ *    maximising the number of subsets minimises the number of transfers.
+ *    This is exact (bitmask DP) for up to EXACT_SOLVER_LIMIT users with a
+ *    non-zero position; larger sets fall back to a single subset.
+ * 2. Inside each subset, repeatedly let the largest debtor pay the largest
+ *    creditor. Each transfer zeroes at least one side, giving k - 1 transfers.
+ *
+ * Tie-breaking is deterministic: users are ordered by amount (largest first)
+ * and then by user ID (ascending string order).
+ *
+ * Each currency is simplified on its own; debts in different currencies are
+ * never netted against each other.
+ */
+
+// Above this many non-zero users the exact partition step is skipped (2^n states)
+const EXACT_SOLVER_LIMIT = 15;
+
+/**
+ * Order entries by absolute amount (largest first), then by user ID
+ * @param {Object} a - { userId, amount }
+ * @param {Object} b - { userId, amount }
+ * @returns {number}
+ */
+const compareEntries = (a, b) => {
+  const diff = Math.abs(b.amount) - Math.abs(a.amount);
+  if (diff !== 0) return diff;
+  return a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0;
+};
+
+/**
+ * Split entries into the maximum number of zero-sum subsets
+ * @param {Array} entries - Array of { userId, amount } with non-zero amounts summing to zero
+ * @returns {Array<Array>} Array of subsets (each an array of entries)
+ */
+const partitionIntoZeroSumGroups = (entries) => {
+  const n = entries.length;
+
+  if (n === 0) return [];
+  if (n > EXACT_SOLVER_LIMIT) return [entries];
+
+  const fullMask = (1 << n) - 1;
+  const sums = new Array(fullMask + 1).fill(0);
+  const best = new Array(fullMask + 1).fill(0);
+
+  for (let mask = 1; mask <= fullMask; mask++) {
+    const lowestBit = mask & -mask;
+    const index = 31 - Math.clz32(lowestBit);
+    sums[mask] = sums[mask ^ lowestBit] + entries[index].amount;
+
+    let max = 0;
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i)) {
+        max = Math.max(max, best[mask ^ (1 << i)]);
+      }
+    }
+    best[mask] = max + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Walk back from the full set, always dropping the lowest-index element that
+  // keeps the optimum. Every zero-sum mask on the way closes one subset.
+  const groups = [];
+  let mask = fullMask;
+  let boundary = fullMask;
+
+  while (mask !== 0) {
+    const target = best[mask] - (sums[mask] === 0 ? 1 : 0);
+
+    for (let i = 0; i < n; i++) {
+      const bit = 1 << i;
+      if ((mask & bit) && best[mask ^ bit] === target) {
+        mask ^= bit;
+        break;
+      }
+    }
+
+    if (sums[mask] === 0) {
+      const group = [];
+      for (let i = 0; i < n; i++) {
+        if ((boundary & ~mask) & (1 << i)) {
+          group.push(entries[i]);
+        }
+      }
+      groups.push(group);
+      boundary = mask;
+    }
+  }
+
+  return groups.reverse();
+};
+
+/**
+ * Settle a zero-sum set of users: largest debtor pays largest creditor until all are zero
+ * @param {Array} entries - Array of { userId, amount } summing to zero
+ * @returns {Array} Array of { from, to, amount } (user IDs, amount in paise)
+ */
+const settleGroup = (entries) => {
+  const creditors = entries.filter(e => e.amount > 0).map(e => ({ ...e }));
+  const debtors = entries.filter(e => e.amount < 0).map(e => ({ ...e }));
+  const transfers = [];
+
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort(compareEntries);
+    debtors.sort(compareEntries);
+
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const amount = Math.min(creditor.amount, -debtor.amount);
+
+    transfers.push({ from: debtor.userId, to: creditor.userId, amount });
+
+    creditor.amount -= amount;
+    debtor.amount += amount;
+
+    if (creditor.amount === 0) creditors.shift();
+    if (debtor.amount === 0) debtors.shift();
+  }
+
+  return transfers;
+};
+
+/**
+ * Compute the minimal list of settlements for a set of net positions
+ * @param {Object|Map} netPositions - userId -> net position in paise
+ * @returns {Array} Array of { from, to, amount } (user IDs, amount in paise)
+ * @throws {Error} If positions do not sum to zero or are not whole paise
+ */
+const simplifyDebts = (netPositions) => {
+  const positions = netPositions instanceof Map
+    ? Array.from(netPositions.entries())
+    : Object.entries(netPositions);
+
+  const entries = positions
+    .map(([userId, amount]) => ({ userId: userId.toString(), amount }))
+    .filter(e => e.amount !== 0);
+
+  if (entries.some(e => !Number.isInteger(e.amount))) {
+    throw new Error('Net positions must be whole paise');
+  }
+
+  const total = entries.reduce((sum, e) => sum + e.amount, 0);
+  if (total !== 0) {
+    throw new Error(`Net positions must sum to zero (off by ${total} paise)`);
+  }
+
+  entries.sort(compareEntries);
+
+  const transfers = partitionIntoZeroSumGroups(entries).flatMap(settleGroup);
+
+  // Safety net: applying the transfers must zero every position
+  const remaining = new Map(entries.map(e => [e.userId, e.amount]));
+  for (const t of transfers) {
+    remaining.set(t.from, remaining.get(t.from) + t.amount);
+    remaining.set(t.to, remaining.get(t.to) - t.amount);
+  }
+  for (const [userId, amount] of remaining) {
+    if (amount !== 0) {
+      throw new Error(`Simplified settlements leave user ${userId} with ${amount} paise`);
+    }
+  }
+
+  return transfers;
+};
+
+/**
+ * Walk the expenses and transactions among a set of users, calling onDebt for every
+ * (creditor, debtor, amount) pair. Uses the same pairwise math as calculatePairwiseBalance.
+ * @param {Set} userIds - User IDs in the set (strings)
+ * @param {Array} expenses - Non-deleted expense documents
+ * @param {Array} transactions - Transaction documents
+ * @param {Function} onDebt - (creditorId, debtorId, amount) => void
+ * @param {string|null} involving - Only count debts this user is one side of (optional)
+ */
+const forEachDebt = (userIds, expenses, transactions, onDebt, involving = null) => {
+  const idOf = (ref) => (ref._id ? ref._id.toString() : ref.toString());
+  const counts = (a, b) => userIds.has(a) && userIds.has(b) && (!involving || a === involving || b === involving);
+
+  for (const expense of expenses) {
+    for (const debt of allocateExpenseDebts(expense)) {
+      if (!counts(debt.from, debt.to)) continue;
+
+      onDebt(debt.to, debt.from, debt.amount);
+    }
+  }
+
+  // A settlement from A to B reduces what A owes B
+  for (const transaction of transactions) {
+    const fromId = idOf(transaction.from);
+    const toId = idOf(transaction.to);
+    if (!counts(fromId, toId)) continue;
+
+    onDebt(fromId, toId, transaction.amount);
+  }
+};
+
+/**
+ * Compute net positions of a set of users from expenses and transactions among them
+ * Only debts where both sides are in the set are counted.
+ *
+ * @param {Array} userIds - User IDs in the set
+ * @param {Array} expenses - Non-deleted expense documents
+ * @param {Array} transactions - Transaction documents
+ * @param {string|null} involving - Only count debts this user is one side of (optional)
+ * @returns {Map} userId -> net position in paise
+ */
+const calculateNetPositions = (userIds, expenses, transactions, involving = null) => {
+  const netPositions = new Map(userIds.map(id => [id.toString(), 0]));
+
+  forEachDebt(new Set(netPositions.keys()), expenses, transactions, (creditorId, debtorId, amount) => {
+    netPositions.set(creditorId, netPositions.get(creditorId) + amount);
+    netPositions.set(debtorId, netPositions.get(debtorId) - amount);
+  }, involving);
+
+  return netPositions;
+};
+
+/**
+ * Count the non-zero pairwise balances in a set, i.e. how many transfers
+ * settling every pair directly would take
+ * @param {Array} userIds - User IDs in the set
+ * @param {Array} expenses - Non-deleted expense documents
+ * @param {Array} transactions - Transaction documents
+ * @param {string|null} involving - Only count debts this user is one side of (optional)
+ * @returns {number}
+ */
+const countPairwiseDebts = (userIds, expenses, transactions, involving = null) => {
+  const pairBalances = new Map();
+
+  forEachDebt(new Set(userIds.map(id => id.toString())), expenses, transactions, (creditorId, debtorId, amount) => {
+    const key = creditorId < debtorId ? `${creditorId}:${debtorId}` : `${debtorId}:${creditorId}`;
+    const signed = creditorId < debtorId ? amount : -amount;
+    pairBalances.set(key, (pairBalances.get(key) || 0) + signed);
+  }, involving);
+
+  return Array.from(pairBalances.values()).filter(balance => balance !== 0).length;
+};
+
+/**
+ * Find everyone the user shares an expense or transaction with outside groups
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} User IDs including the user themselves
+ */
+const findCounterpartyIds = async (userId) => {
+  const userIdStr = userId.toString();
+
+  const involved = {
+    isDeleted: false,
+    group: null,
+    $or: [{ payer: userIdStr }, { 'payers.user': userIdStr }, { 'participants.user': userIdStr }]
+  };
+
+  const [primaryPayers, payers, participants, senders, receivers] = await Promise.all([
+    Expense.distinct('payer', involved),
+    Expense.distinct('payers.user', involved),
+    Expense.distinct('participants.user', involved),
+    Transaction.distinct('from', { to: userIdStr, group: null, ...Transaction.countedInBalances() }),
+    Transaction.distinct('to', { from: userIdStr, group: null, ...Transaction.countedInBalances() })
+  ]);
+
+  const ids = new Set([userIdStr]);
+  [...primaryPayers, ...payers, ...participants, ...senders, ...receivers].forEach(id => ids.add(id.toString()));
+
+  return Array.from(ids);
+};
+
+/**
+ * Group expenses and transactions by currency
+ * @param {Array} expenses - Expense documents
+ * @param {Array} transactions - Transaction documents
+ * @returns {Array} [[currency, { expenses, transactions }]] sorted by currency code
+ */
+const groupByCurrency = (expenses, transactions) => {
+  const ledgers = new Map();
+  const ledgerFor = (currency) => {
+    const code = currency || DEFAULT_CURRENCY;
+    if (!ledgers.has(code)) {
+      ledgers.set(code, { expenses: [], transactions: [] });
+    }
+    return ledgers.get(code);
+  };
+
+  expenses.forEach(expense => ledgerFor(expense.currency).expenses.push(expense));
+  transactions.forEach(transaction => ledgerFor(transaction.currency).transactions.push(transaction));
+
+  return Array.from(ledgers.entries()).sort(([a], [b]) => a.localeCompare(b));
+};
+
+/**
+ * Calculate simplified settlements for a user's circle or a group
+ *
+ * - Without a group: the set is the user plus everyone they share expenses or
+ *   settlements with outside any group, counting only the user's own debts.
+ *   What the others owe each other is theirs to see, not the user's.
+ * - With a group: the set is the group's members, counting only the group's ledger
+ *
+ * Every net position and transfer carries the currency it is in.
+ *
+ * @param {string} userId - Viewing user ID
+ * @param {Object} options - { group } group document to scope to
+ * @returns {Promise<Object>} { netPositions: [...], transfers: [...], ... }
+ */
+const calculateSimplifiedSettlements = async (userId, options = {}) => {
+  const { group = null } = options;
+  const userIdStr = userId.toString();
+
+  const userIds = group ? group.getMemberIds() : await findCounterpartyIds(userIdStr);
+
+  // Without a group, only debts the user is one side of
+  const involving = group ? null : userIdStr;
+
+  const expenseQuery = group
+    ? { isDeleted: false, group: group._id }
+    : {
+      isDeleted: false,
+      group: null,
+      $or: [{ payer: userIdStr }, { 'payers.user': userIdStr }, { 'participants.user': userIdStr }]
+    };
+
+  // Only confirmed settlements count
+  const transactionQuery = group
+    ? { group: group._id, ...Transaction.countedInBalances() }
+    : { group: null, $or: [{ from: userIdStr }, { to: userIdStr }], ...Transaction.countedInBalances() };
+
+  const [expenses, transactions, users] = await Promise.all([
+    Expense.find(expenseQuery).select('payer payers participants amount currency'),
+    Transaction.find(transactionQuery).select('from to amount currency'),
+    User.find({ _id: { $in: userIds } }).select('name email')
+  ]);
+
+  const ledgers = groupByCurrency(expenses, transactions).map(([currency, ledger]) => {
+    const netPositions = calculateNetPositions(userIds, ledger.expenses, ledger.transactions, involving);
+    return {
+      currency,
+      netPositions,
+      transfers: simplifyDebts(netPositions),
+      pairwiseTransferCount: countPairwiseDebts(userIds, ledger.expenses, ledger.transactions, involving)
+    };
+  });
+
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+  const formatUser = (id) => {
+    const user = usersById.get(id);
+    return {
+      id,
+      name: user ? user.name : 'Unknown user',
+      email: user ? user.email : undefined
+    };
+  };
+
+  return {
+    scope: group ? 'group' : 'counterparties',
+    currencies: ledgers.map(ledger => ledger.currency),
+    netPositions: ledgers.flatMap(({ currency, netPositions }) => Array.from(netPositions.entries())
+      .filter(([, amount]) => amount !== 0)
+      .map(([id, amount]) => ({
+        user: formatUser(id),
+        currency,
+        netPosition: amount,
+        netPositionInRupees: paiseToRupees(amount, currency),
+        status: amount > 0 ? 'is_owed' : 'owes'
+      }))
+      .sort((a, b) => b.netPosition - a.netPosition || (a.user.id < b.user.id ? -1 : 1))),
+    transfers: ledgers.flatMap(({ currency, transfers }) => transfers.map(t => {
+      const from = formatUser(t.from);
+      const to = formatUser(t.to);
+      return {
+        from,
+        to,
+        currency,
+        amount: t.amount,
+        amountInRupees: paiseToRupees(t.amount, currency),
+        involvesYou: t.from === userIdStr || t.to === userIdStr,
+        description: `${from.name} pays ${to.name} ${formatMoney(t.amount, currency)}`
+      };
+    })),
+    transferCount: ledgers.reduce((sum, ledger) => sum + ledger.transfers.length, 0),
+    pairwiseTransferCount: ledgers.reduce((sum, ledger) => sum + ledger.pairwiseTransferCount, 0)
+  };
+};
+
+module.exports = {
+  simplifyDebts,
+  calculateNetPositions,
+  calculateSimplifiedSettlements
+};
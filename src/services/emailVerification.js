@@ -0,0 +1,89 @@
+const User = require('../models/user');
+const { createUserToken, consumeUserToken } = require('./userTokens');
+const { sendVerificationEmail } = require('./accountEmails');
+const { emailVerificationTtlHours, requireVerifiedEmailFor } = require('../config');
+
+/**
+ * Email Verification Service
+ *
+ * New users are emailed a link to confirm their address. Until they do,
+ * REQUIRE_VERIFIED_EMAIL decides what other people can do with them:
+ * - search: find them by email
+ * - friend: add them as a friend
+ * - participant: add them to an expense (as a payer or participant)
+ */
+
+/**
+ * Does the policy require a verified email for this?
+ * @param {string} action - search, friend or participant
+ * @returns {boolean}
+ */
+const requiresVerifiedEmail = (action) => requireVerifiedEmailFor.includes(action);
+
+/**
+ * Email a user a new verification link (any earlier link stops working)
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Result of sending the email
+ */
+const sendVerification = async (user) => {
+  const { token, expiresAt } = await createUserToken(user._id, 'email_verification', emailVerificationTtlHours * 60);
+  return sendVerificationEmail(user, token, expiresAt);
+};
+
+/**
+ * Mark a user's email verified with the token from their link
+ * @param {string} token - Verification token
+ * @returns {Promise<Object|null>} The verified user, or null if the token is invalid, used or expired
+ */
+const verifyEmail = async (token) => {
+  const verification = await consumeUserToken(token, 'email_verification');
+  if (!verification) {
+    return null;
+  }
+
+  return User.findOneAndUpdate(
+    { _id: verification.user },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Check that everyone being added to an expense has verified their email,
+ * if the policy requires it
+ * People already on the expense, and whoever is making the change, are let through.
+ * @param {Array<string>} userIds - Payers and participants
+ * @param {Array<string>} existingUserIds - People allowed without a verified email
+ * @returns {Promise<Object>} { valid: boolean, unverifiedIds: Array, message: string }
+ */
+const validateEmailsVerified = async (userIds, existingUserIds = []) => {
+  if (!requiresVerifiedEmail('participant')) {
+    return { valid: true, unverifiedIds: [], message: 'Verified emails are not required' };
+  }
+
+  const existing = new Set(existingUserIds.filter(Boolean).map(id => id.toString()));
+  const newIds = [...new Set(userIds.filter(Boolean).map(id => id.toString()))].filter(id => !existing.has(id));
+  if (newIds.length === 0) {
+    return { valid: true, unverifiedIds: [], message: 'Everyone added has a verified email' };
+  }
+
+  const unverified = await User.find({ _id: { $in: newIds }, emailVerified: { $ne: true } }).select('_id');
+  const unverifiedIds = unverified.map(u => u._id.toString());
+
+  if (unverifiedIds.length > 0) {
+    return {
+      valid: false,
+      unverifiedIds,
+      message: `The following users have not verified their email yet: ${unverifiedIds.join(', ')}`
+    };
+  }
+
+  return { valid: true, unverifiedIds: [], message: 'Everyone added has a verified email' };
+};
+
+module.exports = {
+  requiresVerifiedEmail,
+  sendVerification,
+  verifyEmail,
+  validateEmailsVerified
+};
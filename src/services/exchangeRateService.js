@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRate = require('../models/exchangeRate');
+const { exchangeRatesFile } = require('../config');
+const { isValidCurrency, toMinorUnits, fromMinorUnits } = require('../utils/currency');
+
+/**
+ * Exchange Rate Service
+ *
+ * Rates live in the ExchangeRate collection and are loaded from a local file
+ * (JSON or CSV) or by an admin. There is no live rate service: conversions use
+ * whatever table was last loaded.
+ *
+ * File formats:
+ * - JSON: { "base": "USD", "asOf": "2026-10-01", "rates": { "INR": 88.7, "THB": 32.4 } }
+ * - CSV:  header "base,currency,rate[,asOf]" and one row per currency, all with the same base
+ */
+
+/**
+ * Parse CSV rate rows into the same shape as the JSON file
+ * @param {string} text - CSV file contents
+ * @returns {Object} { base, asOf, rates }
+ */
+const parseRatesCsv = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  const header = lines.shift().split(',').map(h => h.trim());
+
+  const rows = lines.map(line => {
+    const values = line.split(',').map(v => v.trim());
+    return Object.fromEntries(header.map((h, i) => [h, values[i]]));
+  });
+
+  const bases = [...new Set(rows.map(row => row.base))];
+  if (bases.length !== 1) {
+    throw new Error('All rows of an exchange rate CSV must share the same base currency');
+  }
+
+  return {
+    base: bases[0],
+    asOf: rows[0].asOf || null,
+    rates: Object.fromEntries(rows.map(row => [row.currency, Number(row.rate)]))
+  };
+};
+
+/**
+ * Read an exchange rate table from a JSON or CSV file
+ * @param {string} filePath - Path to the file (relative paths resolve from the project root)
+ * @returns {Object} { base, asOf, rates }
+ */
+const readRatesFile = (filePath = exchangeRatesFile) => {
+  const resolved = path.resolve(process.cwd(), filePath);
+  const text = fs.readFileSync(resolved, 'utf8');
+
+  return path.extname(resolved).toLowerCase() === '.csv'
+    ? parseRatesCsv(text)
+    : JSON.parse(text);
+};
+
+/**
+ * Check a rate table before loading it
+ * @param {Object} table - { base, rates }
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+const validateRateTable = (table) => {
+  const errors = [];
+
+  if (!table || !isValidCurrency(table.base)) {
+    errors.push('Base must be a valid ISO 4217 currency code');
+  }
+
+  if (!table || !table.rates || typeof table.rates !== 'object' || Object.keys(table.rates).length === 0) {
+    errors.push('Rates must be an object of currency code to rate');
+    return errors;
+  }
+
+  for (const [currency, rate] of Object.entries(table.rates)) {
+    if (!isValidCurrency(currency)) {
+      errors.push(`${currency} is not a valid ISO 4217 currency code`);
+    } else if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      errors.push(`Rate for ${currency} must be a positive number`);
+    }
+  }
+
+  if (table.base && table.rates[table.base] !== undefined && table.rates[table.base] !== 1) {
+    errors.push(`Rate for the base currency ${table.base} must be 1`);
+  }
+
+  return errors;
+};
+
+/**
+ * Replace the exchange rate table
+ * Currencies missing from the new table are removed.
+ * @param {Object} table - { base, asOf?, rates }
+ * @param {string} source - 'file' or 'admin'
+ * @returns {Promise<number>} Number of currencies loaded
+ */
+const loadExchangeRates = async (table, source = 'file') => {
+  const errors = validateRateTable(table);
+  if (errors.length > 0) {
+    const err = new Error(errors.join('; '));
+    err.status = 400;
+    throw err;
+  }
+
+  const base = table.base.toUpperCase();
+  const asOf = table.asOf ? new Date(table.asOf) : null;
+  const rates = Object.fromEntries(
+    Object.entries(table.rates).map(([currency, rate]) => [currency.toUpperCase(), rate])
+  );
+  rates[base] = 1;
+
+  const currencies = Object.keys(rates);
+
+  await ExchangeRate.bulkWrite(currencies.map(currency => ({
+    updateOne: {
+      filter: { currency },
+      update: { $set: { base, rate: rates[currency], asOf, source } },
+      upsert: true
+    }
+  })));
+
+  await ExchangeRate.deleteMany({ currency: { $nin: currencies } });
+
+  return currencies.length;
+};
+
+/**
+ * Load the seed file if the table is empty
+ * Called on startup so a fresh database can convert currencies straight away
+ * @returns {Promise<number>} Number of currencies loaded (0 if the table already had rates)
+ */
+const seedExchangeRates = async () => {
+  const existing = await ExchangeRate.countDocuments();
+  if (existing > 0) {
+    return 0;
+  }
+
+  return loadExchangeRates(readRatesFile(), 'file');
+};
+
+/**
+ * Get the current rate table
+ * @returns {Promise<Map>} currency -> { rate, base, asOf }
+ */
+const getExchangeRates = async () => {
+  const rows = await ExchangeRate.find();
+  return new Map(rows.map(row => [row.currency, { rate: row.rate, base: row.base, asOf: row.asOf }]));
+};
+
+/**
+ * How many units of `to` one unit of `from` buys (major units)
+ * @param {string} from - Currency code
+ * @param {string} to - Currency code
+ * @param {Map} rates - Table from getExchangeRates
+ * @returns {number|null} Rate, or null if either currency is missing from the table
+ */
+const getConversionRate = (from, to, rates) => {
+  if (from === to) {
+    return 1;
+  }
+
+  const fromRate = rates.get(from);
+  const toRate = rates.get(to);
+
+  if (!fromRate || !toRate || fromRate.base !== toRate.base) {
+    return null;
+  }
+
+  return toRate.rate / fromRate.rate;
+};
+
+/**
+ * Convert an amount between currencies, minor units in and out
+ * @param {number} amount - Amount in minor units of `from`
+ * @param {string} from - Currency code
+ * @param {string} to - Currency code
+ * @param {Map} rates - Table from getExchangeRates
+ * @returns {number|null} Amount in minor units of `to`, or null without a rate
+ */
+const convertAmount = (amount, from, to, rates) => {
+  const rate = getConversionRate(from, to, rates);
+  if (rate === null) {
+    return null;
+  }
+
+  return toMinorUnits(fromMinorUnits(amount, from) * rate, to);
+};
+
+/**
+ * Rate to store on a new expense or transaction: how many units of the creator's
+ * home currency one unit of the record's currency was worth at creation
+ * @param {string} currency - Currency of the record
+ * @param {string} homeCurrency - Creator's home currency
+ * @returns {Promise<Object>} { homeCurrency, exchangeRate } (exchangeRate null when no rate is loaded)
+ */
+const snapshotExchangeRate = async (currency, homeCurrency) => {
+  if (currency === homeCurrency) {
+    return { homeCurrency, exchangeRate: 1 };
+  }
+
+  const rows = await ExchangeRate.find({ currency: { $in: [currency, homeCurrency] } });
+  const rates = new Map(rows.map(row => [row.currency, { rate: row.rate, base: row.base }]));
+
+  return { homeCurrency, exchangeRate: getConversionRate(currency, homeCurrency, rates) };
+};
+
+module.exports = {
+  readRatesFile,
+  validateRateTable,
+  loadExchangeRates,
+  seedExchangeRates,
+  getExchangeRates,
+  getConversionRate,
+  convertAmount,
+  snapshotExchangeRate
+};
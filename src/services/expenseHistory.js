@@ -0,0 +1,210 @@
+const ExpenseRevision = require('../models/expenseRevision');
+const User = require('../models/user');
+const { paiseToRupees } = require('./expenseValidation');
+
+/**
+ * Expense History Service
+ *
+ * Every update, delete, restore and revert of an expense stores an
+ * ExpenseRevision with a snapshot of the expense before and after the change.
+ * History is read back as a list of revisions, each with a field-by-field diff.
+ */
+
+// Amount fields, shown in rupees alongside paise in diffs
+const AMOUNT_FIELDS = ['amount', 'tax', 'serviceCharge', 'tip'];
+
+// Other scalar fields compared one by one
+const SCALAR_FIELDS = ['title', 'category', 'expenseDate', 'splitMethod', 'isDeleted', 'deletedReason'];
+
+const idOf = (ref) => (ref && ref._id ? ref._id.toString() : ref ? ref.toString() : null);
+
+/**
+ * Snapshot the editable state of an expense
+ * @param {Object} expense - Expense document (populated or not)
+ * @returns {Object} Plain object with user references as ID strings, amounts in paise
+ */
+const snapshotExpense = (expense) => ({
+  title: expense.title,
+  category: expense.category,
+  // As an ISO string so snapshots compare and store the same way
+  expenseDate: expense.expenseDate ? new Date(expense.expenseDate).toISOString() : null,
+  amount: expense.amount,
+  currency: expense.currency,
+  payer: idOf(expense.payer),
+  payers: expense.getPayers().map(p => ({ user: idOf(p.user), paid: p.paid })),
+  participants: expense.participants.map(p => ({
+    user: idOf(p.user),
+    share: p.share,
+    ...(p.percent != null && { percent: p.percent }),
+    ...(p.weight != null && { weight: p.weight }),
+    ...(p.adjustment != null && { adjustment: p.adjustment })
+  })),
+  splitMethod: expense.splitMethod,
+  items: (expense.items || []).map(item => ({
+    name: item.name,
+    price: item.price,
+    quantity: item.quantity,
+    assignedTo: item.assignedTo.map(a => ({ user: idOf(a.user), weight: a.weight }))
+  })),
+  tax: expense.tax || 0,
+  serviceCharge: expense.serviceCharge || 0,
+  tip: expense.tip || 0,
+  group: idOf(expense.group),
+  isDeleted: Boolean(expense.isDeleted),
+  deletedReason: expense.deletedReason || null
+});
+
+/**
+ * Store a revision for a change that has just been saved
+ * Retries on a revision-number clash so concurrent edits each get their own number.
+ * @param {Object} expense - Expense document after the change
+ * @param {Object} before - snapshotExpense() taken before the change
+ * @param {string} action - 'update', 'delete', 'restore' or 'revert'
+ * @param {string} userId - User who made the change
+ * @param {Object} extra - Additional fields (e.g. { revertedTo })
+ * @returns {Promise<ExpenseRevision>}
+ */
+const recordRevision = async (expense, before, action, userId, extra = {}) => {
+  const after = snapshotExpense(expense);
+
+  for (let attempt = 0; ; attempt++) {
+    const latest = await ExpenseRevision.findOne({ expense: expense._id })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    try {
+      return await ExpenseRevision.create({
+        expense: expense._id,
+        revision: latest ? latest.revision + 1 : 1,
+        action,
+        before,
+        after,
+        changedBy: userId,
+        ...extra
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 2) {
+        throw err;
+      }
+    }
+  }
+};
+
+/**
+ * Compare two lists of per-user amounts (participant shares or paid amounts)
+ * @param {Array} oldList - [{ user, [key] }]
+ * @param {Array} newList - [{ user, [key] }]
+ * @param {string} key - 'share' or 'paid'
+ * @param {string} currency - Currency of the expense
+ * @returns {Array} [{ user, change: 'added'|'removed'|'changed', old, new, oldInRupees, newInRupees }]
+ */
+const diffUserAmounts = (oldList, newList, key, currency) => {
+  const oldByUser = new Map(oldList.map(entry => [entry.user, entry[key]]));
+  const newByUser = new Map(newList.map(entry => [entry.user, entry[key]]));
+  const userIds = [...new Set([...oldByUser.keys(), ...newByUser.keys()])];
+
+  return userIds
+    .map(user => {
+      const oldValue = oldByUser.has(user) ? oldByUser.get(user) : null;
+      const newValue = newByUser.has(user) ? newByUser.get(user) : null;
+
+      if (oldValue === newValue) {
+        return null;
+      }
+
+      return {
+        user,
+        change: oldValue === null ? 'added' : newValue === null ? 'removed' : 'changed',
+        old: oldValue,
+        new: newValue,
+        oldInRupees: oldValue === null ? null : paiseToRupees(oldValue, currency),
+        newInRupees: newValue === null ? null : paiseToRupees(newValue, currency)
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Field-by-field differences between two snapshots
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @returns {Object} { changes: [{ field, old, new, ... }], participantChanges: [...], payerChanges: [...] }
+ */
+const diffSnapshots = (before, after) => {
+  const currency = after.currency || before.currency;
+  const changes = [];
+
+  for (const field of SCALAR_FIELDS) {
+    if (before[field] !== after[field]) {
+      changes.push({ field, old: before[field], new: after[field] });
+    }
+  }
+
+  for (const field of AMOUNT_FIELDS) {
+    if (before[field] !== after[field]) {
+      changes.push({
+        field,
+        old: before[field],
+        new: after[field],
+        oldInRupees: paiseToRupees(before[field], currency),
+        newInRupees: paiseToRupees(after[field], currency)
+      });
+    }
+  }
+
+  if (JSON.stringify(before.items) !== JSON.stringify(after.items)) {
+    changes.push({ field: 'items', old: before.items, new: after.items });
+  }
+
+  return {
+    changes,
+    participantChanges: diffUserAmounts(before.participants, after.participants, 'share', currency),
+    payerChanges: diffUserAmounts(before.payers, after.payers, 'paid', currency)
+  };
+};
+
+/**
+ * Get the revisions of an expense, oldest first, each with its diff
+ * User IDs in the diffs are replaced with { id, name, email }.
+ * @param {string} expenseId - Expense ID
+ * @returns {Promise<Array>}
+ */
+const getExpenseHistory = async (expenseId) => {
+  const revisions = await ExpenseRevision.find({ expense: expenseId })
+    .populate('changedBy', 'name email')
+    .sort({ revision: 1 });
+
+  const diffs = revisions.map(revision => diffSnapshots(revision.before, revision.after));
+
+  // Look up everyone who appears in a diff in one query
+  const userIds = new Set();
+  diffs.forEach(diff => {
+    diff.participantChanges.forEach(c => userIds.add(c.user));
+    diff.payerChanges.forEach(c => userIds.add(c.user));
+  });
+
+  const users = await User.find({ _id: { $in: Array.from(userIds) } }).select('name email');
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+  const formatUser = (id) => {
+    const user = usersById.get(id);
+    return { id, name: user ? user.name : 'Unknown user', email: user ? user.email : undefined };
+  };
+
+  return revisions.map((revision, i) => ({
+    revision: revision.revision,
+    action: revision.action,
+    ...(revision.revertedTo != null && { revertedTo: revision.revertedTo }),
+    changedBy: revision.changedBy,
+    createdAt: revision.createdAt,
+    changes: diffs[i].changes,
+    participantChanges: diffs[i].participantChanges.map(c => ({ ...c, user: formatUser(c.user) })),
+    payerChanges: diffs[i].payerChanges.map(c => ({ ...c, user: formatUser(c.user) }))
+  }));
+};
+
+module.exports = {
+  snapshotExpense,
+  recordRevision,
+  diffSnapshots,
+  getExpenseHistory
+};
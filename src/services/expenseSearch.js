@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const { CURRENCY_CODES, DEFAULT_CURRENCY, getMinorUnitDigits } = require('../utils/currency');
+const { DEFAULT_CATEGORY } = require('../utils/categories');
+const { dateRangeCondition } = require('../utils/dateRange');
+
+/**
+ * Expense Search Service
+ *
+ * Turns the filters of GET /api/expenses into MongoDB queries and sorts.
+ * Expenses are matched by expenseDate and settlements by settledAt.
+ *
+ * Amount filters are in major units of each record's own currency, so
+ * "at least 100" means ₹100 for INR expenses and ¥100 for JPY ones.
+ */
+
+// Sort keys clients can ask for, and the field each one sorts on
+const SORT_FIELDS = {
+  date: 'expenseDate',
+  amount: 'amount',
+  title: 'title',
+  relevance: null // text search score
+};
+
+// Newest, biggest and most relevant first; titles A to Z
+const DEFAULT_ORDER = {
+  date: 'desc',
+  amount: 'desc',
+  title: 'asc',
+  relevance: 'desc'
+};
+
+// Currencies grouped by how many decimals their minor unit has
+const CODES_BY_DIGITS = CURRENCY_CODES.reduce((groups, code) => {
+  const digits = getMinorUnitDigits(code);
+  groups.set(digits, [...(groups.get(digits) || []), code]);
+  return groups;
+}, new Map());
+
+/**
+ * Query condition for an amount range given in major units
+ * @param {number} min - Smallest amount (optional)
+ * @param {number} max - Largest amount (optional)
+ * @returns {Object|null} Condition on `amount` per currency, or null when neither is given
+ */
+const amountRangeCondition = (min, max) => {
+  if (min === undefined && max === undefined) {
+    return null;
+  }
+
+  const otherCodes = (digits) => CURRENCY_CODES.filter(code => getMinorUnitDigits(code) !== digits);
+
+  return {
+    $or: Array.from(CODES_BY_DIGITS.entries()).map(([digits, codes]) => {
+      const factor = 10 ** digits;
+
+      return {
+        // Records from before currencies existed have none and are in the default currency
+        currency: getMinorUnitDigits(DEFAULT_CURRENCY) === digits
+          ? { $nin: otherCodes(digits) }
+          : { $in: codes },
+        amount: {
+          ...(min !== undefined && { $gte: Math.round(min * factor) }),
+          ...(max !== undefined && { $lte: Math.round(max * factor) })
+        }
+      };
+    })
+  };
+};
+
+/**
+ * Expression for what a user paid towards an expense minus their share of it
+ * Positive when they are owed money on the expense, negative when they owe.
+ * Expenses from before multiple payers have only `payer`, who paid everything.
+ * @param {ObjectId} userObjectId - User ID
+ * @returns {Object} Aggregation expression
+ */
+const netPositionExpression = (userObjectId) => {
+  const sumFor = (array, field) => ({
+    $sum: {
+      $map: {
+        input: { $filter: { input: { $ifNull: [array, []] }, cond: { $eq: ['$$this.user', userObjectId] } } },
+        in: `$$this.${field}`
+      }
+    }
+  });
+
+  const paid = {
+    $cond: [
+      { $gt: [{ $size: { $ifNull: ['$payers', []] } }, 0] },
+      sumFor('$payers', 'paid'),
+      { $cond: [{ $eq: ['$payer', userObjectId] }, '$amount', 0] }
+    ]
+  };
+
+  return { $subtract: [paid, sumFor('$participants', 'share')] };
+};
+
+/**
+ * Build the expense query for a user's filters
+ * @param {string} userId - User ID
+ * @param {Object} filters - {
+ *   includeDeleted, groupId, categories, from, to, minAmount, maxAmount, currency,
+ *   payer, participant, splitMethod, position ('you_owe' | 'owes_you'), search
+ * }
+ * @returns {Object} MongoDB query
+ */
+const buildExpenseQuery = (userId, filters = {}) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+  const conditions = [
+    {
+      $or: [
+        { payer: userObjectId },
+        { 'payers.user': userObjectId },
+        { 'participants.user': userObjectId }
+      ]
+    }
+  ];
+
+  if (!filters.includeDeleted) {
+    conditions.push({ isDeleted: { $ne: true } });
+  }
+
+  if (filters.groupId) {
+    conditions.push({ group: filters.groupId });
+  }
+
+  if (filters.categories) {
+    // Expenses from before categories existed count as the default category
+    const { categories } = filters;
+    conditions.push({
+      category: { $in: categories.includes(DEFAULT_CATEGORY) ? [...categories, null] : categories }
+    });
+  }
+
+  const dateRange = dateRangeCondition(filters.from, filters.to);
+  if (dateRange) {
+    conditions.push({ expenseDate: dateRange });
+  }
+
+  const amountRange = amountRangeCondition(filters.minAmount, filters.maxAmount);
+  if (amountRange) {
+    conditions.push(amountRange);
+  }
+
+  if (filters.currency) {
+    conditions.push(filters.currency === DEFAULT_CURRENCY
+      ? { currency: { $in: [DEFAULT_CURRENCY, null] } }
+      : { currency: filters.currency });
+  }
+
+  if (filters.payer) {
+    const payerId = new mongoose.Types.ObjectId(filters.payer);
+    conditions.push({ $or: [{ 'payers.user': payerId }, { 'payers.0': { $exists: false }, payer: payerId }] });
+  }
+
+  if (filters.participant) {
+    conditions.push({ 'participants.user': new mongoose.Types.ObjectId(filters.participant) });
+  }
+
+  if (filters.splitMethod) {
+    conditions.push({ splitMethod: filters.splitMethod });
+  }
+
+  if (filters.position) {
+    const net = netPositionExpression(userObjectId);
+    conditions.push({ $expr: filters.position === 'you_owe' ? { $lt: [net, 0] } : { $gt: [net, 0] } });
+  }
+
+  return {
+    $and: conditions,
+    // Whole words in the title or comments, any case (uses the text index)
+    ...(filters.search && { $text: { $search: filters.search } })
+  };
+};
+
+/**
+ * Build the settlement query for the filters that apply to settlements
+ * @param {string} userId - User ID
+ * @param {Object} filters - { groupId, from, to, minAmount, maxAmount, currency }
+ * @returns {Object} MongoDB query
+ */
+const buildTransactionQuery = (userId, filters = {}) => {
+  const conditions = [
+    { $or: [{ from: userId }, { to: userId }] },
+    { isVoided: { $ne: true } }
+  ];
+
+  if (filters.groupId) {
+    conditions.push({ group: filters.groupId });
+  }
+
+  const dateRange = dateRangeCondition(filters.from, filters.to);
+  if (dateRange) {
+    conditions.push({ settledAt: dateRange });
+  }
+
+  const amountRange = amountRangeCondition(filters.minAmount, filters.maxAmount);
+  if (amountRange) {
+    conditions.push(amountRange);
+  }
+
+  if (filters.currency) {
+    conditions.push(filters.currency === DEFAULT_CURRENCY
+      ? { currency: { $in: [DEFAULT_CURRENCY, null] } }
+      : { currency: filters.currency });
+  }
+
+  return { $and: conditions };
+};
+
+/**
+ * Whether the filters can only match expenses (so settlements are left out)
+ * @param {Object} filters - Same as buildExpenseQuery
+ * @returns {boolean}
+ */
+const hasExpenseOnlyFilters = (filters) => Boolean(
+  filters.categories || filters.payer || filters.participant ||
+  filters.splitMethod || filters.position || filters.search
+);
+
+/**
+ * Work out the sort of a listing
+ * Listings are sorted on one field and then _id, which is what cursors page by.
+ * Settlements have no title and no text to search, so title and relevance
+ * sorts list expenses only.
+ * @param {string} sort - date | amount | title | relevance (default date)
+ * @param {string} order - asc | desc (default depends on the sort)
+ * @returns {Object} { key, direction (1 | -1), name ("date:desc"), expenseField, transactionField, expenseSort, transactionSort }
+ */
+const getSort = (sort = 'date', order) => {
+  const key = SORT_FIELDS[sort] !== undefined ? sort : 'date';
+
+  if (key === 'relevance') {
+    return {
+      key,
+      direction: -1,
+      name: 'relevance',
+      expenseField: null,
+      transactionField: null,
+      expenseSort: { score: { $meta: 'textScore' }, _id: -1 },
+      transactionSort: null
+    };
+  }
+
+  const direction = (order || DEFAULT_ORDER[key]) === 'asc' ? 1 : -1;
+  const expenseField = SORT_FIELDS[key];
+  const transactionField = { date: 'settledAt', amount: 'amount', title: null }[key];
+
+  return {
+    key,
+    direction,
+    name: `${key}:${direction === 1 ? 'asc' : 'desc'}`,
+    expenseField,
+    transactionField,
+    expenseSort: { [expenseField]: direction, _id: direction },
+    transactionSort: transactionField ? { [transactionField]: direction, _id: direction } : null
+  };
+};
+
+/**
+ * Value a formatted list item (expense or settlement) is sorted on
+ * @param {Object} item - Formatted item
+ * @param {Object} sort - Result of getSort()
+ * @returns {Date|number|string}
+ */
+const sortValueOf = (item, sort) => {
+  if (sort.key === 'date') {
+    return new Date(item.type === 'expense' ? item.expenseDate : item.settledAt);
+  }
+  return item[sort.key];
+};
+
+/**
+ * Compare two formatted list items for a sort, the same way MongoDB orders them
+ * @param {Object} sort - Result of getSort() (date or amount)
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+const compareItems = (sort) => (a, b) => {
+  const x = sortValueOf(a, sort);
+  const y = sortValueOf(b, sort);
+  const byValue = x < y ? -1 : x > y ? 1 : 0;
+  // ObjectIds are fixed-length hex, so comparing strings compares the ids
+  const byId = a.id.toString() < b.id.toString() ? -1 : 1;
+  return (byValue || byId) * sort.direction;
+};
+
+module.exports = {
+  SORT_FIELDS,
+  amountRangeCondition,
+  netPositionExpression,
+  buildExpenseQuery,
+  buildTransactionQuery,
+  hasExpenseOnlyFilters,
+  getSort,
+  sortValueOf,
+  compareItems
+};
@@ -1,4 +1,7 @@
 const User = require('../models/user');
+const Group = require('../models/group');
+const { DEFAULT_CURRENCY, toMinorUnits, fromMinorUnits, formatMoney } = require('../utils/currency');
+const { validateEmailsVerified } = require('./emailVerification');
 
 /**
  * Expense Validation Service
@@ -8,20 +11,380 @@ const User = require('../models/user');
 
 /**
  * Convert rupees to paise (multiply by 100 and round)
- * @param {number} rupees - Amount in rupees (can have decimals)
- * @returns {number} Amount in paise (integer)
+ * Other currencies use their own minor unit (see utils/currency.js)
+ * @param {number} rupees - Amount in rupees, or major units of currency (can have decimals)
+ * @param {string} currency - Currency code (defaults to INR)
+ * @returns {number} Amount in paise, or minor units of currency (integer)
  */
-const rupeesToPaise = (rupees) => {
-  return Math.round(rupees * 100);
+const rupeesToPaise = (rupees, currency = DEFAULT_CURRENCY) => {
+  return toMinorUnits(rupees, currency);
 };
 
 /**
  * Convert paise to rupees (divide by 100)
- * @param {number} paise - Amount in paise (integer)
- * @returns {number} Amount in rupees (with decimals)
+ * Other currencies use their own minor unit (see utils/currency.js)
+ * @param {number} paise - Amount in paise, or minor units of currency (integer)
+ * @param {string} currency - Currency code (defaults to INR)
+ * @returns {number} Amount in rupees, or major units of currency (with decimals)
  */
-const paiseToRupees = (paise) => {
-  return paise / 100;
+const paiseToRupees = (paise, currency = DEFAULT_CURRENCY) => {
+  return fromMinorUnits(paise, currency);
+};
+
+/**
+ * Supported split methods
+ * - equal: split evenly, participants only need a user
+ * - unequal: exact share per participant (in rupees)
+ * - percent: percentage per participant, must add up to 100 (up to 2 decimals)
+ * - shares: unit weight per participant, e.g. 2 shares vs 1 share (up to 4 decimals)
+ * - adjustment: fixed extra amount per participant (in rupees), the rest is split evenly
+ * - itemised: shares come from the bill's items (see calculateItemisedSplit)
+ */
+const SPLIT_METHODS = ['equal', 'unequal', 'percent', 'shares', 'adjustment', 'itemised'];
+
+/**
+ * Distribute an amount in paise proportionally to integer weights
+ * 
+ * Remainder rule (largest remainder method):
+ * 1. Every participant gets floor(amount * weight / totalWeight) paise
+ * 2. The paise left over (always fewer than the number of participants) go one
+ *    each to the participants with the largest dropped fraction
+ * 3. Ties are broken by position in the participants list (earlier first)
+ * 
+ * The result always sums exactly to the amount.
+ * 
+ * @param {number} amount - Amount in paise (integer)
+ * @param {Array<number>} weights - Non-negative integer weights, at least one positive
+ * @returns {Array<number>} Shares in paise, in the same order as weights
+ */
+const distributeByWeights = (amount, weights) => {
+  const total = BigInt(amount);
+  const totalWeight = weights.reduce((sum, w) => sum + BigInt(w), 0n);
+
+  const parts = weights.map((w, index) => {
+    const numerator = total * BigInt(w);
+    return {
+      index,
+      share: numerator / totalWeight,
+      remainder: numerator % totalWeight
+    };
+  });
+
+  let leftover = total - parts.reduce((sum, p) => sum + p.share, 0n);
+
+  const byRemainder = [...parts].sort((a, b) => {
+    if (a.remainder !== b.remainder) return a.remainder > b.remainder ? -1 : 1;
+    return a.index - b.index;
+  });
+
+  for (const part of byRemainder) {
+    if (leftover <= 0n) break;
+    part.share += 1n;
+    leftover -= 1n;
+  }
+
+  return parts.map(p => Number(p.share));
+};
+
+/**
+ * Convert a decimal number to an integer with a fixed number of decimal places
+ * @param {number} value - Decimal value
+ * @param {number} decimals - Decimal places to keep
+ * @returns {number|null} Scaled integer, or null if value has more decimals
+ */
+const toScaledInteger = (value, decimals) => {
+  const scaled = Math.round(value * 10 ** decimals);
+  return Math.abs(scaled - value * 10 ** decimals) < 1e-6 ? scaled : null;
+};
+
+/**
+ * Calculate participant shares in paise from the raw split inputs
+ * 
+ * Inputs per participant depend on splitMethod:
+ * - equal: { user }
+ * - unequal: { user, share } (rupees)
+ * - percent: { user, percent }
+ * - shares: { user, weight }
+ * - adjustment: { user, adjustment? } (rupees, defaults to 0)
+ * 
+ * For backwards compatibility, percent splits without any percent values
+ * accept pre-computed rupee shares like unequal splits.
+ * 
+ * The raw inputs are returned alongside the computed share so they can be
+ * stored on the expense and used to re-split when the amount changes.
+ * Rupee inputs are major units of the expense's currency.
+ * 
+ * @param {number} amount - Total amount in paise
+ * @param {string} splitMethod - One of SPLIT_METHODS
+ * @param {Array} participants - Raw participant inputs
+ * @param {string} currency - Currency of the expense (defaults to INR)
+ * @returns {Object} { valid: boolean, participants: Array, message: string }
+ */
+const calculateSplit = (amount, splitMethod, participants, currency = DEFAULT_CURRENCY) => {
+  const invalid = (message) => ({ valid: false, participants: [], message });
+
+  if (!SPLIT_METHODS.includes(splitMethod)) {
+    return invalid(`Split method must be one of: ${SPLIT_METHODS.join(', ')}`);
+  }
+
+  if (!participants || participants.length === 0) {
+    return invalid('At least one participant is required');
+  }
+
+  const isSet = (value) => value !== undefined && value !== null;
+
+  switch (splitMethod) {
+    case 'equal': {
+      const shares = distributeByWeights(amount, participants.map(() => 1));
+      return {
+        valid: true,
+        participants: participants.map((p, i) => ({ user: p.user, share: shares[i] })),
+        message: 'Split calculated'
+      };
+    }
+
+    case 'unequal': {
+      if (participants.some(p => !isSet(p.share))) {
+        return invalid('Each participant needs a share for an unequal split');
+      }
+      return {
+        valid: true,
+        participants: participants.map(p => ({ user: p.user, share: rupeesToPaise(p.share, currency) })),
+        message: 'Split calculated'
+      };
+    }
+
+    case 'percent': {
+      // Legacy clients send pre-computed shares instead of percentages
+      if (participants.every(p => !isSet(p.percent)) && participants.every(p => isSet(p.share))) {
+        return calculateSplit(amount, 'unequal', participants, currency);
+      }
+
+      if (participants.some(p => !isSet(p.percent))) {
+        return invalid('Each participant needs a percent for a percent split');
+      }
+
+      const weights = participants.map(p => toScaledInteger(p.percent, 2));
+      if (weights.some(w => w === null || w < 0)) {
+        return invalid('Percentages must be non-negative with at most 2 decimal places');
+      }
+
+      const totalPercent = weights.reduce((sum, w) => sum + w, 0);
+      if (totalPercent !== 10000) {
+        return invalid(`Percentages must add up to 100 (got ${totalPercent / 100})`);
+      }
+
+      const shares = distributeByWeights(amount, weights);
+      return {
+        valid: true,
+        participants: participants.map((p, i) => ({ user: p.user, share: shares[i], percent: p.percent })),
+        message: 'Split calculated'
+      };
+    }
+
+    case 'shares': {
+      if (participants.some(p => !isSet(p.weight))) {
+        return invalid('Each participant needs a weight for a shares split');
+      }
+
+      const weights = participants.map(p => toScaledInteger(p.weight, 4));
+      if (weights.some(w => w === null || w < 0)) {
+        return invalid('Weights must be non-negative with at most 4 decimal places');
+      }
+
+      if (weights.every(w => w === 0)) {
+        return invalid('At least one participant must have a weight greater than zero');
+      }
+
+      const shares = distributeByWeights(amount, weights);
+      return {
+        valid: true,
+        participants: participants.map((p, i) => ({ user: p.user, share: shares[i], weight: p.weight })),
+        message: 'Split calculated'
+      };
+    }
+
+    case 'adjustment': {
+      const adjustments = participants.map(p => rupeesToPaise(p.adjustment || 0, currency));
+      const remaining = amount - adjustments.reduce((sum, a) => sum + a, 0);
+
+      if (remaining < 0) {
+        return invalid(`Adjustments (${formatMoney(amount - remaining, currency)}) exceed the total amount (${formatMoney(amount, currency)})`);
+      }
+
+      const evenShares = distributeByWeights(remaining, participants.map(() => 1));
+      const computed = participants.map((p, i) => ({
+        user: p.user,
+        share: evenShares[i] + adjustments[i],
+        adjustment: adjustments[i]
+      }));
+
+      if (computed.some(p => p.share < 0)) {
+        return invalid('Adjustments would give a participant a negative share');
+      }
+
+      return { valid: true, participants: computed, message: 'Split calculated' };
+    }
+
+    case 'itemised':
+      return invalid('An itemised split is calculated from items, not participants');
+
+    default:
+      return invalid(`Unsupported split method: ${splitMethod}`);
+  }
+};
+
+/**
+ * Rebuild raw split inputs from stored participants, so an expense can be re-split
+ * @param {string} splitMethod - Split method the inputs are for
+ * @param {Array} participants - Stored participants ({ user, share, percent?, weight?, adjustment? } in paise)
+ * @param {string} currency - Currency of the expense (defaults to INR)
+ * @returns {Array} Raw participant inputs (amounts in rupees) for calculateSplit
+ */
+const getSplitInputs = (splitMethod, participants, currency = DEFAULT_CURRENCY) => {
+  return participants.map(p => {
+    const user = p.user._id ? p.user._id : p.user;
+    switch (splitMethod) {
+      case 'percent':
+        return { user, percent: p.percent, share: paiseToRupees(p.share, currency) };
+      case 'shares':
+        return { user, weight: p.weight };
+      case 'adjustment':
+        return { user, adjustment: paiseToRupees(p.adjustment || 0, currency) };
+      case 'unequal':
+        return { user, share: paiseToRupees(p.share, currency) };
+      default:
+        return { user };
+    }
+  });
+};
+
+/**
+ * Calculate participant shares from an itemised bill
+ * 
+ * 1. Each item's total (price x quantity, rounded to the paisa) is split between
+ *    the people assigned to it by weight (default 1 each)
+ * 2. Tax, service charge and tip are each split in proportion to everyone's
+ *    item subtotal, so whoever ordered more pays more of them
+ * 
+ * Both steps use distributeByWeights, so every split adds up exactly and the
+ * shares always add up to the bill total.
+ * 
+ * @param {Array} items - [{ name, price (paise per unit), quantity?, assignedTo: [{ user, weight? }] }]
+ * @param {Object} charges - { tax, serviceCharge, tip } in paise (each defaults to 0)
+ * @param {string} currency - Currency of the bill, used in messages (defaults to INR)
+ * @returns {Object} { valid, amount, participants, items, charges, breakdown, message }
+ *   breakdown: { items: [...], subtotal, perParticipant: [{ user, items, tax, serviceCharge, tip, share }] }
+ */
+const calculateItemisedSplit = (items, charges = {}, currency = DEFAULT_CURRENCY) => {
+  const invalid = (message) => ({ valid: false, participants: [], message });
+
+  if (!items || items.length === 0) {
+    return invalid('At least one item is required for an itemised split');
+  }
+
+  const chargeValues = {
+    tax: charges.tax || 0,
+    serviceCharge: charges.serviceCharge || 0,
+    tip: charges.tip || 0
+  };
+
+  if (Object.values(chargeValues).some(v => !Number.isInteger(v) || v < 0)) {
+    return invalid('Tax, service charge and tip must be non-negative amounts');
+  }
+
+  const people = new Map(); // userId -> { user, items, tax, serviceCharge, tip, share }
+  const itemBreakdown = [];
+  const normalisedItems = [];
+
+  for (const item of items) {
+    const label = item.name ? `Item "${item.name}"` : 'Each item';
+
+    if (!item.name) {
+      return invalid('Each item needs a name');
+    }
+
+    if (!Number.isInteger(item.price) || item.price < 1) {
+      return invalid(`${label} needs a price of at least ${formatMoney(1, currency)}`);
+    }
+
+    const quantity = item.quantity === undefined || item.quantity === null ? 1 : item.quantity;
+    if (toScaledInteger(quantity, 3) === null || quantity <= 0) {
+      return invalid(`${label} needs a positive quantity with at most 3 decimal places`);
+    }
+
+    if (!item.assignedTo || item.assignedTo.length === 0) {
+      return invalid(`${label} must be assigned to at least one person`);
+    }
+
+    const assignees = item.assignedTo.map(a => ({
+      user: a.user,
+      weight: a.weight === undefined || a.weight === null ? 1 : a.weight
+    }));
+
+    const assigneeIds = assignees.map(a => (a.user._id ? a.user._id.toString() : a.user.toString()));
+    if (new Set(assigneeIds).size !== assigneeIds.length) {
+      return invalid(`${label} lists the same person more than once`);
+    }
+
+    const weights = assignees.map(a => toScaledInteger(a.weight, 4));
+    if (weights.some(w => w === null || w < 0)) {
+      return invalid(`${label} has a weight that is negative or has more than 4 decimal places`);
+    }
+
+    if (weights.every(w => w === 0)) {
+      return invalid(`${label} needs at least one person with a weight greater than zero`);
+    }
+
+    const total = Math.round(item.price * quantity);
+    const shares = distributeByWeights(total, weights);
+
+    assignees.forEach((a, i) => {
+      if (!people.has(assigneeIds[i])) {
+        people.set(assigneeIds[i], { user: a.user, items: 0, tax: 0, serviceCharge: 0, tip: 0, share: 0 });
+      }
+      people.get(assigneeIds[i]).items += shares[i];
+    });
+
+    normalisedItems.push({ name: item.name, price: item.price, quantity, assignedTo: assignees });
+    itemBreakdown.push({
+      name: item.name,
+      price: item.price,
+      quantity,
+      total,
+      assignedTo: assignees.map((a, i) => ({ user: a.user, weight: a.weight, share: shares[i] }))
+    });
+  }
+
+  const entries = Array.from(people.values());
+  const subtotals = entries.map(e => e.items);
+  const subtotal = subtotals.reduce((sum, v) => sum + v, 0);
+
+  if (subtotal === 0) {
+    return invalid(`Items must add up to more than ${formatMoney(0, currency)}`);
+  }
+
+  for (const field of ['tax', 'serviceCharge', 'tip']) {
+    const parts = distributeByWeights(chargeValues[field], subtotals);
+    entries.forEach((e, i) => { e[field] = parts[i]; });
+  }
+
+  entries.forEach(e => { e.share = e.items + e.tax + e.serviceCharge + e.tip; });
+
+  return {
+    valid: true,
+    amount: subtotal + chargeValues.tax + chargeValues.serviceCharge + chargeValues.tip,
+    participants: entries.map(e => ({ user: e.user, share: e.share })),
+    items: normalisedItems,
+    charges: chargeValues,
+    breakdown: {
+      items: itemBreakdown,
+      subtotal,
+      ...chargeValues,
+      perParticipant: entries
+    },
+    message: 'Split calculated'
+  };
 };
 
 /**
@@ -69,14 +432,67 @@ const validatePayerExists = async (payerId) => {
   return { valid: true, message: 'Payer is valid' };
 };
 
+/**
+ * Validate the payers of a multi-payer expense
+ * Every payer must exist, appear once and pay something, and the paid amounts
+ * must add up to exactly the total (no rounding tolerance - they are entered, not derived)
+ * @param {number} totalAmount - Total expense amount in paise
+ * @param {Array} payers - Array of {user: userId, paid: amount in paise}
+ * @param {string} currency - Currency of the expense, used in messages (defaults to INR)
+ * @returns {Promise<Object>} { valid: boolean, totalPaid: number, message: string }
+ */
+const validatePayers = async (totalAmount, payers, currency = DEFAULT_CURRENCY) => {
+  const totalPaid = payers.reduce((sum, p) => sum + p.paid, 0);
+  
+  const userIds = payers.map(p => p.user.toString());
+  if (new Set(userIds).size !== userIds.length) {
+    return {
+      valid: false,
+      totalPaid,
+      message: 'Duplicate payers found. Each user can only appear once as a payer.'
+    };
+  }
+  
+  if (payers.some(p => !Number.isInteger(p.paid) || p.paid < 1)) {
+    return {
+      valid: false,
+      totalPaid,
+      message: `Each payer must have paid at least ${formatMoney(1, currency)}`
+    };
+  }
+  
+  const users = await User.find({ _id: { $in: userIds } }).select('_id');
+  const foundIds = users.map(u => u._id.toString());
+  const invalidIds = userIds.filter(id => !foundIds.includes(id));
+  
+  if (invalidIds.length > 0) {
+    return {
+      valid: false,
+      totalPaid,
+      message: `The following payer IDs do not exist: ${invalidIds.join(', ')}`
+    };
+  }
+  
+  if (totalPaid !== totalAmount) {
+    return {
+      valid: false,
+      totalPaid,
+      message: `Sum of paid amounts (${formatMoney(totalPaid, currency)}) does not equal total amount (${formatMoney(totalAmount, currency)})`
+    };
+  }
+  
+  return { valid: true, totalPaid, message: 'Payers are valid' };
+};
+
 /**
  * Validate that sum of participant shares equals total amount
  * Allows 1 paise tolerance for rounding differences
  * @param {number} totalAmount - Total expense amount in paise
  * @param {Array} participants - Array of {user: userId, share: amount in paise}
+ * @param {string} currency - Currency of the expense, used in messages (defaults to INR)
  * @returns {Object} { valid: boolean, totalShares: number, difference: number, message: string }
  */
-const validateSharesSum = (totalAmount, participants) => {
+const validateSharesSum = (totalAmount, participants, currency = DEFAULT_CURRENCY) => {
   const totalShares = participants.reduce((sum, p) => sum + p.share, 0);
   const difference = Math.abs(totalShares - totalAmount);
   
@@ -86,7 +502,7 @@ const validateSharesSum = (totalAmount, participants) => {
       valid: false,
       totalShares,
       difference,
-      message: `Sum of participant shares (${totalShares} paise = ₹${paiseToRupees(totalShares)}) does not equal total amount (${totalAmount} paise = ₹${paiseToRupees(totalAmount)}). Difference: ${difference} paise`
+      message: `Sum of participant shares (${formatMoney(totalShares, currency)}) does not equal total amount (${formatMoney(totalAmount, currency)}). Difference: ${formatMoney(difference, currency)}`
     };
   }
   
@@ -139,20 +555,61 @@ const validateNoDuplicateParticipants = (participants) => {
   return { valid: true, duplicates: [], message: 'No duplicate participants' };
 };
 
+/**
+ * Validate that a group exists and all given users are members of it
+ * @param {string} groupId - Group ID
+ * @param {Array} userIds - User IDs that must belong to the group
+ * @returns {Promise<Object>} { valid: boolean, nonMembers: Array, message: string }
+ */
+const validateGroupMembers = async (groupId, userIds) => {
+  const group = await Group.findById(groupId);
+  
+  if (!group) {
+    return {
+      valid: false,
+      nonMembers: [],
+      message: `Group with ID ${groupId} does not exist`
+    };
+  }
+  
+  const uniqueIds = [...new Set(userIds.map(id => id.toString()))];
+  const nonMembers = uniqueIds.filter(id => !group.isMember(id));
+  
+  if (nonMembers.length > 0) {
+    return {
+      valid: false,
+      nonMembers,
+      message: `The following users are not members of group "${group.name}": ${nonMembers.join(', ')}`
+    };
+  }
+  
+  return { valid: true, nonMembers: [], message: 'All users are group members' };
+};
+
 /**
  * Comprehensive validation for expense creation
  * Runs all validations and returns combined result
- * @param {Object} expenseData - { amount, payer, participants }
+ * @param {Object} expenseData - { amount, currency?, payer, payers?, participants, group?, createdBy?, existingPeople? }
+ *   payers ([{user, paid}] in paise) replaces the single payer check when given
+ *   existingPeople (user IDs) are let through without a verified email: whoever
+ *   is making the change and anyone already on the expense
  * @returns {Promise<Object>} { valid: boolean, errors: Array }
  */
 const validateExpenseCreation = async (expenseData) => {
-  const { amount, payer, participants } = expenseData;
+  const { amount, currency = DEFAULT_CURRENCY, payer, payers, participants, group, createdBy, existingPeople = [] } = expenseData;
   const errors = [];
   
-  // 1. Validate payer exists
-  const payerValidation = await validatePayerExists(payer);
-  if (!payerValidation.valid) {
-    errors.push({ field: 'payer', message: payerValidation.message });
+  // 1. Validate payer(s) exist (and paid amounts sum to the total)
+  if (payers && payers.length > 0) {
+    const payersValidation = await validatePayers(amount, payers, currency);
+    if (!payersValidation.valid) {
+      errors.push({ field: 'payers', message: payersValidation.message });
+    }
+  } else {
+    const payerValidation = await validatePayerExists(payer);
+    if (!payerValidation.valid) {
+      errors.push({ field: 'payer', message: payerValidation.message });
+    }
   }
   
   // 2. Validate no duplicate participants
@@ -174,11 +631,35 @@ const validateExpenseCreation = async (expenseData) => {
   }
   
   // 5. Validate shares sum equals total
-  const sumValidation = validateSharesSum(amount, participants);
+  const sumValidation = validateSharesSum(amount, participants, currency);
   if (!sumValidation.valid) {
     errors.push({ field: 'amount', message: sumValidation.message });
   }
   
+  // 6. Validate creator, payers and participants belong to the group (if any)
+  if (group) {
+    const groupValidation = await validateGroupMembers(group, [
+      ...(createdBy ? [createdBy] : []),
+      ...(payers && payers.length > 0 ? payers.map(p => p.user) : [payer]),
+      ...participants.map(p => p.user)
+    ]);
+    if (!groupValidation.valid) {
+      errors.push({ field: 'group', message: groupValidation.message });
+    }
+  }
+  
+  // 7. Validate everyone newly added has verified their email (if REQUIRE_VERIFIED_EMAIL says so)
+  const verifiedValidation = await validateEmailsVerified(
+    [
+      ...(payers && payers.length > 0 ? payers.map(p => p.user) : [payer]),
+      ...participants.map(p => p.user)
+    ],
+    [...(createdBy ? [createdBy] : []), ...existingPeople]
+  );
+  if (!verifiedValidation.valid) {
+    errors.push({ field: 'participants', message: verifiedValidation.message });
+  }
+  
   return {
     valid: errors.length === 0,
     errors
@@ -186,12 +667,19 @@ const validateExpenseCreation = async (expenseData) => {
 };
 
 module.exports = {
+  SPLIT_METHODS,
   rupeesToPaise,
   paiseToRupees,
+  distributeByWeights,
+  calculateSplit,
+  getSplitInputs,
+  calculateItemisedSplit,
   validateParticipantsExist,
   validatePayerExists,
+  validatePayers,
   validateSharesSum,
   validatePositiveShares,
   validateNoDuplicateParticipants,
+  validateGroupMembers,
   validateExpenseCreation
 };
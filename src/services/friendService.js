@@ -2,6 +2,8 @@ const Friend = require('../models/friend');
 const User = require('../models/user');
 const { calculatePairwiseBalance } = require('./balanceCalculation');
 const { createFriendAddedActivity } = require('./activityService');
+const { requiresVerifiedEmail } = require('./emailVerification');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency');
 
 /**
  * Friend Service
@@ -32,6 +34,15 @@ const addFriend = async (userId, friendEmail, nickname = null) => {
   
   const friendId = friendUser._id.toString();
   
+  // Only people who have verified their email, if REQUIRE_VERIFIED_EMAIL says so
+  if (requiresVerifiedEmail('friend') && !friendUser.emailVerified && userId.toString() !== friendId) {
+    return {
+      success: false,
+      error: 'Email not verified',
+      message: `${friendEmail} has not verified their email yet, so they can't be added as a friend`
+    };
+  }
+  
   // Prevent adding yourself
   if (userId.toString() === friendId) {
     return {
@@ -90,11 +101,12 @@ const addFriend = async (userId, friendEmail, nickname = null) => {
  * Get all friends for a user with balance information
  * 
  * @param {string} userId - User ID
- * @param {Object} options - Query options
+ * @param {Object} options - Query options, plus currency for the headline balance
  * @returns {Promise<Array>}
  */
 const getFriendsWithBalances = async (userId, options = {}) => {
-  const friends = await Friend.getFriendsForUser(userId, options);
+  const { currency = DEFAULT_CURRENCY, ...queryOptions } = options;
+  const friends = await Friend.getFriendsForUser(userId, queryOptions);
   
   // Enhance each friend with balance information
   const friendsWithBalances = await Promise.all(
@@ -105,12 +117,18 @@ const getFriendsWithBalances = async (userId, options = {}) => {
       let balance = 0;
       let balanceInRupees = 0;
       let status = 'settled';
+      let byCurrency = [];
+      let message = 'Settled up';
       
       try {
-        const balanceData = await calculatePairwiseBalance(userId, friendId);
+        const balanceData = await calculatePairwiseBalance(userId, friendId, { currency });
         balance = balanceData.balance;
         balanceInRupees = balanceData.balanceInRupees;
         status = balanceData.status;
+        byCurrency = balanceData.byCurrency;
+        if (!balanceData.isSettled) {
+          message = balanceData.message;
+        }
       } catch (error) {
         console.error(`Error calculating balance for friend ${friendId}:`, error);
       }
@@ -125,14 +143,12 @@ const getFriendsWithBalances = async (userId, options = {}) => {
         },
         nickname: friendship.nickname,
         balance: {
+          currency,
           amount: balance,
           amountInRupees: balanceInRupees,
-          status, // 'owes_you', 'you_owe', 'settled'
-          message: status === 'owes_you' 
-            ? `Owes you ₹${Math.abs(balanceInRupees)}`
-            : status === 'you_owe'
-            ? `You owe ₹${Math.abs(balanceInRupees)}`
-            : 'Settled up'
+          status, // 'owes_you', 'you_owe', 'settled' (in currency)
+          message,
+          byCurrency
         },
         createdAt: friendship.createdAt,
         updatedAt: friendship.updatedAt
@@ -183,14 +199,14 @@ const removeFriend = async (userId, friendshipId) => {
     throw new Error('Friendship not found or you do not have permission');
   }
   
-  // Check if there's a pending balance with this friend
+  // Check if there's a pending balance with this friend, in any currency
   const balance = await calculatePairwiseBalance(userId, friendship.friend.toString());
+  const open = balance.byCurrency.find(b => b.balance !== 0);
   
-  if (balance.balance !== 0) {
-    const balanceInRupees = balance.balance / 100;
-    const message = balance.balance > 0 
-      ? `Cannot remove friend. They owe you ₹${balanceInRupees}. Please settle up first.`
-      : `Cannot remove friend. You owe them ₹${Math.abs(balanceInRupees)}. Please settle up first.`;
+  if (open) {
+    const message = open.balance > 0 
+      ? `Cannot remove friend. They owe you ${formatMoney(open.balance, open.currency)}. Please settle up first.`
+      : `Cannot remove friend. You owe them ${formatMoney(-open.balance, open.currency)}. Please settle up first.`;
     throw new Error(message);
   }
   
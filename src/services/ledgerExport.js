@@ -0,0 +1,358 @@
+const Expense = require('../models/expense');
+const Transaction = require('../models/transaction');
+const Activity = require('../models/activity');
+const { paiseToRupees } = require('./expenseValidation');
+const { getExpensePayers } = require('./balanceCalculation');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { DEFAULT_CATEGORY } = require('../utils/categories');
+const { dateRangeCondition } = require('../utils/dateRange');
+const { toCsvRow } = require('../utils/csv');
+
+/**
+ * Ledger Export Service
+ *
+ * Everything a user has on record: their expenses with everyone's share,
+ * their settlements and loan repayments, and their activity feed. Records are
+ * read from MongoDB cursors one at a time and turned into CSV lines or JSON
+ * text as they go, so an export never holds the whole ledger in memory.
+ *
+ * Amounts are given both in minor units (paise) and major units (rupees),
+ * each in the record's own currency.
+ */
+
+// Columns of the CSV export. Each line is one record; columns that don't
+// apply to a record type are left empty.
+const CSV_COLUMNS = [
+  'record_type', 'id', 'date', 'expense_id', 'title', 'category', 'group_id', 'split_method',
+  'currency', 'amount_paise', 'amount_rupees',
+  'user_id', 'user_name', 'share_paise', 'share_rupees', 'paid_paise', 'paid_rupees',
+  'from_id', 'from_name', 'to_id', 'to_name',
+  'status', 'note', 'activity_type', 'created_at'
+];
+
+const idOf = (ref) => (ref ? (ref._id || ref).toString() : null);
+
+// { id, name } of a populated user reference
+const userOf = (ref) => (ref ? { id: idOf(ref), name: ref.name || null } : null);
+
+/**
+ * Involvement condition for expenses
+ * @param {string} userId - User ID
+ * @returns {Object}
+ */
+const involves = (userId) => ({
+  $or: [
+    { payer: userId },
+    { 'payers.user': userId },
+    { 'participants.user': userId }
+  ]
+});
+
+/**
+ * Build the queries for an export
+ * @param {string} userId - User ID
+ * @param {Object} filters - { from, to, friendId } (all optional)
+ * @returns {Object} { expenses, transactions, activities }
+ */
+const buildExportQueries = (userId, filters = {}) => {
+  const { from, to, friendId } = filters;
+  const range = dateRangeCondition(from, to);
+
+  const expenses = {
+    isDeleted: { $ne: true },
+    $and: friendId ? [involves(userId), involves(friendId)] : [involves(userId)],
+    ...(range && { expenseDate: range })
+  };
+
+  const transactions = {
+    $or: friendId
+      ? [{ from: userId, to: friendId }, { from: friendId, to: userId }]
+      : [{ from: userId }, { to: userId }],
+    ...(range && { settledAt: range })
+  };
+
+  const activities = {
+    targets: userId,
+    ...(friendId && { $or: [{ actor: friendId }, { targets: friendId }] }),
+    ...(range && { createdAt: range })
+  };
+
+  return { expenses, transactions, activities };
+};
+
+/**
+ * Format an expense with everyone's share and what they paid
+ * @param {Object} expense - Lean expense (people populated)
+ * @returns {Object}
+ */
+const formatExpense = (expense) => {
+  const currency = expense.currency || DEFAULT_CURRENCY;
+  const payers = getExpensePayers(expense);
+  const paidBy = new Map(payers.map(p => [idOf(p.user), p.paid]));
+
+  // Participants, then anyone who paid without taking part
+  const people = [
+    ...expense.participants.map(p => ({ user: p.user, share: p.share })),
+    ...payers
+      .filter(p => !expense.participants.some(part => idOf(part.user) === idOf(p.user)))
+      .map(p => ({ user: p.user, share: 0 }))
+  ];
+
+  return {
+    id: idOf(expense),
+    date: expense.expenseDate || expense.createdAt,
+    title: expense.title,
+    category: expense.category || DEFAULT_CATEGORY,
+    group: idOf(expense.group),
+    splitMethod: expense.splitMethod,
+    currency,
+    amount: expense.amount,
+    amountInRupees: paiseToRupees(expense.amount, currency),
+    shares: people.map(p => {
+      const paid = paidBy.get(idOf(p.user)) || 0;
+      return {
+        user: userOf(p.user),
+        share: p.share,
+        shareInRupees: paiseToRupees(p.share, currency),
+        paid,
+        paidInRupees: paiseToRupees(paid, currency)
+      };
+    }),
+    createdAt: expense.createdAt
+  };
+};
+
+/**
+ * Format a settlement or loan repayment
+ * @param {Object} transaction - Lean transaction (from and to populated)
+ * @returns {Object}
+ */
+const formatTransaction = (transaction) => {
+  const currency = transaction.currency || DEFAULT_CURRENCY;
+
+  return {
+    id: idOf(transaction),
+    date: transaction.settledAt || transaction.createdAt,
+    kind: transaction.loan ? 'loan_repayment' : 'settlement',
+    currency,
+    amount: transaction.amount,
+    amountInRupees: paiseToRupees(transaction.amount, currency),
+    from: userOf(transaction.from),
+    to: userOf(transaction.to),
+    // Transactions from before statuses existed are confirmed
+    status: transaction.isVoided ? 'voided' : (transaction.status || 'confirmed'),
+    note: transaction.note || null,
+    group: idOf(transaction.group),
+    loan: idOf(transaction.loan),
+    createdAt: transaction.createdAt
+  };
+};
+
+/**
+ * Format an activity feed entry
+ * @param {Object} activity - Lean activity (actor populated)
+ * @returns {Object}
+ */
+const formatActivity = (activity) => {
+  const { payload = {} } = activity;
+  const currency = (payload.metadata && payload.metadata.currency) || DEFAULT_CURRENCY;
+  const hasAmount = typeof payload.amount === 'number';
+
+  return {
+    id: idOf(activity),
+    date: activity.createdAt,
+    type: activity.type,
+    title: payload.title,
+    description: payload.description || null,
+    currency: hasAmount ? currency : null,
+    amount: hasAmount ? payload.amount : null,
+    amountInRupees: hasAmount ? paiseToRupees(payload.amount, currency) : null,
+    actor: userOf(activity.actor),
+    group: idOf(payload.groupId)
+  };
+};
+
+/**
+ * Read the user's records of each kind, oldest first, one at a time
+ * @param {string} userId - User ID
+ * @param {Object} filters - { from, to, friendId }
+ * @returns {Object} { expenses, transactions, activities } as async iterables of formatted records
+ */
+const readLedger = (userId, filters) => {
+  const queries = buildExportQueries(userId, filters);
+
+  // Cursors are only opened once the export gets to them, and closed if it stops early
+  const read = async function* (openCursor, format) {
+    for await (const doc of openCursor()) {
+      yield format(doc);
+    }
+  };
+
+  return {
+    expenses: read(
+      () => Expense.find(queries.expenses)
+        .populate('payer', 'name')
+        .populate('payers.user', 'name')
+        .populate('participants.user', 'name')
+        .sort({ expenseDate: 1, _id: 1 })
+        .lean()
+        .cursor(),
+      formatExpense
+    ),
+    transactions: read(
+      () => Transaction.find(queries.transactions)
+        .populate('from', 'name')
+        .populate('to', 'name')
+        .sort({ settledAt: 1, _id: 1 })
+        .lean()
+        .cursor(),
+      formatTransaction
+    ),
+    activities: read(
+      () => Activity.find(queries.activities)
+        .populate('actor', 'name')
+        .sort({ createdAt: 1, _id: 1 })
+        .lean()
+        .cursor(),
+      formatActivity
+    )
+  };
+};
+
+/**
+ * CSV lines for one record: an expense is followed by a line per person in it
+ * @param {string} type - expense | transaction | activity
+ * @param {Object} record - Formatted record
+ * @returns {Array<Object>} Lines keyed by CSV column
+ */
+const toCsvLines = (type, record) => {
+  if (type === 'expense') {
+    const expenseLine = {
+      record_type: 'expense',
+      id: record.id,
+      date: record.date,
+      expense_id: record.id,
+      title: record.title,
+      category: record.category,
+      group_id: record.group,
+      split_method: record.splitMethod,
+      currency: record.currency,
+      amount_paise: record.amount,
+      amount_rupees: record.amountInRupees,
+      created_at: record.createdAt
+    };
+
+    const shareLines = record.shares.map(s => ({
+      record_type: 'share',
+      date: record.date,
+      expense_id: record.id,
+      title: record.title,
+      currency: record.currency,
+      user_id: s.user && s.user.id,
+      user_name: s.user && s.user.name,
+      share_paise: s.share,
+      share_rupees: s.shareInRupees,
+      paid_paise: s.paid,
+      paid_rupees: s.paidInRupees
+    }));
+
+    return [expenseLine, ...shareLines];
+  }
+
+  if (type === 'transaction') {
+    return [{
+      record_type: record.kind,
+      id: record.id,
+      date: record.date,
+      group_id: record.group,
+      currency: record.currency,
+      amount_paise: record.amount,
+      amount_rupees: record.amountInRupees,
+      from_id: record.from && record.from.id,
+      from_name: record.from && record.from.name,
+      to_id: record.to && record.to.id,
+      to_name: record.to && record.to.name,
+      status: record.status,
+      note: record.note,
+      created_at: record.createdAt
+    }];
+  }
+
+  return [{
+    record_type: 'activity',
+    id: record.id,
+    date: record.date,
+    title: record.title,
+    group_id: record.group,
+    currency: record.currency,
+    amount_paise: record.amount,
+    amount_rupees: record.amountInRupees,
+    from_id: record.actor && record.actor.id,
+    from_name: record.actor && record.actor.name,
+    note: record.description,
+    activity_type: record.type,
+    created_at: record.date
+  }];
+};
+
+/**
+ * Stream a user's ledger as CSV
+ * @param {string} userId - User ID
+ * @param {Object} filters - { from, to, friendId }
+ * @returns {AsyncGenerator<string>} CSV text, header first
+ */
+const streamLedgerCsv = async function* (userId, filters = {}) {
+  const ledger = readLedger(userId, filters);
+
+  yield toCsvRow(CSV_COLUMNS);
+
+  for (const [type, records] of [
+    ['expense', ledger.expenses],
+    ['transaction', ledger.transactions],
+    ['activity', ledger.activities]
+  ]) {
+    for await (const record of records) {
+      for (const line of toCsvLines(type, record)) {
+        yield toCsvRow(CSV_COLUMNS.map(column => line[column]));
+      }
+    }
+  }
+};
+
+/**
+ * Stream a user's ledger as one JSON document
+ * @param {string} userId - User ID
+ * @param {Object} header - Fields written before the records (exportedAt, user, filters)
+ * @param {Object} filters - { from, to, friendId }
+ * @returns {AsyncGenerator<string>} JSON text
+ */
+const streamLedgerJson = async function* (userId, header, filters = {}) {
+  const ledger = readLedger(userId, filters);
+
+  // Header fields, then each array written one record at a time
+  const fields = Object.entries(header).map(([key, value]) => `${JSON.stringify(key)}:${JSON.stringify(value)}`);
+  yield `{${fields.join(',')}`;
+
+  for (const [index, key] of ['expenses', 'transactions', 'activities'].entries()) {
+    yield `${fields.length > 0 || index > 0 ? ',' : ''}${JSON.stringify(key)}:[`;
+    let first = true;
+    for await (const record of ledger[key]) {
+      yield `${first ? '' : ','}\n${JSON.stringify(record)}`;
+      first = false;
+    }
+    yield ']';
+  }
+
+  yield '}\n';
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  buildExportQueries,
+  formatExpense,
+  formatTransaction,
+  formatActivity,
+  toCsvLines,
+  streamLedgerCsv,
+  streamLedgerJson
+};
@@ -0,0 +1,311 @@
+const Loan = require('../models/loan');
+const Transaction = require('../models/transaction');
+const { paiseToRupees } = require('./expenseValidation');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+/**
+ * Loan Calculation Service
+ *
+ * A loan's position is worked out from its principal, interest terms and the
+ * repayments recorded against it, as of a given date:
+ * - Interest accrues from the start date on what is still outstanding.
+ *   Simple interest is charged on the outstanding principal only; compound
+ *   interest is also charged on unpaid interest, added monthly or yearly.
+ * - Each repayment pays off accrued interest first, then principal.
+ * - Instalments are principal amounts; repaid principal covers them in date order.
+ *
+ * Amounts are in paise. Interest is tracked unrounded and rounded to whole
+ * paise when reported.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+const idOf = (ref) => (ref._id ? ref._id.toString() : ref.toString());
+
+/**
+ * Interest accrued over a period
+ * @param {Object} loan - Loan document
+ * @param {number} principal - Outstanding principal during the period (paise)
+ * @param {number} interest - Unpaid interest at the start of the period (paise)
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {number} Interest in paise (unrounded)
+ */
+const interestForPeriod = (loan, principal, interest, from, to) => {
+  const years = Math.max(0, to - from) / DAY_MS / DAYS_PER_YEAR;
+
+  if (years === 0 || loan.interestType === 'none' || !loan.interestRate) {
+    return 0;
+  }
+
+  const rate = loan.interestRate / 100;
+
+  if (loan.interestType === 'simple') {
+    return principal * rate * years;
+  }
+
+  const periodsPerYear = loan.compounding === 'yearly' ? 1 : 12;
+  return (principal + interest) * (Math.pow(1 + rate / periodsPerYear, periodsPerYear * years) - 1);
+};
+
+/**
+ * Match repaid principal against the instalment schedule
+ * @param {Array} instalments - [{ dueDate, amount }]
+ * @param {number} principalRepaid - Total principal repaid (paise)
+ * @param {string} currency - Loan currency
+ * @param {Date} asOf - Date to judge overdue instalments against
+ * @returns {Array} [{ dueDate, amount, paid, remaining, status }] status: paid | partially_paid | upcoming | overdue
+ */
+const matchInstalments = (instalments, principalRepaid, currency, asOf) => {
+  let available = principalRepaid;
+
+  return [...instalments]
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+    .map(instalment => {
+      const paid = Math.min(instalment.amount, available);
+      available -= paid;
+
+      const remaining = instalment.amount - paid;
+      let status = 'paid';
+      if (remaining > 0) {
+        status = new Date(instalment.dueDate) < asOf ? 'overdue' : paid > 0 ? 'partially_paid' : 'upcoming';
+      }
+
+      return {
+        dueDate: instalment.dueDate,
+        amount: instalment.amount,
+        amountInRupees: paiseToRupees(instalment.amount, currency),
+        paid,
+        paidInRupees: paiseToRupees(paid, currency),
+        remaining,
+        remainingInRupees: paiseToRupees(remaining, currency),
+        status
+      };
+    });
+};
+
+/**
+ * Work out where a loan stands
+ * @param {Object} loan - Loan document
+ * @param {Array} repayments - [{ amount, date }] in paise, any order
+ * @param {Date} asOf - Date to calculate up to (default: now)
+ * @returns {Object} {
+ *   principalRepaid, interestPaid, totalRepaid, outstandingPrincipal, accruedInterest,
+ *   outstanding, status, instalments, nextInstalment
+ * } status: active | overdue | repaid
+ */
+const calculateLoanPosition = (loan, repayments, asOf = new Date()) => {
+  const start = new Date(loan.startDate);
+  let principal = loan.principal;
+  let interest = 0;
+  let last = start;
+  let principalRepaid = 0;
+  let interestPaid = 0;
+  let totalRepaid = 0;
+
+  const sorted = [...repayments].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  for (const repayment of sorted) {
+    const date = new Date(repayment.date) < last ? last : new Date(repayment.date);
+    interest += interestForPeriod(loan, principal, interest, last, date);
+    last = date;
+
+    // Interest first, then principal
+    const toInterest = Math.min(repayment.amount, Math.round(interest));
+    interest = Math.max(0, interest - toInterest);
+
+    const toPrincipal = Math.min(repayment.amount - toInterest, principal);
+    principal -= toPrincipal;
+
+    interestPaid += toInterest;
+    principalRepaid += toPrincipal;
+    totalRepaid += repayment.amount;
+  }
+
+  if (asOf > last) {
+    interest += interestForPeriod(loan, principal, interest, last, asOf);
+  }
+
+  const accruedInterest = Math.round(interest);
+  const outstanding = principal + accruedInterest;
+  const instalments = matchInstalments(loan.instalments || [], principalRepaid, loan.currency, asOf);
+
+  let status = 'active';
+  if (outstanding === 0) {
+    status = 'repaid';
+  } else if ((loan.dueDate && new Date(loan.dueDate) < asOf) || instalments.some(i => i.status === 'overdue')) {
+    status = 'overdue';
+  }
+
+  return {
+    principalRepaid,
+    interestPaid,
+    totalRepaid,
+    outstandingPrincipal: principal,
+    accruedInterest,
+    outstanding,
+    status,
+    instalments,
+    nextInstalment: instalments.find(i => i.status !== 'paid') || null
+  };
+};
+
+/**
+ * Split a principal into equal instalments
+ * The remainder (in paise) goes on the last instalment.
+ * @param {number} principal - Principal in paise
+ * @param {number} count - Number of instalments
+ * @param {Function} dueDateOf - (index) => Date for instalment index (0-based)
+ * @returns {Array} [{ dueDate, amount }]
+ */
+const buildInstalmentSchedule = (principal, count, dueDateOf) => {
+  const base = Math.floor(principal / count);
+
+  return Array.from({ length: count }, (_, i) => ({
+    dueDate: dueDateOf(i),
+    amount: i === count - 1 ? principal - base * (count - 1) : base
+  }));
+};
+
+/**
+ * Get the repayments recorded against loans, grouped by loan
+ * Only confirmed repayments count, unless includePending is set.
+ * @param {Array} loanIds - Loan IDs
+ * @param {Object} options - { includePending }
+ * @returns {Promise<Map>} loanId -> [Transaction]
+ */
+const getRepaymentsByLoan = async (loanIds, options = {}) => {
+  const { includePending = false } = options;
+
+  const transactions = await Transaction.find({
+    ...Transaction.countedInBalances(includePending),
+    loan: { $in: loanIds }
+  }).sort({ settledAt: 1, createdAt: 1 });
+
+  const byLoan = new Map(loanIds.map(id => [id.toString(), []]));
+  transactions.forEach(t => byLoan.get(t.loan.toString()).push(t));
+
+  return byLoan;
+};
+
+/**
+ * Turn repayment transactions into the { amount, date } list calculateLoanPosition takes
+ * @param {Array} transactions - Transaction documents
+ * @returns {Array}
+ */
+const toRepayments = (transactions) => transactions.map(t => ({ amount: t.amount, date: t.settledAt || t.createdAt }));
+
+/**
+ * Work out a loan's position from the repayments stored for it
+ * @param {Object} loan - Loan document
+ * @param {Date} asOf - Date to calculate up to (default: now)
+ * @param {Object} options - { excludeTransactionId: a repayment to leave out, e.g. one being edited }
+ * @returns {Promise<Object>} calculateLoanPosition() plus pendingRepayments (paise, awaiting confirmation)
+ */
+const getLoanPosition = async (loan, asOf = new Date(), options = {}) => {
+  const excludeId = options.excludeTransactionId ? options.excludeTransactionId.toString() : null;
+  const [confirmed, all] = await Promise.all([
+    getRepaymentsByLoan([loan._id]),
+    getRepaymentsByLoan([loan._id], { includePending: true })
+  ]);
+  const kept = (transactions) => transactions.filter(t => t._id.toString() !== excludeId);
+
+  const confirmedTransactions = kept(confirmed.get(loan._id.toString()));
+  const confirmedIds = new Set(confirmedTransactions.map(t => t._id.toString()));
+  const pendingRepayments = kept(all.get(loan._id.toString()))
+    .filter(t => !confirmedIds.has(t._id.toString()))
+    .reduce((sum, t) => sum + t.amount, 0);
+
+  return {
+    ...calculateLoanPosition(loan, toRepayments(confirmedTransactions), asOf),
+    pendingRepayments
+  };
+};
+
+/**
+ * How much more can be repaid on a loan: what is outstanding, less
+ * repayments still awaiting confirmation
+ * @param {Object} loan - Loan document
+ * @param {Object} options - { excludeTransactionId: a repayment being edited, left out }
+ * @returns {Promise<number>} Amount in minor units
+ */
+const getRepayableAmount = async (loan, options = {}) => {
+  const position = await getLoanPosition(loan, new Date(), options);
+  return Math.max(0, position.outstanding - position.pendingRepayments);
+};
+
+/**
+ * Outstanding loans of a user, per currency, for the overall balance
+ * @param {string} userId - User ID
+ * @param {Object} options - { currency } listed first
+ * @returns {Promise<Object>} { byCurrency: [{ currency, owedToYou, youOwe, net, loans: [...] }] }
+ */
+const calculateLoanBalances = async (userId, options = {}) => {
+  const { currency = DEFAULT_CURRENCY } = options;
+  const userIdStr = userId.toString();
+
+  const loans = await Loan.findByUser(userId)
+    .populate('lender', 'name email')
+    .populate('borrower', 'name email');
+
+  const repaymentsByLoan = await getRepaymentsByLoan(loans.map(l => l._id));
+  const buckets = new Map(); // currency -> { owedToYou, youOwe, loans }
+
+  for (const loan of loans) {
+    const position = calculateLoanPosition(loan, toRepayments(repaymentsByLoan.get(loan._id.toString())));
+    if (position.outstanding === 0) continue;
+
+    const code = loan.currency || DEFAULT_CURRENCY;
+    if (!buckets.has(code)) {
+      buckets.set(code, { owedToYou: 0, youOwe: 0, loans: [] });
+    }
+    const bucket = buckets.get(code);
+
+    const isLender = idOf(loan.lender) === userIdStr;
+    const other = isLender ? loan.borrower : loan.lender;
+
+    if (isLender) {
+      bucket.owedToYou += position.outstanding;
+    } else {
+      bucket.youOwe += position.outstanding;
+    }
+
+    bucket.loans.push({
+      id: loan._id,
+      role: isLender ? 'lender' : 'borrower',
+      user: { id: other._id, name: other.name, email: other.email },
+      outstanding: position.outstanding,
+      outstandingInRupees: paiseToRupees(position.outstanding, code),
+      accruedInterest: position.accruedInterest,
+      dueDate: loan.dueDate,
+      status: position.status
+    });
+  }
+
+  const byCurrency = Array.from(buckets.entries())
+    .sort(([a], [b]) => (a === currency ? -1 : b === currency ? 1 : a.localeCompare(b)))
+    .map(([code, bucket]) => ({
+      currency: code,
+      owedToYou: bucket.owedToYou,
+      owedToYouInRupees: paiseToRupees(bucket.owedToYou, code),
+      youOwe: bucket.youOwe,
+      youOweInRupees: paiseToRupees(bucket.youOwe, code),
+      net: bucket.owedToYou - bucket.youOwe,
+      netInRupees: paiseToRupees(bucket.owedToYou - bucket.youOwe, code),
+      loans: bucket.loans
+    }));
+
+  return { byCurrency };
+};
+
+module.exports = {
+  interestForPeriod,
+  calculateLoanPosition,
+  toRepayments,
+  buildInstalmentSchedule,
+  getRepaymentsByLoan,
+  getLoanPosition,
+  getRepayableAmount,
+  calculateLoanBalances
+};
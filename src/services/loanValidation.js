@@ -0,0 +1,90 @@
+const { validateUsersExist, validateDifferentUsers, validatePositiveAmount } = require('./transactionValidation');
+const { paiseToRupees } = require('./expenseValidation');
+
+/**
+ * Loan Validation Service
+ * Contains business logic for validating loan data
+ */
+
+/**
+ * Validate an instalment schedule against the loan
+ * @param {Array} instalments - [{ dueDate, amount }] with amounts in paise
+ * @param {number} principal - Principal in paise
+ * @param {Date} startDate - Loan start date
+ * @param {string} currency - Loan currency
+ * @returns {Object} { valid: boolean, message: string }
+ */
+const validateInstalments = (instalments, principal, startDate, currency) => {
+  if (instalments.some(i => i.amount < 1)) {
+    return {
+      valid: false,
+      message: 'Every instalment must be at least 1 minor unit'
+    };
+  }
+
+  if (instalments.some(i => new Date(i.dueDate) < startDate)) {
+    return {
+      valid: false,
+      message: 'Instalments cannot be due before the loan starts'
+    };
+  }
+
+  const total = instalments.reduce((sum, i) => sum + i.amount, 0);
+  if (total !== principal) {
+    return {
+      valid: false,
+      message: `Instalments add up to ${paiseToRupees(total, currency)} but the principal is ${paiseToRupees(principal, currency)}`
+    };
+  }
+
+  return {
+    valid: true,
+    message: 'Instalments are valid'
+  };
+};
+
+/**
+ * Comprehensive validation for loan creation
+ * @param {Object} loanData - { lender, borrower, principal, currency, startDate, dueDate?, instalments? }
+ * @returns {Promise<Object>} { valid: boolean, errors: Array }
+ */
+const validateLoanCreation = async (loanData) => {
+  const { lender, borrower, principal, currency, startDate, dueDate, instalments = [] } = loanData;
+  const errors = [];
+
+  const differentValidation = validateDifferentUsers(lender, borrower);
+  if (!differentValidation.valid) {
+    errors.push({ field: 'users', message: 'Lender and borrower must be different users' });
+  }
+
+  const amountValidation = validatePositiveAmount(principal);
+  if (!amountValidation.valid) {
+    errors.push({ field: 'principal', message: amountValidation.message });
+  }
+
+  if (dueDate && dueDate < startDate) {
+    errors.push({ field: 'dueDate', message: 'Due date cannot be before the start date' });
+  }
+
+  if (instalments.length > 0 && amountValidation.valid) {
+    const instalmentValidation = validateInstalments(instalments, principal, startDate, currency);
+    if (!instalmentValidation.valid) {
+      errors.push({ field: 'instalments', message: instalmentValidation.message });
+    }
+  }
+
+  const usersValidation = await validateUsersExist(lender, borrower);
+  if (!usersValidation.valid) {
+    errors.push({ field: 'users', message: usersValidation.message });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  validateInstalments,
+  validateLoanCreation
+};
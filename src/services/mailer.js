@@ -0,0 +1,116 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { mailTransport, mailOutboxDir, mailFrom } = require('../config');
+
+/**
+ * Mailer
+ *
+ * Sends the app's emails through a transport: any object with a
+ * `send({ from, to, subject, text })` method returning a promise. Two are
+ * built in, so emails can be read without an SMTP server:
+ * - log: prints each email to the console (default)
+ * - outbox: writes each email as an .eml file to MAIL_OUTBOX_DIR
+ *
+ * Another transport (SMTP, an email API) can be plugged in with setTransport()
+ * at startup.
+ */
+
+// Header values outside printable ASCII are encoded (RFC 2047)
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+/**
+ * Format an email as an .eml file
+ * @param {Object} message - { from, to, subject, text }
+ * @param {Date} date - When it was sent
+ * @returns {string}
+ */
+const toEml = ({ from, to, subject, text }, date) => [
+  `From: ${encodeHeader(from)}`,
+  `To: ${encodeHeader(to)}`,
+  `Subject: ${encodeHeader(subject)}`,
+  `Date: ${date.toUTCString()}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: 8bit',
+  '',
+  text.replace(/\r?\n/g, '\r\n'),
+  ''
+].join('\r\n');
+
+/**
+ * Transport that writes each email to a file in a directory
+ * @param {string} dir - Outbox directory (created if missing)
+ * @returns {Object} Transport
+ */
+const createOutboxTransport = (dir) => ({
+  async send(message) {
+    const date = new Date();
+    const file = path.join(dir, `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`);
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, toEml(message, date));
+    return { file };
+  }
+});
+
+/**
+ * Transport that prints each email
+ * @param {Function} log - Where to print (default console.log)
+ * @returns {Object} Transport
+ */
+const createLogTransport = (log = console.log) => ({
+  async send({ to, subject, text }) {
+    log(`Email to ${to}: ${subject}\n${text}`);
+    return {};
+  }
+});
+
+const builtInTransports = {
+  log: () => createLogTransport(),
+  outbox: () => createOutboxTransport(mailOutboxDir)
+};
+
+let transport = null;
+
+/**
+ * The transport in use: the one set with setTransport(), or the one named by MAIL_TRANSPORT
+ * @returns {Object} Transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    const create = builtInTransports[mailTransport];
+    if (!create) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${mailTransport}" (expected log or outbox)`);
+    }
+    transport = create();
+  }
+  return transport;
+};
+
+/**
+ * Replace the transport emails are sent through
+ * @param {Object} nextTransport - Object with send({ from, to, subject, text })
+ */
+const setTransport = (nextTransport) => {
+  if (!nextTransport || typeof nextTransport.send !== 'function') {
+    throw new Error('A mail transport must have a send() method');
+  }
+  transport = nextTransport;
+};
+
+/**
+ * Send an email from MAIL_FROM
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<Object>} Whatever the transport returns
+ */
+const sendMail = async ({ to, subject, text }) => getTransport().send({ from: mailFrom, to, subject, text });
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createOutboxTransport,
+  createLogTransport
+};
@@ -0,0 +1,223 @@
+const Expense = require('../models/expense');
+const RecurringExpense = require('../models/recurringExpense');
+const User = require('../models/user');
+const { createExpenseActivity } = require('./activityService');
+const { snapshotExchangeRate } = require('./exchangeRateService');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { recurringIntervalMs } = require('../config');
+
+/**
+ * Recurring Expense Scheduler
+ *
+ * Runs in-process and turns due recurring expense templates into real expenses.
+ *
+ * Idempotency:
+ * - Every generated expense stores (recurringExpense, occurrenceDate), which has a
+ *   unique index. Creating the same occurrence twice fails with a duplicate key
+ *   error, which is treated as "already done".
+ * - The template is then advanced with a compare-and-set on occurrenceCount, so
+ *   two overlapping runs can never skip or double-advance an occurrence.
+ * If the server dies between creating the expense and advancing the template,
+ * the next run hits the duplicate key, skips creation and advances.
+ *
+ * Catch-up: a run materialises every occurrence whose date has passed, so
+ * occurrences missed while the server was down are created on the next boot.
+ */
+
+// Upper bound of occurrences created for one template in a single run.
+// Anything left over is picked up by the next tick.
+const MAX_OCCURRENCES_PER_RUN = 366;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Materialise all due occurrences of a single template
+ * @param {Object} template - RecurringExpense document
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of expenses created
+ */
+const materialiseDueOccurrences = async (template, now) => {
+  let created = 0;
+  let current = template;
+  let rateSnapshot = null;
+
+  for (let i = 0; i < MAX_OCCURRENCES_PER_RUN; i++) {
+    if (!current.isActive || !current.nextRunAt || current.nextRunAt > now) {
+      break;
+    }
+
+    const occurrenceDate = current.nextRunAt;
+
+    // Past the end date - the template is finished
+    if (current.endDate && occurrenceDate > current.endDate) {
+      await RecurringExpense.updateOne(
+        { _id: current._id, occurrenceCount: current.occurrenceCount },
+        { $set: { isActive: false, nextRunAt: null } }
+      );
+      break;
+    }
+
+    // Generated expenses store the rate at generation time, like ones entered by hand
+    if (!rateSnapshot) {
+      const creator = await User.findById(current.createdBy).select('homeCurrency');
+      rateSnapshot = await snapshotExchangeRate(
+        current.currency,
+        (creator && creator.homeCurrency) || DEFAULT_CURRENCY
+      );
+    }
+
+    let expense = null;
+    try {
+      expense = await Expense.create({
+        title: current.title,
+        amount: current.amount,
+        currency: current.currency,
+        ...rateSnapshot,
+        payer: current.payer,
+        payers: [{ user: current.payer, paid: current.amount }],
+        participants: current.participants.map(p => ({
+          user: p.user,
+          share: p.share,
+          percent: p.percent,
+          weight: p.weight,
+          adjustment: p.adjustment
+        })),
+        splitMethod: current.splitMethod,
+        group: current.group || null,
+        recurringExpense: current._id,
+        occurrenceDate,
+        // Caught-up occurrences are dated when they were due, not when the server ran them
+        expenseDate: occurrenceDate,
+        createdBy: current.createdBy
+      });
+    } catch (err) {
+      // Duplicate key = this occurrence was already materialised by an earlier run
+      if (err.code !== 11000) {
+        throw err;
+      }
+    }
+
+    if (expense) {
+      created++;
+
+      await expense.populate([
+        { path: 'payer', select: 'name email' },
+        { path: 'payers.user', select: 'name email' },
+        { path: 'participants.user', select: 'name email' }
+      ]);
+
+      createExpenseActivity(expense, current.createdBy).catch(err => {
+        console.error('Failed to create recurring expense activity:', err);
+      });
+    }
+
+    const nextCount = current.occurrenceCount + 1;
+    const nextRunAt = current.getOccurrenceDate(nextCount);
+    const hasEnded = current.endDate && nextRunAt > current.endDate;
+
+    const advanced = await RecurringExpense.findOneAndUpdate(
+      { _id: current._id, occurrenceCount: current.occurrenceCount },
+      {
+        $set: {
+          occurrenceCount: nextCount,
+          nextRunAt: hasEnded ? null : nextRunAt,
+          lastRunAt: occurrenceDate,
+          ...(hasEnded && { isActive: false })
+        }
+      },
+      { new: true }
+    );
+
+    // Another run (or an edit) moved the template on - leave the rest to it
+    if (!advanced) {
+      break;
+    }
+
+    current = advanced;
+  }
+
+  return created;
+};
+
+/**
+ * Materialise every due occurrence of every active template
+ * Safe to call concurrently and repeatedly
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Promise<Object>} { templates, created }
+ */
+const runDueRecurringExpenses = async (now = new Date()) => {
+  const dueTemplates = await RecurringExpense.find({
+    isActive: true,
+    nextRunAt: { $ne: null, $lte: now }
+  }).sort({ nextRunAt: 1 });
+
+  let created = 0;
+
+  for (const template of dueTemplates) {
+    try {
+      created += await materialiseDueOccurrences(template, now);
+    } catch (err) {
+      // One broken template should not stop the others
+      console.error(`Failed to run recurring expense ${template._id}:`, err.message);
+    }
+  }
+
+  return { templates: dueTemplates.length, created };
+};
+
+/**
+ * Run one scheduler tick, skipping if the previous tick is still running
+ * @returns {Promise<void>}
+ */
+const tick = async () => {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    const result = await runDueRecurringExpenses();
+    if (result.created > 0) {
+      console.log(`✓ Created ${result.created} recurring expense(s)`);
+    }
+  } catch (err) {
+    console.error('Recurring expense scheduler failed:', err.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the scheduler
+ * Runs immediately (catching up on missed occurrences) and then on every interval
+ * @param {Object} options - { intervalMs }
+ */
+const startRecurringScheduler = (options = {}) => {
+  const { intervalMs = recurringIntervalMs } = options;
+
+  if (timer) {
+    return;
+  }
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+};
+
+/**
+ * Stop the scheduler
+ */
+const stopRecurringScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runDueRecurringExpenses,
+  startRecurringScheduler,
+  stopRecurringScheduler
+};
@@ -0,0 +1,214 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const User = require('../models/user');
+const { jwtSecret, accessTokenTtl, refreshTokenTtlDays } = require('../config');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+/**
+ * Session Service
+ *
+ * Logging in starts a session. The client gets a short-lived access token
+ * (a JWT naming the session) for the Authorization header, and a refresh token
+ * to swap for a new pair when the access token runs out. Each refresh token
+ * works once; using it replaces it with a new one.
+ *
+ * A refresh token that has already been swapped means two parties hold the
+ * same session, so the whole session is revoked and every token it issued
+ * stops working.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many used refresh tokens a session remembers for spotting reuse
+const MAX_PREVIOUS_TOKENS = 100;
+
+const refreshExpiry = (now = new Date()) => new Date(now.getTime() + refreshTokenTtlDays * DAY_MS);
+
+/**
+ * Sign an access token for a session and bundle it with the session's refresh token
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @param {string} refreshToken - The session's current refresh token
+ * @returns {Object} { token, refreshToken, expiresIn (seconds), session }
+ */
+const issueTokens = (user, session, refreshToken) => {
+  const token = jwt.sign(
+    { id: user._id, email: user.email, sid: session._id },
+    jwtSecret,
+    { expiresIn: accessTokenTtl }
+  );
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: exp - iat,
+    session
+  };
+};
+
+/**
+ * Start a session for a user who has just logged in or registered
+ * @param {Object} user - User document
+ * @param {Object} device - { deviceName, userAgent, ip } (all optional)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, session }
+ */
+const startSession = async (user, device = {}) => {
+  const refreshToken = generateToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    deviceName: device.deviceName || null,
+    userAgent: device.userAgent || null,
+    ip: device.ip || null,
+    expiresAt: refreshExpiry()
+  });
+
+  return issueTokens(user, session, refreshToken);
+};
+
+/**
+ * Revoke the session a refresh token was already swapped in
+ * @param {string} tokenHash - Hash of the reused token
+ * @returns {Promise<boolean>} Whether the token had been used before
+ */
+const revokeForReuse = async (tokenHash) => {
+  const session = await Session.findOne({ previousTokenHashes: tokenHash });
+  if (!session) {
+    return false;
+  }
+
+  if (!session.revokedAt) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reused' } }
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} device - { userAgent, ip } of the request (optional)
+ * @returns {Promise<Object>} { success, token, refreshToken, expiresIn, session, user } or { success: false, error, message }
+ */
+const refreshSession = async (refreshToken, device = {}) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateToken();
+  const now = new Date();
+
+  // Swap in one step, so of two requests with the same token only one succeeds
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(now),
+        ...(device.ip && { ip: device.ip }),
+        ...(device.userAgent && { userAgent: device.userAgent })
+      },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    if (await revokeForReuse(tokenHash)) {
+      return {
+        success: false,
+        error: 'Refresh token reused',
+        message: 'This refresh token was already used, so the session has been signed out. Please login again'
+      };
+    }
+
+    return {
+      success: false,
+      error: 'Invalid refresh token',
+      message: 'The refresh token is invalid, expired or signed out. Please login again'
+    };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSession(session.user, session._id);
+    return {
+      success: false,
+      error: 'User not found',
+      message: 'The user associated with this session no longer exists'
+    };
+  }
+
+  return {
+    success: true,
+    user,
+    ...issueTokens(user, session, nextToken)
+  };
+};
+
+/**
+ * Find a session that can still be used
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User the session must belong to
+ * @returns {Promise<Object|null>} Session document or null
+ */
+const findActiveSession = async (sessionId, userId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId });
+  return session && session.isActive() ? session : null;
+};
+
+/**
+ * List a user's sessions that can still be used, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Session documents
+ */
+const listSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).sort({ lastUsedAt: -1 });
+
+/**
+ * Sign out one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - logout (the session itself) or revoked (from another session)
+ * @returns {Promise<boolean>} False if there was no such active session
+ */
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Sign out all of a user's sessions, e.g. after a password change
+ * @param {string} userId - User ID
+ * @param {Object} options - { except: session to keep signed in, reason }
+ * @returns {Promise<number>} How many sessions were signed out
+ */
+const revokeAllSessions = async (userId, { except = null, reason = 'password_changed' } = {}) => {
+  const result = await Session.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(except && { _id: { $ne: except } })
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  startSession,
+  refreshSession,
+  findActiveSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
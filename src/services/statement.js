@@ -0,0 +1,218 @@
+const Expense = require('../models/expense');
+const Transaction = require('../models/transaction');
+const User = require('../models/user');
+const { paiseToRupees } = require('./expenseValidation');
+const { calculatePairwiseBalance } = require('./balanceCalculation');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+/**
+ * Statement Service
+ *
+ * A ledger of everything between two users: each shared expense and each
+ * settlement in date order, what it changed and where the balance stood
+ * after it. Balances are from the current user's side, as elsewhere:
+ * positive means the other user owes them.
+ *
+ * Each currency has its own running balance; they are never added together.
+ * With a date range, everything before it is carried in as the opening balance.
+ */
+
+/**
+ * Turn the pairwise balance details into dated ledger entries, oldest first
+ * @param {Object} pairwise - Result of calculatePairwiseBalance()
+ * @returns {Array} [{ type, id, date, title, currency, amount, delta, ... }]
+ */
+const toEntries = (pairwise) => {
+  const expenses = pairwise.expenses.map(e => ({
+    type: 'expense',
+    id: e.id,
+    date: e.expenseDate || e.createdAt,
+    title: e.title,
+    currency: e.currency,
+    amount: e.amount,
+    yourShare: e.yourShare,
+    theirShare: e.theirShare,
+    delta: e.theirShare - e.yourShare,
+    createdAt: e.createdAt
+  }));
+
+  const settlements = pairwise.transactions.map(t => ({
+    type: 'settlement',
+    id: t.id,
+    date: t.settledAt,
+    title: t.direction === 'you_paid' ? `You paid ${t.to.name}` : `${t.from.name} paid you`,
+    currency: t.currency,
+    amount: t.amount,
+    direction: t.direction,
+    status: t.status,
+    note: t.note,
+    // Paying them moves the balance your way; being paid moves it theirs
+    delta: t.direction === 'you_paid' ? t.amount : -t.amount,
+    createdAt: t.createdAt
+  }));
+
+  return [...expenses, ...settlements].sort((a, b) =>
+    new Date(a.date) - new Date(b.date) ||
+    new Date(a.createdAt) - new Date(b.createdAt) ||
+    a.id.toString().localeCompare(b.id.toString())
+  );
+};
+
+/**
+ * Format one currency's totals for the statement period
+ * @param {string} currency - Currency code
+ * @param {Object} totals - { opening, owedToYou, owedByYou, lineCount }
+ * @returns {Object}
+ */
+const formatTotals = (currency, { opening, owedToYou, owedByYou, lineCount }) => {
+  const closing = opening + owedToYou - owedByYou;
+
+  return {
+    currency,
+    openingBalance: opening,
+    openingBalanceInRupees: paiseToRupees(opening, currency),
+    // Lines in the period that moved the balance your way, and their way
+    owedToYou,
+    owedToYouInRupees: paiseToRupees(owedToYou, currency),
+    owedByYou,
+    owedByYouInRupees: paiseToRupees(owedByYou, currency),
+    closingBalance: closing,
+    closingBalanceInRupees: paiseToRupees(closing, currency),
+    status: closing > 0 ? 'owes_you' : closing < 0 ? 'you_owe' : 'settled',
+    lineCount
+  };
+};
+
+/**
+ * Build the statement between the current user and another user
+ * @param {string} currentUserId - Current user ID
+ * @param {string} otherUserId - Other user ID
+ * @param {Object} options - { from, to (exclusive) as Dates, currency for the top-level totals, includePending }
+ * @returns {Promise<Object>} { currency, openingBalance, ..., closingBalance, byCurrency: [...], lines: [...] }
+ */
+const calculateStatement = async (currentUserId, otherUserId, options = {}) => {
+  const { from = null, to = null, currency = DEFAULT_CURRENCY, includePending = false } = options;
+
+  const pairwise = await calculatePairwiseBalance(currentUserId, otherUserId, { currency, includePending });
+
+  const totals = new Map(); // currency -> { opening, owedToYou, owedByYou, lineCount }
+  const running = new Map(); // currency -> balance so far
+  const lines = [];
+
+  for (const entry of toEntries(pairwise)) {
+    const date = new Date(entry.date);
+    if (to && date >= to) {
+      break;
+    }
+
+    if (!totals.has(entry.currency)) {
+      totals.set(entry.currency, { opening: 0, owedToYou: 0, owedByYou: 0, lineCount: 0 });
+    }
+    const currencyTotals = totals.get(entry.currency);
+    const balance = (running.get(entry.currency) || 0) + entry.delta;
+    running.set(entry.currency, balance);
+
+    // Before the period: only counts towards the opening balance
+    if (from && date < from) {
+      currencyTotals.opening += entry.delta;
+      continue;
+    }
+
+    if (entry.delta > 0) {
+      currencyTotals.owedToYou += entry.delta;
+    } else {
+      currencyTotals.owedByYou -= entry.delta;
+    }
+    currencyTotals.lineCount += 1;
+
+    lines.push({
+      ...entry,
+      amountInRupees: paiseToRupees(entry.amount, entry.currency),
+      ...(entry.type === 'expense' && {
+        yourShareInRupees: paiseToRupees(entry.yourShare, entry.currency),
+        theirShareInRupees: paiseToRupees(entry.theirShare, entry.currency)
+      }),
+      deltaInRupees: paiseToRupees(entry.delta, entry.currency),
+      balance,
+      balanceInRupees: paiseToRupees(balance, entry.currency)
+    });
+  }
+
+  // Requested currency first, then the rest alphabetically
+  const byCurrency = Array.from(totals.entries())
+    .sort(([a], [b]) => (a === currency ? -1 : b === currency ? 1 : a.localeCompare(b)))
+    .map(([code, currencyTotals]) => formatTotals(code, currencyTotals));
+
+  const primary = byCurrency.find(b => b.currency === currency) ||
+    formatTotals(currency, { opening: 0, owedToYou: 0, owedByYou: 0, lineCount: 0 });
+
+  return {
+    ...primary,
+    byCurrency,
+    lines
+  };
+};
+
+/**
+ * Find everyone a user has shared an expense or a settlement with
+ * @param {string} userId - User ID
+ * @param {boolean} includePending - Count settlements awaiting confirmation
+ * @returns {Promise<Array<string>>} User IDs
+ */
+const findCounterparts = async (userId, includePending = false) => {
+  const expenseQuery = {
+    isDeleted: false,
+    $or: [
+      { payer: userId },
+      { 'payers.user': userId },
+      { 'participants.user': userId }
+    ]
+  };
+  const counted = Transaction.countedInBalances(includePending);
+
+  const idLists = await Promise.all([
+    Expense.distinct('payer', expenseQuery),
+    Expense.distinct('payers.user', expenseQuery),
+    Expense.distinct('participants.user', expenseQuery),
+    Transaction.distinct('to', { from: userId, ...counted }),
+    Transaction.distinct('from', { to: userId, ...counted })
+  ]);
+
+  const ids = new Set(idLists.flat().map(id => id.toString()));
+  ids.delete(userId.toString());
+  return Array.from(ids);
+};
+
+/**
+ * Build a user's statements with everyone over a period, e.g. a month
+ * People with nothing in the period and nothing carried into it are left out.
+ * @param {string} userId - User ID
+ * @param {Object} options - Same as calculateStatement()
+ * @returns {Promise<Array>} [{ otherUser: { id, name, email }, statement }] by name
+ */
+const calculateStatementsWithEveryone = async (userId, options = {}) => {
+  const others = await findCounterparts(userId, options.includePending);
+  const users = await User.find({ _id: { $in: others } })
+    .select('name email')
+    .sort({ name: 1 });
+
+  const statements = [];
+
+  // One person at a time, to keep the number of open queries small
+  for (const user of users) {
+    const statement = await calculateStatement(userId, user._id, options);
+    if (statement.lines.length > 0 || statement.byCurrency.some(b => b.openingBalance !== 0)) {
+      statements.push({
+        otherUser: { id: user._id, name: user.name, email: user.email },
+        statement
+      });
+    }
+  }
+
+  return statements;
+};
+
+module.exports = {
+  calculateStatement,
+  calculateStatementsWithEveryone
+};
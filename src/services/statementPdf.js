@@ -0,0 +1,365 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const config = require('../config');
+const { fromMinorUnits, getMinorUnitDigits } = require('../utils/currency');
+
+/**
+ * Statement PDF Service
+ *
+ * Renders statements (see services/statement.js) as PDF documents with
+ * PDFKit. Rendering only takes the data it is given and returns the file as
+ * a Buffer, so it can be tested without a database by reading the PDF back.
+ *
+ * The PDF's built-in fonts can't draw ₹ (or most non-Latin names). Set
+ * PDF_FONT_PATH to a TrueType font that can, e.g. Noto Sans; without one,
+ * rupee amounts are written as "Rs.".
+ */
+
+const PAGE_MARGIN = 50;
+const ROW_HEIGHT = 16;
+
+// Table columns: x position and width (A4 is 595pt wide)
+const COLUMNS = {
+  date: { x: 50, width: 70 },
+  description: { x: 122, width: 218 },
+  change: { x: 342, width: 100 },
+  balance: { x: 445, width: 100 }
+};
+
+/**
+ * Fonts to use: the configured font if it can be loaded, otherwise Helvetica
+ * @returns {Object} { regular, bold, hasRupee }
+ */
+const getFonts = () => {
+  if (config.pdfFontPath && fs.existsSync(config.pdfFontPath)) {
+    return { regular: config.pdfFontPath, bold: config.pdfFontPath, hasRupee: true };
+  }
+  return { regular: 'Helvetica', bold: 'Helvetica-Bold', hasRupee: false };
+};
+
+/**
+ * Format an amount for print, e.g. ₹1,23,456.50 or USD 1,234.00
+ * @param {number} amount - Amount in minor units (sign ignored)
+ * @param {string} currency - Currency code
+ * @param {boolean} hasRupee - Whether the font can draw ₹
+ * @returns {string}
+ */
+const formatAmount = (amount, currency, hasRupee) => {
+  const digits = getMinorUnitDigits(currency);
+  const major = fromMinorUnits(Math.abs(amount), currency).toLocaleString(currency === 'INR' ? 'en-IN' : 'en-US', {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  });
+
+  if (currency !== 'INR') {
+    return `${currency} ${major}`;
+  }
+  return hasRupee ? `₹${major}` : `Rs. ${major}`;
+};
+
+/**
+ * Format a signed amount: + they owe you (or more), - you owe them
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - Currency code
+ * @param {boolean} hasRupee - Whether the font can draw ₹
+ * @returns {string}
+ */
+const formatSigned = (amount, currency, hasRupee) => {
+  if (amount === 0) {
+    return formatAmount(0, currency, hasRupee);
+  }
+  return `${amount > 0 ? '+' : '-'}${formatAmount(amount, currency, hasRupee)}`;
+};
+
+/**
+ * Describe a balance in words from the reader's side
+ * @param {number} balance - Balance in minor units (positive = they owe you)
+ * @param {string} currency - Currency code
+ * @param {string} otherName - The other person's name
+ * @param {boolean} hasRupee - Whether the font can draw ₹
+ * @returns {string}
+ */
+const describeBalance = (balance, currency, otherName, hasRupee) => {
+  if (balance === 0) {
+    return 'Settled up';
+  }
+  const amount = formatAmount(balance, currency, hasRupee);
+  return balance > 0 ? `${otherName} owes you ${amount}` : `You owe ${otherName} ${amount}`;
+};
+
+// 2025-02-14
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Render a document into a Buffer
+ * @param {Object} info - PDF metadata (Title, ...)
+ * @param {Function} draw - (doc, fonts) => void, draws the pages
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (info, draw) => new Promise((resolve, reject) => {
+  const fonts = getFonts();
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true, // so page numbers can be added at the end
+    info: { Author: 'Udhari Kitap', ...info }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    doc.font(fonts.regular);
+    draw(doc, fonts);
+
+    // Page numbers in the footer
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i += 1) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      doc.page.margins.bottom = 0;
+      doc.font(fonts.regular).fontSize(8).fillColor('#666666')
+        .text(`Page ${i + 1} of ${count}`, PAGE_MARGIN, doc.page.height - PAGE_MARGIN + 10, {
+          width: doc.page.width - PAGE_MARGIN * 2,
+          align: 'center',
+          lineBreak: false
+        });
+    }
+
+    doc.end();
+  } catch (err) {
+    reject(err);
+  }
+});
+
+/**
+ * Start a new page if the next rows won't fit on this one
+ * @param {PDFDocument} doc
+ * @param {number} height - Space needed
+ * @returns {boolean} Whether a page was added
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Draw one table row
+ * @param {PDFDocument} doc
+ * @param {Object} cells - { date, description, change, balance } (strings)
+ * @param {Object} options - { font, color }
+ */
+const drawRow = (doc, cells, { font, color = '#000000' }) => {
+  const y = doc.y;
+  doc.font(font).fontSize(9).fillColor(color);
+
+  for (const [key, column] of Object.entries(COLUMNS)) {
+    if (cells[key] === undefined) {
+      continue;
+    }
+    doc.text(cells[key], column.x, y, {
+      width: column.width,
+      height: ROW_HEIGHT,
+      align: key === 'change' || key === 'balance' ? 'right' : 'left',
+      ellipsis: true,
+      lineBreak: false
+    });
+  }
+
+  doc.x = PAGE_MARGIN;
+  doc.y = y + ROW_HEIGHT;
+};
+
+/**
+ * Draw the header row of the ledger table
+ * @param {PDFDocument} doc
+ * @param {Object} fonts - From getFonts()
+ */
+const drawTableHeader = (doc, fonts) => {
+  drawRow(doc, { date: 'Date', description: 'Description', change: 'Change', balance: 'Balance' }, {
+    font: fonts.bold,
+    color: '#333333'
+  });
+  doc.moveTo(PAGE_MARGIN, doc.y - 3).lineTo(doc.page.width - PAGE_MARGIN, doc.y - 3)
+    .strokeColor('#999999').lineWidth(0.5).stroke();
+};
+
+/**
+ * Draw one currency's ledger with someone: opening balance, each line, closing balance
+ * @param {PDFDocument} doc
+ * @param {Object} fonts - From getFonts()
+ * @param {Object} totals - One entry of statement.byCurrency
+ * @param {Array} lines - statement.lines in this currency
+ * @param {string} otherName - The other person's name
+ */
+const drawLedger = (doc, fonts, totals, lines, otherName) => {
+  const { currency } = totals;
+  const money = (amount) => formatSigned(amount, currency, fonts.hasRupee);
+
+  ensureSpace(doc, ROW_HEIGHT * 4);
+  drawTableHeader(doc, fonts);
+
+  drawRow(doc, {
+    description: 'Opening balance',
+    balance: money(totals.openingBalance)
+  }, { font: fonts.bold });
+
+  for (const line of lines) {
+    if (ensureSpace(doc, ROW_HEIGHT)) {
+      drawTableHeader(doc, fonts);
+    }
+
+    const description = line.type === 'settlement'
+      ? `${line.title}${line.note ? ` - ${line.note}` : ''}${line.status === 'pending' ? ' (pending)' : ''}`
+      : `${line.title} (${formatAmount(line.amount, currency, fonts.hasRupee)})`;
+
+    drawRow(doc, {
+      date: formatDate(line.date),
+      description,
+      change: money(line.delta),
+      balance: money(line.balance)
+    }, { font: fonts.regular });
+  }
+
+  ensureSpace(doc, ROW_HEIGHT * 2);
+  drawRow(doc, {
+    description: 'Closing balance',
+    balance: money(totals.closingBalance)
+  }, { font: fonts.bold });
+
+  doc.font(fonts.regular).fontSize(9).fillColor('#333333')
+    .text(describeBalance(totals.closingBalance, currency, otherName, fonts.hasRupee), PAGE_MARGIN, doc.y);
+  doc.moveDown();
+};
+
+/**
+ * Draw every currency of a statement with someone
+ * @param {PDFDocument} doc
+ * @param {Object} fonts - From getFonts()
+ * @param {Object} statement - Result of calculateStatement()
+ * @param {string} otherName - The other person's name
+ */
+const drawStatement = (doc, fonts, statement, otherName) => {
+  if (statement.byCurrency.length === 0) {
+    doc.font(fonts.regular).fontSize(10).fillColor('#000000')
+      .text('Nothing in this period.', PAGE_MARGIN, doc.y);
+    doc.moveDown();
+    return;
+  }
+
+  for (const totals of statement.byCurrency) {
+    if (statement.byCurrency.length > 1) {
+      ensureSpace(doc, ROW_HEIGHT * 5);
+      doc.font(fonts.bold).fontSize(11).fillColor('#000000').text(totals.currency, PAGE_MARGIN, doc.y);
+      doc.moveDown(0.3);
+    }
+    drawLedger(doc, fonts, totals, statement.lines.filter(line => line.currency === totals.currency), otherName);
+  }
+};
+
+/**
+ * Describe a statement period for a heading
+ * @param {Object} period - { from, to } as given in the query (strings or null)
+ * @returns {string}
+ */
+const describePeriod = ({ from, to }) => {
+  if (from && to) {
+    return `${from} to ${to}`;
+  }
+  if (from) {
+    return `From ${from}`;
+  }
+  return to ? `Up to ${to}` : 'All time';
+};
+
+/**
+ * Draw the document heading
+ * @param {PDFDocument} doc
+ * @param {Object} fonts - From getFonts()
+ * @param {string} title - Main heading
+ * @param {Array<string>} subtitles - Lines under it
+ */
+const drawHeading = (doc, fonts, title, subtitles) => {
+  doc.font(fonts.bold).fontSize(18).fillColor('#000000').text(title, PAGE_MARGIN, PAGE_MARGIN);
+  doc.moveDown(0.3);
+  doc.font(fonts.regular).fontSize(10).fillColor('#333333');
+  for (const line of subtitles) {
+    doc.text(line);
+  }
+  doc.moveDown(0.3);
+  doc.fontSize(8).fillColor('#666666')
+    .text('Balances are from your side: + means they owe you, - means you owe them.');
+  doc.moveDown();
+};
+
+/**
+ * Render the statement between two people as a PDF
+ * @param {Object} data - { you, otherUser, period: { from, to }, statement, generatedAt }
+ * @returns {Promise<Buffer>}
+ */
+const renderFriendStatementPdf = ({ you, otherUser, period, statement, generatedAt = new Date() }) =>
+  renderPdf({ Title: `Statement: ${you.name} and ${otherUser.name}` }, (doc, fonts) => {
+    drawHeading(doc, fonts, 'Statement', [
+      `Between ${you.name} and ${otherUser.name}`,
+      `Period: ${describePeriod(period)}`,
+      `Generated: ${generatedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`
+    ]);
+    drawStatement(doc, fonts, statement, otherUser.name);
+  });
+
+/**
+ * Render a user's monthly statement with everyone as a PDF
+ * A summary of each person's opening and closing balance, then each ledger.
+ * @param {Object} data - { you, month ("2025-02"), statements: [{ otherUser, statement }], generatedAt }
+ * @returns {Promise<Buffer>}
+ */
+const renderMonthlyStatementPdf = ({ you, month, statements, generatedAt = new Date() }) =>
+  renderPdf({ Title: `Monthly statement ${month}: ${you.name}` }, (doc, fonts) => {
+    const monthName = new Date(`${month}-01T00:00:00Z`)
+      .toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    drawHeading(doc, fonts, `Monthly statement - ${monthName}`, [
+      you.name,
+      `Generated: ${generatedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`
+    ]);
+
+    if (statements.length === 0) {
+      doc.font(fonts.regular).fontSize(10).fillColor('#000000')
+        .text('Nothing with anyone this month.', PAGE_MARGIN, doc.y);
+      return;
+    }
+
+    // Summary: one row per person and currency
+    doc.font(fonts.bold).fontSize(12).fillColor('#000000').text('Summary', PAGE_MARGIN, doc.y);
+    doc.moveDown(0.3);
+    drawRow(doc, { description: 'With', change: 'Opening', balance: 'Closing' }, { font: fonts.bold, color: '#333333' });
+    for (const { otherUser, statement } of statements) {
+      for (const totals of statement.byCurrency) {
+        ensureSpace(doc, ROW_HEIGHT);
+        drawRow(doc, {
+          description: statement.byCurrency.length > 1 ? `${otherUser.name} (${totals.currency})` : otherUser.name,
+          change: formatSigned(totals.openingBalance, totals.currency, fonts.hasRupee),
+          balance: formatSigned(totals.closingBalance, totals.currency, fonts.hasRupee)
+        }, { font: fonts.regular });
+      }
+    }
+    doc.moveDown();
+
+    for (const { otherUser, statement } of statements) {
+      ensureSpace(doc, ROW_HEIGHT * 6);
+      doc.font(fonts.bold).fontSize(12).fillColor('#000000').text(otherUser.name, PAGE_MARGIN, doc.y);
+      doc.moveDown(0.3);
+      drawStatement(doc, fonts, statement, otherUser.name);
+    }
+  });
+
+module.exports = {
+  formatAmount,
+  renderFriendStatementPdf,
+  renderMonthlyStatementPdf
+};
@@ -1,4 +1,6 @@
 const User = require('../models/user');
+const { validateGroupMembers } = require('./expenseValidation');
+const { calculatePairwiseBalance } = require('./balanceCalculation');
 
 /**
  * Transaction Validation Service
@@ -76,13 +78,36 @@ const validatePositiveAmount = (amount) => {
   };
 };
 
+/**
+ * Check whether a settlement would pay more than the payer owes the receiver
+ * Pending settlements already count as paid, so recording the same payment
+ * twice is caught too.
+ * When a settlement's amount is edited, pass its current amount as
+ * previousAmount: it is already in the balance and is being replaced.
+ * @param {Object} transactionData - { from, to, amount, currency, previousAmount? } with amounts in minor units
+ * @returns {Promise<Object>} { overpays: boolean, owed, excess } in minor units
+ */
+const checkOverpayment = async (transactionData) => {
+  const { from, to, amount, currency, previousAmount = 0 } = transactionData;
+  
+  // Positive = receiver owes payer, negative = payer owes receiver
+  const { balance } = await calculatePairwiseBalance(from, to, { currency, includePending: true });
+  const owed = Math.max(0, previousAmount - balance);
+  
+  return {
+    overpays: amount > owed,
+    owed,
+    excess: Math.max(0, amount - owed)
+  };
+};
+
 /**
  * Comprehensive validation for transaction creation
- * @param {Object} transactionData - { from, to, amount }
+ * @param {Object} transactionData - { from, to, amount, group? }
  * @returns {Promise<Object>} { valid: boolean, errors: Array, fromUser: User, toUser: User }
  */
 const validateTransactionCreation = async (transactionData) => {
-  const { from, to, amount } = transactionData;
+  const { from, to, amount, group } = transactionData;
   const errors = [];
   
   // 1. Validate users are different
@@ -103,6 +128,14 @@ const validateTransactionCreation = async (transactionData) => {
     errors.push({ field: 'users', message: usersValidation.message });
   }
   
+  // 4. Validate both users belong to the group (if any)
+  if (group) {
+    const groupValidation = await validateGroupMembers(group, [from, to]);
+    if (!groupValidation.valid) {
+      errors.push({ field: 'group', message: groupValidation.message });
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors,
@@ -111,9 +144,44 @@ const validateTransactionCreation = async (transactionData) => {
   };
 };
 
+/**
+ * Validation for editing a transaction
+ * Only the fields being changed are checked; the parties can't be changed.
+ * @param {Object} transaction - Transaction document being edited
+ * @param {Object} updates - { amount?, group? } with amount in paise
+ * @returns {Promise<Object>} { valid: boolean, errors: Array }
+ */
+const validateTransactionUpdate = async (transaction, updates) => {
+  const { amount, group } = updates;
+  const errors = [];
+  
+  if (amount !== undefined) {
+    const amountValidation = validatePositiveAmount(amount);
+    if (!amountValidation.valid) {
+      errors.push({ field: 'amount', message: amountValidation.message });
+    }
+  }
+  
+  if (group && transaction.loan) {
+    errors.push({ field: 'group', message: 'Loan repayments cannot be filed under a group' });
+  } else if (group) {
+    const groupValidation = await validateGroupMembers(group, [transaction.from._id || transaction.from, transaction.to._id || transaction.to]);
+    if (!groupValidation.valid) {
+      errors.push({ field: 'group', message: groupValidation.message });
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
 module.exports = {
   validateUsersExist,
   validateDifferentUsers,
   validatePositiveAmount,
-  validateTransactionCreation
+  validateTransactionCreation,
+  validateTransactionUpdate,
+  checkOverpayment
 };
@@ -0,0 +1,55 @@
+const UserToken = require('../models/userToken');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+/**
+ * User Token Service
+ *
+ * Single-use tokens for links emailed to a user. A user has at most one
+ * unused token per purpose: asking for a new one cancels the old one.
+ */
+
+/**
+ * Create a token for a user
+ * @param {string} userId - User ID
+ * @param {string} purpose - password_reset or email_verification
+ * @param {number} ttlMinutes - How long the token can be used for
+ * @returns {Promise<Object>} { token, expiresAt } (the token itself is not stored)
+ */
+const createUserToken = async (userId, purpose, ttlMinutes) => {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  await UserToken.deleteMany({ user: userId, purpose, usedAt: null });
+  await UserToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Use up a token
+ * Marking it used is a single update, so a token can't be used twice even by
+ * requests arriving together.
+ * @param {string} token - Token from the client
+ * @param {string} purpose - Purpose it must have been created for
+ * @returns {Promise<Object|null>} The token record (with user), or null if invalid, used or expired
+ */
+const consumeUserToken = (token, purpose) => UserToken.findOneAndUpdate(
+  {
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  },
+  { $set: { usedAt: new Date() } },
+  { new: true }
+);
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+};
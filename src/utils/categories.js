@@ -0,0 +1,67 @@
+/**
+ * Expense category helpers
+ *
+ * Every expense has a category: one of the built-in ones below, or a custom
+ * category the creator added to their own list (User.customCategories).
+ * Categories are stored lowercase, so "Food" and "food" are the same.
+ */
+
+const DEFAULT_CATEGORY = 'general';
+
+// Built-in categories, available to everyone
+const BUILT_IN_CATEGORIES = [
+  'food', 'groceries', 'rent', 'utilities', 'travel', 'transport',
+  'entertainment', 'shopping', 'health', 'education', 'gifts', 'household',
+  'general'
+];
+
+const BUILT_IN_SET = new Set(BUILT_IN_CATEGORIES);
+
+// Custom categories per user, and how long a category name can be
+const MAX_CUSTOM_CATEGORIES = 50;
+const MAX_CATEGORY_LENGTH = 30;
+
+// Letters, digits, spaces, & and - ("eating out", "kids & school")
+const CATEGORY_PATTERN = /^[a-z0-9][a-z0-9 &-]*$/;
+
+/**
+ * Normalise a category name as it is stored
+ * @param {string} name - Category name as sent by the client
+ * @returns {string} Trimmed, lowercase, single-spaced
+ */
+const normalizeCategory = (name) => String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Check whether a category is one of the built-in ones
+ * @param {string} name - Normalised category name
+ * @returns {boolean}
+ */
+const isBuiltInCategory = (name) => BUILT_IN_SET.has(name);
+
+/**
+ * Check whether a name can be used as a custom category
+ * @param {string} name - Normalised category name
+ * @returns {boolean}
+ */
+const isValidCategoryName = (name) =>
+  name.length > 0 && name.length <= MAX_CATEGORY_LENGTH && CATEGORY_PATTERN.test(name);
+
+/**
+ * Check whether a user can file an expense under a category
+ * @param {string} name - Normalised category name
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+const isAvailableCategory = (name, user) =>
+  isBuiltInCategory(name) || Boolean(user && (user.customCategories || []).includes(name));
+
+module.exports = {
+  DEFAULT_CATEGORY,
+  BUILT_IN_CATEGORIES,
+  MAX_CUSTOM_CATEGORIES,
+  MAX_CATEGORY_LENGTH,
+  normalizeCategory,
+  isBuiltInCategory,
+  isValidCategoryName,
+  isAvailableCategory
+};
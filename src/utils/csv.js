@@ -0,0 +1,51 @@
+/**
+ * CSV helpers (RFC 4180)
+ *
+ * Values with commas, quotes, line breaks or surrounding spaces are quoted,
+ * with quotes doubled. Rows end with CRLF.
+ */
+
+// Spreadsheets treat text starting with these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Escape one value for a CSV cell
+ * Text that a spreadsheet would run as a formula gets a leading apostrophe.
+ * Numbers are written as they are, so negative amounts stay numbers.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  let text = String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * Turn a list of values into one CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} Line including the trailing CRLF
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow
+};
@@ -0,0 +1,97 @@
+/**
+ * Currency helpers
+ *
+ * Amounts are stored as integers in the currency's minor unit (paise for INR,
+ * cents for USD, fils for KWD). Most currencies have 2 decimals, but some have
+ * none (JPY, KRW, VND) and some have 3 (BHD, KWD, OMR), so the conversion
+ * between what users type and what we store depends on the currency.
+ */
+
+const DEFAULT_CURRENCY = 'INR';
+
+// ISO 4217 currencies with a minor unit other than 2 decimals
+const MINOR_UNIT_EXCEPTIONS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4
+};
+
+// Active ISO 4217 currency codes (precious metals and testing codes excluded)
+const CURRENCY_CODES = [
+  'AED', 'AFN', 'ALL', 'AMD', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN', 'BAM', 'BBD', 'BDT',
+  'BGN', 'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BOV', 'BRL', 'BSD', 'BTN', 'BWP', 'BYN',
+  'BZD', 'CAD', 'CDF', 'CHE', 'CHF', 'CHW', 'CLF', 'CLP', 'CNY', 'COP', 'COU', 'CRC',
+  'CUP', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP', 'ERN', 'ETB', 'EUR', 'FJD',
+  'FKP', 'GBP', 'GEL', 'GHS', 'GIP', 'GMD', 'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG',
+  'HUF', 'IDR', 'ILS', 'INR', 'IQD', 'IRR', 'ISK', 'JMD', 'JOD', 'JPY', 'KES', 'KGS',
+  'KHR', 'KMF', 'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL',
+  'LYD', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR', 'MVR', 'MWK',
+  'MXN', 'MXV', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR', 'NZD', 'OMR', 'PAB',
+  'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR', 'RON', 'RSD', 'RUB', 'RWF', 'SAR',
+  'SBD', 'SCR', 'SDG', 'SEK', 'SGD', 'SHP', 'SLE', 'SOS', 'SRD', 'SSP', 'STN', 'SVC',
+  'SYP', 'SZL', 'THB', 'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH',
+  'UGX', 'USD', 'USN', 'UYI', 'UYU', 'UYW', 'UZS', 'VED', 'VES', 'VND', 'VUV', 'WST',
+  'XAF', 'XCD', 'XCG', 'XOF', 'XPF', 'YER', 'ZAR', 'ZMW', 'ZWG'
+];
+
+const CURRENCY_SET = new Set(CURRENCY_CODES);
+
+/**
+ * Check whether a code is a supported ISO 4217 currency
+ * @param {string} code - Currency code, e.g. 'THB'
+ * @returns {boolean}
+ */
+const isValidCurrency = (code) => typeof code === 'string' && CURRENCY_SET.has(code.toUpperCase());
+
+/**
+ * Number of decimals in a currency's minor unit
+ * @param {string} currency - Currency code
+ * @returns {number} 0, 2, 3 or 4
+ */
+const getMinorUnitDigits = (currency = DEFAULT_CURRENCY) => {
+  const code = currency.toUpperCase();
+  return code in MINOR_UNIT_EXCEPTIONS ? MINOR_UNIT_EXCEPTIONS[code] : 2;
+};
+
+/**
+ * Convert an amount in major units (what users type) to minor units (what we store)
+ * @param {number} amount - Amount in major units, e.g. 12.5
+ * @param {string} currency - Currency code
+ * @returns {number} Integer amount in minor units
+ */
+const toMinorUnits = (amount, currency = DEFAULT_CURRENCY) => {
+  return Math.round(amount * 10 ** getMinorUnitDigits(currency));
+};
+
+/**
+ * Convert an amount in minor units back to major units for display
+ * @param {number} amount - Integer amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {number} Amount in major units
+ */
+const fromMinorUnits = (amount, currency = DEFAULT_CURRENCY) => {
+  return amount / 10 ** getMinorUnitDigits(currency);
+};
+
+/**
+ * Format an amount in minor units for messages, e.g. "₹250.5" or "THB 1200"
+ * @param {number} amount - Integer amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {string}
+ */
+const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  const code = currency.toUpperCase();
+  const major = fromMinorUnits(amount, code);
+  return code === 'INR' ? `₹${major}` : `${code} ${major}`;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCY_CODES,
+  isValidCurrency,
+  getMinorUnitDigits,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney
+};
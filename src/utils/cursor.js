@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cursor pagination helpers
+ *
+ * A cursor marks the last item of a page by its sort value and _id, so the
+ * next page starts right after it no matter how many items were added or
+ * removed in the meantime. Clients get it as `nextCursor` and send it back as
+ * `?cursor=`; what is inside is not part of the API.
+ *
+ * Cursors also record the sort they were made for (e.g. "date:desc"), so one
+ * can't be replayed against a different order.
+ */
+
+/**
+ * Encode a cursor for a client
+ * @param {Object} cursor - { sort, value, id } or { sort, offset }
+ * @returns {string} Opaque URL-safe string
+ */
+const encodeCursor = ({ sort, value, id, offset }) => {
+  const data = offset !== undefined
+    ? { s: sort, o: offset }
+    : { s: sort, v: value instanceof Date ? value.toISOString() : value, d: value instanceof Date, i: id.toString() };
+
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+};
+
+/**
+ * Decode a cursor sent by a client
+ * @param {string} cursor - Value of ?cursor=
+ * @returns {Object|null} { sort, value, id } or { sort, offset }, or null if it isn't a valid cursor
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || cursor.length === 0) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+
+  if (!data || typeof data !== 'object' || typeof data.s !== 'string') {
+    return null;
+  }
+
+  if (data.o !== undefined) {
+    return Number.isInteger(data.o) && data.o >= 0 ? { sort: data.s, offset: data.o } : null;
+  }
+
+  if (typeof data.i !== 'string' || !mongoose.Types.ObjectId.isValid(data.i) || data.v === undefined || data.v === null) {
+    return null;
+  }
+
+  const value = data.d ? new Date(data.v) : data.v;
+  if (value instanceof Date && isNaN(value.getTime())) {
+    return null;
+  }
+
+  return { sort: data.s, value, id: new mongoose.Types.ObjectId(data.i) };
+};
+
+/**
+ * Check whether a string is a valid cursor
+ * @param {string} cursor - Value of ?cursor=
+ * @returns {boolean}
+ */
+const isValidCursor = (cursor) => decodeCursor(cursor) !== null;
+
+/**
+ * Query condition for the items after a cursor
+ * @param {string} field - Field the listing is sorted on (then _id)
+ * @param {number} direction - 1 (ascending) or -1 (descending)
+ * @param {Object} cursor - Decoded cursor (optional)
+ * @returns {Object|null} Condition, or null for the first page
+ */
+const afterCursor = (field, direction, cursor) => {
+  if (!cursor || cursor.offset !== undefined) {
+    return null;
+  }
+
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } }
+    ]
+  };
+};
+
+/**
+ * Cut a page out of items fetched with one more than the limit
+ * @param {Array} items - Sorted items, up to limit + 1
+ * @param {number} limit - Page size
+ * @param {Function} cursorFor - item => { sort, value, id } for the next cursor
+ * @returns {Object} { items, hasMore, nextCursor }
+ */
+const takePage = (items, limit, cursorFor) => {
+  const hasMore = items.length > limit;
+  const page = items.slice(0, limit);
+
+  return {
+    items: page,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(cursorFor(page[page.length - 1])) : null
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  isValidCursor,
+  afterCursor,
+  takePage
+};
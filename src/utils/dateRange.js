@@ -0,0 +1,52 @@
+/**
+ * Date range helpers for query strings (?from=...&to=...)
+ *
+ * `from` is inclusive and `to` exclusive, except that a plain date without a
+ * time (2025-01-31) as `to` covers that whole day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A plain date like 2025-01-31 (no time)
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Start of a range
+ * @param {string} value - ISO 8601 date or date-time
+ * @returns {Date}
+ */
+const parseRangeStart = (value) => new Date(value);
+
+/**
+ * End of a range (exclusive)
+ * @param {string} value - ISO 8601 date or date-time
+ * @returns {Date} The next midnight for a plain date, otherwise the time given
+ */
+const parseRangeEnd = (value) => {
+  const date = new Date(value);
+  return DATE_ONLY.test(value) ? new Date(date.getTime() + DAY_MS) : date;
+};
+
+/**
+ * Query condition for a date field from optional from/to strings
+ * @param {string} from - Start (optional)
+ * @param {string} to - End (optional)
+ * @returns {Object|null} { $gte?, $lt? } or null when neither is given
+ */
+const dateRangeCondition = (from, to) => {
+  if (!from && !to) {
+    return null;
+  }
+
+  return {
+    ...(from && { $gte: parseRangeStart(from) }),
+    ...(to && { $lt: parseRangeEnd(to) })
+  };
+};
+
+module.exports = {
+  DAY_MS,
+  parseRangeStart,
+  parseRangeEnd,
+  dateRangeCondition
+};
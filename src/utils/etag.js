@@ -0,0 +1,78 @@
+/**
+ * Version / ETag helpers for optimistic concurrency
+ *
+ * Documents with optimisticConcurrency enabled bump their version key (__v) on
+ * every save. The ETag is derived from it, e.g. "v3". Clients send it back in
+ * an If-Match header (or the number as `version` in the body) when they change
+ * the document, and get a 409 if someone else changed it in the meantime.
+ */
+
+/**
+ * ETag for a document
+ * @param {Object} doc - Mongoose document
+ * @returns {string} Quoted ETag, e.g. "v3"
+ */
+const versionEtag = (doc) => `"v${doc.__v || 0}"`;
+
+/**
+ * Read the version a client expects from If-Match or the request body
+ * Accepts strong or weak ETags ("v3", W/"v3") and "*" (any version).
+ * @param {Object} req - Express request
+ * @returns {number|string|null} Version number, '*', or null if none was sent
+ *   (NaN if an If-Match header was sent but is not one of our ETags)
+ */
+const getExpectedVersion = (req) => {
+  const header = req.get('If-Match');
+
+  if (header) {
+    const value = header.trim();
+    if (value === '*') {
+      return '*';
+    }
+
+    const match = /^(?:W\/)?"v(\d+)"$/.exec(value);
+    return match ? parseInt(match[1], 10) : NaN;
+  }
+
+  if (req.body && req.body.version !== undefined && req.body.version !== null) {
+    return parseInt(req.body.version, 10);
+  }
+
+  return null;
+};
+
+/**
+ * Check a client's expected version against a document
+ * @param {Object} req - Express request
+ * @param {Object} doc - Mongoose document
+ * @returns {Object} { ok: true } or { ok: false, status: 428|409, error, message }
+ */
+const checkVersion = (req, doc) => {
+  const expected = getExpectedVersion(req);
+
+  if (expected === null) {
+    return {
+      ok: false,
+      status: 428,
+      error: 'Version required',
+      message: 'Send the ETag from your last read in an If-Match header, or its number as "version" in the body'
+    };
+  }
+
+  if (expected !== '*' && expected !== (doc.__v || 0)) {
+    return {
+      ok: false,
+      status: 409,
+      error: 'Version conflict',
+      message: 'This was changed by someone else since you loaded it. Review the latest version and try again.'
+    };
+  }
+
+  return { ok: true };
+};
+
+module.exports = {
+  versionEtag,
+  getExpectedVersion,
+  checkVersion
+};
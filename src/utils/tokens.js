@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * Opaque token helpers
+ * Tokens handed to clients (refresh tokens, emailed links) are random strings;
+ * only their SHA-256 hashes are stored, so a database leak doesn't give them away.
+ */
+
+/**
+ * Generate a random URL-safe token
+ * @returns {string} 256 bits, base64url
+ */
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,182 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const User = require('../src/models/user');
+const { calculatePairwiseBalance } = require('../src/services/balanceCalculation');
+const {
+  simplifyDebts,
+  calculateNetPositions,
+  calculateSimplifiedSettlements
+} = require('../src/services/debtSimplification');
+const { matches, fakeQuery, useLedger, makeUser, makeExpense, makeSettlement } = require('./helpers/fakeLedger');
+
+const alice = makeUser('Alice');
+const bob = makeUser('Bob');
+const charlie = makeUser('Charlie');
+const dana = makeUser('Dana');
+const evan = makeUser('Evan');
+const users = [alice, bob, charlie, dana, evan];
+const idOf = (user) => user._id.toString();
+
+/**
+ * Several friends with cycles, several payers, odd paise and two currencies
+ * @returns {Object} { expenses, transactions }
+ */
+const buildLedger = () => ({
+  expenses: [
+    // A cycle: Alice pays for Bob, Bob for Charlie, Charlie for Alice
+    makeExpense({ title: 'Lunch', payers: [[alice, 60000]], shares: [[alice, 30000], [bob, 30000]] }),
+    makeExpense({ title: 'Cab', payers: [[bob, 45000]], shares: [[bob, 22500], [charlie, 22500]] }),
+    makeExpense({ title: 'Movie', payers: [[charlie, 50000]], shares: [[charlie, 25000], [alice, 25000]] }),
+    // Everyone, split into uneven paise
+    makeExpense({
+      title: 'Groceries',
+      payers: [[dana, 100001]],
+      shares: [[alice, 20001], [bob, 20000], [charlie, 20000], [dana, 20000], [evan, 20000]]
+    }),
+    // Two payers
+    makeExpense({
+      title: 'Trip deposit',
+      payers: [[alice, 70000], [evan, 50000]],
+      shares: [[alice, 30000], [bob, 30000], [dana, 30000], [evan, 30000]]
+    }),
+    // A second currency with its own cycle
+    makeExpense({ title: 'Hostel', currency: 'USD', payers: [[bob, 9000]], shares: [[bob, 3000], [dana, 3000], [evan, 3000]] }),
+    makeExpense({ title: 'Tour', currency: 'USD', payers: [[evan, 4001]], shares: [[evan, 2000], [bob, 2001]] }),
+    makeExpense({ title: 'Museum', currency: 'USD', payers: [[dana, 1500]], shares: [[dana, 500], [bob, 500], [evan, 500]] })
+  ],
+  transactions: [
+    makeSettlement({ from: bob, to: alice, amount: 10000 }),
+    makeSettlement({ from: dana, to: bob, amount: 1000, currency: 'USD' }),
+    // Neither of these counts in balances
+    makeSettlement({ from: charlie, to: dana, amount: 99999, status: 'pending' }),
+    { ...makeSettlement({ from: evan, to: alice, amount: 77777 }), isVoided: true }
+  ]
+});
+
+/**
+ * Each user's net position in a currency, from their pairwise balances with everyone else
+ * @param {string} currency - Currency code
+ * @returns {Promise<Map>} userId -> paise (positive = owed)
+ */
+const positionsFromPairwise = async (currency) => {
+  const positions = new Map();
+
+  for (const user of users) {
+    let total = 0;
+    for (const other of users) {
+      if (other === user) {
+        continue;
+      }
+      const pairwise = await calculatePairwiseBalance(user._id, other._id, { currency });
+      const entry = pairwise.byCurrency.find(b => b.currency === currency);
+      total += entry ? entry.balance : 0;
+    }
+    positions.set(idOf(user), total);
+  }
+
+  return positions;
+};
+
+describe('simplifyDebts against the pairwise balances', () => {
+  afterEach(() => mock.restoreAll());
+
+  for (const currency of ['INR', 'USD']) {
+    it(`agrees with calculateNetPositions (${currency})`, async () => {
+      const ledger = buildLedger();
+      useLedger(ledger);
+
+      const fromPairwise = await positionsFromPairwise(currency);
+      const counted = ledger.transactions.filter(t => t.status === 'confirmed' && !t.isVoided && t.currency === currency);
+      const fromLedger = calculateNetPositions(
+        users.map(idOf),
+        ledger.expenses.filter(e => e.currency === currency),
+        counted
+      );
+
+      assert.deepEqual(fromPairwise, fromLedger);
+      assert.ok([...fromPairwise.values()].some(amount => amount !== 0), 'fixture should leave debts to settle');
+    });
+
+    it(`settles everyone to exactly 0 paise (${currency})`, async () => {
+      const ledger = buildLedger();
+      useLedger(ledger);
+
+      const positions = await positionsFromPairwise(currency);
+      const transfers = simplifyDebts(positions);
+      const nonZero = [...positions.values()].filter(amount => amount !== 0).length;
+      assert.ok(transfers.length > 0);
+      assert.ok(transfers.length <= nonZero - 1, `${transfers.length} transfers for ${nonZero} people`);
+
+      // Record each suggested transfer as a confirmed settlement and recompute
+      const byId = new Map(users.map(user => [idOf(user), user]));
+      for (const transfer of transfers) {
+        assert.ok(Number.isInteger(transfer.amount) && transfer.amount > 0);
+        ledger.transactions.push(makeSettlement({
+          from: byId.get(transfer.from),
+          to: byId.get(transfer.to),
+          amount: transfer.amount,
+          currency
+        }));
+      }
+
+      const after = await positionsFromPairwise(currency);
+      for (const user of users) {
+        assert.equal(after.get(idOf(user)), 0, `${user.name} should be settled`);
+      }
+    });
+  }
+});
+
+describe('calculateSimplifiedSettlements without a group', () => {
+  afterEach(() => mock.restoreAll());
+
+  const trip = new mongoose.Types.ObjectId();
+  const inGroup = (doc) => ({ ...doc, group: trip });
+
+  /**
+   * Alice's own debts with Bob and Charlie, a debt between Bob and Charlie
+   * that Alice is not part of, and a group trip with Dana
+   * @returns {Object} { expenses, transactions }
+   */
+  const buildCircle = () => ({
+    expenses: [
+      makeExpense({ title: 'Lunch', payers: [[alice, 60000]], shares: [[alice, 30000], [bob, 30000]] }),
+      makeExpense({ title: 'Coffee', payers: [[charlie, 20000]], shares: [[charlie, 10000], [alice, 10000]] }),
+      makeExpense({ title: 'Rent', payers: [[bob, 40000]], shares: [[bob, 20000], [charlie, 20000]] }),
+      inGroup(makeExpense({ title: 'Hotel', payers: [[alice, 100000]], shares: [[alice, 50000], [dana, 50000]] }))
+    ],
+    transactions: [
+      makeSettlement({ from: charlie, to: bob, amount: 5000 }),
+      inGroup(makeSettlement({ from: bob, to: alice, amount: 10000 }))
+    ]
+  });
+
+  const simplifyFor = async (user, ledger) => {
+    useLedger(ledger);
+    mock.method(User, 'find', (query) => fakeQuery(users.filter(u => matches(u, query))));
+    return calculateSimplifiedSettlements(user._id);
+  };
+
+  const positionsOf = (result) => Object.fromEntries(result.netPositions.map(p => [p.user.name, p.netPosition]));
+
+  it('counts only the debts the user is one side of', async () => {
+    const result = await simplifyFor(alice, buildCircle());
+
+    // Bob owes Alice ₹300 and Alice owes Charlie ₹100; Bob's rent with Charlie is not Alice's to see
+    assert.equal(result.scope, 'counterparties');
+    assert.deepEqual(positionsOf(result), { Alice: 20000, Charlie: 10000, Bob: -30000 });
+    assert.equal(result.pairwiseTransferCount, 2);
+    assert.equal(result.transfers.reduce((sum, t) => sum + t.amount, 0), 30000);
+    assert.ok(result.transfers.every(t => t.from.name === 'Bob'));
+  });
+
+  it('leaves out group expenses and settlements', async () => {
+    const result = await simplifyFor(alice, buildCircle());
+
+    assert.ok(!result.netPositions.some(p => p.user.name === 'Dana'));
+    assert.ok(!result.transfers.some(t => t.from.name === 'Dana' || t.to.name === 'Dana'));
+    assert.equal(positionsOf(result).Bob, -30000, 'the group settlement from Bob should not count');
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+const Expense = require('../src/models/expense');
+const ExpenseRevision = require('../src/models/expenseRevision');
+const Activity = require('../src/models/activity');
+const User = require('../src/models/user');
+const { updateExpense } = require('../src/controllers/expenseController');
+const { matches, fakeQuery, makeUser } = require('./helpers/fakeLedger');
+
+const alice = makeUser('Alice');
+const bob = makeUser('Bob');
+
+// Call a handler and collect what it sends
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let error = null;
+  await handler(req, res, err => { error = err; });
+  if (error) {
+    throw error;
+  }
+  return res;
+};
+
+// Let background writes (activities) settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('editing an expense', () => {
+  let expense;
+  let activities;
+
+  beforeEach(() => {
+    // Alice paid ₹300 for lunch, split equally with Bob
+    expense = new Expense({
+      title: 'Lunch',
+      amount: 30000,
+      currency: 'INR',
+      payer: alice._id,
+      payers: [{ user: alice._id, paid: 30000 }],
+      participants: [{ user: alice._id, share: 15000 }, { user: bob._id, share: 15000 }],
+      splitMethod: 'equal',
+      createdBy: alice._id,
+      __v: 0
+    });
+    activities = [];
+
+    mock.method(Expense, 'findById', async () => expense);
+    mock.method(User, 'find', (query) => fakeQuery([alice, bob].filter(u => matches(u, query))));
+    // As with optimisticConcurrency, every save that changes something bumps the version
+    mock.method(Expense.prototype, 'save', async function() {
+      this.__v = (this.__v || 0) + 1;
+      return this;
+    });
+    mock.method(Expense.prototype, 'populate', async function() { return this; });
+    mock.method(ExpenseRevision, 'findOne', () => ({ sort() { return this; }, select: async () => null }));
+    mock.method(ExpenseRevision, 'create', async (data) => data);
+    mock.method(Activity.prototype, 'save', async function() {
+      activities.push(this);
+      return this;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const edit = async (body) => {
+    const res = await call(updateExpense, {
+      user: alice,
+      params: { id: expense._id.toString() },
+      body: { version: 0, ...body },
+      get: () => undefined
+    });
+    await settle();
+    return res;
+  };
+
+  it('records nothing when every field is sent with the value it already has', async () => {
+    const res = await edit({ title: 'Lunch', amount: 300, splitMethod: 'equal' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.expense.version, 0);
+    assert.equal(res.headers.ETag, '"v0"');
+    assert.equal(Expense.prototype.save.mock.callCount(), 0);
+    assert.equal(ExpenseRevision.create.mock.callCount(), 0);
+    assert.equal(activities.length, 0);
+  });
+
+  it('records only the fields that change', async () => {
+    const res = await edit({ title: 'Team lunch', amount: 300 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.expense.version, 1);
+    assert.equal(ExpenseRevision.create.mock.callCount(), 1);
+
+    const [revision] = ExpenseRevision.create.mock.calls[0].arguments;
+    assert.equal(revision.before.title, 'Lunch');
+    assert.equal(revision.after.title, 'Team lunch');
+
+    assert.equal(activities.length, 1);
+    assert.deepEqual(Object.keys(activities[0].payload.metadata.changes), ['title']);
+  });
+});
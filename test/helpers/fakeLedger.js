@@ -0,0 +1,159 @@
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const Expense = require('../../src/models/expense');
+const Transaction = require('../../src/models/transaction');
+
+/**
+ * In-memory ledger for service tests
+ *
+ * Replaces Expense.find, Transaction.find and their distinct with queries over plain objects,
+ * so services like calculatePairwiseBalance run their real math without a
+ * database. Only the query operators those services use are understood.
+ */
+
+// Comparable form of a value: populated refs and ObjectIds become ID strings
+const normalize = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === 'object') {
+    return (value._id || value).toString();
+  }
+  return value;
+};
+
+// Values at a dotted path; arrays along the way fan out, as in MongoDB
+const valuesAt = (doc, path) => path.split('.').reduce((values, key) => values.flatMap(value => {
+  const next = value === null || value === undefined ? undefined : value[key];
+  return Array.isArray(next) ? next : [next];
+}), [doc]);
+
+const isOperatorObject = (condition) => condition !== null &&
+  typeof condition === 'object' &&
+  !(condition instanceof Date) &&
+  !(condition instanceof mongoose.Types.ObjectId) &&
+  Object.keys(condition).some(key => key.startsWith('$'));
+
+const OPERATORS = {
+  $in: (values, list) => values.some(v => list.map(normalize).includes(normalize(v))),
+  $nin: (values, list) => !values.some(v => list.map(normalize).includes(normalize(v))),
+  $ne: (values, other) => !values.some(v => normalize(v) === normalize(other)),
+  $gt: (values, other) => values.some(v => v !== undefined && normalize(v) > normalize(other)),
+  $gte: (values, other) => values.some(v => v !== undefined && normalize(v) >= normalize(other)),
+  $lt: (values, other) => values.some(v => v !== undefined && normalize(v) < normalize(other)),
+  $lte: (values, other) => values.some(v => v !== undefined && normalize(v) <= normalize(other)),
+  $exists: (values, exists) => values.some(v => v !== undefined) === exists
+};
+
+/**
+ * Does a document match a MongoDB-style query?
+ * @param {Object} doc - Plain document
+ * @param {Object} query - Query
+ * @returns {boolean}
+ */
+const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some(sub => matches(doc, sub));
+  }
+  if (key === '$and') {
+    return condition.every(sub => matches(doc, sub));
+  }
+
+  const values = valuesAt(doc, key);
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`fakeLedger does not support ${operator}`);
+      }
+      return OPERATORS[operator](values, operand);
+    });
+  }
+  return values.some(v => normalize(v) === normalize(condition));
+});
+
+// Chainable stand-in for a Mongoose query; documents are already "populated"
+const fakeQuery = (docs) => ({
+  populate() { return this; },
+  select() { return this; },
+  sort() { return this; },
+  limit() { return this; },
+  lean() { return this; },
+  then(resolve, reject) { return Promise.resolve(docs).then(resolve, reject); }
+});
+
+// Distinct values at a path across matching documents, as ID strings for refs
+const distinct = (docs, path, query = {}) => {
+  const values = docs.filter(doc => matches(doc, query)).flatMap(doc => valuesAt(doc, path));
+  return [...new Set(values.filter(v => v !== undefined && v !== null).map(normalize))];
+};
+
+/**
+ * Serve Expense and Transaction find/distinct from a ledger until mock.restoreAll()
+ * @param {Object} ledger - { expenses: [...], transactions: [...] } (read on every query, so it can grow)
+ */
+const useLedger = (ledger) => {
+  mock.method(Expense, 'find', (query = {}) => fakeQuery(ledger.expenses.filter(doc => matches(doc, query))));
+  mock.method(Transaction, 'find', (query = {}) => fakeQuery(ledger.transactions.filter(doc => matches(doc, query))));
+  mock.method(Expense, 'distinct', async (path, query) => distinct(ledger.expenses, path, query));
+  mock.method(Transaction, 'distinct', async (path, query) => distinct(ledger.transactions, path, query));
+};
+
+/**
+ * A user as populated on expenses and transactions
+ * @param {string} name - Name
+ * @returns {Object} { _id, name, email }
+ */
+const makeUser = (name) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  email: `${name.toLowerCase()}@example.com`
+});
+
+/**
+ * An expense split between participants
+ * @param {Object} data - { title, currency?, payers: [[user, paid]], shares: [[user, share]], date? }
+ * @returns {Object} Expense-shaped plain object (amounts in minor units)
+ */
+const makeExpense = ({ title, currency = 'INR', payers, shares, date = new Date('2025-01-15T10:00:00Z') }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title,
+  currency,
+  amount: payers.reduce((sum, [, paid]) => sum + paid, 0),
+  payer: payers[0][0],
+  payers: payers.map(([user, paid]) => ({ user, paid })),
+  participants: shares.map(([user, share]) => ({ user, share })),
+  isDeleted: false,
+  expenseDate: date,
+  createdAt: date
+});
+
+/**
+ * A settlement from one user to another
+ * @param {Object} data - { from, to, amount, currency?, status?, date? }
+ * @returns {Object} Transaction-shaped plain object
+ */
+const makeSettlement = ({ from, to, amount, currency = 'INR', status = 'confirmed', date = new Date('2025-01-20T10:00:00Z') }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  from,
+  to,
+  amount,
+  currency,
+  status,
+  isVoided: false,
+  loan: null,
+  note: null,
+  settledAt: date,
+  createdAt: date
+});
+
+module.exports = {
+  matches,
+  fakeQuery,
+  useLedger,
+  makeUser,
+  makeExpense,
+  makeSettlement
+};
@@ -0,0 +1,59 @@
+const zlib = require('zlib');
+
+/**
+ * Read the text back out of a PDF made by PDFKit with its built-in fonts
+ *
+ * PDFKit compresses each page's content stream and writes every piece of
+ * text as hex strings in a TJ array, positioned with Tm. This is only enough
+ * for our own statements, not a general PDF parser.
+ */
+
+/**
+ * Text on each page, grouped into rows by position
+ * @param {Buffer} pdf - PDF file
+ * @returns {Array<Array<Array<string>>>} pages -> rows (top to bottom) -> cells (left to right)
+ */
+const extractPdfRows = (pdf) => {
+  const source = pdf.toString('latin1');
+  const pages = [];
+  const streamPattern = /stream\r?\n([\s\S]*?)\r?\nendstream/g;
+  let stream;
+
+  while ((stream = streamPattern.exec(source))) {
+    let content;
+    try {
+      content = zlib.inflateSync(Buffer.from(stream[1], 'latin1')).toString('latin1');
+    } catch (err) {
+      continue; // not a compressed content stream
+    }
+    if (!content.includes('BT')) {
+      continue;
+    }
+
+    const rows = new Map(); // y -> [{ x, text }]
+    for (const [, block] of content.matchAll(/BT([\s\S]*?)ET/g)) {
+      const position = /([\d.-]+) ([\d.-]+) Tm/.exec(block);
+      const text = Array.from(block.matchAll(/\[(.*?)\] TJ/g))
+        .flatMap(([, array]) => Array.from(array.matchAll(/<([0-9a-f]*)>/gi), ([, hex]) => Buffer.from(hex, 'hex').toString('latin1')))
+        .join('');
+      const x = parseFloat(position[1]);
+      const y = parseFloat(position[2]).toFixed(1);
+
+      if (!rows.has(y)) {
+        rows.set(y, []);
+      }
+      rows.get(y).push({ x, text });
+    }
+
+    // PDF y runs up the page
+    pages.push(Array.from(rows.entries())
+      .sort(([a], [b]) => b - a)
+      .map(([, cells]) => cells.sort((a, b) => a.x - b.x).map(cell => cell.text)));
+  }
+
+  return pages;
+};
+
+module.exports = {
+  extractPdfRows
+};
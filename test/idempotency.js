@@ -0,0 +1,201 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../src/models/idempotencyKey');
+const { idempotent } = require('../src/middleware/idempotency');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+/**
+ * Keep IdempotencyKey entries in memory, with the unique (user, key) index
+ * @returns {Array} The stored entries
+ */
+const useKeyStore = () => {
+  const entries = [];
+  const sameUser = (a, b) => String(a) === String(b);
+  const find = (query) => entries.find(e => (query._id
+    ? e._id === query._id
+    : sameUser(e.user, query.user) && e.key === query.key));
+
+  mock.method(IdempotencyKey, 'create', async (data) => {
+    await Promise.resolve();
+    if (find(data)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const entry = { _id: new mongoose.Types.ObjectId().toString(), status: 'in_progress', ...data };
+    entries.push(entry);
+    return entry;
+  });
+  mock.method(IdempotencyKey, 'findOne', async (query) => {
+    const entry = find(query);
+    return entry ? { ...entry } : null;
+  });
+  mock.method(IdempotencyKey, 'updateOne', async (query, update) => {
+    Object.assign(find(query) || {}, update.$set);
+    return { modifiedCount: 1 };
+  });
+  mock.method(IdempotencyKey, 'deleteOne', async (query) => {
+    const index = entries.indexOf(find(query));
+    if (index !== -1) {
+      entries.splice(index, 1);
+    }
+    return { deletedCount: index === -1 ? 0 : 1 };
+  });
+
+  return entries;
+};
+
+/**
+ * Send a request through the middleware to a handler
+ * @param {Object} request - { key, body }
+ * @param {Function} handler - (req, res) => void, runs if the middleware lets the request through
+ * @returns {Promise<Object>} The response once sent: { statusCode, headers, body }
+ */
+const send = ({ key, body = { to: 'bob', amount: 50 } }, handler) => new Promise((resolve, reject) => {
+  const req = {
+    method: 'POST',
+    originalUrl: '/api/transactions',
+    user,
+    body,
+    get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+  };
+
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(data) {
+      this.body = data;
+      setImmediate(() => {
+        this.emit('finish');
+        resolve(this);
+      });
+      return this;
+    }
+  });
+
+  idempotent()(req, res, (err) => (err ? reject(err) : handler(req, res)));
+});
+
+// Let background writes (storing or releasing a key) settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('idempotent middleware', () => {
+  let entries;
+  let runs;
+  const created = (req, res) => {
+    runs += 1;
+    res.status(201).json({ transaction: { id: `t${runs}` } });
+  };
+
+  beforeEach(() => {
+    entries = useKeyStore();
+    runs = 0;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('runs requests without a key as usual', async () => {
+    await send({}, created);
+    await send({}, created);
+
+    assert.equal(runs, 2);
+    assert.equal(IdempotencyKey.create.mock.callCount(), 0);
+  });
+
+  it('replays the stored response to a retry', async () => {
+    const first = await send({ key: 'k1' }, created);
+    await settle();
+    const retry = await send({ key: 'k1' }, created);
+
+    assert.equal(runs, 1);
+    assert.equal(retry.statusCode, 201);
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+    assert.equal(first.headers['Idempotent-Replayed'], undefined);
+  });
+
+  it('answers 409 to a duplicate sent while the first is still running', async () => {
+    let finishFirst;
+    const firstSent = send({ key: 'k1' }, (req, res) => {
+      finishFirst = () => created(req, res);
+    });
+    await settle();
+
+    const duplicates = await Promise.all([
+      send({ key: 'k1' }, created),
+      send({ key: 'k1' }, created)
+    ]);
+
+    assert.deepEqual(duplicates.map(res => res.statusCode), [409, 409]);
+    assert.equal(duplicates[0].headers['Retry-After'], '1');
+    assert.equal(runs, 0);
+
+    finishFirst();
+    const first = await firstSent;
+    await settle();
+    const retry = await send({ key: 'k1' }, created);
+
+    assert.equal(runs, 1);
+    assert.equal(retry.statusCode, 201);
+    assert.deepEqual(retry.body, first.body);
+  });
+
+  it('lets only one of several concurrent duplicates run', async () => {
+    // The handler takes a while, so the others all arrive while it runs
+    const slowlyCreated = (req, res) => setTimeout(() => created(req, res), 20);
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => send({ key: 'k1' }, slowlyCreated))
+    );
+
+    assert.equal(runs, 1);
+    assert.deepEqual(responses.map(res => res.statusCode).sort(), [201, 409, 409, 409, 409]);
+    assert.equal(entries.length, 1);
+  });
+
+  it('refuses the same key with a different body', async () => {
+    await send({ key: 'k1' }, created);
+    await settle();
+    const res = await send({ key: 'k1', body: { to: 'bob', amount: 80 } }, created);
+
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.error, 'Idempotency key reused');
+    assert.equal(runs, 1);
+  });
+
+  it('releases the key when the request fails, so it can be retried', async () => {
+    const failed = await send({ key: 'k1' }, (req, res) => {
+      runs += 1;
+      res.status(500).json({ error: 'Internal server error' });
+    });
+    await settle();
+
+    assert.equal(failed.statusCode, 500);
+    assert.equal(entries.length, 0);
+
+    const retry = await send({ key: 'k1' }, created);
+    assert.equal(retry.statusCode, 201);
+    assert.equal(runs, 2);
+  });
+
+  it('releases the key when the response cannot be stored, so retries are not stuck on 409', async () => {
+    IdempotencyKey.updateOne.mock.mockImplementation(async () => {
+      throw new Error('connection lost');
+    });
+    mock.method(console, 'error', () => {});
+
+    const first = await send({ key: 'k1' }, created);
+    await settle();
+
+    assert.equal(first.statusCode, 201);
+    assert.equal(entries.length, 0);
+    assert.equal(console.error.mock.callCount(), 1);
+
+    const retry = await send({ key: 'k1' }, created);
+    assert.equal(retry.statusCode, 201);
+    assert.equal(runs, 2);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+const { calculateStatement } = require('../src/services/statement');
+const { renderFriendStatementPdf } = require('../src/services/statementPdf');
+const { useLedger, makeUser, makeExpense, makeSettlement } = require('./helpers/fakeLedger');
+const { extractPdfRows } = require('./helpers/pdfText');
+
+const alice = makeUser('Alice');
+const bob = makeUser('Bob');
+
+const from = new Date('2025-03-01T00:00:00Z');
+const to = new Date('2025-06-01T00:00:00Z');
+const day = (n) => new Date(Date.UTC(2025, 2, 1 + n, 12));
+
+// Printed amounts, as the PDF's built-in fonts write them (no ₹)
+const rupees = (paise) => `Rs. ${(Math.abs(paise) / 100).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const signed = (paise) => (paise === 0 ? rupees(0) : `${paise > 0 ? '+' : '-'}${rupees(paise)}`);
+
+/**
+ * Two expenses before the period, then 60 days of dinners (every seventh paid
+ * by Bob) and a settlement with a note: more rows than fit on one page
+ * @returns {Object} { ledger, opening, rows } with the rows expected in the period
+ */
+const buildLedger = () => {
+  const ledger = { expenses: [], transactions: [] };
+  const split = (title, payer, amount, date) => {
+    const bobShare = Math.floor(amount / 2);
+    const aliceShare = amount - bobShare;
+    ledger.expenses.push(makeExpense({ title, payers: [[payer, amount]], shares: [[alice, aliceShare], [bob, bobShare]], date }));
+    // From Alice's side: Bob owes his share of what she paid, she owes hers of what he paid
+    return payer === alice ? bobShare : -aliceShare;
+  };
+
+  let balance = split('Rent deposit', alice, 4000001, new Date('2025-02-03T12:00:00Z')) +
+    split('Electricity', bob, 123457, new Date('2025-02-20T12:00:00Z'));
+  const opening = balance;
+  const rows = [];
+
+  for (let i = 0; i < 60; i += 1) {
+    const amount = 2345678 + i * 10101;
+    const delta = split(`Dinner ${i + 1}`, i % 7 === 6 ? bob : alice, amount, day(i));
+    balance += delta;
+    rows.push([day(i).toISOString().slice(0, 10), `Dinner ${i + 1} (${rupees(amount)})`, signed(delta), signed(balance)]);
+
+    if (i === 30) {
+      ledger.transactions.push({ ...makeSettlement({ from: bob, to: alice, amount: 500000, date: day(i) }), note: 'Cash' });
+      balance -= 500000;
+      rows.push([day(i).toISOString().slice(0, 10), 'Bob paid you - Cash', signed(-500000), signed(balance)]);
+    }
+  }
+
+  return { ledger, opening, rows, closing: balance };
+};
+
+describe('renderFriendStatementPdf', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('prints the opening balance, every line and the closing balance across pages', async () => {
+    const { ledger, opening, rows, closing } = buildLedger();
+    useLedger(ledger);
+
+    const statement = await calculateStatement(alice._id, bob._id, { from, to, currency: 'INR' });
+    const pdf = await renderFriendStatementPdf({
+      you: alice,
+      otherUser: bob,
+      period: { from: '2025-03-01', to: '2025-05-31' },
+      statement
+    });
+    const pages = extractPdfRows(pdf);
+
+    assert.ok(pages.length >= 2, `expected several pages, got ${pages.length}`);
+    pages.forEach((page, i) => {
+      assert.deepEqual(page[page.length - 1], [`Page ${i + 1} of ${pages.length}`]);
+    });
+
+    // Each page's table starts with the header again
+    const header = ['Date', 'Description', 'Change', 'Balance'];
+    pages.forEach(page => assert.ok(page.some(row => row.join() === header.join())));
+
+    const printed = pages
+      .flatMap(page => page.slice(0, -1))
+      .filter(row => row.join() !== header.join());
+    const start = printed.findIndex(row => row[0] === 'Opening balance');
+
+    assert.deepEqual(printed.slice(start), [
+      ['Opening balance', signed(opening)],
+      ...rows,
+      ['Closing balance', signed(closing)],
+      [`Bob owes you ${rupees(closing)}`]
+    ]);
+  });
+});
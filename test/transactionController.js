@@ -0,0 +1,169 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+const Transaction = require('../src/models/transaction');
+const Loan = require('../src/models/loan');
+const Activity = require('../src/models/activity');
+const {
+  updateTransaction,
+  confirmTransaction,
+  getTransactions
+} = require('../src/controllers/transactionController');
+const { matches, fakeQuery, useLedger, makeUser, makeExpense } = require('./helpers/fakeLedger');
+
+const alice = makeUser('Alice');
+const bob = makeUser('Bob');
+
+// Call a handler and collect what it sends
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    set() { return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let error = null;
+  await handler(req, res, err => { error = err; });
+  if (error) {
+    throw error;
+  }
+  return res;
+};
+
+describe('changing the amount of a settlement the receiver recorded', () => {
+  let transaction;
+
+  beforeEach(() => {
+    // Alice recorded the ₹100 Bob paid her, so it was confirmed straight away
+    transaction = new Transaction({
+      from: bob._id,
+      to: alice._id,
+      amount: 10000,
+      currency: 'INR',
+      createdBy: alice._id,
+      status: 'confirmed',
+      confirmedAt: new Date('2025-01-20T10:00:00Z'),
+      settledAt: new Date('2025-01-20T10:00:00Z')
+    });
+
+    useLedger({
+      expenses: [makeExpense({ title: 'Lunch', payers: [[alice, 30000]], shares: [[alice, 15000], [bob, 15000]] })],
+      transactions: [transaction]
+    });
+    mock.method(Transaction, 'findById', () => fakeQuery(transaction));
+    mock.method(Transaction, 'countDocuments', async () => 1);
+    mock.method(Transaction.prototype, 'save', async function() { return this; });
+    mock.method(Activity.prototype, 'save', async function() { return this; });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const bobChangesAmount = () => call(updateTransaction, {
+    user: { id: bob._id.toString() },
+    params: { id: transaction._id.toString() },
+    body: { amount: 120 }
+  });
+
+  const awaiting = async (user) => {
+    mock.method(Transaction, 'find', (query) => fakeQuery([transaction].filter(t => matches(t, query))));
+    const res = await call(getTransactions, { user: { id: user._id.toString() }, query: { awaitingMe: 'true' } });
+    return res.body.transactions.map(t => t.id.toString());
+  };
+
+  it('waits on the receiver, not the payer who changed it', async () => {
+    const res = await bobChangesAmount();
+
+    assert.equal(res.body.transaction.status, 'pending');
+    assert.equal(res.body.transaction.awaitingYourConfirmation, false);
+    assert.equal(transaction.getCounterpartyId(), alice._id.toString());
+  });
+
+  it('does not let the payer confirm their own change', async () => {
+    await bobChangesAmount();
+
+    const res = await call(confirmTransaction, {
+      user: { id: bob._id.toString() },
+      params: { id: transaction._id.toString() },
+      body: {}
+    });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(transaction.status, 'pending');
+  });
+
+  it('lists the change for the receiver to confirm, and lets them', async () => {
+    await bobChangesAmount();
+
+    assert.deepEqual(await awaiting(alice), [transaction._id.toString()]);
+    assert.deepEqual(await awaiting(bob), []);
+
+    const res = await call(confirmTransaction, {
+      user: { id: alice._id.toString() },
+      params: { id: transaction._id.toString() },
+      body: {}
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.transaction.status, 'confirmed');
+    assert.equal(res.body.transaction.amount, 12000);
+  });
+});
+
+describe('changing the amount of a loan repayment', () => {
+  let loan;
+  let repayment;
+
+  beforeEach(() => {
+    // Alice lent Bob ₹1,000 without interest; he has repaid ₹400, and has ₹100 awaiting confirmation
+    loan = new Loan({
+      lender: alice._id,
+      borrower: bob._id,
+      principal: 100000,
+      currency: 'INR',
+      startDate: new Date('2025-01-01T00:00:00Z'),
+      interestType: 'none',
+      createdBy: alice._id
+    });
+    const repay = (amount, status) => new Transaction({
+      from: bob._id,
+      to: alice._id,
+      amount,
+      currency: 'INR',
+      loan: loan._id,
+      createdBy: status === 'confirmed' ? alice._id : bob._id,
+      status,
+      settledAt: new Date('2025-02-01T00:00:00Z')
+    });
+    repayment = repay(40000, 'confirmed');
+
+    useLedger({ expenses: [], transactions: [repayment, repay(10000, 'pending')] });
+    mock.method(Loan, 'findById', async () => loan);
+    mock.method(Transaction, 'findById', () => fakeQuery(repayment));
+    mock.method(Transaction.prototype, 'save', async function() { return this; });
+    mock.method(Activity.prototype, 'save', async function() { return this; });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const changeAmount = (amount) => call(updateTransaction, {
+    user: { id: alice._id.toString() },
+    params: { id: repayment._id.toString() },
+    body: { amount }
+  });
+
+  it('allows up to what is left, not counting the repayment being changed', async () => {
+    const res = await changeAmount(900);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(repayment.amount, 90000);
+  });
+
+  it('refuses more than is left on the loan', async () => {
+    const res = await changeAmount(901);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Overpayment');
+    assert.equal(res.body.details.outstanding, 90000);
+    assert.equal(repayment.amount, 40000);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+const { checkOverpayment } = require('../src/services/transactionValidation');
+const { useLedger, makeUser, makeExpense, makeSettlement } = require('./helpers/fakeLedger');
+
+const alice = makeUser('Alice');
+const bob = makeUser('Bob');
+
+describe('checkOverpayment', () => {
+  afterEach(() => mock.restoreAll());
+
+  // Bob owes Alice ₹150 and has recorded paying ₹100 of it (still pending)
+  const pending = makeSettlement({ from: bob, to: alice, amount: 10000, status: 'pending' });
+  const ledger = {
+    expenses: [makeExpense({ title: 'Lunch', payers: [[alice, 30000]], shares: [[alice, 15000], [bob, 15000]] })],
+    transactions: [pending]
+  };
+
+  it('counts pending settlements as paid for a new payment', async () => {
+    useLedger(ledger);
+
+    const result = await checkOverpayment({ from: bob._id, to: alice._id, amount: 10000, currency: 'INR' });
+
+    assert.deepEqual(result, { overpays: true, owed: 5000, excess: 5000 });
+  });
+
+  it('leaves out the amount being replaced when a settlement is edited', async () => {
+    useLedger(ledger);
+    const edit = (amount) => checkOverpayment({
+      from: bob._id, to: alice._id, amount, currency: 'INR', previousAmount: pending.amount
+    });
+
+    assert.deepEqual(await edit(15000), { overpays: false, owed: 15000, excess: 0 });
+    assert.deepEqual(await edit(20000), { overpays: true, owed: 15000, excess: 5000 });
+  });
+});